@@ -1,11 +1,12 @@
 require('dotenv').config();
 
-module.exports = {
+const config = {
   port: process.env.PORT || 3000,
   mongoUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/keypointmart',
   jwtSecret: process.env.JWT_SECRET || 'keypointmart-jwt-secret',
   jwtExpire: process.env.JWT_EXPIRE || '7d',
   nodeEnv: process.env.NODE_ENV || 'development',
+  timezone: process.env.APP_TIMEZONE || 'Asia/Kolkata',
   
   // Email configuration
   email: {
@@ -22,9 +23,116 @@ module.exports = {
     phoneNumber: process.env.TWILIO_PHONE_NUMBER,
   },
   
+  // Payment gateway configuration
+  payments: {
+    defaultGateway: process.env.PAYMENT_DEFAULT_GATEWAY || 'razorpay',
+    currency: process.env.PAYMENT_CURRENCY || 'INR',
+    razorpay: {
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_KEY_SECRET,
+      webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+    },
+    stripe: {
+      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+      secretKey: process.env.STRIPE_SECRET_KEY,
+      webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    },
+    paytm: {
+      merchantId: process.env.PAYTM_MERCHANT_ID,
+      merchantKey: process.env.PAYTM_MERCHANT_KEY,
+      website: process.env.PAYTM_WEBSITE || 'WEBSTAGING',
+      baseUrl: process.env.PAYTM_BASE_URL || 'https://securegw-stage.paytm.in',
+      callbackUrl: process.env.PAYTM_CALLBACK_URL,
+    },
+    // Local gateway that never leaves the process, for tests and development. Anyone who knows
+    // the secret can mark payments paid, so it is only ever on when explicitly enabled.
+    fake: {
+      enabled: process.env.PAYMENT_FAKE_GATEWAY === 'true',
+      secret: process.env.PAYMENT_FAKE_GATEWAY_SECRET,
+    },
+  },
+
   // File upload configuration
   upload: {
     maxFileSize: 5 * 1024 * 1024, // 5MB
     allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'],
   },
-};
\ No newline at end of file
+
+  // Delivery partner dispatch configuration
+  dispatch: {
+    offerTimeoutSeconds: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 30,
+    searchRadiusKm: parseFloat(process.env.DISPATCH_SEARCH_RADIUS_KM) || 5,
+    maxCandidates: parseInt(process.env.DISPATCH_MAX_CANDIDATES) || 5,
+    maxActiveJobsPerPartner: parseInt(process.env.DISPATCH_MAX_ACTIVE_JOBS) || 1,
+    retryIntervalSeconds: parseInt(process.env.DISPATCH_RETRY_INTERVAL_SECONDS) || 60,
+  },
+
+  // Delivery partner payouts and proof of delivery
+  delivery: {
+    basePayPerOrder: parseFloat(process.env.DELIVERY_BASE_PAY) || 20,
+    deliveryFeeSharePercent: parseFloat(process.env.DELIVERY_FEE_SHARE_PERCENT) || 80,
+    otpMaxAttempts: parseInt(process.env.DELIVERY_OTP_MAX_ATTEMPTS) || 5,
+  },
+
+  // Live delivery tracking
+  tracking: {
+    maxTrailPoints: parseInt(process.env.TRACKING_MAX_TRAIL_POINTS) || 200,
+  },
+
+  // Order number format, see utils/orderNumber.js for the tokens
+  orderNumbers: {
+    format: process.env.ORDER_NUMBER_FORMAT || 'KPM{yymmdd}{seq}',
+    checkoutFormat: process.env.CHECKOUT_NUMBER_FORMAT || 'KPC{yymmdd}{seq}',
+    sequencePadding: parseInt(process.env.ORDER_NUMBER_SEQUENCE_PADDING) || 4,
+  },
+
+  // Scheduled orders and delivery slots
+  scheduling: {
+    maxAdvanceDays: parseInt(process.env.SCHEDULED_ORDER_MAX_ADVANCE_DAYS) || 7,
+    releaseLeadMinutes: parseInt(process.env.SCHEDULED_ORDER_RELEASE_LEAD_MINUTES) || 15,
+    releaseIntervalSeconds: parseInt(process.env.SCHEDULED_ORDER_RELEASE_INTERVAL_SECONDS) || 60,
+  },
+
+  // Pending orders the shop has not accepted, see utils/pendingOrders.js (0 turns a step off)
+  pendingOrders: {
+    escalateAfterMinutes: parseInt(process.env.PENDING_ORDER_ESCALATE_AFTER_MINUTES ?? 5),
+    cancelAfterMinutes: parseInt(process.env.PENDING_ORDER_CANCEL_AFTER_MINUTES ?? 20),
+    checkIntervalSeconds: parseInt(process.env.PENDING_ORDER_CHECK_INTERVAL_SECONDS) || 60,
+  },
+
+  // Customer refund requests, see utils/refunds.js
+  refunds: {
+    requestWindowDays: parseInt(process.env.REFUND_REQUEST_WINDOW_DAYS) || 7,
+  },
+
+  // Return and replacement requests, see utils/returns.js
+  returns: {
+    windowDays: parseInt(process.env.RETURN_WINDOW_DAYS ?? 7),
+  },
+
+  // Fallback GST for products and categories without their own rate
+  tax: {
+    defaultRate: parseFloat(process.env.TAX_DEFAULT_RATE ?? 5),
+    pricesIncludeTax: process.env.TAX_PRICES_INCLUDE_TAX === 'true',
+  },
+
+  // Idempotency-Key replay window for order and payment creation
+  idempotency: {
+    ttlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+    lockTimeoutSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 60,
+  },
+};
+
+if (config.payments.fake.enabled && !config.payments.fake.secret) {
+  throw new Error('PAYMENT_FAKE_GATEWAY_SECRET is required when PAYMENT_FAKE_GATEWAY is enabled');
+}
+
+// Numbers without the daily sequence would repeat on every order
+if (!config.orderNumbers.format.includes('{seq}')) {
+  throw new Error('ORDER_NUMBER_FORMAT must contain {seq}');
+}
+if (!config.orderNumbers.checkoutFormat.includes('{seq}')) {
+  throw new Error('CHECKOUT_NUMBER_FORMAT must contain {seq}');
+}
+
+module.exports = config;
@@ -2,6 +2,7 @@ const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const config = require('./config');
 const User = require('../models/User');
+const { isValidCoordinate, recordLocation } = require('../utils/tracking');
 
 let io;
 
@@ -64,6 +65,7 @@ const initializeSocket = (server) => {
     }
     connectedUsers.get(userId).push(socket.id);
     socketUserMap.set(socket.id, userId);
+    socket.data.userId = userId;
 
     // Send connection confirmation
     socket.emit('connected', {
@@ -132,9 +134,36 @@ const initializeSocket = (server) => {
     });
 
     // Handle location updates from delivery partners
-    socket.on('update:location', (data) => {
-      if (socket.user.role === 'delivery_partner') {
-        const { orderId, latitude, longitude } = data;
+    socket.on('update:location', async (data) => {
+      if (socket.user.role !== 'delivery_partner') {
+        return socket.emit('error', { message: 'Unauthorized: Only delivery partners can send location updates' });
+      }
+
+      const { orderId, latitude, longitude } = data || {};
+
+      if (!isValidCoordinate(latitude, longitude)) {
+        return socket.emit('error', { message: 'Invalid coordinates' });
+      }
+
+      // Keep the partner's last known position for dispatch matching
+      User.updateOne(
+        { _id: userId },
+        {
+          $set: {
+            'deliveryProfile.currentLocation': {
+              latitude,
+              longitude,
+              updatedAt: new Date()
+            }
+          }
+        }
+      ).catch(error => console.error('Failed to store partner location:', error.message));
+
+      // Pings without an order only refresh the partner's position
+      if (!orderId) return;
+
+      try {
+        const { order, eta, recordedAt } = await recordLocation(orderId, userId, { latitude, longitude });
 
         console.log(`📍 Delivery partner ${userId} location updated for order ${orderId}`);
 
@@ -142,9 +171,61 @@ const initializeSocket = (server) => {
         io.to(`order:${orderId}`).emit('order:location_update', {
           orderId,
           location: { latitude, longitude },
-          timestamp: new Date().toISOString(),
+          timestamp: recordedAt.toISOString(),
           deliveryPartnerId: userId
         });
+
+        if (eta) {
+          io.to(`order:${orderId}`).emit('order:eta_update', {
+            orderId,
+            orderNumber: order.orderNumber,
+            distance: eta.distance,
+            minutes: eta.minutes,
+            estimatedArrival: eta.estimatedArrival.toISOString(),
+            timestamp: recordedAt.toISOString()
+          });
+        }
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    // Handle delivery offer responses from delivery partners
+    socket.on('delivery:accept', async (data) => {
+      if (socket.user.role !== 'delivery_partner') {
+        return socket.emit('error', { message: 'Unauthorized: Only delivery partners can accept deliveries' });
+      }
+
+      const { respondToOffer } = require('../utils/dispatch');
+
+      try {
+        const result = await respondToOffer(data?.orderId, userId, true);
+        socket.join(`order:${data.orderId}`);
+        socket.emit('delivery:accepted', {
+          orderId: data.orderId,
+          orderNumber: result.order.orderNumber,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('delivery:reject', async (data) => {
+      if (socket.user.role !== 'delivery_partner') {
+        return socket.emit('error', { message: 'Unauthorized: Only delivery partners can reject deliveries' });
+      }
+
+      const { respondToOffer } = require('../utils/dispatch');
+
+      try {
+        await respondToOffer(data?.orderId, userId, false, data?.reason);
+        socket.emit('delivery:rejected', {
+          orderId: data.orderId,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        socket.emit('error', { message: error.message });
       }
     });
 
@@ -1,6 +1,96 @@
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Checkout = require('../models/Checkout');
+const Shop = require('../models/Shop');
 const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  resolveDeliveryAddress,
+  checkOrderEligibility,
+  prepareOrder,
+  discountedSubtotal,
+  applyCoupon,
+  placeOrder,
+  notifyOrderPlaced
+} = require('../utils/orderPlacement');
+const { releaseStock } = require('../utils/inventory');
+const { evaluateCoupon, releaseCoupon } = require('../utils/coupons');
+const { releaseSlot } = require('../utils/scheduling');
+
+// A cart coupon goes on one shop's order: the shop where it takes off the most.
+// groups is [{ shopId, subtotal, deliveryFee }]; throws the last coupon error when no shop qualifies.
+const pickCouponShop = async (code, userId, groups) => {
+  let best = null;
+  let lastError = null;
+
+  for (const group of groups) {
+    try {
+      const evaluation = await evaluateCoupon(code, {
+        userId,
+        shopId: group.shopId,
+        subtotal: group.subtotal,
+        deliveryFee: group.deliveryFee
+      });
+      if (!best || evaluation.discount > best.evaluation.discount) {
+        best = { group, evaluation };
+      }
+    } catch (error) {
+      if (error.statusCode !== 400) {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+
+  if (!best) {
+    throw lastError || Object.assign(new Error('Cart has no available items for this coupon'), { statusCode: 400 });
+  }
+
+  return best;
+};
+
+// Preview a coupon against the cart's shop groups, with offers and delivery fees as on GET /api/cart/by-shop
+const previewCartCoupon = async (cart, code, userId) => {
+  if (!code) {
+    throw Object.assign(new Error('Coupon code is required'), { statusCode: 400 });
+  }
+
+  await cart.populate({ path: 'items.shop', select: 'businessName offers settings.deliveryFee settings.freeDeliveryAbove' });
+
+  const groups = new Map();
+  cart.items.filter(item => item.isAvailable && item.shop).forEach(item => {
+    const shopId = item.shop._id.toString();
+    if (!groups.has(shopId)) {
+      groups.set(shopId, { shopId, shop: item.shop, subtotal: 0 });
+    }
+    groups.get(shopId).subtotal += item.price * item.quantity;
+  });
+
+  for (const group of groups.values()) {
+    const { deliveryFee = 0, freeDeliveryAbove } = group.shop.settings || {};
+    group.deliveryFee = freeDeliveryAbove && group.subtotal >= freeDeliveryAbove ? 0 : deliveryFee;
+
+    const bestOffer = group.shop.getBestOffer(group.subtotal);
+    if (bestOffer) {
+      group.subtotal -= bestOffer.amount;
+    }
+  }
+
+  const { group, evaluation } = await pickCouponShop(code, userId, [...groups.values()]);
+
+  return {
+    code: evaluation.coupon.code,
+    description: evaluation.coupon.description,
+    type: evaluation.coupon.type,
+    shop: {
+      _id: group.shop._id,
+      businessName: group.shop.businessName
+    },
+    discount: evaluation.discount,
+    itemDiscount: evaluation.itemDiscount,
+    deliveryDiscount: evaluation.deliveryDiscount
+  };
+};
 
 // @desc    Get user's cart
 // @route   GET /api/cart
@@ -22,6 +112,7 @@ const getCart = asyncHandler(async (req, res) => {
         _id: cart._id,
         items: cart.items,
         ...summary,
+        couponCode: cart.couponCode,
         lastActivity: cart.lastActivity,
         createdAt: cart.createdAt,
         updatedAt: cart.updatedAt
@@ -180,14 +271,50 @@ const clearCart = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Validate cart items (check availability and prices)
+// @desc    Validate cart items (check availability and prices) and whether each shop can take its order
 // @route   GET /api/cart/validate
 // @access  Private
 const validateCart = asyncHandler(async (req, res) => {
+  const { deliveryType = 'delivery', address } = req.query;
+
+  // The delivery zone is only checked against a saved address
+  let deliveryAddress = null;
+  if (deliveryType === 'delivery' && address) {
+    try {
+      deliveryAddress = await resolveDeliveryAddress(address, req.user.id);
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+  }
+
   const cart = await Cart.getCart(req.user.id);
 
   const hasChanges = await cart.validateItems();
 
+  // Subtotal of the available items per shop, as checkout would order them
+  const shopSubtotals = new Map();
+  cart.items.filter(item => item.isAvailable).forEach(item => {
+    const shopId = item.shop.toString();
+    shopSubtotals.set(shopId, (shopSubtotals.get(shopId) || 0) + item.price * item.quantity);
+  });
+
+  const shops = await Promise.all([...shopSubtotals].map(async ([shopId, subtotal]) => {
+    const shopDoc = await Shop.findById(shopId);
+    if (!shopDoc) {
+      return {
+        shop: shopId,
+        eligible: false,
+        reasons: [{ code: 'unavailable', message: 'Shop is not available for orders' }]
+      };
+    }
+
+    const { eligible, reasons } = await checkOrderEligibility(shopDoc, { deliveryType, deliveryAddress, subtotal });
+    return { shop: shopId, businessName: shopDoc.businessName, subtotal, eligible, reasons };
+  }));
+
   await cart.populate([
     { path: 'items.product', select: 'name price images stock status isActive comparePrice' },
     { path: 'items.shop', select: 'businessName images.logo isActive' }
@@ -200,6 +327,8 @@ const validateCart = asyncHandler(async (req, res) => {
     message: hasChanges ? 'Cart has been updated due to availability or price changes' : 'Cart is valid',
     data: {
       hasChanges,
+      canCheckout: shops.some(shop => shop.eligible),
+      shops,
       cart: {
         _id: cart._id,
         items: cart.items,
@@ -291,7 +420,7 @@ const getCartByShop = asyncHandler(async (req, res) => {
 
   await cart.populate([
     { path: 'items.product', select: 'name price images stock status isActive comparePrice' },
-    { path: 'items.shop', select: 'businessName images.logo isActive settings.deliveryFee settings.minimumOrderAmount settings.freeDeliveryAbove' }
+    { path: 'items.shop', select: 'businessName images.logo isActive offers settings.deliveryFee settings.minimumOrderAmount settings.freeDeliveryAbove' }
   ]);
 
   const itemsByShop = cart.itemsByShop;
@@ -306,6 +435,10 @@ const getCartByShop = asyncHandler(async (req, res) => {
 
     const finalDeliveryFee = freeDeliveryAbove && shopGroup.subtotal >= freeDeliveryAbove ? 0 : deliveryFee;
 
+    // Applied automatically at checkout
+    const bestOffer = shop?.getBestOffer(shopGroup.subtotal);
+    const discount = bestOffer ? bestOffer.amount : 0;
+
     return {
       shop: {
         _id: shop?._id,
@@ -315,8 +448,14 @@ const getCartByShop = asyncHandler(async (req, res) => {
       },
       items: shopGroup.items,
       subtotal: shopGroup.subtotal,
+      offer: bestOffer ? {
+        _id: bestOffer.offer._id,
+        title: bestOffer.offer.title,
+        description: bestOffer.offer.description
+      } : null,
+      discount,
       deliveryFee: finalDeliveryFee,
-      total: shopGroup.subtotal + finalDeliveryFee,
+      total: shopGroup.subtotal - discount + finalDeliveryFee,
       meetsMinimumOrder: shopGroup.subtotal >= minimumOrder,
       minimumOrderAmount: minimumOrder,
       freeDeliveryAbove
@@ -329,11 +468,263 @@ const getCartByShop = asyncHandler(async (req, res) => {
       shops: enhancedShops,
       overallTotal: enhancedShops.reduce((sum, shop) => sum + shop.total, 0),
       overallSubtotal: cart.subtotal,
+      totalDiscount: enhancedShops.reduce((sum, shop) => sum + shop.discount, 0),
       totalDeliveryFees: enhancedShops.reduce((sum, shop) => sum + shop.deliveryFee, 0)
     }
   });
 });
 
+// @desc    Check a coupon against the cart without applying it
+// @route   POST /api/cart/coupon/validate
+// @access  Private
+const validateCartCoupon = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const cart = await Cart.getCart(req.user.id);
+
+  try {
+    const coupon = await previewCartCoupon(cart, code, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Coupon is valid',
+      data: { coupon }
+    });
+  } catch (error) {
+    if (error.statusCode !== 400) {
+      throw error;
+    }
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// @desc    Apply a coupon to the cart; it is redeemed at checkout
+// @route   POST /api/cart/coupon
+// @access  Private
+const applyCartCoupon = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const cart = await Cart.getCart(req.user.id);
+
+  try {
+    const coupon = await previewCartCoupon(cart, code, req.user.id);
+
+    cart.couponCode = coupon.code;
+    await cart.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Coupon applied to cart',
+      data: { coupon }
+    });
+  } catch (error) {
+    if (error.statusCode !== 400) {
+      throw error;
+    }
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// @desc    Remove the coupon from the cart
+// @route   DELETE /api/cart/coupon
+// @access  Private
+const removeCartCoupon = asyncHandler(async (req, res) => {
+  const cart = await Cart.getCart(req.user.id);
+
+  cart.couponCode = undefined;
+  await cart.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Coupon removed from cart'
+  });
+});
+
+// @desc    Checkout the whole cart as one order per shop
+// @route   POST /api/cart/checkout
+// @access  Private
+const checkoutCart = asyncHandler(async (req, res) => {
+  const { delivery, payment, customerNotes } = req.body;
+
+  const cart = await Cart.getCart(req.user.id);
+  const couponCode = req.body.couponCode || cart.couponCode;
+  const availableItems = cart.items.filter(item => item.isAvailable);
+
+  if (availableItems.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Cart has no available items to checkout'
+    });
+  }
+
+  let deliveryAddress = null;
+  if (delivery.type === 'delivery') {
+    try {
+      deliveryAddress = await resolveDeliveryAddress(delivery.address, req.user.id);
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+  }
+
+  // Group the available items by shop
+  const groups = new Map();
+  availableItems.forEach(item => {
+    const shopId = (item.shop._id || item.shop).toString();
+    if (!groups.has(shopId)) {
+      groups.set(shopId, []);
+    }
+    groups.get(shopId).push(item);
+  });
+
+  // Validate every shop first so nothing is written when no shop can take its part
+  const prepared = [];
+  const skippedShops = [];
+
+  for (const [shopId, items] of groups) {
+    try {
+      const shopOrder = await prepareOrder({
+        shopId,
+        items: items.map(item => ({
+          product: item.product._id || item.product,
+          variant: item.variant,
+          quantity: item.quantity
+        })),
+        delivery,
+        deliveryAddress,
+        payment,
+        customerNotes,
+        customer: req.user,
+        metadata: {
+          source: 'web',
+          userAgent: req.get('User-Agent'),
+          ipAddress: req.ip
+        }
+      });
+
+      // One payment covers every order, so each shop must accept it
+      if (!shopOrder.shopDoc.settings.paymentMethods.includes(payment.method)) {
+        throw Object.assign(new Error('Payment method not accepted by this shop'), { statusCode: 400 });
+      }
+
+      prepared.push({ ...shopOrder, cartItems: items });
+    } catch (error) {
+      if (error.statusCode !== 400) {
+        throw error;
+      }
+      skippedShops.push({ shop: shopId, reason: error.message, reasons: error.reasons });
+    }
+  }
+
+  if (prepared.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'None of the shops in your cart can take this order',
+      data: { skippedShops }
+    });
+  }
+
+  // The coupon goes on the shop order it takes the most off
+  if (couponCode) {
+    try {
+      const { group, evaluation } = await pickCouponShop(couponCode, req.user.id, prepared.map(shopOrder => ({
+        shopOrder,
+        shopId: shopOrder.shopDoc._id,
+        subtotal: discountedSubtotal(shopOrder),
+        deliveryFee: shopOrder.orderData.deliveryFee
+      })));
+      applyCoupon(group.shopOrder, evaluation);
+    } catch (error) {
+      if (error.statusCode !== 400) {
+        throw error;
+      }
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+  }
+
+  const checkout = new Checkout({
+    customer: req.user.id,
+    payment: { method: payment.method }
+  });
+
+  // Place shop by shop; a shop that runs out of stock meanwhile is skipped, not fatal
+  const orders = [];
+  const placed = [];
+
+  for (const shopOrder of prepared) {
+    shopOrder.orderData.checkout = checkout._id;
+
+    try {
+      const order = await placeOrder(shopOrder);
+      orders.push(order);
+      placed.push(shopOrder);
+    } catch (error) {
+      if (error.statusCode !== 400) {
+        // Undo the orders already placed so the checkout does not end up half written,
+        // giving back everything placeOrder took for them
+        for (const order of orders) {
+          await Order.findByIdAndDelete(order._id);
+          await releaseStock(order.items);
+          await releaseCoupon(order._id);
+          await releaseSlot(order.schedule);
+          await Shop.updateOne({ _id: order.shop }, { $inc: { 'stats.totalOrders': -1 } });
+        }
+        throw error;
+      }
+      skippedShops.push({ shop: shopOrder.shopDoc._id, reason: error.message });
+    }
+  }
+
+  if (orders.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'None of the shops in your cart can take this order',
+      data: { skippedShops }
+    });
+  }
+
+  checkout.skippedShops = skippedShops;
+  checkout.applyOrderTotals(orders);
+  await checkout.save();
+
+  // Clear only the items that made it into an order
+  const orderedItemIds = new Set(placed.flatMap(shopOrder => shopOrder.cartItems.map(item => item._id.toString())));
+  cart.items = cart.items.filter(item => !orderedItemIds.has(item._id.toString()));
+  cart.couponCode = undefined;
+  await cart.save();
+
+  for (let i = 0; i < orders.length; i++) {
+    await notifyOrderPlaced(orders[i], placed[i].shopDoc, req.user);
+  }
+
+  const populatedOrders = await Order.find({ _id: { $in: checkout.orders } })
+    .populate('shop', 'businessName contactInfo');
+
+  res.status(201).json({
+    status: 'success',
+    message: skippedShops.length > 0
+      ? `${orders.length} of ${groups.size} shop orders placed`
+      : 'Orders placed successfully',
+    data: {
+      checkout,
+      orders: populatedOrders,
+      skippedShops,
+      requiresOnlinePayment: payment.method !== 'cash'
+    }
+  });
+});
+
 module.exports = {
   getCart,
   addToCart,
@@ -343,5 +734,9 @@ module.exports = {
   validateCart,
   getCartSummary,
   mergeCart,
-  getCartByShop
+  getCartByShop,
+  validateCartCoupon,
+  applyCartCoupon,
+  removeCartCoupon,
+  checkoutCart
 };
@@ -0,0 +1,247 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Shop = require('../models/Shop');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Shop owners manage their own shop's coupons; admins manage every coupon.
+// Returns the owner's shop, or null for admins.
+const getOwnShop = async (user) => {
+  if (user.role !== 'shop_owner') {
+    return null;
+  }
+  return Shop.findOne({ owner: user.id });
+};
+
+const canManage = (coupon, user, ownShop) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+  return Boolean(ownShop && coupon.shop && coupon.shop.toString() === ownShop._id.toString());
+};
+
+// @desc    Get coupons
+// @route   GET /api/coupons
+// @access  Private/Admin/Shop Owner
+const getCoupons = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const { scope, shop, active } = req.query;
+
+  let query = {};
+
+  if (req.user.role === 'shop_owner') {
+    const ownShop = await getOwnShop(req.user);
+    if (!ownShop) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Shop not found'
+      });
+    }
+    query.shop = ownShop._id;
+  } else {
+    if (scope) {
+      query.scope = scope;
+    }
+    if (shop) {
+      query.shop = shop;
+    }
+  }
+
+  if (active !== undefined) {
+    query.isActive = active === 'true';
+  }
+
+  const total = await Coupon.countDocuments(query);
+  const coupons = await Coupon.find(query)
+    .populate('shop', 'businessName')
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: coupons.length,
+    data: {
+      coupons,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// @desc    Get coupon with its recent redemptions
+// @route   GET /api/coupons/:id
+// @access  Private/Admin/Shop Owner
+const getCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id).populate('shop', 'businessName');
+
+  if (!coupon) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Coupon not found'
+    });
+  }
+
+  const ownShop = await getOwnShop(req.user);
+  if (!canManage({ shop: coupon.shop?._id }, req.user, ownShop)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to view this coupon'
+    });
+  }
+
+  const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+    .populate('user', 'name email')
+    .populate('order', 'orderNumber total status')
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  res.status(200).json({
+    status: 'success',
+    data: { coupon, redemptions }
+  });
+});
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private/Admin/Shop Owner
+const createCoupon = asyncHandler(async (req, res) => {
+  const couponData = {
+    ...req.body,
+    createdBy: req.user.id
+  };
+
+  // Shop owners can only create coupons for their own shop
+  if (req.user.role === 'shop_owner') {
+    const ownShop = await getOwnShop(req.user);
+    if (!ownShop) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You must have a shop to create coupons'
+      });
+    }
+    couponData.scope = 'shop';
+    couponData.shop = ownShop._id;
+  } else if (couponData.scope === 'shop' && !couponData.shop) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Shop is required for shop coupons'
+    });
+  }
+
+  const existing = await Coupon.exists({ code: couponData.code.toUpperCase() });
+  if (existing) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'A coupon with this code already exists'
+    });
+  }
+
+  const coupon = await Coupon.create(couponData);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Coupon created successfully',
+    data: { coupon }
+  });
+});
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin/Shop Owner
+const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Coupon not found'
+    });
+  }
+
+  const ownShop = await getOwnShop(req.user);
+  if (!canManage(coupon, req.user, ownShop)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to update this coupon'
+    });
+  }
+
+  const updates = { ...req.body };
+  if (req.user.role === 'shop_owner') {
+    updates.scope = 'shop';
+    updates.shop = ownShop._id;
+  }
+  if (updates.scope === 'platform') {
+    updates.shop = undefined;
+  }
+
+  // The code is what customers have been given, so it cannot change once used
+  if (coupon.usedCount > 0 && updates.code && updates.code.toUpperCase() !== coupon.code) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Cannot change the code of a coupon that has been used'
+    });
+  }
+
+  coupon.set(updates);
+  await coupon.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Coupon updated successfully',
+    data: { coupon }
+  });
+});
+
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin/Shop Owner
+const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Coupon not found'
+    });
+  }
+
+  const ownShop = await getOwnShop(req.user);
+  if (!canManage(coupon, req.user, ownShop)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to delete this coupon'
+    });
+  }
+
+  // Keep used coupons so their redemptions still point somewhere
+  if (coupon.usedCount > 0 || await CouponRedemption.exists({ coupon: coupon._id })) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Cannot delete a coupon that has been used. Deactivate it instead.'
+    });
+  }
+
+  await Coupon.findByIdAndDelete(coupon._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Coupon deleted successfully'
+  });
+});
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
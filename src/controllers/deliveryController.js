@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const config = require('../config/config');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { respondToOffer } = require('../utils/dispatch');
+const { zonedParts, zonedDateTime, addDays } = require('../utils/shopHours');
+const { updateOrderStatus } = require('./orderController');
+
+// Orders a delivery partner is still working on
+const ACTIVE_DELIVERY_STATUSES = ['ready', 'out_for_delivery'];
+
+const formatShift = (user) => ({
+  isOnShift: user.deliveryProfile.isOnShift,
+  isAvailable: user.deliveryProfile.isAvailable,
+  shiftStartedAt: user.deliveryProfile.shiftStartedAt,
+  shiftEndedAt: user.deliveryProfile.shiftEndedAt,
+  vehicleType: user.deliveryProfile.vehicleType,
+  currentLocation: user.deliveryProfile.currentLocation
+});
+
+// @desc    Get current shift status
+// @route   GET /api/delivery/shift
+// @access  Private/Delivery Partner
+const getShiftStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  const activeOrders = await Order.countDocuments({
+    'delivery.partner': req.user.id,
+    status: { $in: ACTIVE_DELIVERY_STATUSES }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      shift: {
+        ...formatShift(user),
+        activeOrders
+      }
+    }
+  });
+});
+
+// @desc    Start shift (go online for dispatch)
+// @route   POST /api/delivery/shift/start
+// @access  Private/Delivery Partner
+const startShift = asyncHandler(async (req, res) => {
+  const { latitude, longitude, vehicleType } = req.body;
+
+  const user = await User.findById(req.user.id);
+
+  if (user.deliveryProfile.isOnShift) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Shift already started'
+    });
+  }
+
+  user.deliveryProfile.isOnShift = true;
+  user.deliveryProfile.isAvailable = true;
+  user.deliveryProfile.shiftStartedAt = new Date();
+  user.deliveryProfile.shiftEndedAt = undefined;
+
+  if (vehicleType) {
+    user.deliveryProfile.vehicleType = vehicleType;
+  }
+
+  if (latitude !== undefined && longitude !== undefined) {
+    user.deliveryProfile.currentLocation = {
+      latitude,
+      longitude,
+      updatedAt: new Date()
+    };
+  }
+
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Shift started successfully',
+    data: { shift: formatShift(user) }
+  });
+});
+
+// @desc    End shift (go offline)
+// @route   POST /api/delivery/shift/end
+// @access  Private/Delivery Partner
+const endShift = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.deliveryProfile.isOnShift) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'No active shift to end'
+    });
+  }
+
+  const activeOrders = await Order.countDocuments({
+    'delivery.partner': req.user.id,
+    status: { $in: ACTIVE_DELIVERY_STATUSES }
+  });
+
+  if (activeOrders > 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Complete your ${activeOrders} active deliver${activeOrders === 1 ? 'y' : 'ies'} before ending the shift`
+    });
+  }
+
+  user.deliveryProfile.isOnShift = false;
+  user.deliveryProfile.shiftEndedAt = new Date();
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Shift ended successfully',
+    data: { shift: formatShift(user) }
+  });
+});
+
+// @desc    Pause or resume receiving new delivery offers during a shift
+// @route   PUT /api/delivery/availability
+// @access  Private/Delivery Partner
+const updateAvailability = asyncHandler(async (req, res) => {
+  const { isAvailable } = req.body;
+
+  if (typeof isAvailable !== 'boolean') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'isAvailable must be a boolean'
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user.deliveryProfile.isOnShift) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Start a shift before changing availability'
+    });
+  }
+
+  user.deliveryProfile.isAvailable = isAvailable;
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: isAvailable ? 'You will receive new delivery offers' : 'New delivery offers paused',
+    data: { shift: formatShift(user) }
+  });
+});
+
+// @desc    Get active (assigned, not yet delivered) orders
+// @route   GET /api/delivery/orders/active
+// @access  Private/Delivery Partner
+const getActiveOrders = asyncHandler(async (req, res) => {
+  const orders = await Order.find({
+    'delivery.partner': req.user.id,
+    status: { $in: ACTIVE_DELIVERY_STATUSES }
+  })
+    .populate('shop', 'businessName address contactInfo')
+    .populate('customer', 'name phone')
+    // delivery is selected field by field: the whole path would include the customer's handover OTP
+    .select('orderNumber status items total payment.method payment.status deliveryFee timestamps ' +
+      'delivery.type delivery.address delivery.estimatedTime delivery.zone delivery.distance delivery.instructions ' +
+      'delivery.partner delivery.dispatch delivery.tracking delivery.proof.otpGeneratedAt')
+    .sort({ 'delivery.dispatch.assignedAt': 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: orders.length,
+    data: { orders }
+  });
+});
+
+// @desc    Get past assigned orders
+// @route   GET /api/delivery/orders
+// @access  Private/Delivery Partner
+const getDeliveryHistory = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const { status } = req.query;
+
+  let query = { 'delivery.partner': req.user.id };
+
+  if (status) {
+    query.status = status;
+  }
+
+  const total = await Order.countDocuments(query);
+  const orders = await Order.find(query)
+    .populate('shop', 'businessName address')
+    .select('orderNumber status total deliveryFee delivery.address delivery.type timestamps createdAt shop')
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: orders.length,
+    data: {
+      orders,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// @desc    Accept a delivery offer
+// @route   POST /api/delivery/orders/:id/accept
+// @access  Private/Delivery Partner
+const acceptOffer = asyncHandler(async (req, res) => {
+  try {
+    const result = await respondToOffer(req.params.id, req.user.id, true);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Delivery accepted',
+      data: {
+        order: {
+          _id: result.order._id,
+          orderNumber: result.order.orderNumber,
+          status: result.order.status,
+          delivery: result.order.delivery
+        }
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// @desc    Reject a delivery offer
+// @route   POST /api/delivery/orders/:id/reject
+// @access  Private/Delivery Partner
+const rejectOffer = asyncHandler(async (req, res) => {
+  try {
+    await respondToOffer(req.params.id, req.user.id, false, req.body.reason);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Delivery offer rejected'
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// @desc    Mark order as picked up from the shop
+// @route   PUT /api/delivery/orders/:id/pickup
+// @access  Private/Delivery Partner
+const markPickedUp = asyncHandler(async (req, res, next) => {
+  req.body = {
+    status: 'out_for_delivery',
+    note: req.body.note || 'Picked up by delivery partner'
+  };
+
+  return updateOrderStatus(req, res, next);
+});
+
+// @desc    Mark order as delivered to the customer
+// @route   PUT /api/delivery/orders/:id/deliver
+// @access  Private/Delivery Partner
+const markDelivered = asyncHandler(async (req, res, next) => {
+  req.body = {
+    status: 'delivered',
+    note: req.body.note || 'Delivered by delivery partner',
+    otp: req.body.otp,
+    recipientName: req.body.recipientName
+  };
+
+  return updateOrderStatus(req, res, next);
+});
+
+// @desc    Get per-day earnings from delivered orders
+// @route   GET /api/delivery/earnings
+// @access  Private/Delivery Partner
+const getEarnings = asyncHandler(async (req, res) => {
+  const { timezone } = config;
+
+  // Calendar days on the app's clock, the same days the earnings are grouped by
+  const dayOf = (value) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return value;
+    }
+    const date = new Date(value);
+    return isNaN(date) ? null : zonedParts(date, timezone).date;
+  };
+
+  const endDay = dayOf(req.query.endDate || Date.now());
+  const startDay = req.query.startDate ? dayOf(req.query.startDate) : endDay && addDays(endDay, -6);
+
+  if (!startDay || !endDay || isNaN(new Date(startDay)) || isNaN(new Date(endDay)) || startDay > endDay) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid date range'
+    });
+  }
+
+  // From the start of the first day to the end of the last one
+  const startDate = zonedDateTime(startDay, '00:00', timezone);
+  const endDate = new Date(zonedDateTime(addDays(endDay, 1), '00:00', timezone).getTime() - 1);
+
+  const { basePayPerOrder, deliveryFeeSharePercent } = config.delivery;
+
+  const days = await Order.aggregate([
+    {
+      $match: {
+        'delivery.partner': new mongoose.Types.ObjectId(req.user.id),
+        status: 'delivered',
+        'timestamps.deliveredAt': { $gte: startDate, $lte: endDate }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format: '%Y-%m-%d',
+            date: '$timestamps.deliveredAt',
+            timezone: config.timezone
+          }
+        },
+        deliveries: { $sum: 1 },
+        deliveryFees: { $sum: '$deliveryFee' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const daily = days.map(day => {
+    const basePay = day.deliveries * basePayPerOrder;
+    const feeShare = Math.round(day.deliveryFees * deliveryFeeSharePercent) / 100;
+
+    return {
+      date: day._id,
+      deliveries: day.deliveries,
+      basePay,
+      feeShare,
+      earnings: basePay + feeShare
+    };
+  });
+
+  const summary = daily.reduce((totals, day) => ({
+    deliveries: totals.deliveries + day.deliveries,
+    basePay: totals.basePay + day.basePay,
+    feeShare: totals.feeShare + day.feeShare,
+    earnings: totals.earnings + day.earnings
+  }), { deliveries: 0, basePay: 0, feeShare: 0, earnings: 0 });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      period: { startDate, endDate },
+      rates: { basePayPerOrder, deliveryFeeSharePercent },
+      summary,
+      daily
+    }
+  });
+});
+
+module.exports = {
+  getShiftStatus,
+  startShift,
+  endShift,
+  updateAvailability,
+  getActiveOrders,
+  getDeliveryHistory,
+  acceptOffer,
+  rejectOffer,
+  markPickedUp,
+  markDelivered,
+  getEarnings
+};
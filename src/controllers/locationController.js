@@ -11,6 +11,7 @@ const {
   getRouteInfo,
   getLocationFromIP
 } = require('../utils/location');
+const { quoteDelivery } = require('../utils/orderPlacement');
 
 // @desc    Get nearby shops based on coordinates
 // @route   GET /api/location/nearby-shops
@@ -70,10 +71,14 @@ const getNearbyShops = asyncHandler(async (req, res) => {
         longitude: lng,
         radius: radiusKm
       },
-      shops: populatedShops.map(shop => ({
-        ...shop,
-        isCurrentlyOpen: Shop.prototype.isCurrentlyOpen.call(shop)
-      }))
+      shops: populatedShops.map(shop => {
+        const openingStatus = Shop.prototype.getOpeningStatus.call(shop);
+        return {
+          ...shop,
+          isCurrentlyOpen: openingStatus.isOpen,
+          nextOpeningAt: openingStatus.nextOpeningAt
+        };
+      })
     }
   });
 });
@@ -282,7 +287,7 @@ const getPincodeDetails = asyncHandler(async (req, res) => {
 // @route   POST /api/location/delivery-check
 // @access  Public
 const checkDeliveryAvailability = asyncHandler(async (req, res) => {
-  const { shopId, latitude, longitude } = req.body;
+  const { shopId, latitude, longitude, pincode } = req.body;
 
   if (!shopId || !latitude || !longitude) {
     return res.status(400).json({
@@ -317,8 +322,22 @@ const checkDeliveryAvailability = asyncHandler(async (req, res) => {
     customerCoords.longitude
   );
 
-  const isWithinRadius = distance <= shop.settings.serviceRadius;
-  const deliveryTime = calculateDeliveryTime(distance, shop.settings.preparationTime || 30);
+  // Same zone and radius rules as checkout
+  let terms = null;
+  let reason = null;
+  try {
+    terms = await quoteDelivery(shop, { coordinates: customerCoords, pincode }, 0);
+  } catch (error) {
+    if (error.statusCode !== 400) {
+      throw error;
+    }
+    reason = 'Location outside delivery area';
+  }
+
+  const isWithinRadius = Boolean(terms);
+  const deliveryTime = terms?.zone
+    ? terms.estimatedTime
+    : calculateDeliveryTime(distance, shop.settings.preparationTime || 30);
 
   res.status(200).json({
     status: 'success',
@@ -337,8 +356,10 @@ const checkDeliveryAvailability = asyncHandler(async (req, res) => {
         available: isWithinRadius,
         distance: Math.round(distance * 100) / 100,
         estimatedTime: deliveryTime,
-        fee: isWithinRadius ? shop.settings.deliveryFee : 0,
-        reason: isWithinRadius ? null : 'Location outside delivery area'
+        fee: isWithinRadius ? terms.deliveryFee : 0,
+        minimumOrderAmount: isWithinRadius ? terms.minimumOrderAmount : null,
+        zone: terms?.zone ? { _id: terms.zone._id, name: terms.zone.name } : null,
+        reason
       }
     }
   });
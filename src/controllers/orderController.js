@@ -1,301 +1,105 @@
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Shop = require('../models/Shop');
-const User = require('../models/User');
-const Address = require('../models/Address');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sendNotification } = require('../utils/notifications');
 const { emitToUser, emitToOrder, emitToShop } = require('../config/socket');
-
-// @desc    Create new order
-// @route   POST /api/orders
-// @access  Private/Customer
-const createOrder = asyncHandler(async (req, res) => {
-  const { shop, items, delivery, payment, customerNotes } = req.body;
-
-  // Validate shop exists and is active
-  const shopDoc = await Shop.findById(shop);
-  if (!shopDoc || !shopDoc.isActive || shopDoc.verification.status !== 'verified') {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Shop is not available for orders'
-    });
-  }
-
-  // Validate and calculate order items
-  let subtotal = 0;
-  const orderItems = [];
-
-  for (let item of items) {
-    const product = await Product.findById(item.product);
-    
-    if (!product || !product.isActive || product.status !== 'active') {
-      return res.status(400).json({
-        status: 'error',
-        message: `Product ${item.product} is not available`
-      });
-    }
-
-    if (product.shop.toString() !== shop) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'All products must be from the same shop'
-      });
-    }
-
-    // Check stock availability
-    if (product.trackQuantity && product.stock < item.quantity) {
-      return res.status(400).json({
-        status: 'error',
-        message: `Insufficient stock for ${product.name}. Available: ${product.stock}`
-      });
-    }
-
-    const itemTotal = product.price * item.quantity;
-    subtotal += itemTotal;
-
-    orderItems.push({
-      product: product._id,
-      variant: item.variant,
-      name: product.name,
-      price: product.price,
-      quantity: item.quantity,
-      total: itemTotal,
-      shop: shopDoc._id
-    });
-  }
-
-  // Check minimum order amount
-  if (subtotal < shopDoc.settings.minimumOrderAmount) {
-    return res.status(400).json({
-      status: 'error',
-      message: `Minimum order amount is ₹${shopDoc.settings.minimumOrderAmount}`
-    });
-  }
-
-  // Check if orders are paused
-  if (shopDoc.settings.pauseOrdersUntil && new Date(shopDoc.settings.pauseOrdersUntil) > new Date()) {
-    const pausedUntil = new Date(shopDoc.settings.pauseOrdersUntil).toLocaleString();
-    return res.status(400).json({
-      status: 'error',
-      message: `Shop is temporarily not accepting orders until ${pausedUntil}`
-    });
-  }
-
-  // Check max active orders limit
-  if (shopDoc.settings.maxActiveOrders) {
-    const activeOrdersCount = await Order.countDocuments({
-      shop: shopDoc._id,
-      status: { $in: ['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery'] }
-    });
-
-    if (activeOrdersCount >= shopDoc.settings.maxActiveOrders) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Shop is currently at full capacity. Please try again later.'
-      });
-    }
-  }
-
-  // Check max orders per hour limit
-  if (shopDoc.settings.maxOrdersPerHour) {
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    const recentOrdersCount = await Order.countDocuments({
-      shop: shopDoc._id,
-      createdAt: { $gte: oneHourAgo }
-    });
-
-    if (recentOrdersCount >= shopDoc.settings.maxOrdersPerHour) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Shop has reached its order capacity for this hour. Please try again later.'
-      });
-    }
+const { heldStock } = require('../utils/inventory');
+const { refundRemaining, issueRefund } = require('../utils/refunds');
+const { resolveDeliveryAddress, prepareOrder, placeOrder, notifyOrderPlaced } = require('../utils/orderPlacement');
+const { modifyOrderItems, changeItemQuantity, proposeSubstitution, respondToSubstitution } = require('../utils/orderChanges');
+const { assertTransition, transitionOrder } = require('../utils/orderLifecycle');
+const config = require('../config/config');
+const multer = require('multer');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Configure multer for proof of delivery upload (photo and signature image)
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, 'uploads/deliveries/');
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
   }
+});
 
-  // Calculate fees and total
-  let deliveryFee = 0;
-  if (delivery.type === 'delivery') {
-    deliveryFee = shopDoc.settings.deliveryFee;
-    if (shopDoc.settings.freeDeliveryAbove && subtotal >= shopDoc.settings.freeDeliveryAbove) {
-      deliveryFee = 0;
-    }
-  }
-
-  const tax = Math.round(subtotal * 0.05); // 5% tax
-  const total = subtotal + deliveryFee + tax;
-
-  // Get delivery address if needed
-  let deliveryAddress = null;
-  if (delivery.type === 'delivery') {
-    const addressDoc = await Address.findById(delivery.address);
-    if (!addressDoc || addressDoc.user.toString() !== req.user.id) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Invalid delivery address'
-      });
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB per file
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'));
     }
-
-    deliveryAddress = {
-      fullName: addressDoc.fullName,
-      phone: addressDoc.phone,
-      addressLine1: addressDoc.addressLine1,
-      addressLine2: addressDoc.addressLine2,
-      landmark: addressDoc.landmark,
-      city: addressDoc.city,
-      state: addressDoc.state,
-      country: addressDoc.country,
-      pincode: addressDoc.pincode,
-      coordinates: addressDoc.coordinates
-    };
   }
+});
 
-  // Create order
-  // Auto-accept if enabled
-  const initialStatus = shopDoc.settings.autoAcceptOrders ? 'confirmed' : 'pending';
-
-  const orderData = {
-    customer: req.user.id,
-    shop: shopDoc._id,
-    items: orderItems,
-    subtotal,
-    deliveryFee,
-    tax,
-    total,
-    status: initialStatus,
-    delivery: {
-      type: delivery.type,
-      address: deliveryAddress,
-      estimatedTime: shopDoc.settings.preparationTime,
-      instructions: delivery.instructions
-    },
-    payment: {
-      method: payment.method,
-      status: 'pending'
-    },
-    customerNotes,
-    metadata: {
-      source: 'web',
-      userAgent: req.get('User-Agent'),
-      ipAddress: req.ip
-    }
-  };
+// Optional proof of delivery images sent along with the delivered status
+const uploadDeliveryProof = upload.fields([
+  { name: 'photo', maxCount: 1 },
+  { name: 'signature', maxCount: 1 }
+]);
 
-  const order = await Order.create(orderData);
+// @desc    Create new order
+// @route   POST /api/orders
+// @access  Private/Customer
+const createOrder = asyncHandler(async (req, res) => {
+  const { shop, items, delivery, payment, couponCode, schedule, customerNotes } = req.body;
 
-  // Add status history entry
-  if (initialStatus === 'confirmed') {
-    order.statusHistory.push({
-      status: 'confirmed',
-      timestamp: new Date(),
-      note: 'Order automatically confirmed'
-    });
-    await order.save();
-  }
+  let order;
+  let shopDoc;
 
-  // Reserve stock for products
   try {
-    for (let item of items) {
-      const product = await Product.findById(item.product);
-      if (product.trackQuantity) {
-        await product.reserveStock(item.quantity);
+    // Get delivery address if needed
+    const deliveryAddress = delivery.type === 'delivery'
+      ? await resolveDeliveryAddress(delivery.address, req.user.id)
+      : null;
+
+    const prepared = await prepareOrder({
+      shopId: shop,
+      items,
+      delivery,
+      deliveryAddress,
+      payment,
+      couponCode,
+      schedule,
+      customerNotes,
+      customer: req.user,
+      metadata: {
+        source: 'web',
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
       }
-    }
+    });
+
+    shopDoc = prepared.shopDoc;
+    order = await placeOrder(prepared);
   } catch (error) {
-    // If stock reservation fails, delete the order
-    await Order.findByIdAndDelete(order._id);
+    if (error.statusCode !== 400) {
+      throw error;
+    }
     return res.status(400).json({
       status: 'error',
-      message: error.message
+      message: error.message,
+      ...(error.reasons && { data: { reasons: error.reasons } })
     });
   }
 
-  // Update shop statistics
-  shopDoc.stats.totalOrders += 1;
-  await shopDoc.save();
-
   // Populate the order for response
   const populatedOrder = await Order.findById(order._id)
     .populate('shop', 'businessName contactInfo')
     .populate('customer', 'name phone email');
 
-  // Send notifications
-  try {
-    // Notify shop owner
-    const shopOwner = await User.findById(shopDoc.owner);
-    if (shopOwner) {
-      await sendNotification({
-        type: 'all',
-        to: shopOwner.email,
-        userId: shopOwner._id,
-        subject: `New Order #${order.orderNumber}`,
-        message: `You have received a new order worth ₹${total}`,
-        template: 'new-order-shop',
-        data: {
-          orderNumber: order.orderNumber,
-          customerName: req.user.name,
-          total,
-          shopName: shopDoc.businessName
-        }
-      });
-    }
-
-    // Notify customer
-    await sendNotification({
-      type: 'email',
-      to: req.user.email,
-      subject: `Order Confirmed - #${order.orderNumber}`,
-      template: 'order-confirmation',
-      data: {
-        orderNumber: order.orderNumber,
-        customerName: req.user.name,
-        total,
-        shopName: shopDoc.businessName,
-        estimatedDelivery: `${shopDoc.settings.preparationTime} minutes`
-      }
-    });
-  } catch (error) {
-    console.error('Notification sending failed:', error);
-  }
-
-  // Emit real-time events
-  try {
-    // Emit to customer
-    emitToUser(req.user.id, 'order:created', {
-      orderId: order._id,
-      orderNumber: order.orderNumber,
-      status: order.status,
-      total: order.total,
-      shop: {
-        _id: shopDoc._id,
-        businessName: shopDoc.businessName
-      },
-      timestamp: new Date().toISOString()
-    });
-
-    // Emit to shop owner
-    if (shopDoc.owner) {
-      emitToUser(shopDoc.owner.toString(), 'order:new', {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        customer: {
-          name: req.user.name
-        },
-        total: order.total,
-        itemsCount: order.items.length,
-        timestamp: new Date().toISOString()
-      });
-
-      // Emit to shop room
-      emitToShop(shopDoc._id.toString(), 'order:new', {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        timestamp: new Date().toISOString()
-      });
-    }
-  } catch (error) {
-    console.error('Real-time event emission failed:', error);
-  }
+  await notifyOrderPlaced(order, shopDoc, req.user);
 
   res.status(201).json({
     status: 'success',
@@ -349,6 +153,7 @@ const getOrders = asyncHandler(async (req, res) => {
 // @access  Private
 const getOrder = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id)
+    .select('+delivery.proof.otp')
     .populate('shop', 'businessName description images contactInfo address businessHours')
     .populate('customer', 'name phone email')
     .populate('items.product', 'name images');
@@ -363,28 +168,93 @@ const getOrder = asyncHandler(async (req, res) => {
   // Check if user can access this order
   const isCustomer = order.customer._id.toString() === req.user.id;
   const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isDeliveryPartner = req.user.role === 'delivery_partner' && order.delivery.partner?.toString() === req.user.id;
   const isAdmin = req.user.role === 'admin';
 
-  if (!isCustomer && !isShopOwner && !isAdmin) {
+  if (!isCustomer && !isShopOwner && !isDeliveryPartner && !isAdmin) {
     return res.status(403).json({
       status: 'error',
       message: 'Not authorized to access this order'
     });
   }
 
+  // The handover OTP is only shown to the customer while the order is on its way
+  if (order.delivery.proof && !(isCustomer && order.status === 'out_for_delivery')) {
+    order.delivery.proof.otp = undefined;
+  }
+
   res.status(200).json({
     status: 'success',
     data: { order }
   });
 });
 
-// @desc    Update order status (Shop owner/Admin only)
+// @desc    Get live delivery tracking (last known position and path)
+// @route   GET /api/orders/:id/tracking
+// @access  Private
+const getOrderTracking = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .populate('shop', 'businessName owner address.coordinates')
+    .populate('delivery.partner', 'name phone deliveryProfile.vehicleType')
+    .select('orderNumber customer shop status delivery timestamps');
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  const isCustomer = order.customer.toString() === req.user.id;
+  const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isDeliveryPartner = req.user.role === 'delivery_partner' && order.delivery.partner?._id.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isCustomer && !isShopOwner && !isDeliveryPartner && !isAdmin) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to access this order'
+    });
+  }
+
+  const partner = order.delivery.partner;
+  const tracking = order.delivery.tracking || {};
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      tracking: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        deliveryType: order.delivery.type,
+        partner: partner ? {
+          _id: partner._id,
+          name: partner.name,
+          phone: partner.phone,
+          vehicleType: partner.deliveryProfile?.vehicleType
+        } : null,
+        origin: order.shop.address?.coordinates,
+        destination: order.delivery.address?.coordinates,
+        location: tracking.location?.latitude != null ? tracking.location : null,
+        lastUpdated: tracking.lastUpdated,
+        eta: order.status === 'out_for_delivery' && tracking.eta?.minutes != null ? tracking.eta : null,
+        trail: tracking.trail || [],
+        timestamps: order.timestamps
+      }
+    }
+  });
+});
+
+// @desc    Update order status (Shop owner/Admin/Assigned delivery partner)
 // @route   PUT /api/orders/:id/status
-// @access  Private/Shop Owner/Admin
+// @access  Private/Shop Owner/Admin/Delivery Partner
 const updateOrderStatus = asyncHandler(async (req, res) => {
-  const { status, note } = req.body;
+  const { status, note, otp, recipientName } = req.body;
   
-  const order = await Order.findById(req.params.id).populate('shop customer');
+  const order = await Order.findById(req.params.id)
+    .select('+delivery.proof.otp')
+    .populate('shop customer');
 
   if (!order) {
     return res.status(404).json({
@@ -395,9 +265,10 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
 
   // Check authorization
   const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isDeliveryPartner = req.user.role === 'delivery_partner' && order.delivery.partner?.toString() === req.user.id;
   const isAdmin = req.user.role === 'admin';
 
-  if (!isShopOwner && !isAdmin) {
+  if (!isShopOwner && !isDeliveryPartner && !isAdmin) {
     return res.status(403).json({
       status: 'error',
       message: 'Not authorized to update this order'
@@ -405,109 +276,115 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
   }
 
   // Validate status transition
-  const validTransitions = {
-    'pending': ['confirmed', 'cancelled'],
-    'confirmed': ['preparing', 'cancelled'],
-    'preparing': ['ready', 'cancelled'],
-    'ready': ['out_for_delivery', 'delivered'],
-    'out_for_delivery': ['delivered'],
-    'delivered': [],
-    'cancelled': [],
-    'refunded': []
-  };
-
-  if (!validTransitions[order.status].includes(status)) {
-    return res.status(400).json({
+  try {
+    assertTransition(order, status, req.user.role);
+  } catch (error) {
+    return res.status(error.statusCode).json({
       status: 'error',
-      message: `Cannot change order status from ${order.status} to ${status}`
+      message: error.message
     });
   }
 
-  // Update order status
-  order.status = status;
-  
-  // Add to status history
-  order.statusHistory.push({
-    status,
-    timestamp: new Date(),
-    note,
-    updatedBy: req.user.id
-  });
-
-  await order.save();
+  // Refunding a delivered order pays back everything still refundable; the order becomes
+  // refunded once the payout is confirmed
+  if (status === 'refunded') {
+    let refund;
+    try {
+      refund = await issueRefund(order, {
+        reason: note || 'Refunded by the shop',
+        requestedBy: req.user.id,
+        source: req.user.role
+      });
+    } catch (error) {
+      if (error.statusCode !== 400) {
+        throw error;
+      }
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
 
-  // Send notification to customer
-  try {
-    const statusMessages = {
-      'confirmed': 'Your order has been confirmed and is being prepared',
-      'preparing': 'Your order is being prepared',
-      'ready': 'Your order is ready for pickup/delivery',
-      'out_for_delivery': 'Your order is out for delivery',
-      'delivered': 'Your order has been delivered',
-      'cancelled': 'Your order has been cancelled'
-    };
+    if (refund.status === 'failed') {
+      return res.status(502).json({
+        status: 'error',
+        message: refund.failureReason,
+        data: { refund }
+      });
+    }
 
-    await sendNotification({
-      type: 'all',
-      to: order.customer.email,
-      userId: order.customer._id,
-      subject: `Order Update - #${order.orderNumber}`,
-      message: statusMessages[status],
+    return res.status(200).json({
+      status: 'success',
+      message: refund.status === 'processed' ? 'Order refunded' : 'Refund initiated',
       data: {
-        orderNumber: order.orderNumber,
-        status: status,
-        customerName: order.customer.name,
-        shopName: order.shop.businessName
+        order: {
+          _id: order._id,
+          orderNumber: order.orderNumber,
+          status: order.status,
+          statusHistory: order.statusHistory
+        },
+        refund
       }
     });
-  } catch (error) {
-    console.error('Notification sending failed:', error);
   }
 
-  // Emit real-time events for order tracking
-  try {
-    const statusMessages = {
-      'confirmed': 'Your order has been confirmed',
-      'preparing': 'Your order is being prepared',
-      'ready': 'Your order is ready',
-      'out_for_delivery': 'Your order is out for delivery',
-      'delivered': 'Your order has been delivered',
-      'cancelled': 'Your order has been cancelled'
-    };
+  // The customer's handover OTP is required to complete a delivery (admins can override)
+  if (status === 'delivered' && order.delivery.proof?.otp) {
+    let otpValid;
 
-    // Emit to order-specific room (for real-time tracking page)
-    emitToOrder(order._id.toString(), 'order:status_update', {
-      orderId: order._id,
-      orderNumber: order.orderNumber,
-      status: order.status,
-      message: statusMessages[status],
-      note: note,
-      timestamp: new Date().toISOString(),
-      updatedBy: {
-        id: req.user.id,
-        name: req.user.name,
-        role: req.user.role
-      }
-    });
+    try {
+      otpValid = isAdmin || order.verifyDeliveryOtp(otp, config.delivery.otpMaxAttempts);
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
 
-    // Emit to customer
-    emitToUser(order.customer._id.toString(), 'order:updated', {
-      orderId: order._id,
-      orderNumber: order.orderNumber,
-      status: order.status,
-      message: statusMessages[status],
-      timestamp: new Date().toISOString()
-    });
+    if (!otpValid) {
+      await order.save();
 
-    // Emit to shop room (for shop dashboard)
-    emitToShop(order.shop._id.toString(), 'order:status_changed', {
-      orderId: order._id,
-      orderNumber: order.orderNumber,
-      status: order.status,
-      timestamp: new Date().toISOString()
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid delivery OTP'
+      });
+    }
+  }
+
+  if (status === 'delivered' && order.delivery.type === 'delivery') {
+    const proof = order.delivery.proof;
+    const lastLocation = order.delivery.tracking?.location;
+
+    if (req.files?.photo) {
+      proof.photo = `/uploads/deliveries/${req.files.photo[0].filename}`;
+    }
+    if (req.files?.signature) {
+      proof.signature = `/uploads/deliveries/${req.files.signature[0].filename}`;
+    }
+    if (recipientName) {
+      proof.recipientName = recipientName;
+    }
+    if (lastLocation?.latitude != null) {
+      proof.location = { latitude: lastLocation.latitude, longitude: lastLocation.longitude };
+    }
+    proof.deliveredBy = req.user.id;
+    proof.recordedAt = new Date();
+  }
+
+  try {
+    await transitionOrder(order, status, {
+      actor: req.user.role,
+      by: req.user.id,
+      note
     });
   } catch (error) {
-    console.error('Real-time event emission failed:', error);
+    if (error.statusCode !== 409) {
+      throw error;
+    }
+    return res.status(409).json({
+      status: 'error',
+      message: error.message
+    });
   }
 
   res.status(200).json({
@@ -553,74 +430,351 @@ const cancelOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if order can be cancelled
-  if (!order.canCancel) {
+  const actor = isShopOwner || isAdmin ? req.user.role : 'customer';
+
+  // Cancelling gives back the order's stock, coupon use and booked slot
+  try {
+    await transitionOrder(order, 'cancelled', {
+      actor,
+      by: req.user.id,
+      reason
+    });
+  } catch (error) {
+    if (![400, 409].includes(error.statusCode)) {
+      throw error;
+    }
     return res.status(400).json({
       status: 'error',
-      message: 'Order cannot be cancelled at this stage'
+      message: error.statusCode === 400 ? 'Order cannot be cancelled at this stage' : error.message
     });
   }
 
-  // Cancel the order
-  await order.cancelOrder(reason, req.user.id);
+  // A paid order gets its money back straight away
+  const refund = await refundRemaining(order, {
+    reason: reason || 'Order cancelled',
+    by: req.user.id,
+    source: actor
+  });
 
-  // Release reserved stock
-  for (let item of order.items) {
-    const product = await Product.findById(item.product);
-    if (product && product.trackQuantity) {
-      await product.releaseStock(item.quantity);
+  res.status(200).json({
+    status: 'success',
+    message: 'Order cancelled successfully',
+    data: { order, refund }
+  });
+});
+
+// Emit an order's repriced lines to everyone following it
+const emitItemsUpdated = (order, change) => {
+  try {
+    emitToOrder(order._id.toString(), 'order:items_updated', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      items: order.items,
+      subtotal: order.subtotal,
+      tax: order.tax,
+      total: order.total,
+      refund: change.refund,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Real-time event emission failed:', error);
+  }
+};
+
+// @desc    Add, remove or change items on an order before it is prepared (Customer)
+// @route   PUT /api/orders/:id/items
+// @access  Private/Customer
+const updateOrderItems = asyncHandler(async (req, res) => {
+  const { items } = req.body;
+
+  const order = await Order.findById(req.params.id)
+    .populate('shop', 'businessName owner settings deliveryZones address')
+    .populate('customer', 'name email');
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  if (order.customer._id.toString() !== req.user.id) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to update this order'
+    });
+  }
+
+  let change;
+  try {
+    change = await modifyOrderItems(order, order.shop, items);
+  } catch (error) {
+    if (![400, 409].includes(error.statusCode)) {
+      throw error;
     }
+    return res.status(error.statusCode).json({
+      status: 'error',
+      message: error.message
+    });
   }
 
-  // Emit real-time events for order cancellation
+  emitItemsUpdated(order, change);
+
   try {
-    // Emit to order room
-    emitToOrder(order._id.toString(), 'order:cancelled', {
+    emitToShop(order.shop._id.toString(), 'order:items_modified', {
       orderId: order._id,
       orderNumber: order.orderNumber,
-      reason: reason,
-      cancelledBy: {
-        id: req.user.id,
-        name: req.user.name,
-        role: req.user.role
-      },
+      items: order.items,
+      previousTotal: change.previousTotal,
+      total: order.total,
       timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    console.error('Real-time event emission failed:', error);
+  }
 
-    // Emit to customer if cancelled by shop
-    if (req.user.role !== 'customer') {
-      emitToUser(order.customer._id.toString(), 'order:cancelled', {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        reason: reason,
-        message: 'Your order has been cancelled',
-        timestamp: new Date().toISOString()
-      });
+  res.status(200).json({
+    status: 'success',
+    message: 'Order items updated',
+    data: { order, refund: change.refund }
+  });
+});
+
+// @desc    Mark an order line unavailable or reduce its quantity (Shop owner/Admin)
+// @route   PUT /api/orders/:id/items/:itemId/fulfilment
+// @access  Private/Shop Owner/Admin
+const updateItemFulfilment = asyncHandler(async (req, res) => {
+  const { quantity, note } = req.body;
+
+  const order = await Order.findById(req.params.id)
+    .populate('shop', 'businessName owner')
+    .populate('customer', 'name email');
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isShopOwner && !isAdmin) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to update this order'
+    });
+  }
+
+  const item = order.items.id(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order item not found'
+    });
+  }
+
+  let change;
+  try {
+    change = await changeItemQuantity(order, item, quantity);
+  } catch (error) {
+    if (![400, 409].includes(error.statusCode)) {
+      throw error;
     }
+    return res.status(error.statusCode).json({
+      status: 'error',
+      message: error.message
+    });
+  }
 
-    // Emit to shop if cancelled by customer
-    if (req.user.role === 'customer' && order.shop.owner) {
-      emitToUser(order.shop.owner.toString(), 'order:cancelled_by_customer', {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        reason: reason,
-        timestamp: new Date().toISOString()
-      });
+  emitItemsUpdated(order, change);
 
-      emitToShop(order.shop._id.toString(), 'order:cancelled', {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        timestamp: new Date().toISOString()
-      });
+  const message = quantity === 0
+    ? `${item.name} is not available and has been removed from order #${order.orderNumber}`
+    : `${item.name} on order #${order.orderNumber} was reduced to ${quantity}`;
+
+  try {
+    await sendNotification({
+      type: 'all',
+      to: order.customer.email,
+      userId: order.customer._id,
+      subject: `Order Update - #${order.orderNumber}`,
+      message: [message, note, change.refund ? `₹${Math.round((change.previousTotal - change.total) * 100) / 100} will be refunded` : null]
+        .filter(Boolean)
+        .join('. ')
+    });
+  } catch (error) {
+    console.error('Notification sending failed:', error);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Order item updated',
+    data: { order, refund: change.refund }
+  });
+});
+
+// @desc    Propose a substitute for an order line (Shop owner/Admin)
+// @route   POST /api/orders/:id/items/:itemId/substitute
+// @access  Private/Shop Owner/Admin
+const proposeItemSubstitute = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .populate('shop', 'businessName owner')
+    .populate('customer', 'name email');
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isShopOwner && !isAdmin) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to update this order'
+    });
+  }
+
+  const item = order.items.id(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order item not found'
+    });
+  }
+
+  let substitution;
+  try {
+    substitution = await proposeSubstitution(order, item, req.body);
+  } catch (error) {
+    if (error.statusCode !== 400) {
+      throw error;
+    }
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  try {
+    emitToUser(order.customer._id.toString(), 'order:substitution_proposed', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      itemId: item._id,
+      original: {
+        name: item.name,
+        price: item.price,
+        quantity: item.quantity
+      },
+      substitution,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Real-time event emission failed:', error);
+  }
+
+  try {
+    await sendNotification({
+      type: 'all',
+      to: order.customer.email,
+      userId: order.customer._id,
+      subject: `Substitute offered - Order #${order.orderNumber}`,
+      message: `${order.shop.businessName} is out of ${item.name} and offers ${substitution.quantity} x ${substitution.name} ` +
+        `at ₹${substitution.price} each instead. Accept or reject it in the app.`
+    });
+  } catch (error) {
+    console.error('Notification sending failed:', error);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Substitute proposed to the customer',
+    data: { item }
+  });
+});
+
+// @desc    Accept or reject a proposed substitute (Customer)
+// @route   PUT /api/orders/:id/items/:itemId/substitute
+// @access  Private/Customer
+const respondToItemSubstitute = asyncHandler(async (req, res) => {
+  const { accept } = req.body;
+
+  const order = await Order.findById(req.params.id)
+    .populate('shop', 'businessName owner')
+    .populate('customer', 'name email');
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  if (order.customer._id.toString() !== req.user.id) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to update this order'
+    });
+  }
+
+  const item = order.items.id(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order item not found'
+    });
+  }
+
+  let change;
+  try {
+    change = await respondToSubstitution(order, item, accept, { by: req.user.id });
+  } catch (error) {
+    if (![400, 403, 409].includes(error.statusCode)) {
+      throw error;
     }
+    return res.status(error.statusCode).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  // Declining the only item left cancelled the order; a paid order gets its money back
+  if (change.nothingLeft) {
+    change.refund = await refundRemaining(order, {
+      reason: order.cancellation.reason,
+      by: req.user.id,
+      source: 'customer'
+    });
+  }
+
+  try {
+    emitToShop(order.shop._id.toString(), 'order:substitution_response', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      itemId: item._id,
+      accepted: Boolean(accept),
+      orderCancelled: Boolean(change.nothingLeft),
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
     console.error('Real-time event emission failed:', error);
   }
 
+  if (!change.nothingLeft) {
+    emitItemsUpdated(order, change);
+  }
+
   res.status(200).json({
     status: 'success',
-    message: 'Order cancelled successfully',
-    data: { order }
+    message: change.nothingLeft
+      ? 'Substitute rejected and order cancelled'
+      : `Substitute ${accept ? 'accepted' : 'rejected'}`,
+    data: { order, refund: change.refund }
   });
 });
 
@@ -847,7 +1001,7 @@ const reorder = asyncHandler(async (req, res) => {
 
   // Prepare order data
   const items = [];
-  for (let item of previousOrder.items) {
+  for (let item of heldStock(previousOrder.items)) {
     const product = await Product.findById(item.product);
     
     if (product && product.isActive && product.status === 'active') {
@@ -861,6 +1015,7 @@ const reorder = asyncHandler(async (req, res) => {
       
       items.push({
         product: product._id,
+        variant: item.variant,
         quantity: item.quantity
       });
     }
@@ -896,8 +1051,14 @@ module.exports = {
   createOrder,
   getOrders,
   getOrder,
+  getOrderTracking,
   updateOrderStatus,
+  uploadDeliveryProof,
   cancelOrder,
+  updateOrderItems,
+  updateItemFulfilment,
+  proposeItemSubstitute,
+  respondToItemSubstitute,
   addOrderReview,
   getOrderAnalytics,
   reorder
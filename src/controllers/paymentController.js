@@ -1,23 +1,14 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Shop = require('../models/Shop');
+const Payment = require('../models/Payment');
+const Checkout = require('../models/Checkout');
 const { asyncHandler } = require('../middleware/errorHandler');
-const crypto = require('crypto');
-
-// Mock payment gateway configurations
-const PAYMENT_GATEWAYS = {
-  razorpay: {
-    keyId: process.env.RAZORPAY_KEY_ID || 'rzp_test_123456789',
-    keySecret: process.env.RAZORPAY_KEY_SECRET || 'test_secret_123456789'
-  },
-  stripe: {
-    publishableKey: process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_123456789',
-    secretKey: process.env.STRIPE_SECRET_KEY || 'sk_test_123456789'
-  },
-  paytm: {
-    merchantId: process.env.PAYTM_MERCHANT_ID || 'TEST_MERCHANT',
-    merchantKey: process.env.PAYTM_MERCHANT_KEY || 'TEST_KEY'
-  }
-};
+const config = require('../config/config');
+const { getGateway, getAvailableGateways } = require('../utils/paymentGateways');
+const { emitToAdmins } = require('../config/socket');
+const { paidAmount, issueRefund, refundRemaining, settleGatewayRefund } = require('../utils/refunds');
+const { transitionOrder } = require('../utils/orderLifecycle');
 
 // @desc    Get payment methods for a shop
 // @route   GET /api/payments/methods/:shopId
@@ -32,6 +23,8 @@ const getPaymentMethods = asyncHandler(async (req, res) => {
     });
   }
 
+  const availableGateways = getAvailableGateways();
+
   const paymentMethods = [
     {
       id: 'cash',
@@ -48,7 +41,7 @@ const getPaymentMethods = asyncHandler(async (req, res) => {
       enabled: shop.settings.paymentMethods.includes('card'),
       description: 'Pay securely with your card',
       icon: 'card',
-      gateways: ['razorpay', 'stripe']
+      gateways: ['razorpay', 'stripe'].filter(gateway => availableGateways.includes(gateway))
     },
     {
       id: 'upi',
@@ -57,7 +50,7 @@ const getPaymentMethods = asyncHandler(async (req, res) => {
       enabled: shop.settings.paymentMethods.includes('upi'),
       description: 'Pay with Google Pay, PhonePe, Paytm UPI',
       icon: 'upi',
-      gateways: ['razorpay', 'paytm']
+      gateways: ['razorpay', 'paytm'].filter(gateway => availableGateways.includes(gateway))
     },
     {
       id: 'wallet',
@@ -66,7 +59,7 @@ const getPaymentMethods = asyncHandler(async (req, res) => {
       enabled: shop.settings.paymentMethods.includes('wallet'),
       description: 'Pay with Paytm, Amazon Pay, etc.',
       icon: 'wallet',
-      gateways: ['razorpay', 'paytm']
+      gateways: ['razorpay', 'paytm'].filter(gateway => availableGateways.includes(gateway))
     },
     {
       id: 'bank_transfer',
@@ -75,7 +68,7 @@ const getPaymentMethods = asyncHandler(async (req, res) => {
       enabled: shop.settings.paymentMethods.includes('bank_transfer'),
       description: 'Pay directly from your bank account',
       icon: 'bank',
-      gateways: ['razorpay', 'stripe']
+      gateways: ['razorpay', 'stripe'].filter(gateway => availableGateways.includes(gateway))
     }
   ].filter(method => method.enabled);
 
@@ -91,40 +84,54 @@ const getPaymentMethods = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Initiate payment for order
+// @desc    Initiate payment for an order or a multi-shop checkout
 // @route   POST /api/payments/initiate
 // @access  Private
 const initiatePayment = asyncHandler(async (req, res) => {
-  const { orderId, paymentMethod, gateway = 'razorpay' } = req.body;
+  const { orderId, checkoutId, paymentMethod, gateway = config.payments.defaultGateway } = req.body;
 
-  // Validate order
-  const order = await Order.findById(orderId).populate('shop', 'businessName settings');
+  const payable = await loadPayable({ orderId, checkoutId });
 
-  if (!order) {
+  if (!payable) {
     return res.status(404).json({
       status: 'error',
-      message: 'Order not found'
+      message: checkoutId ? 'Checkout not found' : 'Order not found'
     });
   }
 
   // Check if user owns this order
-  if (order.customer.toString() !== req.user.id) {
+  if (payable.target.customer.toString() !== req.user.id) {
     return res.status(403).json({
       status: 'error',
-      message: 'Not authorized to pay for this order'
+      message: `Not authorized to pay for this ${payable.label}`
+    });
+  }
+
+  // Orders from a cart checkout share the checkout's payment
+  if (!payable.checkout && payable.target.checkout) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'This order is part of a checkout, pay for it with the checkout ID'
     });
   }
 
   // Check if payment is already completed
-  if (order.payment.status === 'paid') {
+  if (payable.target.payment.status === 'paid') {
+    return res.status(400).json({
+      status: 'error',
+      message: `Payment already completed for this ${payable.label}`
+    });
+  }
+
+  if (payable.orders.length === 0) {
     return res.status(400).json({
       status: 'error',
-      message: 'Payment already completed for this order'
+      message: 'Checkout has no orders left to pay for'
     });
   }
 
   // Check if order is still valid for payment
-  if (!['pending', 'confirmed'].includes(order.status)) {
+  if (!payable.orders.every(order => ['scheduled', 'pending', 'confirmed'].includes(order.status))) {
     return res.status(400).json({
       status: 'error',
       message: 'Order is not in a valid state for payment'
@@ -132,7 +139,7 @@ const initiatePayment = asyncHandler(async (req, res) => {
   }
 
   // Check if shop accepts this payment method
-  if (!order.shop.settings.paymentMethods.includes(paymentMethod)) {
+  if (!payable.orders.every(order => order.shop.settings.paymentMethods.includes(paymentMethod))) {
     return res.status(400).json({
       status: 'error',
       message: 'Payment method not accepted by this shop'
@@ -141,60 +148,92 @@ const initiatePayment = asyncHandler(async (req, res) => {
 
   // Handle cash payment
   if (paymentMethod === 'cash') {
-    order.payment.method = 'cash';
-    order.payment.status = 'pending';
-    await order.save();
+    await abandonOpenAttempts(payable.ledgerScope);
+    await setPendingPayment(payable, { method: 'cash' });
 
     return res.status(200).json({
       status: 'success',
       message: 'Cash on delivery selected',
       data: {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
+        ...describePayable(payable),
         paymentMethod: 'cash',
-        total: order.total,
+        total: payable.amount,
         requiresOnlinePayment: false
       }
     });
   }
 
   // Handle online payments
-  let paymentData = {};
+  const paymentGateway = getGateway(gateway);
 
-  switch (gateway) {
-    case 'razorpay':
-      paymentData = await createRazorpayPayment(order, req.user);
-      break;
-    case 'stripe':
-      paymentData = await createStripePayment(order, req.user);
-      break;
-    case 'paytm':
-      paymentData = await createPaytmPayment(order, req.user);
-      break;
-    default:
-      return res.status(400).json({
-        status: 'error',
-        message: 'Unsupported payment gateway'
-      });
+  if (!paymentGateway) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Unsupported payment gateway'
+    });
+  }
+
+  let intent;
+
+  try {
+    intent = await paymentGateway.createIntent({
+      order: payable.reference,
+      customer: req.user,
+      amount: payable.amount,
+      currency: config.payments.currency
+    });
+  } catch (error) {
+    console.error(`${gateway} payment creation failed:`, error.message);
+    return res.status(502).json({
+      status: 'error',
+      message: 'Payment gateway error, please try again'
+    });
   }
 
+  // Record the attempt; earlier unfinished attempts are superseded by this one
+  await abandonOpenAttempts(payable.ledgerScope);
+
+  const payment = await Payment.create({
+    ...payable.ledgerScope,
+    ...(payable.checkout
+      ? { allocations: payable.orders.map(order => ({ order: order._id, shop: order.shop._id, amount: order.total })) }
+      : { shop: payable.orders[0].shop._id }),
+    customer: payable.target.customer,
+    kind: 'payment',
+    status: 'initiated',
+    method: paymentMethod,
+    gateway,
+    amount: payable.amount,
+    currency: config.payments.currency,
+    transactionId: intent.transactionId,
+    initiatedBy: req.user.id,
+    events: [{
+      type: 'intent.created',
+      source: 'api',
+      status: 'initiated',
+      payload: { transactionId: intent.transactionId }
+    }]
+  });
+
   // Update order with payment details
-  order.payment.method = paymentMethod;
-  order.payment.transactionId = paymentData.transactionId;
-  order.payment.status = 'pending';
-  await order.save();
+  await setPendingPayment(payable, {
+    method: paymentMethod,
+    gateway,
+    transactionId: intent.transactionId,
+    currentPayment: payment._id
+  });
 
   res.status(200).json({
     status: 'success',
     message: 'Payment initiated successfully',
     data: {
-      orderId: order._id,
-      orderNumber: order.orderNumber,
+      ...describePayable(payable),
       paymentMethod,
       gateway,
-      total: order.total,
+      total: payable.amount,
       requiresOnlinePayment: true,
-      ...paymentData
+      transactionId: intent.transactionId,
+      ...intent.clientData
     }
   });
 });
@@ -203,95 +242,225 @@ const initiatePayment = asyncHandler(async (req, res) => {
 // @route   POST /api/payments/verify
 // @access  Private
 const verifyPayment = asyncHandler(async (req, res) => {
-  const { orderId, paymentId, signature, gateway = 'razorpay' } = req.body;
+  const { orderId, checkoutId, paymentId, signature } = req.body;
 
-  // Validate order
-  const order = await Order.findById(orderId).populate('shop customer');
+  const payable = await loadPayable({ orderId, checkoutId });
 
-  if (!order) {
+  if (!payable) {
     return res.status(404).json({
       status: 'error',
-      message: 'Order not found'
+      message: checkoutId ? 'Checkout not found' : 'Order not found'
     });
   }
 
   // Check if user owns this order
-  if (order.customer._id.toString() !== req.user.id) {
+  if (payable.target.customer.toString() !== req.user.id) {
     return res.status(403).json({
       status: 'error',
-      message: 'Not authorized to verify payment for this order'
+      message: `Not authorized to verify payment for this ${payable.label}`
     });
   }
 
-  let verificationResult = false;
+  // The gateway is the one the payment was initiated with, not whatever the client claims
+  const payment = payable.target.payment.currentPayment
+    ? await Payment.findById(payable.target.payment.currentPayment)
+    : null;
+  const paymentGateway = payment && getGateway(payment.gateway);
 
-  switch (gateway) {
-    case 'razorpay':
-      verificationResult = verifyRazorpayPayment(order, paymentId, signature);
-      break;
-    case 'stripe':
-      verificationResult = await verifyStripePayment(order, paymentId);
-      break;
-    case 'paytm':
-      verificationResult = await verifyPaytmPayment(order, paymentId);
-      break;
-    default:
-      return res.status(400).json({
-        status: 'error',
-        message: 'Unsupported payment gateway'
-      });
+  if (!paymentGateway) {
+    return res.status(400).json({
+      status: 'error',
+      message: `No online payment has been initiated for this ${payable.label}`
+    });
   }
 
-  if (verificationResult) {
-    // Payment successful
-    order.payment.status = 'paid';
-    order.payment.paidAt = new Date();
-    order.payment.transactionId = paymentId;
-    
-    // Auto-confirm order if it's still pending
-    if (order.status === 'pending') {
-      order.status = 'confirmed';
-      order.timestamps.confirmedAt = new Date();
-    }
-    
-    await order.save();
+  if (payable.target.payment.status === 'paid') {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Payment verified successfully',
+      data: await describeSettledPayable(payable)
+    });
+  }
 
-    // Update shop revenue
-    const shop = await Shop.findById(order.shop._id);
-    shop.stats.totalRevenue += order.total;
-    await shop.save();
+  let result;
 
-    res.status(200).json({
+  try {
+    result = await paymentGateway.verify({
+      transactionId: payment.transactionId,
+      paymentId,
+      signature
+    });
+  } catch (error) {
+    console.error(`${payment.gateway} payment verification failed:`, error.message);
+    return res.status(502).json({
+      status: 'error',
+      message: 'Could not reach the payment gateway, please try again'
+    });
+  }
+
+  const clientEvent = {
+    type: 'client.verify',
+    source: 'client',
+    payload: { paymentId, result: result.status }
+  };
+
+  if (result.status === 'paid') {
+    await capturePayment(payment, { paymentId: result.paymentId || paymentId, event: clientEvent });
+
+    return res.status(200).json({
       status: 'success',
       message: 'Payment verified successfully',
+      data: await describeSettledPayable(payable)
+    });
+  }
+
+  if (result.status === 'pending') {
+    await payment.addEvent(clientEvent.type, clientEvent.source, clientEvent.payload).save();
+
+    return res.status(202).json({
+      status: 'success',
+      message: 'Payment is awaiting confirmation from the gateway',
       data: {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        paymentStatus: 'paid',
-        orderStatus: order.status
+        ...describePayable(payable),
+        paymentStatus: payable.target.payment.status
       }
     });
-  } else {
-    // Payment failed
-    order.payment.status = 'failed';
-    await order.save();
+  }
+
+  // Payment failed
+  await failPayment(payment, { reason: 'Payment verification failed', event: clientEvent });
 
-    res.status(400).json({
+  res.status(400).json({
+    status: 'error',
+    message: 'Payment verification failed',
+    data: {
+      ...(payable.checkout ? { checkoutId: payable.checkout._id } : { orderId: payable.target._id }),
+      paymentStatus: 'failed'
+    }
+  });
+});
+
+// @desc    Receive payment gateway webhooks
+// @route   POST /api/payments/webhooks/:gateway
+// @access  Public (signed by the gateway)
+const handleWebhook = asyncHandler(async (req, res) => {
+  const { gateway } = req.params;
+  const paymentGateway = getGateway(gateway);
+
+  if (!paymentGateway) {
+    return res.status(404).json({
       status: 'error',
-      message: 'Payment verification failed',
-      data: {
-        orderId: order._id,
-        paymentStatus: 'failed'
-      }
+      message: 'Unsupported payment gateway'
     });
   }
+
+  let event;
+
+  try {
+    event = paymentGateway.parseWebhook(req);
+  } catch (error) {
+    console.error(`Rejected ${gateway} webhook:`, error.message);
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  if (event.type === 'ignored') {
+    return res.status(200).json({
+      status: 'success',
+      message: `Event ${event.gatewayEvent} ignored`
+    });
+  }
+
+  const isRefundEvent = event.type.startsWith('refund.');
+  const webhookEvent = {
+    type: event.gatewayEvent || event.type,
+    source: 'webhook',
+    payload: req.body
+  };
+
+  const payment = isRefundEvent
+    ? await Payment.findByGatewayReference(gateway, { refundId: event.refundId, kind: 'refund' })
+    : await Payment.findByGatewayReference(gateway, event);
+
+  // Acknowledge anyway so the gateway stops retrying events for payments we do not know
+  if (!payment) {
+    console.warn(`No payment found for ${gateway} webhook ${event.id || event.gatewayEvent}`);
+    return res.status(200).json({
+      status: 'success',
+      message: 'No matching payment'
+    });
+  }
+
+  switch (event.type) {
+    case 'payment.succeeded':
+      if (event.amount !== undefined && Math.abs(event.amount - payment.amount) > 0.01) {
+        console.error(`Amount mismatch for payment ${payment._id}: paid ${event.amount}, expected ${payment.amount}`);
+        await payment.addEvent('amount_mismatch', 'webhook', req.body).save();
+        emitToAdmins('payment:amount_mismatch', {
+          orderId: payment.order,
+          paymentId: payment._id,
+          gateway,
+          paidAmount: event.amount,
+          expectedAmount: payment.amount,
+          timestamp: new Date().toISOString()
+        });
+        break;
+      }
+      await capturePayment(payment, { paymentId: event.paymentId, event: webhookEvent });
+      break;
+
+    case 'payment.failed':
+      await failPayment(payment, { reason: event.reason, event: webhookEvent });
+      break;
+
+    case 'refund.processed':
+      await Payment.updateOne(
+        { _id: payment._id },
+        {
+          $set: { status: 'processed', processedAt: new Date() },
+          $push: { events: { ...webhookEvent, status: 'processed' } }
+        }
+      );
+      await Order.updateOne(
+        { _id: payment.order, 'payment.refundedAt': { $exists: false } },
+        { $set: { 'payment.refundedAt': new Date() } }
+      );
+      await settleGatewayRefund(payment, 'processed');
+      break;
+
+    case 'refund.failed':
+      await Payment.updateOne(
+        { _id: payment._id },
+        {
+          $set: { status: 'failed', failedAt: new Date() },
+          $push: { events: { ...webhookEvent, status: 'failed' } }
+        }
+      );
+      await settleGatewayRefund(payment, 'failed');
+      console.error(`Refund ${event.refundId} failed for order ${payment.order}`);
+      emitToAdmins('payment:refund_failed', {
+        orderId: payment.order,
+        paymentId: payment._id,
+        gateway,
+        refundId: event.refundId,
+        timestamp: new Date().toISOString()
+      });
+      break;
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Webhook processed'
+  });
 });
 
 // @desc    Process refund
 // @route   POST /api/payments/refund
 // @access  Private/Shop Owner/Admin
 const processRefund = asyncHandler(async (req, res) => {
-  const { orderId, amount, reason } = req.body;
+  const { orderId, amount, reason, destination } = req.body;
 
   const order = await Order.findById(orderId).populate('shop customer');
 
@@ -314,7 +483,7 @@ const processRefund = asyncHandler(async (req, res) => {
   }
 
   // Validate refund conditions
-  if (order.payment.status !== 'paid') {
+  if (!['paid', 'partially_refunded'].includes(order.payment.status)) {
     return res.status(400).json({
       status: 'error',
       message: 'Order payment is not completed'
@@ -328,9 +497,10 @@ const processRefund = asyncHandler(async (req, res) => {
     });
   }
 
-  const refundAmount = amount || order.total;
+  // amount is the total refunded on the order once this refund is through
+  const refundAmount = amount || paidAmount(order);
 
-  if (refundAmount > order.total) {
+  if (refundAmount > paidAmount(order)) {
     return res.status(400).json({
       status: 'error',
       message: 'Refund amount cannot exceed order total'
@@ -344,28 +514,31 @@ const processRefund = asyncHandler(async (req, res) => {
     });
   }
 
-  // Process refund (mock implementation)
-  const refundId = `refund_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-
-  // Update order
-  order.payment.refundAmount = refundAmount;
-  order.payment.status = refundAmount >= order.total ? 'refunded' : 'partially_refunded';
-  order.payment.refundedAt = new Date();
-  
-  if (order.status !== 'cancelled') {
-    order.status = 'refunded';
-    order.timestamps.refundedAt = new Date();
+  let refund;
+  try {
+    refund = await issueRefund(order, {
+      amount: Math.round((refundAmount - order.payment.refundAmount) * 100) / 100,
+      reason: reason || `Refunded by the ${isAdmin ? 'admin' : 'shop'}`,
+      destination,
+      requestedBy: req.user.id,
+      source: req.user.role
+    });
+  } catch (error) {
+    if (error.statusCode !== 400) {
+      throw error;
+    }
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
   }
 
-  // Add to cancellation info
-  order.cancellation = {
-    ...order.cancellation,
-    refundAmount,
-    refundId,
-    refundReason: reason
-  };
-
-  await order.save();
+  if (refund.status === 'failed') {
+    return res.status(502).json({
+      status: 'error',
+      message: refund.failureReason
+    });
+  }
 
   res.status(200).json({
     status: 'success',
@@ -373,9 +546,10 @@ const processRefund = asyncHandler(async (req, res) => {
     data: {
       orderId: order._id,
       orderNumber: order.orderNumber,
-      refundId,
+      refundId: refund.refundId,
       refundAmount,
-      paymentStatus: order.payment.status
+      paymentStatus: order.payment.status,
+      refund
     }
   });
 });
@@ -388,18 +562,23 @@ const getPaymentHistory = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  const { status, method, startDate, endDate } = req.query;
+  const { status, method, kind, startDate, endDate } = req.query;
 
   let query = { customer: req.user.id };
 
-  // Add payment status filter
+  // Add ledger status filter (initiated, captured, failed, processed, ...)
   if (status) {
-    query['payment.status'] = status;
+    query.status = status;
   }
 
   // Add payment method filter
   if (method) {
-    query['payment.method'] = method;
+    query.method = method;
+  }
+
+  // Payments or refunds only
+  if (kind) {
+    query.kind = kind;
   }
 
   // Add date range filter
@@ -410,10 +589,12 @@ const getPaymentHistory = asyncHandler(async (req, res) => {
     };
   }
 
-  const total = await Order.countDocuments(query);
-  const payments = await Order.find(query)
+  const total = await Payment.countDocuments(query);
+  const payments = await Payment.find(query)
+    .populate('order', 'orderNumber total status')
+    .populate('checkout', 'checkoutNumber total')
     .populate('shop', 'businessName images.logo')
-    .select('orderNumber total payment createdAt shop')
+    .select('-events')
     .skip(skip)
     .limit(limit)
     .sort({ createdAt: -1 });
@@ -453,7 +634,13 @@ const getPaymentAnalytics = asyncHandler(async (req, res) => {
     }
     matchQuery.shop = shop._id;
   } else if (shopId) {
-    matchQuery.shop = shopId;
+    if (!mongoose.Types.ObjectId.isValid(shopId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid shop ID'
+      });
+    }
+    matchQuery.shop = new mongoose.Types.ObjectId(shopId);
   }
 
   // Date range filter
@@ -464,135 +651,300 @@ const getPaymentAnalytics = asyncHandler(async (req, res) => {
     };
   }
 
-  // Payment method analytics
-  const paymentMethodStats = await Order.aggregate([
-    { $match: matchQuery },
-    {
-      $group: {
-        _id: '$payment.method',
-        totalOrders: { $sum: 1 },
-        totalAmount: { $sum: '$total' },
-        paidOrders: {
-          $sum: { $cond: [{ $eq: ['$payment.status', 'paid'] }, 1, 0] }
-        },
-        paidAmount: {
-          $sum: { $cond: [{ $eq: ['$payment.status', 'paid'] }, '$total', 0] }
-        }
-      }
-    }
-  ]);
-
-  // Payment status analytics
-  const paymentStatusStats = await Order.aggregate([
-    { $match: matchQuery },
-    {
-      $group: {
-        _id: '$payment.status',
-        totalOrders: { $sum: 1 },
-        totalAmount: { $sum: '$total' }
-      }
-    }
-  ]);
-
-  // Daily payment trends
-  const dailyTrends = await Order.aggregate([
-    { $match: { ...matchQuery, 'payment.status': 'paid' } },
-    {
-      $group: {
-        _id: {
-          year: { $year: '$payment.paidAt' },
-          month: { $month: '$payment.paidAt' },
-          day: { $dayOfMonth: '$payment.paidAt' }
-        },
-        totalPayments: { $sum: 1 },
-        totalAmount: { $sum: '$total' }
-      }
-    },
-    { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
-  ]);
+  const { methodStats, statusStats, dailyTrends } = await Payment.getAnalytics(matchQuery);
 
   res.status(200).json({
     status: 'success',
     data: {
-      paymentMethodStats,
-      paymentStatusStats,
+      paymentMethodStats: methodStats,
+      paymentStatusStats: statusStats,
       dailyTrends
     }
   });
 });
 
-// Helper functions for payment gateways
+// Helper functions for payment state changes
 
-const createRazorpayPayment = async (order, user) => {
-  // Mock Razorpay payment creation
-  return {
-    transactionId: `rzp_${Date.now()}_${Math.random().toString(36).substring(7)}`,
-    razorpayOrderId: `order_${Date.now()}`,
-    amount: order.total * 100, // Razorpay expects amount in paisa
-    currency: 'INR',
-    key: PAYMENT_GATEWAYS.razorpay.keyId,
-    name: order.shop.businessName,
-    description: `Payment for order #${order.orderNumber}`,
-    prefill: {
-      name: user.name,
-      email: user.email,
-      contact: user.phone
+// What a payment request is for: a single order, or a cart checkout and its live orders.
+// target carries the payment state shown to the customer; reference is what the gateway sees.
+const loadPayable = async ({ orderId, checkoutId }) => {
+  if (checkoutId) {
+    const checkout = await Checkout.findById(checkoutId);
+    if (!checkout) {
+      return null;
     }
+
+    const orders = await Order.find({ checkout: checkout._id, status: { $ne: 'cancelled' } })
+      .populate('shop', 'businessName settings');
+
+    return {
+      label: 'checkout',
+      target: checkout,
+      checkout,
+      orders,
+      amount: orders.reduce((sum, order) => sum + order.total, 0),
+      reference: { _id: checkout._id, orderNumber: checkout.checkoutNumber },
+      ledgerScope: { checkout: checkout._id }
+    };
+  }
+
+  const order = await Order.findById(orderId).populate('shop', 'businessName settings');
+  if (!order) {
+    return null;
+  }
+
+  return {
+    label: 'order',
+    target: order,
+    checkout: null,
+    orders: [order],
+    amount: order.total,
+    reference: order,
+    ledgerScope: { order: order._id }
   };
 };
 
-const createStripePayment = async (order, user) => {
-  // Mock Stripe payment creation
+const describePayable = (payable) => {
+  if (!payable.checkout) {
+    return {
+      orderId: payable.target._id,
+      orderNumber: payable.target.orderNumber
+    };
+  }
+
   return {
-    transactionId: `pi_${Date.now()}_${Math.random().toString(36).substring(7)}`,
-    clientSecret: `pi_${Date.now()}_secret_${Math.random().toString(36)}`,
-    publishableKey: PAYMENT_GATEWAYS.stripe.publishableKey,
-    amount: order.total * 100, // Stripe expects amount in cents
-    currency: 'inr'
+    checkoutId: payable.checkout._id,
+    checkoutNumber: payable.checkout.checkoutNumber,
+    orders: payable.orders.map(order => ({
+      orderId: order._id,
+      orderNumber: order.orderNumber
+    }))
   };
 };
 
-const createPaytmPayment = async (order, user) => {
-  // Mock Paytm payment creation
+// Re-read the payable after a capture so the response shows the settled state
+const describeSettledPayable = async (payable) => {
+  if (!payable.checkout) {
+    const order = await Order.findById(payable.target._id);
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      paymentStatus: order.payment.status,
+      orderStatus: order.status
+    };
+  }
+
+  const checkout = await Checkout.findById(payable.checkout._id);
+  const orders = await Order.find({ checkout: checkout._id });
+
   return {
-    transactionId: `paytm_${Date.now()}_${Math.random().toString(36).substring(7)}`,
-    merchantId: PAYMENT_GATEWAYS.paytm.merchantId,
-    orderId: order.orderNumber,
-    amount: order.total,
-    customerInfo: {
-      custId: user._id,
-      mobile: user.phone,
-      email: user.email
-    }
+    checkoutId: checkout._id,
+    checkoutNumber: checkout.checkoutNumber,
+    paymentStatus: checkout.payment.status,
+    orders: orders.map(order => ({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      paymentStatus: order.payment.status,
+      orderStatus: order.status
+    }))
   };
 };
 
-const verifyRazorpayPayment = (order, paymentId, signature) => {
-  // Mock Razorpay signature verification
-  const expectedSignature = crypto
-    .createHmac('sha256', PAYMENT_GATEWAYS.razorpay.keySecret)
-    .update(`${order.payment.transactionId}|${paymentId}`)
-    .digest('hex');
+// Point the order, or the checkout and each of its orders, at a new pending payment
+const setPendingPayment = async (payable, { method, gateway, transactionId, currentPayment }) => {
+  const documents = payable.checkout ? [payable.checkout, ...payable.orders] : [payable.target];
+
+  for (const document of documents) {
+    document.payment.method = method;
+    document.payment.gateway = gateway;
+    document.payment.transactionId = transactionId;
+    document.payment.paymentId = undefined;
+    document.payment.status = 'pending';
+    document.payment.currentPayment = currentPayment;
+    await document.save();
+  }
+};
+
+// Earlier attempts that never completed are superseded by a new attempt
+const abandonOpenAttempts = (scope) => {
+  return Payment.updateMany(
+    { ...scope, kind: 'payment', status: 'initiated' },
+    {
+      $set: { status: 'abandoned' },
+      $push: { events: { type: 'attempt.superseded', source: 'system', status: 'abandoned' } }
+    }
+  );
+};
 
-  return signature === expectedSignature;
+// Money that arrives for a cancelled order goes straight back
+const refundCancelledOrder = async (order) => {
+  try {
+    await refundRemaining(order, { reason: 'Payment received after the order was cancelled' });
+  } catch (error) {
+    console.error(`Refund of late payment for cancelled order ${order.orderNumber} failed:`, error);
+  }
+  return order;
 };
 
-const verifyStripePayment = async (order, paymentId) => {
-  // Mock Stripe payment verification
-  // In real implementation, you would call Stripe API to verify payment
-  return paymentId && paymentId.startsWith('pi_');
+// Mark one order paid by a captured payment; null when it was already settled.
+// Money for an order that was cancelled meanwhile is recorded and refunded straight away.
+const settleOrder = async (orderId, captured) => {
+  const paid = {
+    $set: {
+      'payment.status': 'paid',
+      'payment.paidAt': captured.capturedAt,
+      'payment.method': captured.method,
+      'payment.gateway': captured.gateway,
+      'payment.transactionId': captured.transactionId,
+      'payment.paymentId': captured.paymentId,
+      'payment.currentPayment': captured._id
+    },
+    $unset: { 'payment.failureReason': 1 }
+  };
+
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: { $ne: 'cancelled' }, 'payment.status': { $in: ['pending', 'failed'] } },
+    paid,
+    { new: true }
+  );
+
+  if (!order) {
+    const cancelled = await Order.findOneAndUpdate(
+      { _id: orderId, status: 'cancelled', 'payment.status': { $in: ['pending', 'failed'] } },
+      paid,
+      { new: true }
+    );
+
+    return cancelled && refundCancelledOrder(cancelled);
+  }
+
+  // Auto-confirm order if it's still pending
+  if (order.status === 'pending') {
+    try {
+      await transitionOrder(order, 'confirmed', { actor: 'system', note: 'Payment received' });
+    } catch (error) {
+      // The shop accepted or cancelled it meanwhile
+      if (error.statusCode !== 409) {
+        throw error;
+      }
+
+      const current = await Order.findById(order._id);
+      if (current.status === 'cancelled') {
+        return refundCancelledOrder(current);
+      }
+    }
+  }
+
+  // Update shop revenue; cancelled orders earn the shop nothing
+  await Shop.updateOne({ _id: order.shop }, { $inc: { 'stats.totalRevenue': order.total } });
+
+  return order;
 };
 
-const verifyPaytmPayment = async (order, paymentId) => {
-  // Mock Paytm payment verification
-  // In real implementation, you would call Paytm API to verify payment
-  return paymentId && paymentId.startsWith('paytm_');
+// Capture a payment attempt and mark its orders paid exactly once,
+// whether the client verify or the webhook gets there first
+const capturePayment = async (payment, { paymentId, event }) => {
+  const captured = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ['initiated', 'failed', 'abandoned'] } },
+    {
+      $set: { status: 'captured', paymentId, capturedAt: new Date() },
+      $unset: { failureReason: 1 },
+      $push: { events: { ...event, status: 'captured' } }
+    },
+    { new: true }
+  );
+
+  if (!captured) {
+    // Already captured: keep the duplicate notification for the audit trail
+    await Payment.updateOne({ _id: payment._id }, { $push: { events: { ...event, status: payment.status } } });
+    return null;
+  }
+
+  const orderIds = captured.checkout
+    ? captured.allocations.map(allocation => allocation.order)
+    : [captured.order];
+
+  let settledCount = 0;
+  for (const orderId of orderIds) {
+    if (await settleOrder(orderId, captured)) {
+      settledCount++;
+    }
+  }
+
+  if (captured.checkout) {
+    await Checkout.updateOne(
+      { _id: captured.checkout, 'payment.status': { $in: ['pending', 'failed'] } },
+      {
+        $set: {
+          'payment.status': 'paid',
+          'payment.paidAt': captured.capturedAt,
+          'payment.method': captured.method,
+          'payment.gateway': captured.gateway,
+          'payment.transactionId': captured.transactionId,
+          'payment.paymentId': paymentId,
+          'payment.currentPayment': captured._id
+        },
+        $unset: { 'payment.failureReason': 1 }
+      }
+    );
+  }
+
+  // Money arrived for orders that were already settled through another attempt
+  if (settledCount === 0) {
+    console.error(`Payment ${captured._id} captured for an order that is already paid`);
+    emitToAdmins('payment:duplicate_capture', {
+      orderId: captured.order,
+      checkoutId: captured.checkout,
+      paymentId: captured._id,
+      gateway: captured.gateway,
+      amount: captured.amount,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return captured;
+};
+
+const failPayment = async (payment, { reason, event }) => {
+  const failed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ['initiated', 'failed'] } },
+    {
+      $set: { status: 'failed', failureReason: reason, failedAt: new Date() },
+      $push: { events: { ...event, status: 'failed' } }
+    },
+    { new: true }
+  );
+
+  if (!failed) {
+    await Payment.updateOne({ _id: payment._id }, { $push: { events: { ...event, status: payment.status } } });
+    return null;
+  }
+
+  // Only the attempt the orders are waiting on changes their payment status
+  const waitingOn = {
+    'payment.currentPayment': failed._id,
+    'payment.status': { $in: ['pending', 'failed'] }
+  };
+  const failure = {
+    $set: {
+      'payment.status': 'failed',
+      'payment.failureReason': reason
+    }
+  };
+
+  await Order.updateMany(waitingOn, failure);
+  if (failed.checkout) {
+    await Checkout.updateOne({ _id: failed.checkout, ...waitingOn }, failure);
+  }
+
+  return failed;
 };
 
 module.exports = {
   getPaymentMethods,
   initiatePayment,
   verifyPayment,
+  handleWebhook,
   processRefund,
   getPaymentHistory,
   getPaymentAnalytics
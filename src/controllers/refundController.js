@@ -0,0 +1,298 @@
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Shop = require('../models/Shop');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sendNotification } = require('../utils/notifications');
+const { emitToUser, emitToShop } = require('../config/socket');
+const { createRefund, approveRefund, rejectRefund, issueRefund } = require('../utils/refunds');
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const findOrder = (id) => Order.findById(id)
+  .populate('shop', 'businessName owner')
+  .populate('customer', 'name email');
+
+// Tell the customer where their refund stands
+const notifyRefundUpdate = async (order, refund) => {
+  const messages = {
+    processed: `Your refund of ₹${refund.amount} for order #${order.orderNumber} has been processed` +
+      (refund.destination === 'wallet' ? ' to your wallet' : ''),
+    approved: `Your refund of ₹${refund.amount} for order #${order.orderNumber} has been approved and is on its way`,
+    rejected: `Your refund request for order #${order.orderNumber} was not approved` +
+      (refund.reviewNote ? `: ${refund.reviewNote}` : ''),
+    failed: `Your refund of ₹${refund.amount} for order #${order.orderNumber} could not be processed yet. We will retry it.`
+  };
+
+  try {
+    emitToUser(order.customer._id.toString(), 'refund:updated', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      refundId: refund._id,
+      status: refund.status,
+      amount: refund.amount,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Real-time event emission failed:', error);
+  }
+
+  try {
+    await sendNotification({
+      type: 'all',
+      to: order.customer.email,
+      userId: order.customer._id,
+      subject: `Refund Update - #${order.orderNumber}`,
+      message: messages[refund.status]
+    });
+  } catch (error) {
+    console.error('Notification sending failed:', error);
+  }
+};
+
+// @desc    Get refunds (customer: own, shop owner: their shops, admin: all)
+// @route   GET /api/payments/refunds
+// @access  Private
+const getRefunds = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const { status, shop } = req.query;
+
+  let query = {};
+
+  if (req.user.role === 'shop_owner') {
+    const shopIds = await Shop.find({ owner: req.user.id }).distinct('_id');
+    query.shop = { $in: shopIds };
+  } else if (req.user.role !== 'admin') {
+    query.customer = req.user.id;
+  }
+
+  if (shop && req.user.role === 'admin') {
+    query.shop = shop;
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  const total = await Refund.countDocuments(query);
+  const refunds = await Refund.find(query)
+    .populate('order', 'orderNumber total status')
+    .populate('shop', 'businessName')
+    .populate('customer', 'name')
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: refunds.length,
+    data: {
+      refunds,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// @desc    Get an order's refunds
+// @route   GET /api/orders/:id/refunds
+// @access  Private
+const getOrderRefunds = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  const isCustomer = order.customer._id.toString() === req.user.id;
+  const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isCustomer && !isShopOwner && !isAdmin) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to view refunds for this order'
+    });
+  }
+
+  const refunds = await Refund.find({ order: order._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: refunds.length,
+    data: { refunds }
+  });
+});
+
+// @desc    Request a refund (Customer, delivered orders) or refund an order (Shop owner/Admin)
+// @route   POST /api/orders/:id/refunds
+// @access  Private
+const requestRefund = asyncHandler(async (req, res) => {
+  const { amount, items, reason, destination } = req.body;
+
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  const isCustomer = order.customer._id.toString() === req.user.id;
+  const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isCustomer && !isShopOwner && !isAdmin) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to refund this order'
+    });
+  }
+
+  const asCustomer = !isShopOwner && !isAdmin;
+
+  // Orders still in progress are cancelled instead, which refunds them
+  const refundableStatuses = asCustomer ? ['delivered'] : ['delivered', 'cancelled'];
+  if (!refundableStatuses.includes(order.status)) {
+    return res.status(400).json({
+      status: 'error',
+      message: order.status === 'refunded'
+        ? 'Order has already been refunded'
+        : 'Refunds can be requested once an order is delivered; cancel it instead'
+    });
+  }
+
+  if (asCustomer) {
+    const deliveredAt = order.timestamps.deliveredAt || order.updatedAt;
+    if (Date.now() - deliveredAt.getTime() > config.refunds.requestWindowDays * DAY_MS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Refunds can be requested up to ${config.refunds.requestWindowDays} days after delivery`
+      });
+    }
+  }
+
+  const options = {
+    amount,
+    items,
+    reason,
+    destination,
+    requestedBy: req.user.id,
+    source: asCustomer ? 'customer' : req.user.role
+  };
+
+  let refund;
+  try {
+    // The shop and admins refund straight away; customers wait for the shop to approve
+    refund = asCustomer
+      ? await createRefund(order, options)
+      : await issueRefund(order, options);
+  } catch (error) {
+    if (error.statusCode !== 400) {
+      throw error;
+    }
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  if (refund.status === 'requested') {
+    try {
+      emitToShop(order.shop._id.toString(), 'refund:requested', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        refundId: refund._id,
+        amount: refund.amount,
+        reason: refund.reason,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Real-time event emission failed:', error);
+    }
+  } else {
+    await notifyRefundUpdate(order, refund);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: refund.status === 'requested' ? 'Refund requested' : `Refund ${refund.status}`,
+    data: { refund }
+  });
+});
+
+// @desc    Approve or reject a refund; approving a failed refund retries it
+// @route   PUT /api/orders/:id/refunds/:refundId
+// @access  Private/Shop Owner/Admin
+const reviewRefund = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isShopOwner && !isAdmin) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to review refunds for this order'
+    });
+  }
+
+  let refund = await Refund.findOne({ _id: req.params.refundId, order: order._id });
+
+  if (!refund) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Refund not found'
+    });
+  }
+
+  try {
+    refund = status === 'approved'
+      ? await approveRefund(refund, order, { by: req.user.id, note })
+      : await rejectRefund(refund, { by: req.user.id, note });
+  } catch (error) {
+    if (![400, 409].includes(error.statusCode)) {
+      throw error;
+    }
+    return res.status(error.statusCode).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  await notifyRefundUpdate(order, refund);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Refund ${refund.status}`,
+    data: { refund }
+  });
+});
+
+module.exports = {
+  getRefunds,
+  getOrderRefunds,
+  requestRefund,
+  reviewRefund
+};
@@ -0,0 +1,505 @@
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const Shop = require('../models/Shop');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sendNotification } = require('../utils/notifications');
+const { emitToUser, emitToShop } = require('../config/socket');
+const { formatShopTime } = require('../utils/shopHours');
+const {
+  openReturn,
+  approveReturn,
+  rejectReturn,
+  cancelReturn,
+  schedulePickup,
+  completePickup
+} = require('../utils/returns');
+const multer = require('multer');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Configure multer for photos of returned items
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, 'uploads/returns/');
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB per file
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'));
+    }
+  }
+});
+
+// Up to 5 photos of the item sent along with a return request
+const uploadReturnPhotos = upload.array('photos', 5);
+
+const findOrder = (id) => Order.findById(id)
+  .populate('shop', 'businessName owner settings timezone')
+  .populate('customer', 'name email');
+
+const findReturn = (order, id) => ReturnRequest.findOne({ _id: id, order: order._id });
+
+const sendReturnError = (res, error) => {
+  if (error.statusCode !== 400) {
+    throw error;
+  }
+  return res.status(400).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+// Tell the customer where their return stands
+const notifyReturnUpdate = async (order, request) => {
+  const item = `${request.quantity} x ${request.name}`;
+  const messages = {
+    approved: `Your ${request.type} of ${item} from order #${order.orderNumber} has been approved. We will collect the item from you.`,
+    rejected: `Your ${request.type} request for ${item} from order #${order.orderNumber} was not approved` +
+      (request.reviewNote ? `: ${request.reviewNote}` : ''),
+    pickup_scheduled: `A pickup has been arranged for ${item} from order #${order.orderNumber}` +
+      (request.pickup.scheduledFor ? ` on ${formatShopTime(order.shop, request.pickup.scheduledFor)}` : ''),
+    completed: request.type === 'return'
+      ? `Your return of ${item} from order #${order.orderNumber} is complete and has been refunded`
+      : `A replacement for ${item} from order #${order.orderNumber} is on its way`
+  };
+
+  if (!messages[request.status]) {
+    return;
+  }
+
+  try {
+    emitToUser(order.customer._id.toString(), 'return:updated', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      returnId: request._id,
+      type: request.type,
+      status: request.status,
+      refundId: request.refund,
+      replacementOrderId: request.replacementOrder,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Real-time event emission failed:', error);
+  }
+
+  try {
+    await sendNotification({
+      type: 'all',
+      to: order.customer.email,
+      userId: order.customer._id,
+      subject: `Return Update - #${order.orderNumber}`,
+      message: messages[request.status]
+    });
+  } catch (error) {
+    console.error('Notification sending failed:', error);
+  }
+};
+
+// @desc    Get return requests (customer: own, shop owner: their shops, delivery partner: assigned pickups, admin: all)
+// @route   GET /api/orders/returns
+// @access  Private
+const getReturns = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const { status, type, shop } = req.query;
+
+  let query = {};
+
+  if (req.user.role === 'shop_owner') {
+    const shopIds = await Shop.find({ owner: req.user.id }).distinct('_id');
+    query.shop = { $in: shopIds };
+  } else if (req.user.role === 'delivery_partner') {
+    query['pickup.partner'] = req.user.id;
+  } else if (req.user.role !== 'admin') {
+    query.customer = req.user.id;
+  }
+
+  if (shop && req.user.role === 'admin') {
+    query.shop = shop;
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (type) {
+    query.type = type;
+  }
+
+  const total = await ReturnRequest.countDocuments(query);
+  const returns = await ReturnRequest.find(query)
+    .populate('order', 'orderNumber delivery.address')
+    .populate('shop', 'businessName')
+    .populate('customer', 'name phone')
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: returns.length,
+    data: {
+      returns,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    }
+  });
+});
+
+// @desc    Get an order's return requests
+// @route   GET /api/orders/:id/returns
+// @access  Private
+const getOrderReturns = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  const isCustomer = order.customer._id.toString() === req.user.id;
+  const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isCustomer && !isShopOwner && !isAdmin) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to view returns for this order'
+    });
+  }
+
+  const returns = await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: returns.length,
+    data: { returns }
+  });
+});
+
+// @desc    Request a return or replacement of a delivered order line
+// @route   POST /api/orders/:id/returns
+// @access  Private/Customer
+const createReturnRequest = asyncHandler(async (req, res) => {
+  const { item, quantity, type, reason, description } = req.body;
+
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  if (order.customer._id.toString() !== req.user.id) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to return items from this order'
+    });
+  }
+
+  let request;
+  try {
+    request = await openReturn(order, {
+      item,
+      quantity: parseInt(quantity) || 1,
+      type,
+      reason,
+      description,
+      photos: (req.files || []).map(file => `/uploads/returns/${file.filename}`),
+      by: req.user.id
+    });
+  } catch (error) {
+    return sendReturnError(res, error);
+  }
+
+  try {
+    emitToShop(order.shop._id.toString(), 'return:requested', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      returnId: request._id,
+      type: request.type,
+      item: request.name,
+      quantity: request.quantity,
+      reason: request.reason,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Real-time event emission failed:', error);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: `${request.type === 'return' ? 'Return' : 'Replacement'} requested`,
+    data: { return: request }
+  });
+});
+
+// @desc    Approve or reject a return request
+// @route   PUT /api/orders/:id/returns/:returnId
+// @access  Private/Shop Owner/Admin
+const reviewReturnRequest = asyncHandler(async (req, res) => {
+  const { status, type, pickup, note } = req.body;
+
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isShopOwner && !isAdmin) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to review returns for this order'
+    });
+  }
+
+  const request = await findReturn(order, req.params.returnId);
+
+  if (!request) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Return request not found'
+    });
+  }
+
+  try {
+    if (status === 'approved') {
+      await approveReturn(request, order, { by: req.user.id, note, pickup, type });
+    } else {
+      await rejectReturn(request, { by: req.user.id, note });
+    }
+  } catch (error) {
+    return sendReturnError(res, error);
+  }
+
+  await notifyReturnUpdate(order, request);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Return ${request.status.replace(/_/g, ' ')}`,
+    data: { return: request }
+  });
+});
+
+// @desc    Assign a delivery partner to collect a returned item
+// @route   PUT /api/orders/:id/returns/:returnId/pickup
+// @access  Private/Shop Owner/Admin
+const assignReturnPickup = asyncHandler(async (req, res) => {
+  const { partner, scheduledFor } = req.body;
+
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isShopOwner && !isAdmin) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to arrange pickups for this order'
+    });
+  }
+
+  const request = await findReturn(order, req.params.returnId);
+
+  if (!request) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Return request not found'
+    });
+  }
+
+  let partnerDoc;
+  try {
+    partnerDoc = await schedulePickup(request, {
+      partner,
+      scheduledFor: scheduledFor ? new Date(scheduledFor) : undefined,
+      by: req.user.id
+    });
+  } catch (error) {
+    return sendReturnError(res, error);
+  }
+
+  try {
+    emitToUser(partnerDoc._id.toString(), 'return:pickup_assigned', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      returnId: request._id,
+      shopName: order.shop.businessName,
+      address: order.delivery.address,
+      item: request.name,
+      quantity: request.quantity,
+      scheduledFor: request.pickup.scheduledFor,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Real-time event emission failed:', error);
+  }
+
+  await notifyReturnUpdate(order, request);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Pickup assigned to ${partnerDoc.name}`,
+    data: { return: request }
+  });
+});
+
+// @desc    Record that a returned item was collected; the return is then refunded
+// @route   PUT /api/orders/:id/returns/:returnId/picked-up
+// @access  Private/Delivery Partner/Shop Owner/Admin
+const markReturnPickedUp = asyncHandler(async (req, res) => {
+  const { restock } = req.body;
+
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  const request = await findReturn(order, req.params.returnId);
+
+  if (!request) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Return request not found'
+    });
+  }
+
+  const isPartner = req.user.role === 'delivery_partner' && request.pickup.partner?.toString() === req.user.id;
+  const isShopOwner = req.user.role === 'shop_owner' && order.shop.owner?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isPartner && !isShopOwner && !isAdmin) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to update this pickup'
+    });
+  }
+
+  try {
+    // Only the shop decides whether the item can be sold again
+    await completePickup(request, order, {
+      by: req.user.id,
+      restock: (isShopOwner || isAdmin) && restock === true
+    });
+  } catch (error) {
+    return sendReturnError(res, error);
+  }
+
+  try {
+    emitToShop(order.shop._id.toString(), 'return:picked_up', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      returnId: request._id,
+      item: request.name,
+      quantity: request.quantity,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Real-time event emission failed:', error);
+  }
+
+  await notifyReturnUpdate(order, request);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Return ${request.status}`,
+    data: { return: request }
+  });
+});
+
+// @desc    Withdraw a return request before the shop reviews it
+// @route   PUT /api/orders/:id/returns/:returnId/cancel
+// @access  Private/Customer
+const cancelReturnRequest = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Order not found'
+    });
+  }
+
+  if (order.customer._id.toString() !== req.user.id) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to cancel returns for this order'
+    });
+  }
+
+  const request = await findReturn(order, req.params.returnId);
+
+  if (!request) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Return request not found'
+    });
+  }
+
+  try {
+    await cancelReturn(request, { by: req.user.id, note: req.body.reason });
+  } catch (error) {
+    return sendReturnError(res, error);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Return request cancelled',
+    data: { return: request }
+  });
+});
+
+module.exports = {
+  uploadReturnPhotos,
+  getReturns,
+  getOrderReturns,
+  createReturnRequest,
+  reviewReturnRequest,
+  assignReturnPickup,
+  markReturnPickedUp,
+  cancelReturnRequest
+};
@@ -3,6 +3,10 @@ const Product = require('../models/Product');
 const Order = require('../models/Order');
 const User = require('../models/User');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { quoteDelivery, checkOrderEligibility } = require('../utils/orderPlacement');
+const { closedReason, resolveSlot, bookedCount } = require('../utils/scheduling');
+const { isValidTimezone, weekdayOf } = require('../utils/shopHours');
+const { returnWindowDays } = require('../utils/returns');
 const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
@@ -118,8 +122,10 @@ const getShops = asyncHandler(async (req, res) => {
       );
     }
     
-    // Add current open status
-    shopObj.isCurrentlyOpen = shop.isCurrentlyOpen();
+    // Add current open status and, when closed, when it opens next
+    const openingStatus = shop.getOpeningStatus();
+    shopObj.isCurrentlyOpen = openingStatus.isOpen;
+    shopObj.nextOpeningAt = openingStatus.nextOpeningAt;
     
     return shopObj;
   });
@@ -176,9 +182,12 @@ const getShop = asyncHandler(async (req, res) => {
   // Get shop reviews (if review system is implemented)
   // const reviews = await Review.find({ shop: shop._id }).populate('customer', 'name').limit(10);
 
+  const openingStatus = shop.getOpeningStatus();
   const shopData = {
     ...shop.toObject(),
-    isCurrentlyOpen: shop.isCurrentlyOpen(),
+    isCurrentlyOpen: openingStatus.isOpen,
+    closesAt: openingStatus.closesAt,
+    nextOpeningAt: openingStatus.nextOpeningAt,
     products,
     // reviews
   };
@@ -683,7 +692,9 @@ const getNearbyShops = asyncHandler(async (req, res) => {
       parseFloat(latitude), 
       parseFloat(longitude)
     );
-    shopObj.isCurrentlyOpen = shop.isCurrentlyOpen();
+    const openingStatus = shop.getOpeningStatus();
+    shopObj.isCurrentlyOpen = openingStatus.isOpen;
+    shopObj.nextOpeningAt = openingStatus.nextOpeningAt;
     return shopObj;
   });
 
@@ -822,7 +833,7 @@ const updateAddress = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Update shop business hours
+// @desc    Update shop business hours, timezone and holidays
 // @route   PUT /api/shops/:id/business-hours
 // @access  Private/Shop Owner
 const updateBusinessHours = asyncHandler(async (req, res) => {
@@ -843,21 +854,56 @@ const updateBusinessHours = asyncHandler(async (req, res) => {
     });
   }
 
+  const { businessHours, timezone, holidays } = req.body;
+
+  if (businessHours === undefined && timezone === undefined && holidays === undefined) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Please provide businessHours, timezone or holidays'
+    });
+  }
+
   // Validate and update business hours
-  if (!Array.isArray(req.body.businessHours)) {
+  if (businessHours !== undefined && !Array.isArray(businessHours)) {
     return res.status(400).json({
       status: 'error',
       message: 'Business hours must be an array'
     });
   }
 
-  shop.businessHours = req.body.businessHours;
+  if (holidays !== undefined && !Array.isArray(holidays)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Holidays must be an array'
+    });
+  }
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Timezone must be an IANA timezone such as Asia/Kolkata'
+    });
+  }
+
+  if (businessHours !== undefined) {
+    shop.businessHours = businessHours;
+  }
+  if (holidays !== undefined) {
+    shop.holidays = holidays;
+  }
+  if (timezone !== undefined) {
+    // An empty value goes back to the app timezone
+    shop.timezone = timezone || undefined;
+  }
   await shop.save();
 
   res.status(200).json({
     status: 'success',
     message: 'Business hours updated successfully',
-    data: { shop }
+    data: {
+      shop,
+      openingStatus: shop.getOpeningStatus()
+    }
   });
 });
 
@@ -977,6 +1023,7 @@ const getDeliverySettings = asyncHandler(async (req, res) => {
     deliveryFee: shop.settings.deliveryFee,
     freeDeliveryAbove: shop.settings.freeDeliveryAbove,
     serviceRadius: shop.settings.serviceRadius,
+    deliveryFeeRules: shop.settings.deliveryFeeRules,
 
     // Delivery zones (public if active)
     deliveryZones: shop.deliveryZones.filter(zone => zone.isActive)
@@ -1023,6 +1070,7 @@ const updateDeliverySettings = asyncHandler(async (req, res) => {
     'deliveryFee',
     'freeDeliveryAbove',
     'serviceRadius',
+    'deliveryFeeRules',
     'usesOwnDelivery',
     'usesThirdPartyDelivery'
   ];
@@ -1043,6 +1091,7 @@ const updateDeliverySettings = asyncHandler(async (req, res) => {
         deliveryFee: shop.settings.deliveryFee,
         freeDeliveryAbove: shop.settings.freeDeliveryAbove,
         serviceRadius: shop.settings.serviceRadius,
+        deliveryFeeRules: shop.settings.deliveryFeeRules,
         usesOwnDelivery: shop.settings.usesOwnDelivery,
         usesThirdPartyDelivery: shop.settings.usesThirdPartyDelivery
       }
@@ -1219,6 +1268,355 @@ const deleteDeliveryZone = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get delivery slots for a shop, with availability when a date is given
+// @route   GET /api/shops/:id/slots
+// @access  Public
+const getDeliverySlots = asyncHandler(async (req, res) => {
+  const { date, type } = req.query;
+
+  const shop = await Shop.findById(req.params.id);
+
+  if (!shop) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Shop not found'
+    });
+  }
+
+  // Show only active slots to public, all slots to owner/admin
+  const isOwner = req.user && (shop.owner.toString() === req.user.id || req.user.role === 'admin');
+  let slots = isOwner
+    ? shop.deliverySlots
+    : shop.deliverySlots.filter(slot => slot.isActive);
+
+  if (type) {
+    slots = slots.filter(slot => slot.type === 'both' || slot.type === type);
+  }
+
+  if (!date) {
+    return res.status(200).json({
+      status: 'success',
+      results: slots.length,
+      data: {
+        deliverySlots: slots
+      }
+    });
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Date must be YYYY-MM-DD'
+    });
+  }
+
+  const closed = closedReason(shop, date);
+  const weekday = weekdayOf(date);
+
+  const daySlots = await Promise.all(slots
+    .filter(slot => slot.isActive && slot.day === weekday)
+    .map(async (slot) => {
+      const entry = { ...slot.toObject(), available: false, remaining: 0 };
+
+      try {
+        const booking = resolveSlot(shop, { slot: slot._id, date }, slot.type === 'both' ? 'delivery' : slot.type);
+        const booked = await bookedCount(slot._id, booking.startsAt);
+        entry.startsAt = booking.startsAt;
+        entry.endsAt = booking.endsAt;
+        entry.remaining = Math.max(slot.capacity - booked, 0);
+        entry.available = entry.remaining > 0;
+      } catch (error) {
+        if (error.statusCode !== 400) {
+          throw error;
+        }
+        entry.reason = error.message;
+      }
+
+      return entry;
+    }));
+
+  res.status(200).json({
+    status: 'success',
+    results: daySlots.length,
+    data: {
+      date,
+      closed: Boolean(closed),
+      reason: closed || undefined,
+      deliverySlots: daySlots
+    }
+  });
+});
+
+// @desc    Add a delivery slot
+// @route   POST /api/shops/:id/slots
+// @access  Private/Shop Owner
+const addDeliverySlot = asyncHandler(async (req, res) => {
+  const shop = await Shop.findById(req.params.id);
+
+  if (!shop) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Shop not found'
+    });
+  }
+
+  // Check ownership
+  if (shop.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to update this shop'
+    });
+  }
+
+  const { name, day, startTime, endTime, type, capacity, isActive } = req.body;
+
+  if (!day || !startTime || !endTime || !capacity) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Please provide day, startTime, endTime, and capacity'
+    });
+  }
+
+  const newSlot = {
+    name,
+    day,
+    startTime,
+    endTime,
+    type: type || 'both',
+    capacity,
+    isActive: isActive !== undefined ? isActive : true
+  };
+
+  shop.deliverySlots.push(newSlot);
+  await shop.save();
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Delivery slot added successfully',
+    data: {
+      deliverySlot: shop.deliverySlots[shop.deliverySlots.length - 1]
+    }
+  });
+});
+
+// @desc    Update a delivery slot
+// @route   PUT /api/shops/:id/slots/:slotId
+// @access  Private/Shop Owner
+const updateDeliverySlot = asyncHandler(async (req, res) => {
+  const shop = await Shop.findById(req.params.id);
+
+  if (!shop) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Shop not found'
+    });
+  }
+
+  // Check ownership
+  if (shop.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to update this shop'
+    });
+  }
+
+  const slot = shop.deliverySlots.id(req.params.slotId);
+
+  if (!slot) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Delivery slot not found'
+    });
+  }
+
+  // Update slot fields; bookings already taken keep their times
+  const allowedFields = ['name', 'day', 'startTime', 'endTime', 'type', 'capacity', 'isActive'];
+  allowedFields.forEach(field => {
+    if (req.body[field] !== undefined) {
+      slot[field] = req.body[field];
+    }
+  });
+
+  await shop.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Delivery slot updated successfully',
+    data: {
+      deliverySlot: slot
+    }
+  });
+});
+
+// @desc    Delete a delivery slot
+// @route   DELETE /api/shops/:id/slots/:slotId
+// @access  Private/Shop Owner
+const deleteDeliverySlot = asyncHandler(async (req, res) => {
+  const shop = await Shop.findById(req.params.id);
+
+  if (!shop) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Shop not found'
+    });
+  }
+
+  // Check ownership
+  if (shop.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to update this shop'
+    });
+  }
+
+  const slot = shop.deliverySlots.id(req.params.slotId);
+
+  if (!slot) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Delivery slot not found'
+    });
+  }
+
+  // Orders still waiting on the slot would lose their booking
+  const hasBookings = await Order.exists({ 'schedule.slot': slot._id, status: 'scheduled' });
+  if (hasBookings) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Slot has scheduled orders; deactivate it instead'
+    });
+  }
+
+  slot.deleteOne();
+  await shop.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Delivery slot deleted successfully',
+    data: null
+  });
+});
+
+// @desc    Quote the delivery fee to a location, as checkout would charge it now
+// @route   GET /api/shops/:id/delivery-quote
+// @access  Public
+const getDeliveryQuote = asyncHandler(async (req, res) => {
+  const { latitude, longitude, pincode, area, subtotal = 0 } = req.query;
+
+  if ((!latitude || !longitude) && !pincode && !area) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Provide latitude and longitude, a pincode or an area'
+    });
+  }
+
+  const shop = await Shop.findById(req.params.id);
+
+  if (!shop || !shop.isActive) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Shop not found'
+    });
+  }
+
+  const address = {
+    pincode,
+    addressLine1: area,
+    coordinates: latitude && longitude
+      ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+      : undefined
+  };
+
+  try {
+    const quote = await quoteDelivery(shop, address, parseFloat(subtotal) || 0);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quote: {
+          available: true,
+          deliveryFee: quote.deliveryFee,
+          breakdown: quote.feeBreakdown,
+          zone: quote.zone ? { _id: quote.zone._id, name: quote.zone.name } : null,
+          distance: quote.distance !== null ? Math.round(quote.distance * 100) / 100 : null,
+          minimumOrderAmount: quote.minimumOrderAmount,
+          estimatedTime: quote.estimatedTime,
+          freeDeliveryAbove: shop.settings.freeDeliveryAbove
+        }
+      }
+    });
+  } catch (error) {
+    if (error.statusCode !== 400) {
+      throw error;
+    }
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quote: {
+          available: false,
+          reason: error.message
+        }
+      }
+    });
+  }
+});
+
+// @desc    Whether the shop can take an order right now, with the reasons when it cannot
+// @route   GET /api/shops/:id/availability
+// @access  Public
+const getOrderAvailability = asyncHandler(async (req, res) => {
+  const { deliveryType = 'delivery', latitude, longitude, pincode, area, subtotal } = req.query;
+
+  if (!['delivery', 'pickup'].includes(deliveryType)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'deliveryType must be delivery or pickup'
+    });
+  }
+
+  const shop = await Shop.findById(req.params.id);
+
+  if (!shop) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Shop not found'
+    });
+  }
+
+  // The delivery zone is only checked when a location is given
+  const hasLocation = (latitude && longitude) || pincode || area;
+  const address = deliveryType === 'delivery' && hasLocation ? {
+    pincode,
+    addressLine1: area,
+    coordinates: latitude && longitude
+      ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+      : undefined
+  } : null;
+
+  const { eligible, reasons, terms } = await checkOrderEligibility(shop, {
+    deliveryType,
+    deliveryAddress: address,
+    subtotal: subtotal !== undefined ? parseFloat(subtotal) || 0 : null
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      availability: {
+        available: eligible,
+        reasons,
+        openingStatus: shop.getOpeningStatus(),
+        delivery: terms ? {
+          deliveryFee: terms.deliveryFee,
+          minimumOrderAmount: terms.minimumOrderAmount,
+          estimatedTime: terms.estimatedTime,
+          zone: terms.zone ? { _id: terms.zone._id, name: terms.zone.name } : null
+        } : null
+      }
+    }
+  });
+});
+
 // ================== ORDER MANAGEMENT ENDPOINTS ==================
 
 // @desc    Get shop order management settings
@@ -1241,7 +1639,8 @@ const getOrderSettings = asyncHandler(async (req, res) => {
     // Public settings
     preparationTime: shop.settings.preparationTime,
     minimumOrderAmount: shop.settings.minimumOrderAmount,
-    acceptsOrders: shop.settings.acceptsOrders
+    acceptsOrders: shop.settings.acceptsOrders,
+    returnWindowDays: returnWindowDays(shop)
   };
 
   // Add detailed settings only for owner/admin
@@ -1250,6 +1649,8 @@ const getOrderSettings = asyncHandler(async (req, res) => {
     orderSettings.maxOrdersPerHour = shop.settings.maxOrdersPerHour;
     orderSettings.maxActiveOrders = shop.settings.maxActiveOrders;
     orderSettings.pauseOrdersUntil = shop.settings.pauseOrdersUntil;
+    orderSettings.pendingEscalationMinutes = shop.settings.pendingEscalationMinutes;
+    orderSettings.pendingTimeoutMinutes = shop.settings.pendingTimeoutMinutes;
   }
 
   res.status(200).json({
@@ -1289,7 +1690,10 @@ const updateOrderSettings = asyncHandler(async (req, res) => {
     'maxActiveOrders',
     'pauseOrdersUntil',
     'minimumOrderAmount',
-    'acceptsOrders'
+    'acceptsOrders',
+    'pendingEscalationMinutes',
+    'pendingTimeoutMinutes',
+    'returnWindowDays'
   ];
 
   allowedFields.forEach(field => {
@@ -1311,7 +1715,10 @@ const updateOrderSettings = asyncHandler(async (req, res) => {
         maxActiveOrders: shop.settings.maxActiveOrders,
         pauseOrdersUntil: shop.settings.pauseOrdersUntil,
         minimumOrderAmount: shop.settings.minimumOrderAmount,
-        acceptsOrders: shop.settings.acceptsOrders
+        acceptsOrders: shop.settings.acceptsOrders,
+        pendingEscalationMinutes: shop.settings.pendingEscalationMinutes,
+        pendingTimeoutMinutes: shop.settings.pendingTimeoutMinutes,
+        returnWindowDays: shop.settings.returnWindowDays
       }
     }
   });
@@ -1407,6 +1814,12 @@ module.exports = {
   addDeliveryZone,
   updateDeliveryZone,
   deleteDeliveryZone,
+  getDeliverySlots,
+  addDeliverySlot,
+  updateDeliverySlot,
+  deleteDeliverySlot,
+  getDeliveryQuote,
+  getOrderAvailability,
   getOrderSettings,
   updateOrderSettings,
   getOrderCapacity
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const config = require('../config/config');
+const { asyncHandler } = require('./errorHandler');
+
+const MAX_KEY_LENGTH = 255;
+
+// Serialize with sorted keys so property order does not change the fingerprint
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+const replay = (res, record) => {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.responseStatus).json(record.responseBody);
+};
+
+// Claim the key for this request, or return the record a previous request left behind
+const claimKey = async (req, key, requestHash) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + config.idempotency.lockTimeoutSeconds * 1000);
+  const expiresAt = new Date(now.getTime() + config.idempotency.ttlHours * 60 * 60 * 1000);
+
+  try {
+    await IdempotencyKey.create({
+      user: req.user._id,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      lockedUntil,
+      expiresAt
+    });
+    return { claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Take over keys whose window has passed (the TTL monitor only runs once a minute)
+  // and same-request locks abandoned by a crashed or timed out request
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    {
+      user: req.user._id,
+      key,
+      $or: [
+        { expiresAt: { $lte: now } },
+        { status: 'processing', requestHash, lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        requestHash,
+        status: 'processing',
+        lockedUntil,
+        expiresAt
+      },
+      $unset: { responseStatus: 1, responseBody: 1 }
+    },
+    { new: true }
+  );
+
+  if (takenOver) {
+    return { claimed: true };
+  }
+
+  return {
+    claimed: false,
+    existing: await IdempotencyKey.findOne({ user: req.user._id, key })
+  };
+};
+
+// Replay the first response for a repeated Idempotency-Key instead of running the handler again.
+// Must run after protect, keys are scoped to the authenticated user.
+const idempotent = asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const requestHash = hashRequest(req);
+  const { claimed, existing } = await claimKey(req, key, requestHash);
+
+  if (!claimed) {
+    // The record expired and was removed between the two queries
+    if (!existing) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Idempotency-Key could not be claimed, please retry'
+      });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Idempotency-Key has already been used with a different request'
+      });
+    }
+
+    if (existing.status === 'processing') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    return replay(res, existing);
+  }
+
+  // Capture the body the handler sends so it can be stored once the response is out
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  let settled = false;
+  const settle = async () => {
+    if (settled) return;
+    settled = true;
+
+    try {
+      // Server errors and dropped connections release the key so the client can retry
+      if (!res.writableFinished || res.statusCode >= 500 || responseBody === undefined) {
+        await IdempotencyKey.deleteOne({ user: req.user._id, key, status: 'processing' });
+        return;
+      }
+
+      await IdempotencyKey.updateOne(
+        { user: req.user._id, key, status: 'processing' },
+        {
+          $set: {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody
+          },
+          $unset: { lockedUntil: 1 }
+        }
+      );
+    } catch (error) {
+      console.error('Idempotency key update failed:', error);
+    }
+  };
+
+  res.on('finish', settle);
+  res.on('close', settle);
+
+  next();
+});
+
+module.exports = {
+  idempotent
+};
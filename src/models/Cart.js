@@ -68,6 +68,9 @@ const cartSchema = new mongoose.Schema({
     min: 0
   },
 
+  // Coupon applied to the cart, used at checkout
+  couponCode: String,
+
   // Session info
   sessionId: String,
 
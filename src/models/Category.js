@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GST_RATES, isGstRate } = require('../utils/tax');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -54,6 +55,21 @@ const categorySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // GST; unset fields fall back to the TAX_* defaults
+  tax: {
+    rate: {
+      type: Number,
+      validate: {
+        validator: isGstRate,
+        message: `Tax rate must be one of the GST rates: ${GST_RATES.join(', ')}`
+      }
+    },
+    inclusive: Boolean,
+    hsnCode: {
+      type: String,
+      trim: true
+    }
+  },
   metadata: {
     totalProducts: {
       type: Number,
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { generateCheckoutNumber } = require('../utils/orderNumber');
+
+// One cart checkout split into an order per shop, paid for with a single payment
+const checkoutSchema = new mongoose.Schema({
+  checkoutNumber: {
+    type: String,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+
+  // Shops in the cart that could not take their part of the checkout
+  skippedShops: [{
+    _id: false,
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop'
+    },
+    reason: String
+  }],
+
+  // Pricing, summed over the placed orders
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Shared payment for all orders in the checkout
+  payment: {
+    method: {
+      type: String,
+      enum: ['cash', 'card', 'upi', 'wallet', 'bank_transfer'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'failed'],
+      default: 'pending'
+    },
+    gateway: {
+      type: String,
+      enum: ['razorpay', 'stripe', 'paytm', 'fake']
+    },
+    transactionId: String,
+    paymentId: String,
+    failureReason: String,
+    paidAt: Date,
+    currentPayment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+checkoutSchema.index({ customer: 1, createdAt: -1 });
+
+// Generate checkout number before saving
+checkoutSchema.pre('save', async function(next) {
+  if (this.isNew && !this.checkoutNumber) {
+    this.checkoutNumber = await generateCheckoutNumber();
+  }
+  next();
+});
+
+// Instance method to total up the placed orders
+checkoutSchema.methods.applyOrderTotals = function(orders) {
+  this.orders = orders.map(order => order._id);
+  this.subtotal = orders.reduce((sum, order) => sum + order.subtotal, 0);
+  this.deliveryFee = orders.reduce((sum, order) => sum + order.deliveryFee, 0);
+  this.tax = orders.reduce((sum, order) => sum + order.tax, 0);
+  this.discount = orders.reduce((sum, order) => sum + (order.discount?.amount || 0), 0);
+  this.total = orders.reduce((sum, order) => sum + order.total, 0);
+  return this;
+};
+
+module.exports = mongoose.model('Checkout', checkoutSchema);
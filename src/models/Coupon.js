@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  // Platform coupons work at every shop, shop coupons only at their shop
+  scope: {
+    type: String,
+    enum: ['platform', 'shop'],
+    default: 'platform'
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: function() {
+      return this.scope === 'shop';
+    }
+  },
+
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_delivery'],
+    required: [true, 'Coupon type is required']
+  },
+  // Percent off or amount off; unused for free delivery
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Cap for percentage coupons
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minOrderAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Usage limits
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null // null = unlimited
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+
+  // Validity window
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes (code already has unique index from schema)
+couponSchema.index({ shop: 1, isActive: 1 });
+
+// Validate coupon type specific fields
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (!this.value || this.value > 100)) {
+    this.invalidate('value', 'Percentage coupons need a value between 1 and 100');
+  }
+  if (this.type === 'fixed' && !this.value) {
+    this.invalidate('value', 'Fixed coupons need an amount');
+  }
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Coupon must end after it starts');
+  }
+  next();
+});
+
+// Virtual for remaining global uses
+couponSchema.virtual('remainingUses').get(function() {
+  return this.usageLimit ? Math.max(this.usageLimit - this.usedCount, 0) : null;
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon on an order; released again if the order is cancelled
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop'
+  },
+  // Which of the user's uses of the coupon this is, from 1 to the coupon's perUserLimit
+  useNumber: {
+    type: Number,
+    min: 1
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['redeemed', 'released'],
+    default: 'redeemed'
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ order: 1 }, { unique: true });
+// A use number is held by one redemption at a time, so concurrent orders cannot exceed perUserLimit
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, useNumber: 1 },
+  { unique: true, partialFilterExpression: { status: 'redeemed', useNumber: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -1,4 +1,49 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { generateOrderNumber } = require('../utils/orderNumber');
+
+// A replacement the shop offers for a line it cannot supply; the customer accepts or rejects it.
+// Once accepted the line takes the substitute's product and price, and `replaced` keeps the original.
+const substitutionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  name: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  note: String,
+  status: {
+    type: String,
+    enum: ['proposed', 'accepted', 'rejected'],
+    default: 'proposed'
+  },
+  proposedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: Date,
+  replaced: {
+    product: mongoose.Schema.Types.ObjectId,
+    variant: mongoose.Schema.Types.ObjectId,
+    name: String,
+    price: Number,
+    quantity: Number
+  }
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -33,7 +78,27 @@ const orderItemSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Shop',
     required: true
-  }
+  },
+  // GST on this line after its share of item discounts, for invoicing
+  tax: {
+    hsnCode: String,
+    rate: Number,
+    inclusive: Boolean,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    amount: Number
+  },
+  // Fulfilment by the shop, see utils/orderChanges.js. Unavailable lines are kept for the
+  // record with a zero total; reduced lines remember what was ordered.
+  status: {
+    type: String,
+    enum: ['active', 'reduced', 'unavailable', 'substituted'],
+    default: 'active'
+  },
+  originalQuantity: Number,
+  substitution: substitutionSchema
 });
 
 const orderSchema = new mongoose.Schema({
@@ -52,6 +117,16 @@ const orderSchema = new mongoose.Schema({
     ref: 'Shop',
     required: true
   },
+  // Set when the order was placed as part of a multi-shop cart checkout
+  checkout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkout'
+  },
+  // Set on a free replacement sent for a returned line of another order
+  replacementFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
   
   // Order items
   items: [orderItemSchema],
@@ -72,14 +147,40 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // tax above is the GST added on top of prices; taxBreakdown also counts GST already
+  // inside inclusive prices
+  taxBreakdown: {
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    includedTax: Number
+  },
+  // amount is the total off the order: shop offer plus coupon
   discount: {
     amount: {
       type: Number,
       default: 0,
       min: 0
     },
+    offer: {
+      offerId: mongoose.Schema.Types.ObjectId,
+      title: String,
+      amount: Number
+    },
     code: String,
-    description: String
+    description: String,
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    couponAmount: Number,
+    // Part of the coupon taken off the delivery fee rather than the items
+    deliveryAmount: Number
   },
   total: {
     type: Number,
@@ -90,9 +191,19 @@ const orderSchema = new mongoose.Schema({
   // Order status
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled', 'refunded'],
+    enum: ['scheduled', 'pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled', 'refunded'],
     default: 'pending'
   },
+
+  // Booked slot for scheduled orders; the order stays 'scheduled' until releaseAt
+  schedule: {
+    slot: mongoose.Schema.Types.ObjectId,
+    date: String, // YYYY-MM-DD in the app timezone
+    startsAt: Date,
+    endsAt: Date,
+    releaseAt: Date,
+    releasedAt: Date
+  },
   
   // Status history
   statusHistory: [{
@@ -137,19 +248,103 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       min: 0
     },
+    // Delivery zone the address fell in, if any
+    zone: {
+      zoneId: mongoose.Schema.Types.ObjectId,
+      name: String
+    },
+    distance: Number, // km from the shop, when both sides have coordinates
+    // How the delivery fee was built, see utils/deliveryFee.js
+    feeBreakdown: {
+      baseFee: Number,
+      distanceFee: Number,
+      timeSurcharge: Number,
+      surgeMultiplier: Number,
+      freeDelivery: Boolean
+    },
     actualTime: Number,
     instructions: String,
     partner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    dispatch: {
+      status: {
+        type: String,
+        enum: ['offered', 'assigned', 'unassigned']
+      },
+      attempts: [{
+        partner: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        distance: Number,
+        round: {
+          type: Number,
+          default: 1
+        },
+        offeredAt: {
+          type: Date,
+          default: Date.now
+        },
+        respondedAt: Date,
+        response: {
+          type: String,
+          enum: ['pending', 'accepted', 'rejected', 'timeout']
+        },
+        reason: String
+      }],
+      assignedAt: Date
+    },
     tracking: {
       status: String,
       location: {
         latitude: Number,
         longitude: Number
       },
-      lastUpdated: Date
+      lastUpdated: Date,
+      // Latest live estimate while the order is out for delivery
+      eta: {
+        distance: Number, // km left to the delivery address
+        minutes: Number,
+        estimatedArrival: Date,
+        updatedAt: Date
+      },
+      // Most recent partner positions, oldest first (capped by config.tracking.maxTrailPoints)
+      trail: [{
+        _id: false,
+        latitude: Number,
+        longitude: Number,
+        recordedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }]
+    },
+    // Proof of delivery, kept for dispute handling
+    proof: {
+      otp: {
+        type: String,
+        select: false
+      },
+      otpGeneratedAt: Date,
+      otpAttempts: {
+        type: Number,
+        default: 0
+      },
+      otpVerifiedAt: Date,
+      photo: String,
+      signature: String,
+      recipientName: String,
+      location: {
+        latitude: Number,
+        longitude: Number
+      },
+      deliveredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      recordedAt: Date
     }
   },
   
@@ -165,12 +360,30 @@ const orderSchema = new mongoose.Schema({
       enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
       default: 'pending'
     },
-    transactionId: String,
+    gateway: {
+      type: String,
+      enum: ['razorpay', 'stripe', 'paytm', 'fake']
+    },
+    transactionId: String, // Gateway order / payment intent ID created at initiation
+    paymentId: String, // Gateway payment ID once captured
+    failureReason: String,
     paidAt: Date,
     refundedAt: Date,
+    refundId: String,
     refundAmount: {
       type: Number,
       default: 0
+    },
+    // How much the total was lowered after payment, for lines the shop dropped or
+    // substituted or the customer removed; the customer paid total + adjustedAmount
+    adjustedAmount: {
+      type: Number,
+      default: 0
+    },
+    // Ledger entry for the attempt currently in progress or captured
+    currentPayment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
     }
   },
   
@@ -195,7 +408,9 @@ const orderSchema = new mongoose.Schema({
     readyAt: Date,
     outForDeliveryAt: Date,
     deliveredAt: Date,
-    cancelledAt: Date
+    cancelledAt: Date,
+    refundedAt: Date,
+    escalatedAt: Date // shop reminded of an order it has not accepted
   },
   
   // Cancellation information
@@ -205,10 +420,14 @@ const orderSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Cancelled by the system, e.g. not accepted by the shop in time
+    automatic: Boolean,
     refundAmount: {
       type: Number,
       default: 0
-    }
+    },
+    refundId: String,
+    refundReason: String
   },
   
   // Rating and review
@@ -254,8 +473,12 @@ const orderSchema = new mongoose.Schema({
 // Indexes (orderNumber already has unique index from schema)
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ shop: 1, createdAt: -1 });
+orderSchema.index({ checkout: 1 }, { sparse: true });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'payment.gateway': 1, 'payment.transactionId': 1 });
+orderSchema.index({ 'delivery.partner': 1, status: 1 });
+orderSchema.index({ status: 1, 'schedule.releaseAt': 1 });
 orderSchema.index({ createdAt: -1 });
 
 // Virtual for order age
@@ -263,67 +486,38 @@ orderSchema.virtual('age').get(function() {
   return Date.now() - this.createdAt;
 });
 
-// Virtual for can cancel
+// Virtual for every payment attempt and refund recorded against the order
+orderSchema.virtual('payments', {
+  ref: 'Payment',
+  localField: '_id',
+  foreignField: 'order'
+});
+
+// Virtual for can cancel (status changes go through utils/orderLifecycle.js)
 orderSchema.virtual('canCancel').get(function() {
-  const cancelableStatuses = ['pending', 'confirmed', 'preparing'];
+  const cancelableStatuses = ['scheduled', 'pending', 'confirmed', 'preparing'];
   return cancelableStatuses.includes(this.status);
 });
 
+// Numbers to try before giving up on a free one
+const ORDER_NUMBER_ATTEMPTS = 5;
+
 // Generate order number before saving
 orderSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    const prefix = `KPM${year}${month}${day}`;
-    const lastOrder = await this.constructor.findOne({
-      orderNumber: new RegExp(`^${prefix}`)
-    }).sort({ orderNumber: -1 });
-    
-    let sequence = 1;
-    if (lastOrder) {
-      const lastSequence = parseInt(lastOrder.orderNumber.slice(-4));
-      sequence = lastSequence + 1;
-    }
-    
-    this.orderNumber = `${prefix}${String(sequence).padStart(4, '0')}`;
-  }
-  next();
-});
+  if (this.isNew && !this.orderNumber) {
+    let orderNumber = await generateOrderNumber(this.shop);
 
-// Update status history when status changes
-orderSchema.pre('save', function(next) {
-  if (this.isModified('status') && !this.isNew) {
-    this.statusHistory.push({
-      status: this.status,
-      timestamp: new Date()
-    });
-    
-    // Update timestamp based on status
-    switch (this.status) {
-      case 'confirmed':
-        this.timestamps.confirmedAt = new Date();
-        break;
-      case 'preparing':
-        this.timestamps.preparingAt = new Date();
-        break;
-      case 'ready':
-        this.timestamps.readyAt = new Date();
-        break;
-      case 'out_for_delivery':
-        this.timestamps.outForDeliveryAt = new Date();
-        break;
-      case 'delivered':
-        this.timestamps.deliveredAt = new Date();
-        this.payment.status = 'paid';
-        this.payment.paidAt = new Date();
-        break;
-      case 'cancelled':
-        this.timestamps.cancelledAt = new Date();
-        break;
+    // Numbers handed out before the counter existed can still be taken on that day
+    let attempts = 1;
+    while (await this.constructor.exists({ orderNumber })) {
+      if (attempts >= ORDER_NUMBER_ATTEMPTS) {
+        return next(new Error(`Could not generate a free order number after ${attempts} attempts`));
+      }
+      orderNumber = await generateOrderNumber(this.shop);
+      attempts++;
     }
+
+    this.orderNumber = orderNumber;
   }
   next();
 });
@@ -382,20 +576,38 @@ orderSchema.methods.canModify = function() {
   return modifiableStatuses.includes(this.status);
 };
 
-// Instance method to cancel order
-orderSchema.methods.cancelOrder = function(reason, cancelledBy) {
-  if (!this.canCancel) {
-    throw new Error('Order cannot be cancelled at this stage');
-  }
-  
-  this.status = 'cancelled';
-  this.cancellation = {
-    reason,
-    cancelledBy,
-    refundAmount: this.payment.status === 'paid' ? this.total : 0
+// Instance method to issue the handover OTP the customer shares with the delivery person
+orderSchema.methods.generateDeliveryOtp = function() {
+  const otp = String(crypto.randomInt(0, 10000)).padStart(4, '0');
+
+  this.delivery.proof = {
+    otp,
+    otpGeneratedAt: new Date(),
+    otpAttempts: 0
   };
-  
-  return this.save();
+
+  return otp;
+};
+
+// Instance method to check the handover OTP (requires delivery.proof.otp to be selected)
+orderSchema.methods.verifyDeliveryOtp = function(otp, maxAttempts) {
+  const proof = this.delivery.proof;
+
+  if (!proof?.otp) {
+    return true;
+  }
+
+  if (proof.otpAttempts >= maxAttempts) {
+    throw new Error('Too many incorrect delivery OTP attempts. Please contact support');
+  }
+
+  if (!otp || String(otp) !== proof.otp) {
+    proof.otpAttempts += 1;
+    return false;
+  }
+
+  proof.otpVerifiedAt = new Date();
+  return true;
 };
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// Raw gateway or client input received for a payment record
+const paymentEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['api', 'client', 'webhook', 'system'],
+    required: true
+  },
+  status: String,
+  payload: mongoose.Schema.Types.Mixed,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Share of a checkout payment that belongs to one of its orders
+const paymentAllocationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  // A payment belongs to one order, or to a multi-shop checkout split across its orders
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: function() {
+      return !this.checkout;
+    }
+  },
+  checkout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkout'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: function() {
+      return !this.checkout;
+    }
+  },
+  allocations: [paymentAllocationSchema],
+
+  // A charge attempt or a refund against a captured charge
+  kind: {
+    type: String,
+    enum: ['payment', 'refund'],
+    default: 'payment'
+  },
+  // Payment: initiated -> captured | failed | abandoned
+  // Refund:  pending -> processed | failed
+  status: {
+    type: String,
+    enum: ['initiated', 'pending', 'captured', 'processed', 'failed', 'abandoned'],
+    required: true
+  },
+
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'wallet', 'bank_transfer'],
+    required: true
+  },
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'stripe', 'paytm', 'fake']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  // Gateway references
+  transactionId: String,
+  paymentId: String,
+  refundId: String,
+
+  // Refunds point at the captured payment they reverse
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  reason: String,
+  failureReason: String,
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  capturedAt: Date,
+  processedAt: Date,
+  failedAt: Date,
+
+  events: [paymentEventSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+paymentSchema.index({ order: 1, createdAt: -1 });
+paymentSchema.index({ checkout: 1, createdAt: -1 }, { sparse: true });
+paymentSchema.index({ 'allocations.shop': 1 });
+paymentSchema.index({ customer: 1, createdAt: -1 });
+paymentSchema.index({ shop: 1, createdAt: -1 });
+paymentSchema.index({ gateway: 1, transactionId: 1 });
+paymentSchema.index({ gateway: 1, paymentId: 1 });
+paymentSchema.index({ gateway: 1, refundId: 1 });
+
+// Static method to find a ledger entry from the references a gateway sends back
+paymentSchema.statics.findByGatewayReference = function(gateway, { transactionId, paymentId, refundId, kind = 'payment' }) {
+  const references = [];
+  if (transactionId) references.push({ transactionId });
+  if (paymentId) references.push({ paymentId });
+  if (refundId) references.push({ refundId });
+
+  if (references.length === 0) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ gateway, kind, $or: references }).sort({ createdAt: -1 });
+};
+
+// Static method to record cash collected on delivery; safe to call more than once
+paymentSchema.statics.recordCashCollection = async function(order, collectedBy) {
+  const existing = await this.findOne({ order: order._id, kind: 'payment', method: 'cash', status: 'captured' });
+  if (existing) {
+    return existing;
+  }
+
+  return this.create({
+    order: order._id,
+    customer: order.customer._id || order.customer,
+    shop: order.shop._id || order.shop,
+    kind: 'payment',
+    status: 'captured',
+    method: 'cash',
+    amount: order.total,
+    currency: config.payments.currency,
+    initiatedBy: collectedBy,
+    capturedAt: order.payment.paidAt || new Date(),
+    events: [{
+      type: 'cash.collected',
+      source: 'system',
+      status: 'captured'
+    }]
+  });
+};
+
+// Checkout payments count towards a shop only with that shop's allocated share
+const scopeStages = (match) => {
+  if (!match.shop) {
+    return [{ $match: match }];
+  }
+
+  const { shop, ...rest } = match;
+
+  return [
+    { $match: { ...rest, $or: [{ shop }, { 'allocations.shop': shop }] } },
+    {
+      $addFields: {
+        amount: {
+          $cond: [
+            { $eq: ['$shop', shop] },
+            '$amount',
+            {
+              $sum: {
+                $map: {
+                  input: { $filter: { input: '$allocations', cond: { $eq: ['$$this.shop', shop] } } },
+                  in: '$$this.amount'
+                }
+              }
+            }
+          ]
+        }
+      }
+    }
+  ];
+};
+
+// Static method to get payment analytics from the ledger
+paymentSchema.statics.getAnalytics = async function(match = {}) {
+  const scope = scopeStages(match);
+
+  const [methodStats, statusStats, dailyTrends] = await Promise.all([
+    this.aggregate([
+      ...scope,
+      {
+        $group: {
+          _id: '$method',
+          attempts: { $sum: { $cond: [{ $eq: ['$kind', 'payment'] }, 1, 0] } },
+          capturedPayments: {
+            $sum: { $cond: [{ $eq: ['$status', 'captured'] }, 1, 0] }
+          },
+          capturedAmount: {
+            $sum: { $cond: [{ $eq: ['$status', 'captured'] }, '$amount', 0] }
+          },
+          failedPayments: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$kind', 'payment'] }, { $eq: ['$status', 'failed'] }] }, 1, 0] }
+          },
+          refundedAmount: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$kind', 'refund'] }, { $eq: ['$status', 'processed'] }] }, '$amount', 0] }
+          }
+        }
+      },
+      {
+        $addFields: {
+          netAmount: { $subtract: ['$capturedAmount', '$refundedAmount'] },
+          successRate: {
+            $cond: [
+              { $gt: ['$attempts', 0] },
+              { $round: [{ $multiply: [{ $divide: ['$capturedPayments', '$attempts'] }, 100] }, 2] },
+              0
+            ]
+          }
+        }
+      },
+      { $sort: { capturedAmount: -1 } }
+    ]),
+    this.aggregate([
+      ...scope,
+      {
+        $group: {
+          _id: { kind: '$kind', status: '$status' },
+          count: { $sum: 1 },
+          totalAmount: { $sum: '$amount' }
+        }
+      },
+      { $sort: { '_id.kind': 1, '_id.status': 1 } }
+    ]),
+    this.aggregate([
+      ...scope,
+      { $match: { status: { $in: ['captured', 'processed'] } } },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: '%Y-%m-%d',
+              date: { $ifNull: ['$capturedAt', { $ifNull: ['$processedAt', '$createdAt'] }] },
+              timezone: config.timezone
+            }
+          },
+          totalPayments: { $sum: { $cond: [{ $eq: ['$kind', 'payment'] }, 1, 0] } },
+          totalAmount: { $sum: { $cond: [{ $eq: ['$kind', 'payment'] }, '$amount', 0] } },
+          refundedAmount: { $sum: { $cond: [{ $eq: ['$kind', 'refund'] }, '$amount', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  return { methodStats, statusStats, dailyTrends };
+};
+
+// Instance method to append a gateway/client event
+paymentSchema.methods.addEvent = function(type, source, payload, status = this.status) {
+  this.events.push({ type, source, status, payload });
+  return this;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
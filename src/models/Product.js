@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GST_RATES, isGstRate } = require('../utils/tax');
 
 const variantSchema = new mongoose.Schema({
   name: {
@@ -231,7 +232,23 @@ const productSchema = new mongoose.Schema({
       default: 0
     }
   },
-  
+
+  // GST; unset fields fall back to the category, then to the TAX_* defaults
+  tax: {
+    rate: {
+      type: Number,
+      validate: {
+        validator: isGstRate,
+        message: `Tax rate must be one of the GST rates: ${GST_RATES.join(', ')}`
+      }
+    },
+    inclusive: Boolean,
+    hsnCode: {
+      type: String,
+      trim: true
+    }
+  },
+
   // Tags
   tags: [String],
   
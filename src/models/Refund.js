@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Order lines a refund is for, when it is not for the whole order
+const refundItemSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  amount: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// A refund for an order from request to payout, see utils/refunds.js.
+// requested -> approved | rejected, approved -> processed | failed, failed -> approved (retry)
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // full when it covers everything still refundable on the order
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  items: [refundItemSchema],
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  // Back through the payment method the order was paid with, or as credit on the customer's wallet
+  destination: {
+    type: String,
+    enum: ['original', 'wallet'],
+    default: 'original'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'processed', 'failed'],
+    default: 'requested'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Who asked: the customer, the shop, an admin, or the system (cancellations)
+  source: {
+    type: String,
+    enum: ['customer', 'shop_owner', 'admin', 'system'],
+    required: true
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String,
+
+  // Ledger entry that moved the money
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refundId: String,
+  processedAt: Date,
+  failedAt: Date,
+  failureReason: String,
+
+  history: [{
+    _id: false,
+    status: String,
+    note: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+refundSchema.index({ order: 1, createdAt: -1 });
+refundSchema.index({ shop: 1, status: 1 });
+refundSchema.index({ customer: 1, createdAt: -1 });
+refundSchema.index({ payment: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Refund', refundSchema);
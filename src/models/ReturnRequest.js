@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// A customer's return or replacement of one delivered order line, see utils/returns.js.
+// requested -> approved | rejected | cancelled, approved -> pickup_scheduled | completed,
+// pickup_scheduled -> picked_up -> completed
+const returnRequestSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+
+  // The order line and how many of it go back
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // return: money back; replacement: the same item sent again at no charge
+  type: {
+    type: String,
+    enum: ['return', 'replacement'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['damaged', 'wrong_item', 'missing_parts', 'expired', 'poor_quality', 'other'],
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  photos: [String],
+
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'cancelled', 'pickup_scheduled', 'picked_up', 'completed'],
+    default: 'requested'
+  },
+
+  // Collecting the item from the customer, when the shop wants it back
+  pickup: {
+    isRequired: {
+      type: Boolean,
+      default: false
+    },
+    partner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    scheduledFor: Date,
+    assignedAt: Date,
+    pickedUpAt: Date,
+    restocked: Boolean // the item went back into the shop's stock
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String,
+
+  // Outcome
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  replacementOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  completedAt: Date,
+
+  history: [{
+    _id: false,
+    status: String,
+    note: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+returnRequestSchema.index({ order: 1, item: 1 });
+returnRequestSchema.index({ shop: 1, status: 1, createdAt: -1 });
+returnRequestSchema.index({ customer: 1, createdAt: -1 });
+returnRequestSchema.index({ 'pickup.partner': 1, status: 1 });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
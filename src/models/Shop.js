@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const { isValidTimezone, isOpenAt, getOpeningStatus } = require('../utils/shopHours');
+
+// A closeTime at or before the openTime runs past midnight
+const openingIntervalSchema = new mongoose.Schema({
+  openTime: {
+    type: String,
+    required: true,
+    match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide valid time format (HH:MM)']
+  },
+  closeTime: {
+    type: String,
+    required: true,
+    match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide valid time format (HH:MM)']
+  }
+}, { _id: false });
 
 const businessHoursSchema = new mongoose.Schema({
   day: {
@@ -17,7 +32,9 @@ const businessHoursSchema = new mongoose.Schema({
   closeTime: {
     type: String,
     match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide valid time format (HH:MM)']
-  }
+  },
+  // Split shifts; when set these replace openTime/closeTime
+  intervals: [openingIntervalSchema]
 });
 
 const deliveryZoneSchema = new mongoose.Schema({
@@ -56,6 +73,43 @@ const deliveryZoneSchema = new mongoose.Schema({
   }
 });
 
+// Weekly slot customers can book for a scheduled order
+const deliverySlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  day: {
+    type: String,
+    required: true,
+    enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide time as HH:MM']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide time as HH:MM']
+  },
+  type: {
+    type: String,
+    enum: ['delivery', 'pickup', 'both'],
+    default: 'both'
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const shopSchema = new mongoose.Schema({
   owner: {
     type: mongoose.Schema.Types.ObjectId,
@@ -73,6 +127,15 @@ const shopSchema = new mongoose.Schema({
     unique: true,
     lowercase: true
   },
+  // Shown in order numbers when ORDER_NUMBER_FORMAT contains {shop}
+  orderPrefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true,
+    match: [/^[A-Z0-9]{2,6}$/, 'Order prefix must be 2-6 letters or digits']
+  },
   description: {
     type: String,
     trim: true,
@@ -171,12 +234,23 @@ const shopSchema = new mongoose.Schema({
     }
   },
   
-  // Business Hours
+  // Business Hours, on the clock of the shop's timezone (config.timezone when unset)
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Please provide a valid IANA timezone (e.g. Asia/Kolkata)'
+    }
+  },
   businessHours: [businessHoursSchema],
 
   // Delivery Zones
   deliveryZones: [deliveryZoneSchema],
 
+  // Slots for scheduled orders
+  deliverySlots: [deliverySlotSchema],
+
   // Operational Settings
   settings: {
     // General Settings
@@ -218,6 +292,25 @@ const shopSchema = new mongoose.Schema({
       type: Date,
       default: null
     },
+    // Minutes a pending order waits before the shop is reminded / the order is cancelled;
+    // null uses the app default, 0 never
+    pendingEscalationMinutes: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    pendingTimeoutMinutes: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    // Days after delivery customers can ask for a return or replacement; null uses the app
+    // default, 0 takes no returns
+    returnWindowDays: {
+      type: Number,
+      default: null,
+      min: 0
+    },
 
     // Delivery Settings
     deliveryFee: {
@@ -229,6 +322,67 @@ const shopSchema = new mongoose.Schema({
       type: Number,
       default: null
     },
+    // Extra charges on top of the base fee (deliveryFee, or the zone's fee), see utils/deliveryFee.js
+    deliveryFeeRules: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      includedDistanceKm: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      distanceSlabs: [{
+        _id: false,
+        uptoKm: {
+          type: Number,
+          min: 0
+        },
+        perKm: {
+          type: Number,
+          required: true,
+          min: 0
+        }
+      }],
+      timeSurcharges: [{
+        _id: false,
+        name: String,
+        startTime: {
+          type: String,
+          required: true,
+          match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide time as HH:MM']
+        },
+        endTime: {
+          type: String,
+          required: true,
+          match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide time as HH:MM']
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0
+        }
+      }],
+      surge: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        thresholdPercent: {
+          type: Number,
+          default: 80,
+          min: 1,
+          max: 100
+        },
+        multiplier: {
+          type: Number,
+          default: 1.5,
+          min: 1,
+          max: 5
+        }
+      }
+    },
     serviceRadius: {
       type: Number,
       default: 5,
@@ -390,19 +544,73 @@ shopSchema.pre('save', function(next) {
   next();
 });
 
-// Check if shop is currently open
-shopSchema.methods.isCurrentlyOpen = function() {
-  const now = new Date();
-  const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-  const currentTime = now.toTimeString().slice(0, 5);
+// Check if shop is currently open (business hours and holidays, see utils/shopHours)
+shopSchema.methods.isCurrentlyOpen = function(at = new Date()) {
+  return isOpenAt(this, at);
+};
+
+// { isOpen, closesAt, nextOpeningAt }
+shopSchema.methods.getOpeningStatus = function(at = new Date()) {
+  return getOpeningStatus(this, at);
+};
+
+// Best active offer for an items subtotal; returns { offer, amount } or null
+shopSchema.methods.getBestOffer = function(subtotal, at = new Date()) {
+  let best = null;
 
-  const todayHours = this.businessHours.find(h => h.day === currentDay);
+  for (const offer of this.offers || []) {
+    if (!offer.isActive || !offer.discountValue) continue;
+    if (offer.validFrom && offer.validFrom > at) continue;
+    if (offer.validUntil && offer.validUntil < at) continue;
+    if (offer.minimumOrderAmount && subtotal < offer.minimumOrderAmount) continue;
 
-  if (!todayHours || !todayHours.isOpen) {
-    return false;
+    let amount = 0;
+    if (offer.discountType === 'percentage') {
+      amount = subtotal * Math.min(offer.discountValue, 100) / 100;
+    } else if (offer.discountType === 'fixed') {
+      amount = Math.min(offer.discountValue, subtotal);
+    }
+    amount = Math.round(amount * 100) / 100;
+
+    if (amount > 0 && (!best || amount > best.amount)) {
+      best = { offer, amount };
+    }
   }
 
-  return currentTime >= todayHours.openTime && currentTime <= todayHours.closeTime;
+  return best;
+};
+
+// Active delivery zone covering an address: pincode zones first, then area zones,
+// then the smallest radius that reaches it. Returns { zone, distance } where zone may be null
+// and distance (km) is null when either side has no coordinates.
+shopSchema.methods.findDeliveryZone = function(address) {
+  const shopCoordinates = this.address?.coordinates;
+  const coordinates = address?.coordinates;
+  const distance = shopCoordinates?.latitude != null && coordinates?.latitude != null
+    ? this.calculateDistance(coordinates.latitude, coordinates.longitude)
+    : null;
+
+  const zones = (this.deliveryZones || []).filter(zone => zone.isActive);
+  const addressText = [address?.addressLine1, address?.addressLine2, address?.landmark, address?.city]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  const pincodeZone = zones.find(zone => zone.type === 'pincode' && zone.value.trim() === String(address?.pincode || '').trim());
+  if (pincodeZone) {
+    return { zone: pincodeZone, distance };
+  }
+
+  const areaZone = zones.find(zone => zone.type === 'area' && addressText.includes(zone.value.trim().toLowerCase()));
+  if (areaZone) {
+    return { zone: areaZone, distance };
+  }
+
+  const radiusZone = distance === null ? null : zones
+    .filter(zone => zone.type === 'radius' && distance <= parseFloat(zone.value))
+    .sort((a, b) => parseFloat(a.value) - parseFloat(b.value))[0];
+
+  return { zone: radiusZone || null, distance };
 };
 
 // Calculate distance from coordinates
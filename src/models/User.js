@@ -108,6 +108,47 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Store credit from refunds paid to the wallet instead of the original payment method
+  wallet: {
+    balance: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+
+  // Delivery partner profile (only used when role is delivery_partner)
+  deliveryProfile: {
+    isOnShift: {
+      type: Boolean,
+      default: false
+    },
+    shiftStartedAt: Date,
+    shiftEndedAt: Date,
+    isAvailable: {
+      type: Boolean,
+      default: true
+    },
+    vehicleType: {
+      type: String,
+      enum: ['bicycle', 'scooter', 'motorcycle', 'car'],
+      default: 'motorcycle'
+    },
+    currentLocation: {
+      latitude: {
+        type: Number,
+        min: [-90, 'Latitude must be between -90 and 90'],
+        max: [90, 'Latitude must be between -90 and 90']
+      },
+      longitude: {
+        type: Number,
+        min: [-180, 'Longitude must be between -180 and 180'],
+        max: [180, 'Longitude must be between -180 and 180']
+      },
+      updatedAt: Date
+    }
+  },
+
   // Social login
   googleId: String,
   facebookId: String,
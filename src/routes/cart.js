@@ -8,9 +8,15 @@ const {
   validateCart,
   getCartSummary,
   mergeCart,
-  getCartByShop
+  getCartByShop,
+  validateCartCoupon,
+  applyCartCoupon,
+  removeCartCoupon,
+  checkoutCart
 } = require('../controllers/cartController');
 const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validate, schemas } = require('../utils/validation');
 
 const router = express.Router();
 
@@ -171,9 +177,22 @@ router.get('/summary', getCartSummary);
  * /api/cart/validate:
  *   get:
  *     summary: Validate cart items (check availability and prices)
+ *     description: Also reports whether each shop in the cart can take its order right now.
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: deliveryType
+ *         schema:
+ *           type: string
+ *           enum: [delivery, pickup]
+ *           default: delivery
+ *       - in: query
+ *         name: address
+ *         schema:
+ *           type: string
+ *         description: Saved address ID, to check the shops deliver there
  *     responses:
  *       200:
  *         description: Cart validated successfully
@@ -191,8 +210,30 @@ router.get('/summary', getCartSummary);
  *                   properties:
  *                     hasChanges:
  *                       type: boolean
+ *                     canCheckout:
+ *                       type: boolean
+ *                       description: At least one shop can take its order
+ *                     shops:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           shop:
+ *                             type: string
+ *                           businessName:
+ *                             type: string
+ *                           subtotal:
+ *                             type: number
+ *                           eligible:
+ *                             type: boolean
+ *                           reasons:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/OrderEligibilityReason'
  *                     cart:
  *                       $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid delivery address
  */
 router.get('/validate', validateCart);
 
@@ -228,6 +269,19 @@ router.get('/validate', validateCart);
  *                             type: array
  *                           subtotal:
  *                             type: number
+ *                           offer:
+ *                             type: object
+ *                             nullable: true
+ *                             description: Best running shop offer, applied automatically at checkout
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               description:
+ *                                 type: string
+ *                           discount:
+ *                             type: number
  *                           deliveryFee:
  *                             type: number
  *                           total:
@@ -238,6 +292,8 @@ router.get('/validate', validateCart);
  *                       type: number
  *                     overallSubtotal:
  *                       type: number
+ *                     totalDiscount:
+ *                       type: number
  *                     totalDeliveryFees:
  *                       type: number
  */
@@ -382,4 +438,223 @@ router.route('/items/:productId')
  */
 router.post('/merge', mergeCart);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CartCouponPreview:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_delivery]
+ *         shop:
+ *           type: object
+ *           description: Shop whose order the coupon goes on (the one it saves the most at)
+ *           properties:
+ *             _id:
+ *               type: string
+ *             businessName:
+ *               type: string
+ *         discount:
+ *           type: number
+ *         itemDiscount:
+ *           type: number
+ *         deliveryDiscount:
+ *           type: number
+ *
+ * /api/cart/coupon/validate:
+ *   post:
+ *     summary: Check a coupon against the cart without applying it
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Coupon is valid for the cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coupon:
+ *                       $ref: '#/components/schemas/CartCouponPreview'
+ *       400:
+ *         description: Coupon invalid, expired, used up or not eligible for this cart
+ */
+router.post('/coupon/validate', validateCartCoupon);
+
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   post:
+ *     summary: Apply a coupon to the cart
+ *     description: The coupon is checked again and redeemed at checkout.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Coupon applied to cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coupon:
+ *                       $ref: '#/components/schemas/CartCouponPreview'
+ *       400:
+ *         description: Coupon invalid, expired, used up or not eligible for this cart
+ *   delete:
+ *     summary: Remove the coupon from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon removed from cart
+ */
+router.route('/coupon')
+  .post(applyCartCoupon)
+  .delete(removeCartCoupon);
+
+/**
+ * @swagger
+ * /api/cart/checkout:
+ *   post:
+ *     summary: Checkout the whole cart as one order per shop with a single payment
+ *     description: Shops that cannot take their part (closed, below minimum order, at capacity, out of stock) are skipped and their items stay in the cart. Pay online for all orders at once with POST /api/payments/initiate and the returned checkout ID.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - delivery
+ *               - payment
+ *             properties:
+ *               delivery:
+ *                 type: object
+ *                 required:
+ *                   - type
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [pickup, delivery]
+ *                   address:
+ *                     type: string
+ *                     description: Address ID (required if type is delivery)
+ *                   instructions:
+ *                     type: string
+ *               payment:
+ *                 type: object
+ *                 required:
+ *                   - method
+ *                 properties:
+ *                   method:
+ *                     type: string
+ *                     enum: [cash, card, upi, wallet, bank_transfer]
+ *               couponCode:
+ *                 type: string
+ *                 description: Coupon to use; defaults to the one applied to the cart
+ *               customerNotes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Orders placed for at least one shop
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     checkout:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         checkoutNumber:
+ *                           type: string
+ *                         orders:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         total:
+ *                           type: number
+ *                         payment:
+ *                           type: object
+ *                     orders:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OrderResponse'
+ *                     skippedShops:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           shop:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *                     requiresOnlinePayment:
+ *                       type: boolean
+ *       400:
+ *         description: Empty cart, invalid address, ineligible coupon, or no shop could take the order
+ *       409:
+ *         description: Idempotency-Key reused with a different body or still being processed
+ */
+router.post('/checkout', idempotent, validate(schemas.checkout), checkoutCart);
+
 module.exports = router;
@@ -50,6 +50,20 @@ const router = express.Router();
  *         sortOrder:
  *           type: number
  *           default: 0
+ *         tax:
+ *           type: object
+ *           description: GST settings for products in this category that set none themselves
+ *           properties:
+ *             rate:
+ *               type: number
+ *               enum: [0, 0.25, 3, 5, 12, 18, 28, 40]
+ *               description: GST rate in percent
+ *             inclusive:
+ *               type: boolean
+ *               description: Whether the price already includes GST
+ *             hsnCode:
+ *               type: string
+ *               description: HSN code printed on invoices
  *         attributes:
  *           type: array
  *           items:
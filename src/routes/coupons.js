@@ -0,0 +1,221 @@
+const express = require('express');
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       required:
+ *         - code
+ *         - type
+ *       properties:
+ *         code:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9_-]{3,30}$'
+ *           description: Code customers enter; stored in upper case
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *         scope:
+ *           type: string
+ *           enum: [platform, shop]
+ *           default: platform
+ *           description: Platform coupons work at every shop. Shop owners always create shop coupons for their own shop.
+ *         shop:
+ *           type: string
+ *           description: Shop ID (admins only, required for shop scope)
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_delivery]
+ *         value:
+ *           type: number
+ *           description: Percent off (1-100) or amount off; not used for free_delivery
+ *         maxDiscount:
+ *           type: number
+ *           description: Cap for percentage coupons
+ *         minOrderAmount:
+ *           type: number
+ *           default: 0
+ *           description: Minimum shop order subtotal
+ *         usageLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Total uses across all customers (null for unlimited)
+ *         perUserLimit:
+ *           type: integer
+ *           default: 1
+ *         firstOrderOnly:
+ *           type: boolean
+ *           default: false
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *       example:
+ *         code: WELCOME50
+ *         description: 50% off your first order, up to ₹100
+ *         type: percentage
+ *         value: 50
+ *         maxDiscount: 100
+ *         minOrderAmount: 199
+ *         firstOrderOnly: true
+ *         validUntil: 2026-12-31T23:59:59.000Z
+ */
+
+// All coupon management routes are for admins and shop owners
+router.use(protect);
+router.use(authorize('admin', 'shop_owner'));
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: List coupons (shop owners see their shop's coupons)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [platform, shop]
+ *         description: Filter by scope (admin only)
+ *       - in: query
+ *         name: shop
+ *         schema:
+ *           type: string
+ *         description: Filter by shop ID (admin only)
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ *       403:
+ *         description: Not authorized
+ *   post:
+ *     summary: Create a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *       400:
+ *         description: Validation error or code already in use
+ *       403:
+ *         description: Not authorized
+ */
+router.route('/')
+  .get(getCoupons)
+  .post(validate(schemas.coupon), createCoupon);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get a coupon with its latest redemptions
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon retrieved successfully
+ *       403:
+ *         description: Not authorized to view this coupon
+ *       404:
+ *         description: Coupon not found
+ *   put:
+ *     summary: Update a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *       400:
+ *         description: Validation error or code change on a used coupon
+ *       403:
+ *         description: Not authorized to update this coupon
+ *       404:
+ *         description: Coupon not found
+ *   delete:
+ *     summary: Delete an unused coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted successfully
+ *       400:
+ *         description: Coupon has been used; deactivate it instead
+ *       403:
+ *         description: Not authorized to delete this coupon
+ *       404:
+ *         description: Coupon not found
+ */
+router.route('/:id')
+  .get(getCoupon)
+  .put(validate(schemas.coupon), updateCoupon)
+  .delete(deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,402 @@
+const express = require('express');
+const {
+  getShiftStatus,
+  startShift,
+  endShift,
+  updateAvailability,
+  getActiveOrders,
+  getDeliveryHistory,
+  acceptOffer,
+  rejectOffer,
+  markPickedUp,
+  markDelivered,
+  getEarnings
+} = require('../controllers/deliveryController');
+const { uploadDeliveryProof } = require('../controllers/orderController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeliveryShift:
+ *       type: object
+ *       properties:
+ *         isOnShift:
+ *           type: boolean
+ *           description: Whether the partner is currently on shift
+ *         isAvailable:
+ *           type: boolean
+ *           description: Whether the partner accepts new delivery offers
+ *         shiftStartedAt:
+ *           type: string
+ *           format: date-time
+ *         shiftEndedAt:
+ *           type: string
+ *           format: date-time
+ *         vehicleType:
+ *           type: string
+ *           enum: [bicycle, scooter, motorcycle, car]
+ *         currentLocation:
+ *           type: object
+ *           properties:
+ *             latitude:
+ *               type: number
+ *             longitude:
+ *               type: number
+ *             updatedAt:
+ *               type: string
+ *               format: date-time
+ *
+ *     DailyEarnings:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           example: '2024-01-15'
+ *         deliveries:
+ *           type: integer
+ *         basePay:
+ *           type: number
+ *           description: Fixed pay per delivered order
+ *         feeShare:
+ *           type: number
+ *           description: Partner share of delivery fees
+ *         earnings:
+ *           type: number
+ */
+
+// All delivery routes require an authenticated delivery partner
+router.use(protect);
+router.use(authorize('delivery_partner'));
+
+/**
+ * @swagger
+ * /api/delivery/shift:
+ *   get:
+ *     summary: Get current shift status
+ *     tags: [Delivery]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shift status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shift:
+ *                       $ref: '#/components/schemas/DeliveryShift'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Only delivery partners can access this route
+ */
+router.get('/shift', getShiftStatus);
+
+/**
+ * @swagger
+ * /api/delivery/shift/start:
+ *   post:
+ *     summary: Start shift and go online for delivery offers
+ *     tags: [Delivery]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               vehicleType:
+ *                 type: string
+ *                 enum: [bicycle, scooter, motorcycle, car]
+ *     responses:
+ *       200:
+ *         description: Shift started successfully
+ *       400:
+ *         description: Shift already started
+ */
+router.post('/shift/start', startShift);
+
+/**
+ * @swagger
+ * /api/delivery/shift/end:
+ *   post:
+ *     summary: End shift and go offline
+ *     tags: [Delivery]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shift ended successfully
+ *       400:
+ *         description: No active shift or deliveries still in progress
+ */
+router.post('/shift/end', endShift);
+
+/**
+ * @swagger
+ * /api/delivery/availability:
+ *   put:
+ *     summary: Pause or resume new delivery offers during a shift
+ *     tags: [Delivery]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isAvailable
+ *             properties:
+ *               isAvailable:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Availability updated successfully
+ *       400:
+ *         description: Invalid value or not on shift
+ */
+router.put('/availability', updateAvailability);
+
+/**
+ * @swagger
+ * /api/delivery/orders/active:
+ *   get:
+ *     summary: Get orders currently assigned to the delivery partner
+ *     tags: [Delivery]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active orders retrieved successfully
+ */
+router.get('/orders/active', getActiveOrders);
+
+/**
+ * @swagger
+ * /api/delivery/orders:
+ *   get:
+ *     summary: Get past and present orders assigned to the delivery partner
+ *     tags: [Delivery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ready, out_for_delivery, delivered, cancelled]
+ *     responses:
+ *       200:
+ *         description: Delivery history retrieved successfully
+ */
+router.get('/orders', getDeliveryHistory);
+
+/**
+ * @swagger
+ * /api/delivery/orders/{id}/accept:
+ *   post:
+ *     summary: Accept a pending delivery offer
+ *     description: Same as emitting the `delivery:accept` socket event.
+ *     tags: [Delivery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Delivery accepted and assigned
+ *       400:
+ *         description: No pending offer or order no longer available
+ */
+router.post('/orders/:id/accept', acceptOffer);
+
+/**
+ * @swagger
+ * /api/delivery/orders/{id}/reject:
+ *   post:
+ *     summary: Reject a pending delivery offer
+ *     description: Same as emitting the `delivery:reject` socket event. The order is offered to the next candidate.
+ *     tags: [Delivery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Offer rejected
+ *       400:
+ *         description: No pending offer for this order
+ */
+router.post('/orders/:id/reject', rejectOffer);
+
+/**
+ * @swagger
+ * /api/delivery/orders/{id}/pickup:
+ *   put:
+ *     summary: Mark an assigned order as picked up (ready → out_for_delivery)
+ *     tags: [Delivery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order marked as out for delivery
+ *       400:
+ *         description: Invalid status transition
+ *       403:
+ *         description: Order is not assigned to this partner
+ */
+router.put('/orders/:id/pickup', markPickedUp);
+
+/**
+ * @swagger
+ * /api/delivery/orders/{id}/deliver:
+ *   put:
+ *     summary: Mark an assigned order as delivered (out_for_delivery → delivered)
+ *     description: Requires the OTP shown to the customer. A photo and signature image can be attached as proof of delivery.
+ *     tags: [Delivery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - otp
+ *             properties:
+ *               otp:
+ *                 type: string
+ *               recipientName:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Order marked as delivered
+ *       400:
+ *         description: Invalid status transition or delivery OTP
+ *       403:
+ *         description: Order is not assigned to this partner
+ */
+router.put('/orders/:id/deliver', uploadDeliveryProof, markDelivered);
+
+/**
+ * @swagger
+ * /api/delivery/earnings:
+ *   get:
+ *     summary: Get per-day earnings computed from delivered orders
+ *     tags: [Delivery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day, in APP_TIMEZONE (defaults to 6 days before endDate)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day, in APP_TIMEZONE (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Earnings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       type: object
+ *                     daily:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DailyEarnings'
+ *       400:
+ *         description: Invalid date range
+ */
+router.get('/earnings', getEarnings);
+
+module.exports = router;
@@ -64,6 +64,9 @@ const router = express.Router();
  *         longitude:
  *           type: number
  *           description: Customer longitude
+ *         pincode:
+ *           type: string
+ *           description: Customer pincode, to match the shop's pincode delivery zones
  */
 
 /**
@@ -412,6 +415,12 @@ router.get('/pincode/:pincode', getPincodeDetails);
  *                           type: number
  *                         fee:
  *                           type: number
+ *                         minimumOrderAmount:
+ *                           type: number
+ *                         zone:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Delivery zone the location falls in
  *                         reason:
  *                           type: string
  *       400:
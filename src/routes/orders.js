@@ -3,13 +3,31 @@ const {
   createOrder,
   getOrders,
   getOrder,
+  getOrderTracking,
   updateOrderStatus,
+  uploadDeliveryProof,
   cancelOrder,
+  updateOrderItems,
+  updateItemFulfilment,
+  proposeItemSubstitute,
+  respondToItemSubstitute,
   addOrderReview,
   getOrderAnalytics,
   reorder
 } = require('../controllers/orderController');
+const { getOrderRefunds, requestRefund, reviewRefund } = require('../controllers/refundController');
+const {
+  uploadReturnPhotos,
+  getReturns,
+  getOrderReturns,
+  createReturnRequest,
+  reviewReturnRequest,
+  assignReturnPickup,
+  markReturnPickedUp,
+  cancelReturnRequest
+} = require('../controllers/returnController');
 const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { validate, schemas } = require('../utils/validation');
 
 const router = express.Router();
@@ -72,6 +90,21 @@ const router = express.Router();
  *             method:
  *               type: string
  *               enum: [cash, card, upi, wallet, bank_transfer]
+ *         couponCode:
+ *           type: string
+ *           maxLength: 30
+ *           description: Coupon to apply (optional)
+ *         schedule:
+ *           type: object
+ *           description: Book one of the shop's delivery slots instead of ordering for now (optional)
+ *           properties:
+ *             slot:
+ *               type: string
+ *               description: Delivery slot ID (see GET /api/shops/{id}/slots)
+ *             date:
+ *               type: string
+ *               example: "2024-06-01"
+ *               description: Date of the slot (YYYY-MM-DD)
  *         customerNotes:
  *           type: string
  *           maxLength: 500
@@ -111,7 +144,65 @@ const router = express.Router();
  *           description: Quantity ordered
  *         total:
  *           type: number
- *           description: Total price for this item
+ *           description: Total price for this item (0 once unavailable)
+ *         status:
+ *           type: string
+ *           enum: [active, reduced, unavailable, substituted]
+ *           description: How the shop fulfilled the line
+ *         originalQuantity:
+ *           type: integer
+ *           description: Quantity ordered before the shop reduced or dropped the line
+ *         substitution:
+ *           $ref: '#/components/schemas/ItemSubstitution'
+ *         tax:
+ *           type: object
+ *           description: GST on this line after its share of item discounts
+ *           properties:
+ *             hsnCode:
+ *               type: string
+ *             rate:
+ *               type: number
+ *             inclusive:
+ *               type: boolean
+ *             taxableValue:
+ *               type: number
+ *             cgst:
+ *               type: number
+ *             sgst:
+ *               type: number
+ *             igst:
+ *               type: number
+ *             amount:
+ *               type: number
+ * 
+ *     ItemSubstitution:
+ *       type: object
+ *       description: Substitute the shop offered for a line
+ *       properties:
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *         name:
+ *           type: string
+ *         price:
+ *           type: number
+ *         quantity:
+ *           type: integer
+ *         note:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [proposed, accepted, rejected]
+ *         proposedAt:
+ *           type: string
+ *           format: date-time
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *         replaced:
+ *           type: object
+ *           description: The original line, once the substitute is accepted
  * 
  *     OrderResponse:
  *       type: object
@@ -137,15 +228,54 @@ const router = express.Router();
  *           description: Delivery fee
  *         tax:
  *           type: number
- *           description: Tax amount
+ *           description: GST added on top of the prices
+ *         taxBreakdown:
+ *           type: object
+ *           description: CGST and SGST within the shop's state (and for pickup), IGST across states
+ *           properties:
+ *             supplyType:
+ *               type: string
+ *               enum: [intra_state, inter_state]
+ *             cgst:
+ *               type: number
+ *             sgst:
+ *               type: number
+ *             igst:
+ *               type: number
+ *             totalTax:
+ *               type: number
+ *             includedTax:
+ *               type: number
+ *               description: GST already inside tax-inclusive prices
+ *         discount:
+ *           type: object
+ *           properties:
+ *             amount:
+ *               type: number
+ *               description: Total discount (shop offer plus coupon)
+ *             offer:
+ *               type: object
+ *               description: Shop offer applied automatically
+ *               properties:
+ *                 title:
+ *                   type: string
+ *                 amount:
+ *                   type: number
+ *             couponAmount:
+ *               type: number
+ *             code:
+ *               type: string
+ *             description:
+ *               type: string
  *         total:
  *           type: number
  *           description: Total order amount
  *         status:
  *           type: string
- *           enum: [pending, confirmed, preparing, ready, out_for_delivery, delivered, cancelled, refunded]
+ *           enum: [scheduled, pending, confirmed, preparing, ready, out_for_delivery, delivered, cancelled, refunded]
  *         delivery:
  *           type: object
+ *           description: Includes the matched delivery zone and distance for delivery orders
  *         payment:
  *           type: object
  *         timestamps:
@@ -156,6 +286,65 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     ReturnRequest:
+ *       type: object
+ *       description: |
+ *         Return or replacement of a delivered order line. requested -> approved | rejected | cancelled,
+ *         approved -> pickup_scheduled | completed, pickup_scheduled -> picked_up -> completed.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         item:
+ *           type: string
+ *           description: Order item ID
+ *         name:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [return, replacement]
+ *           description: return is refunded, replacement sends the item again as a free order
+ *         reason:
+ *           type: string
+ *           enum: [damaged, wrong_item, missing_parts, expired, poor_quality, other]
+ *         description:
+ *           type: string
+ *         photos:
+ *           type: array
+ *           items:
+ *             type: string
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, rejected, cancelled, pickup_scheduled, picked_up, completed]
+ *         pickup:
+ *           type: object
+ *           properties:
+ *             isRequired:
+ *               type: boolean
+ *             partner:
+ *               type: string
+ *             scheduledFor:
+ *               type: string
+ *               format: date-time
+ *             pickedUpAt:
+ *               type: string
+ *               format: date-time
+ *             restocked:
+ *               type: boolean
+ *         reviewNote:
+ *           type: string
+ *         refund:
+ *           type: string
+ *           description: Refund for a completed return
+ *         replacementOrder:
+ *           type: string
+ *           description: Free order sent for an approved replacement
+ *         completedAt:
+ *           type: string
+ *           format: date-time
  */
 
 // All routes require authentication
@@ -186,7 +375,7 @@ router.use(protect);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, preparing, ready, out_for_delivery, delivered, cancelled, refunded]
+ *           enum: [scheduled, pending, confirmed, preparing, ready, out_for_delivery, delivered, cancelled, refunded]
  *         description: Filter by order status
  *     responses:
  *       200:
@@ -216,6 +405,8 @@ router.use(protect);
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -243,10 +434,12 @@ router.use(protect);
  *         description: Validation error or business rule violation
  *       401:
  *         description: Not authorized
+ *       409:
+ *         description: Idempotency-Key reused with a different body or still being processed
  */
 router.route('/')
   .get(getOrders)
-  .post(authorize('customer'), validate(schemas.order), createOrder);
+  .post(authorize('customer'), idempotent, validate(schemas.order), createOrder);
 
 /**
  * @swagger
@@ -310,6 +503,65 @@ router.route('/')
  */
 router.get('/analytics', authorize('shop_owner', 'admin'), getOrderAnalytics);
 
+/**
+ * @swagger
+ * /api/orders/returns:
+ *   get:
+ *     summary: Get return requests
+ *     description: Customers see their own, shop owners their shops', delivery partners the pickups assigned to them, admins all.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, cancelled, pickup_scheduled, picked_up, completed]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [return, replacement]
+ *       - in: query
+ *         name: shop
+ *         schema:
+ *           type: string
+ *         description: Shop ID (admins only)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Return requests, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     returns:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ReturnRequest'
+ *                     pagination:
+ *                       type: object
+ */
+router.get('/returns', getReturns);
+
 /**
  * @swagger
  * /api/orders/{id}:
@@ -347,11 +599,92 @@ router.get('/analytics', authorize('shop_owner', 'admin'), getOrderAnalytics);
  */
 router.get('/:id', getOrder);
 
+/**
+ * @swagger
+ * /api/orders/{id}/tracking:
+ *   get:
+ *     summary: Get live delivery tracking for an order
+ *     description: Returns the last known delivery partner position and the recent breadcrumb trail, so a reloaded tracking page can redraw the map before new `order:location_update` events arrive.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Tracking retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tracking:
+ *                       type: object
+ *                       properties:
+ *                         status:
+ *                           type: string
+ *                         partner:
+ *                           type: object
+ *                           nullable: true
+ *                         location:
+ *                           type: object
+ *                           nullable: true
+ *                           properties:
+ *                             latitude:
+ *                               type: number
+ *                             longitude:
+ *                               type: number
+ *                         lastUpdated:
+ *                           type: string
+ *                           format: date-time
+ *                         eta:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Latest live estimate, only while out for delivery
+ *                           properties:
+ *                             distance:
+ *                               type: number
+ *                               description: Remaining distance in km
+ *                             minutes:
+ *                               type: integer
+ *                             estimatedArrival:
+ *                               type: string
+ *                               format: date-time
+ *                         trail:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               latitude:
+ *                                 type: number
+ *                               longitude:
+ *                                 type: number
+ *                               recordedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *       404:
+ *         description: Order not found
+ *       403:
+ *         description: Not authorized to access this order
+ */
+router.get('/:id/tracking', getOrderTracking);
+
 /**
  * @swagger
  * /api/orders/{id}/status:
  *   put:
- *     summary: Update order status (Shop owner/Admin only)
+ *     summary: Update order status (Shop owner/Admin/Assigned delivery partner)
+ *     description: The allowed changes per role are defined in utils/orderLifecycle.js; delivery partners can only move their assigned orders to out_for_delivery or delivered. Only pickup orders go from ready straight to delivered. Moving a delivery order to out_for_delivery sends the customer a handover OTP that must be supplied to mark it delivered. Moving a delivered order to refunded pays back everything still refundable to the original payment method; the order is refunded once the payout is confirmed.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -373,29 +706,63 @@ router.get('/:id', getOrder);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [confirmed, preparing, ready, out_for_delivery, delivered, cancelled]
+ *                 enum: [confirmed, preparing, ready, out_for_delivery, delivered, cancelled, refunded]
  *                 description: New order status
  *               note:
  *                 type: string
  *                 maxLength: 500
  *                 description: Optional note about status change
+ *               otp:
+ *                 type: string
+ *                 description: Customer's delivery OTP, required to mark an out_for_delivery order as delivered (admins can override)
+ *               recipientName:
+ *                 type: string
+ *                 description: Name of the person who received the order
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [confirmed, preparing, ready, out_for_delivery, delivered, cancelled, refunded]
+ *               note:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *               recipientName:
+ *                 type: string
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional proof of delivery photo (max 5MB)
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional image of the recipient's signature (max 5MB)
  *     responses:
  *       200:
  *         description: Order status updated successfully
  *       400:
- *         description: Invalid status transition
+ *         description: Invalid status transition or delivery OTP
  *       404:
  *         description: Order not found
  *       403:
- *         description: Not authorized to update this order
+ *         description: Not authorized to update this order, or to make this status change
+ *       409:
+ *         description: The order's status changed meanwhile
+ *       502:
+ *         description: Refund rejected by the payment gateway
  */
-router.put('/:id/status', authorize('shop_owner', 'admin'), updateOrderStatus);
+router.put('/:id/status', authorize('shop_owner', 'admin', 'delivery_partner'), uploadDeliveryProof, updateOrderStatus);
 
 /**
  * @swagger
  * /api/orders/{id}/cancel:
  *   put:
  *     summary: Cancel order
+ *     description: Gives back reserved stock, the coupon use and the delivery slot. A paid order is refunded to the original payment method straight away; the refund is returned in data.refund.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -431,6 +798,674 @@ router.put('/:id/status', authorize('shop_owner', 'admin'), updateOrderStatus);
  */
 router.put('/:id/cancel', cancelOrder);
 
+/**
+ * @swagger
+ * /api/orders/{id}/items:
+ *   put:
+ *     summary: Change the items on an order (Customer)
+ *     description: |
+ *       Replaces the order's items while it is pending or confirmed. Items already on the order
+ *       keep their price; added items are charged today's price. Stock is reserved or released
+ *       for the difference and the shop's minimum order applies. A prepaid order can only get
+ *       cheaper, and the difference is refunded. The shop receives order:items_modified.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 description: The full list of items the order should have
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - product
+ *                     - quantity
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *     responses:
+ *       200:
+ *         description: Order items updated
+ *       400:
+ *         description: Order can no longer be modified, item unavailable, out of stock or below minimum
+ *       403:
+ *         description: Not authorized to update this order
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order was changed by someone else meanwhile
+ */
+router.put('/:id/items', authorize('customer'), validate(schemas.orderItems), updateOrderItems);
+
+/**
+ * @swagger
+ * /api/orders/{id}/items/{itemId}/fulfilment:
+ *   put:
+ *     summary: Mark an order line unavailable or reduce its quantity (Shop owner/Admin)
+ *     description: |
+ *       Allowed until the order is ready. The freed stock is returned, the order is repriced
+ *       and a prepaid order is refunded the difference. The customer gets order:items_updated.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Quantity the shop can supply, 0 when the item is unavailable
+ *               note:
+ *                 type: string
+ *                 maxLength: 300
+ *                 description: Message for the customer
+ *     responses:
+ *       200:
+ *         description: Order item updated
+ *       400:
+ *         description: Order can no longer be changed or quantity not lower
+ *       403:
+ *         description: Not authorized to update this order
+ *       404:
+ *         description: Order or item not found
+ *       409:
+ *         description: The order was changed by someone else meanwhile
+ */
+router.put('/:id/items/:itemId/fulfilment', authorize('shop_owner', 'admin'), validate(schemas.itemFulfilment), updateItemFulfilment);
+
+/**
+ * @swagger
+ * /api/orders/{id}/items/{itemId}/substitute:
+ *   post:
+ *     summary: Propose a substitute for an order line (Shop owner/Admin)
+ *     description: |
+ *       The customer receives order:substitution_proposed and accepts or rejects it. The
+ *       substitute must be from the same shop; on a prepaid order it cannot cost more than the
+ *       original line. The order cannot be marked ready while a substitute is waiting.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *             properties:
+ *               product:
+ *                 type: string
+ *                 description: Substitute product ID
+ *               variant:
+ *                 type: string
+ *                 description: Substitute variant ID
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Defaults to the original quantity
+ *               note:
+ *                 type: string
+ *                 maxLength: 300
+ *     responses:
+ *       200:
+ *         description: Substitute proposed to the customer
+ *       400:
+ *         description: Substitute not allowed
+ *       403:
+ *         description: Not authorized to update this order
+ *       404:
+ *         description: Order or item not found
+ *   put:
+ *     summary: Accept or reject a proposed substitute (Customer)
+ *     description: |
+ *       Accepting swaps the line to the substitute; rejecting removes the line. Either way the
+ *       order is repriced, a prepaid order is refunded any difference and the shop receives
+ *       order:substitution_response. Rejecting the last line cancels the order.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accept
+ *             properties:
+ *               accept:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Substitute accepted or rejected
+ *       400:
+ *         description: No substitute waiting or substitute out of stock
+ *       403:
+ *         description: Not authorized to update this order
+ *       404:
+ *         description: Order or item not found
+ *       409:
+ *         description: The order was changed by someone else meanwhile
+ */
+router.post('/:id/items/:itemId/substitute', authorize('shop_owner', 'admin'), validate(schemas.itemSubstitute), proposeItemSubstitute);
+router.put('/:id/items/:itemId/substitute', authorize('customer'), validate(schemas.substituteResponse), respondToItemSubstitute);
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds:
+ *   get:
+ *     summary: Get an order's refunds (Customer/Shop owner/Admin)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Refunds for the order, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     refunds:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Refund'
+ *       403:
+ *         description: Not authorized to view refunds for this order
+ *       404:
+ *         description: Order not found
+ *   post:
+ *     summary: Request a refund (Customer) or refund an order (Shop owner/Admin)
+ *     description: |
+ *       Customers can ask for a refund of a delivered order within REFUND_REQUEST_WINDOW_DAYS of
+ *       delivery; the shop approves or rejects it. Refunds by the shop or an admin (delivered or
+ *       cancelled orders) are paid out straight away. Give an amount, order lines, or neither
+ *       to refund everything still refundable.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               items:
+ *                 type: array
+ *                 description: Order lines to refund, valued at what was paid for them
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - item
+ *                     - quantity
+ *                   properties:
+ *                     item:
+ *                       type: string
+ *                       description: Order item ID
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *               destination:
+ *                 type: string
+ *                 enum: [original, wallet]
+ *                 default: original
+ *     responses:
+ *       201:
+ *         description: Refund requested, or processed when raised by the shop or an admin
+ *       400:
+ *         description: Order not refundable, outside the request window or amount too high
+ *       403:
+ *         description: Not authorized to refund this order
+ *       404:
+ *         description: Order not found
+ */
+router.route('/:id/refunds')
+  .get(getOrderRefunds)
+  .post(validate(schemas.refundRequest), requestRefund);
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds/{refundId}:
+ *   put:
+ *     summary: Approve or reject a refund request (Shop owner/Admin)
+ *     description: Approving pays the refund out; approving a failed refund retries it. The customer receives refund:updated.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Refund ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Refund approved (and processed, pending at the gateway or failed) or rejected
+ *       400:
+ *         description: Invalid refund status change
+ *       403:
+ *         description: Not authorized to review refunds for this order
+ *       404:
+ *         description: Order or refund not found
+ *       409:
+ *         description: The refund was reviewed by someone else meanwhile
+ */
+router.put('/:id/refunds/:refundId', authorize('shop_owner', 'admin'), validate(schemas.refundReview), reviewRefund);
+
+/**
+ * @swagger
+ * /api/orders/{id}/returns:
+ *   get:
+ *     summary: Get an order's return requests (Customer/Shop owner/Admin)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Return requests for the order, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     returns:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ReturnRequest'
+ *       403:
+ *         description: Not authorized to view returns for this order
+ *       404:
+ *         description: Order not found
+ *   post:
+ *     summary: Request a return or replacement of a delivered item (Customer only)
+ *     description: |
+ *       Open within the shop's return window (settings.returnWindowDays, RETURN_WINDOW_DAYS by
+ *       default) after delivery, for up to the line's quantity less earlier requests. The shop
+ *       receives return:requested.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - item
+ *               - type
+ *               - reason
+ *             properties:
+ *               item:
+ *                 type: string
+ *                 description: Order item ID
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *               type:
+ *                 type: string
+ *                 enum: [return, replacement]
+ *               reason:
+ *                 type: string
+ *                 enum: [damaged, wrong_item, missing_parts, expired, poor_quality, other]
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               photos:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *       400:
+ *         description: Order not delivered, outside the return window or quantity too high
+ *       403:
+ *         description: Not authorized to return items from this order
+ *       404:
+ *         description: Order not found
+ */
+router.route('/:id/returns')
+  .get(getOrderReturns)
+  .post(authorize('customer'), uploadReturnPhotos, validate(schemas.returnRequest), createReturnRequest);
+
+/**
+ * @swagger
+ * /api/orders/{id}/returns/{returnId}:
+ *   put:
+ *     summary: Approve or reject a return request (Shop owner/Admin)
+ *     description: |
+ *       Approving a replacement places a free order for the item. Without a pickup the return is
+ *       completed straight away, which refunds a return for the line's value; with a pickup the
+ *       refund waits until the item is collected. The customer receives return:updated.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Return request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               type:
+ *                 type: string
+ *                 enum: [return, replacement]
+ *                 description: Approve as the other type than the customer asked for
+ *               pickup:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Collect the item from the customer first
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Return approved, completed or rejected
+ *       400:
+ *         description: Invalid return status change, item no longer sold, or nothing left to refund
+ *       403:
+ *         description: Not authorized to review returns for this order
+ *       404:
+ *         description: Order or return request not found
+ */
+router.put('/:id/returns/:returnId', authorize('shop_owner', 'admin'), validate(schemas.returnReview), reviewReturnRequest);
+
+/**
+ * @swagger
+ * /api/orders/{id}/returns/{returnId}/pickup:
+ *   put:
+ *     summary: Assign a delivery partner to collect a returned item (Shop owner/Admin)
+ *     description: The partner receives return:pickup_assigned. Assigning again replaces the partner.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Return request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - partner
+ *             properties:
+ *               partner:
+ *                 type: string
+ *                 description: Delivery partner user ID
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Pickup assigned
+ *       400:
+ *         description: Return not approved with a pickup, or delivery partner not found
+ *       403:
+ *         description: Not authorized to arrange pickups for this order
+ *       404:
+ *         description: Order or return request not found
+ */
+router.put('/:id/returns/:returnId/pickup', authorize('shop_owner', 'admin'), validate(schemas.returnPickup), assignReturnPickup);
+
+/**
+ * @swagger
+ * /api/orders/{id}/returns/{returnId}/picked-up:
+ *   put:
+ *     summary: Record that a returned item was collected (Assigned delivery partner/Shop owner/Admin)
+ *     description: Completes the return, which refunds a return for the line's value. The shop receives return:picked_up.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Return request ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               restock:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Put the item back in stock (shop owner/admin only)
+ *     responses:
+ *       200:
+ *         description: Return completed
+ *       400:
+ *         description: No pickup scheduled for this return
+ *       403:
+ *         description: Not authorized to update this pickup
+ *       404:
+ *         description: Order or return request not found
+ */
+router.put('/:id/returns/:returnId/picked-up', authorize('delivery_partner', 'shop_owner', 'admin'), markReturnPickedUp);
+
+/**
+ * @swagger
+ * /api/orders/{id}/returns/{returnId}/cancel:
+ *   put:
+ *     summary: Withdraw a return request before it is reviewed (Customer only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Return request ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return request cancelled
+ *       400:
+ *         description: Return request already reviewed
+ *       403:
+ *         description: Not authorized to cancel returns for this order
+ *       404:
+ *         description: Order or return request not found
+ */
+router.put('/:id/returns/:returnId/cancel', authorize('customer'), cancelReturnRequest);
+
 /**
  * @swagger
  * /api/orders/{id}/review:
@@ -3,11 +3,14 @@ const {
   getPaymentMethods,
   initiatePayment,
   verifyPayment,
+  handleWebhook,
   processRefund,
   getPaymentHistory,
   getPaymentAnalytics
 } = require('../controllers/paymentController');
+const { getRefunds } = require('../controllers/refundController');
 const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -46,42 +49,41 @@ const router = express.Router();
  *     PaymentInitiation:
  *       type: object
  *       required:
- *         - orderId
  *         - paymentMethod
  *       properties:
  *         orderId:
  *           type: string
- *           description: Order ID to pay for
+ *           description: Order ID to pay for (orders placed through cart checkout are paid with checkoutId)
+ *         checkoutId:
+ *           type: string
+ *           description: Cart checkout ID, pays for all of its orders at once (instead of orderId)
  *         paymentMethod:
  *           type: string
  *           enum: [cash, card, upi, wallet, bank_transfer]
  *           description: Selected payment method
  *         gateway:
  *           type: string
- *           enum: [razorpay, stripe, paytm]
+ *           enum: [razorpay, stripe, paytm, fake]
  *           default: razorpay
- *           description: Payment gateway for online payments
+ *           description: Payment gateway for online payments (fake only when PAYMENT_FAKE_GATEWAY=true)
  * 
  *     PaymentVerification:
  *       type: object
  *       required:
- *         - orderId
  *         - paymentId
  *       properties:
  *         orderId:
  *           type: string
  *           description: Order ID
+ *         checkoutId:
+ *           type: string
+ *           description: Cart checkout ID (instead of orderId)
  *         paymentId:
  *           type: string
- *           description: Payment transaction ID from gateway
+ *           description: Payment ID returned by the gateway checkout
  *         signature:
  *           type: string
- *           description: Payment signature (required for Razorpay)
- *         gateway:
- *           type: string
- *           enum: [razorpay, stripe, paytm]
- *           default: razorpay
- *           description: Payment gateway used
+ *           description: Payment signature (required for Razorpay and the fake gateway)
  * 
  *     RefundRequest:
  *       type: object
@@ -95,11 +97,84 @@ const router = express.Router();
  *         amount:
  *           type: number
  *           minimum: 0
- *           description: Refund amount (defaults to full order amount)
+ *           description: Total refunded on the order once this refund is through (defaults to the full amount paid)
  *         reason:
  *           type: string
  *           maxLength: 500
  *           description: Reason for refund
+ *         destination:
+ *           type: string
+ *           enum: [original, wallet]
+ *           default: original
+ *           description: Back to the original payment method, or as credit on the customer's wallet
+ *
+ *     Refund:
+ *       type: object
+ *       description: |
+ *         A refund from request to payout. requested -> approved | rejected,
+ *         approved -> processed | failed, failed -> approved (retry).
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         customer:
+ *           type: string
+ *         shop:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         type:
+ *           type: string
+ *           enum: [full, partial]
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               item:
+ *                 type: string
+ *                 description: Order item ID
+ *               name:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *         reason:
+ *           type: string
+ *         destination:
+ *           type: string
+ *           enum: [original, wallet]
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, rejected, processed, failed]
+ *         source:
+ *           type: string
+ *           enum: [customer, shop_owner, admin, system]
+ *         reviewNote:
+ *           type: string
+ *         refundId:
+ *           type: string
+ *         failureReason:
+ *           type: string
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               by:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
  */
 
 /**
@@ -152,6 +227,8 @@ router.get('/methods/:shopId', getPaymentMethods);
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -177,6 +254,16 @@ router.get('/methods/:shopId', getPaymentMethods);
  *                       type: string
  *                     orderNumber:
  *                       type: string
+ *                     checkoutId:
+ *                       type: string
+ *                       description: Set instead of orderId when paying for a checkout
+ *                     checkoutNumber:
+ *                       type: string
+ *                     orders:
+ *                       type: array
+ *                       description: Orders covered by a checkout payment
+ *                       items:
+ *                         type: object
  *                     paymentMethod:
  *                       type: string
  *                     gateway:
@@ -196,17 +283,20 @@ router.get('/methods/:shopId', getPaymentMethods);
  *       400:
  *         description: Invalid order or payment method
  *       404:
- *         description: Order not found
+ *         description: Order or checkout not found
  *       403:
  *         description: Not authorized to pay for this order
+ *       409:
+ *         description: Idempotency-Key reused with a different body or still being processed
  */
-router.post('/initiate', protect, initiatePayment);
+router.post('/initiate', protect, idempotent, initiatePayment);
 
 /**
  * @swagger
  * /api/payments/verify:
  *   post:
  *     summary: Verify payment completion
+ *     description: Confirms the payment with the gateway it was initiated on. Webhooks remain the authoritative source; this lets the client get an immediate answer.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -240,8 +330,12 @@ router.post('/initiate', protect, initiatePayment);
  *                       enum: [paid, failed]
  *                     orderStatus:
  *                       type: string
+ *       202:
+ *         description: Payment still awaiting confirmation from the gateway
  *       400:
  *         description: Payment verification failed
+ *       502:
+ *         description: Payment gateway unreachable
  *       404:
  *         description: Order not found
  *       403:
@@ -249,6 +343,44 @@ router.post('/initiate', protect, initiatePayment);
  */
 router.post('/verify', protect, verifyPayment);
 
+/**
+ * @swagger
+ * /api/payments/webhooks/{gateway}:
+ *   post:
+ *     summary: Receive payment events from a gateway
+ *     description: |
+ *       Server-to-server endpoint called by the payment gateway. The request is authenticated by the gateway's signature instead of a bearer token:
+ *       - razorpay: `X-Razorpay-Signature` (HMAC-SHA256 of the raw body with RAZORPAY_WEBHOOK_SECRET)
+ *       - stripe: `Stripe-Signature` (timestamped HMAC-SHA256 with STRIPE_WEBHOOK_SECRET)
+ *       - paytm: `CHECKSUMHASH` form field (Paytm checksum with the merchant key)
+ *       - fake: `X-Fake-Signature` (HMAC-SHA256 of the raw body with PAYMENT_FAKE_GATEWAY_SECRET)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: gateway
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [razorpay, stripe, paytm, fake]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event accepted (processed, ignored or not matching any order)
+ *       400:
+ *         description: Missing or invalid signature
+ *       404:
+ *         description: Unknown or unconfigured gateway
+ */
+router.post('/webhooks/:gateway', handleWebhook);
+
 /**
  * @swagger
  * /api/payments/refund:
@@ -289,8 +421,12 @@ router.post('/verify', protect, verifyPayment);
  *                     paymentStatus:
  *                       type: string
  *                       enum: [refunded, partially_refunded]
+ *                     refund:
+ *                       $ref: '#/components/schemas/Refund'
  *       400:
  *         description: Invalid refund request or order not eligible
+ *       502:
+ *         description: Refund rejected by the payment gateway
  *       404:
  *         description: Order not found
  *       403:
@@ -298,6 +434,42 @@ router.post('/verify', protect, verifyPayment);
  */
 router.post('/refund', protect, authorize('shop_owner', 'admin'), processRefund);
 
+/**
+ * @swagger
+ * /api/payments/refunds:
+ *   get:
+ *     summary: Get refunds (customers see their own, shop owners their shops', admins all)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, processed, failed]
+ *         description: Filter by refund status, e.g. requested for refunds awaiting review
+ *       - in: query
+ *         name: shop
+ *         schema:
+ *           type: string
+ *         description: Shop ID (admins only)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully
+ */
+router.get('/refunds', protect, getRefunds);
+
 /**
  * @swagger
  * /api/payments/history:
@@ -323,8 +495,8 @@ router.post('/refund', protect, authorize('shop_owner', 'admin'), processRefund)
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, paid, failed, refunded, partially_refunded]
- *         description: Filter by payment status
+ *           enum: [initiated, pending, captured, processed, failed, abandoned]
+ *         description: Filter by ledger entry status
  *       - in: query
  *         name: method
  *         schema:
@@ -332,6 +504,12 @@ router.post('/refund', protect, authorize('shop_owner', 'admin'), processRefund)
  *           enum: [cash, card, upi, wallet, bank_transfer]
  *         description: Filter by payment method
  *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [payment, refund]
+ *         description: Only payment attempts or only refunds
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -365,11 +543,24 @@ router.post('/refund', protect, authorize('shop_owner', 'admin'), processRefund)
  *                         properties:
  *                           _id:
  *                             type: string
- *                           orderNumber:
+ *                           kind:
+ *                             type: string
+ *                             enum: [payment, refund]
+ *                           status:
  *                             type: string
- *                           total:
+ *                           method:
+ *                             type: string
+ *                           gateway:
+ *                             type: string
+ *                           amount:
  *                             type: number
- *                           payment:
+ *                           transactionId:
+ *                             type: string
+ *                           paymentId:
+ *                             type: string
+ *                           refundId:
+ *                             type: string
+ *                           order:
  *                             type: object
  *                           shop:
  *                             type: object
@@ -424,13 +615,15 @@ router.get('/history', protect, getPaymentHistory);
  *                   properties:
  *                     paymentMethodStats:
  *                       type: array
- *                       description: Statistics by payment method
+ *                       description: Attempts, captured and refunded amounts and success rate by payment method
  *                     paymentStatusStats:
  *                       type: array
- *                       description: Statistics by payment status
+ *                       description: Ledger entry counts and amounts by kind and status
  *                     dailyTrends:
  *                       type: array
- *                       description: Daily payment trends
+ *                       description: Daily captured and refunded amounts
+ *       400:
+ *         description: Invalid shop ID
  *       401:
  *         description: Not authorized
  *       403:
@@ -95,6 +95,20 @@ const router = express.Router();
  *           type: array
  *           items:
  *             type: string
+ *         tax:
+ *           type: object
+ *           description: GST settings; unset fields fall back to the category, then to TAX_DEFAULT_RATE and TAX_PRICES_INCLUDE_TAX
+ *           properties:
+ *             rate:
+ *               type: number
+ *               enum: [0, 0.25, 3, 5, 12, 18, 28, 40]
+ *               description: GST rate in percent
+ *             inclusive:
+ *               type: boolean
+ *               description: Whether the price already includes GST
+ *             hsnCode:
+ *               type: string
+ *               description: HSN code printed on invoices
  *         isActive:
  *           type: boolean
  *           default: true
@@ -23,6 +23,12 @@ const {
   addDeliveryZone,
   updateDeliveryZone,
   deleteDeliveryZone,
+  getDeliverySlots,
+  addDeliverySlot,
+  updateDeliverySlot,
+  deleteDeliverySlot,
+  getDeliveryQuote,
+  getOrderAvailability,
   getOrderSettings,
   updateOrderSettings,
   getOrderCapacity
@@ -36,6 +42,42 @@ const router = express.Router();
  * @swagger
  * components:
  *   schemas:
+ *     OrderEligibilityReason:
+ *       type: object
+ *       description: Why a shop cannot take an order
+ *       properties:
+ *         code:
+ *           type: string
+ *           enum: [unavailable, not_accepting_orders, closed, paused, at_capacity, hourly_limit_reached, outside_delivery_zone, below_minimum]
+ *         message:
+ *           type: string
+ *         nextOpeningAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: For closed
+ *         pausedUntil:
+ *           type: string
+ *           format: date-time
+ *           description: For paused
+ *         minimumOrderAmount:
+ *           type: number
+ *           description: For below_minimum
+ *
+ *     OpeningInterval:
+ *       type: object
+ *       description: An interval closing at or before its openTime runs past midnight
+ *       required:
+ *         - openTime
+ *         - closeTime
+ *       properties:
+ *         openTime:
+ *           type: string
+ *           example: '18:00'
+ *         closeTime:
+ *           type: string
+ *           example: '02:00'
+ *
  *     Shop:
  *       type: object
  *       required:
@@ -49,6 +91,10 @@ const router = express.Router();
  *           type: string
  *           maxLength: 200
  *           description: Business name
+ *         orderPrefix:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9]{2,6}$'
+ *           description: Code used in order numbers when the order number format includes {shop}
  *         description:
  *           type: string
  *           maxLength: 1000
@@ -151,6 +197,15 @@ const router = express.Router();
  *               closeTime:
  *                 type: string
  *                 pattern: '^([01]?[0-9]|2[0-3]):[0-5][0-9]$'
+ *               intervals:
+ *                 type: array
+ *                 description: Split shifts; replace openTime/closeTime when set
+ *                 items:
+ *                   $ref: '#/components/schemas/OpeningInterval'
+ *         timezone:
+ *           type: string
+ *           description: IANA timezone for business hours, holidays and slots (APP_TIMEZONE when unset)
+ *           example: Asia/Kolkata
  *       example:
  *         businessName: KeyPoint Electronics Store
  *         description: Leading electronics retailer with latest gadgets
@@ -364,6 +419,21 @@ router.get('/nearby', getNearbyShops);
  *                 minimum: 0
  *               acceptsOrders:
  *                 type: boolean
+ *               pendingEscalationMinutes:
+ *                 type: number
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Remind the shop of an unaccepted order after this long (null = app default, 0 = never)
+ *               pendingTimeoutMinutes:
+ *                 type: number
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Cancel and refund an unaccepted order after this long (null = app default, 0 = never)
+ *               returnWindowDays:
+ *                 type: number
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Days after delivery customers can request a return or replacement (null = app default, 0 = no returns)
  *     responses:
  *       200:
  *         description: Order settings updated successfully
@@ -558,7 +628,7 @@ router.get('/:id/dashboard', protect, getShopDashboard);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, preparing, ready, out_for_delivery, delivered, cancelled, refunded]
+ *           enum: [scheduled, pending, confirmed, preparing, ready, out_for_delivery, delivered, cancelled, refunded]
  *       - in: query
  *         name: startDate
  *         schema:
@@ -741,6 +811,9 @@ router.put('/:id/verify', protect, authorize('admin'), verifyShop);
  *               businessName:
  *                 type: string
  *                 maxLength: 200
+ *               orderPrefix:
+ *                 type: string
+ *                 pattern: '^[A-Za-z0-9]{2,6}$'
  *               description:
  *                 type: string
  *                 maxLength: 1000
@@ -865,7 +938,7 @@ router.put('/:id/address', protect, updateAddress);
  * @swagger
  * /api/shops/{id}/business-hours:
  *   put:
- *     summary: Update shop business hours (Shop owner only)
+ *     summary: Update shop business hours, timezone and holidays (Shop owner only)
  *     tags: [Shops]
  *     security:
  *       - bearerAuth: []
@@ -899,9 +972,34 @@ router.put('/:id/address', protect, updateAddress);
  *                     closeTime:
  *                       type: string
  *                       pattern: '^([01]?[0-9]|2[0-3]):[0-5][0-9]$'
+ *                     intervals:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OpeningInterval'
+ *               timezone:
+ *                 type: string
+ *                 example: Asia/Kolkata
+ *               holidays:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - date
+ *                     - name
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       format: date
+ *                     name:
+ *                       type: string
+ *                     isRecurring:
+ *                       type: boolean
+ *                       description: Closed on this day every year
  *     responses:
  *       200:
  *         description: Business hours updated successfully
+ *       400:
+ *         description: Invalid business hours, timezone or holidays
  *       403:
  *         description: Not authorized to update this shop
  *       404:
@@ -1047,6 +1145,7 @@ router.put('/:id/bank-details', protect, updateBankDetails);
  *               deliveryFee:
  *                 type: number
  *                 minimum: 0
+ *                 description: Base fee, replaced by the zone's fee for addresses in a delivery zone
  *               freeDeliveryAbove:
  *                 type: number
  *                 minimum: 0
@@ -1054,6 +1153,52 @@ router.put('/:id/bank-details', protect, updateBankDetails);
  *                 type: number
  *                 minimum: 1
  *                 maximum: 50
+ *               deliveryFeeRules:
+ *                 type: object
+ *                 description: Charges on top of the base fee
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   includedDistanceKm:
+ *                     type: number
+ *                     description: Distance covered by the base fee
+ *                   distanceSlabs:
+ *                     type: array
+ *                     description: Per-km rates for the distance beyond includedDistanceKm; the last slab covers everything further out
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         uptoKm:
+ *                           type: number
+ *                         perKm:
+ *                           type: number
+ *                   timeSurcharges:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         startTime:
+ *                           type: string
+ *                           example: '22:00'
+ *                         endTime:
+ *                           type: string
+ *                           example: '06:00'
+ *                         amount:
+ *                           type: number
+ *                   surge:
+ *                     type: object
+ *                     description: Multiplies the fee when active orders reach thresholdPercent of maxActiveOrders
+ *                     properties:
+ *                       enabled:
+ *                         type: boolean
+ *                       thresholdPercent:
+ *                         type: number
+ *                         default: 80
+ *                       multiplier:
+ *                         type: number
+ *                         default: 1.5
  *               usesOwnDelivery:
  *                 type: boolean
  *               usesThirdPartyDelivery:
@@ -1070,6 +1215,178 @@ router.route('/:id/delivery-settings')
   .get(getDeliverySettings)
   .put(protect, updateDeliverySettings);
 
+/**
+ * @swagger
+ * /api/shops/{id}/delivery-quote:
+ *   get:
+ *     summary: Quote the delivery fee to a location as checkout would charge it now
+ *     tags: [Shops]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shop ID
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: pincode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: area
+ *         schema:
+ *           type: string
+ *         description: Locality, matched against area delivery zones
+ *       - in: query
+ *         name: subtotal
+ *         schema:
+ *           type: number
+ *         description: Items total, for the free delivery threshold
+ *     responses:
+ *       200:
+ *         description: Quote, or available false with the reason when the shop does not deliver there
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quote:
+ *                       type: object
+ *                       properties:
+ *                         available:
+ *                           type: boolean
+ *                         deliveryFee:
+ *                           type: number
+ *                         breakdown:
+ *                           type: object
+ *                           properties:
+ *                             baseFee:
+ *                               type: number
+ *                             distanceFee:
+ *                               type: number
+ *                             timeSurcharge:
+ *                               type: number
+ *                             surgeMultiplier:
+ *                               type: number
+ *                             freeDelivery:
+ *                               type: boolean
+ *                         zone:
+ *                           type: object
+ *                           nullable: true
+ *                         distance:
+ *                           type: number
+ *                           nullable: true
+ *                         minimumOrderAmount:
+ *                           type: number
+ *                         estimatedTime:
+ *                           type: number
+ *                         reason:
+ *                           type: string
+ *       400:
+ *         description: No location given
+ *       404:
+ *         description: Shop not found
+ */
+router.get('/:id/delivery-quote', getDeliveryQuote);
+
+/**
+ * @swagger
+ * /api/shops/{id}/availability:
+ *   get:
+ *     summary: Check whether the shop can take an order right now
+ *     description: Runs the same checks as order placement (open, accepting orders, paused, capacity, delivery zone, minimum order) and returns every reason that fails.
+ *     tags: [Shops]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shop ID
+ *       - in: query
+ *         name: deliveryType
+ *         schema:
+ *           type: string
+ *           enum: [delivery, pickup]
+ *           default: delivery
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: pincode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: area
+ *         schema:
+ *           type: string
+ *         description: Locality, matched against area delivery zones
+ *       - in: query
+ *         name: subtotal
+ *         schema:
+ *           type: number
+ *         description: Items total, to check the minimum order
+ *     responses:
+ *       200:
+ *         description: Availability checked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     availability:
+ *                       type: object
+ *                       properties:
+ *                         available:
+ *                           type: boolean
+ *                         reasons:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/OrderEligibilityReason'
+ *                         openingStatus:
+ *                           type: object
+ *                           properties:
+ *                             isOpen:
+ *                               type: boolean
+ *                             closesAt:
+ *                               type: string
+ *                               format: date-time
+ *                             nextOpeningAt:
+ *                               type: string
+ *                               format: date-time
+ *                         delivery:
+ *                           type: object
+ *                           nullable: true
+ *       400:
+ *         description: Invalid deliveryType
+ *       404:
+ *         description: Shop not found
+ */
+router.get('/:id/availability', getOrderAvailability);
+
 /**
  * @swagger
  * /api/shops/{id}/delivery-zones:
@@ -1234,4 +1551,183 @@ router.route('/:id/delivery-zones/:zoneId')
   .put(protect, updateDeliveryZone)
   .delete(protect, deleteDeliveryZone);
 
+/**
+ * @swagger
+ * /api/shops/{id}/slots:
+ *   get:
+ *     summary: Get delivery slots for a shop
+ *     description: With a date, returns that weekday's slots with the places left and whether each can still be booked.
+ *     tags: [Shops]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shop ID
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           example: "2024-06-01"
+ *         description: Date to check availability for (YYYY-MM-DD)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [delivery, pickup]
+ *     responses:
+ *       200:
+ *         description: Delivery slots retrieved successfully
+ *       400:
+ *         description: Invalid date
+ *       404:
+ *         description: Shop not found
+ *   post:
+ *     summary: Add a delivery slot (Shop owner only)
+ *     tags: [Shops]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shop ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - day
+ *               - startTime
+ *               - endTime
+ *               - capacity
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Label shown to customers (e.g., "Morning")
+ *               day:
+ *                 type: string
+ *                 enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *               startTime:
+ *                 type: string
+ *                 example: "09:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "11:00"
+ *               type:
+ *                 type: string
+ *                 enum: [delivery, pickup, both]
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Orders the slot takes per date
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Delivery slot added successfully
+ *       400:
+ *         description: Missing or invalid slot fields
+ *       403:
+ *         description: Not authorized to update this shop
+ *       404:
+ *         description: Shop not found
+ */
+router.route('/:id/slots')
+  .get(getDeliverySlots)
+  .post(protect, addDeliverySlot);
+
+/**
+ * @swagger
+ * /api/shops/{id}/slots/{slotId}:
+ *   put:
+ *     summary: Update a delivery slot (Shop owner only)
+ *     tags: [Shops]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shop ID
+ *       - in: path
+ *         name: slotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery slot ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Label shown to customers (e.g., "Morning")
+ *               day:
+ *                 type: string
+ *                 enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *               startTime:
+ *                 type: string
+ *                 example: "09:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "11:00"
+ *               type:
+ *                 type: string
+ *                 enum: [delivery, pickup, both]
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Orders the slot takes per date
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Delivery slot updated successfully
+ *       403:
+ *         description: Not authorized to update this shop
+ *       404:
+ *         description: Shop or slot not found
+ *   delete:
+ *     summary: Delete a delivery slot (Shop owner only)
+ *     tags: [Shops]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shop ID
+ *       - in: path
+ *         name: slotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery slot ID
+ *     responses:
+ *       200:
+ *         description: Delivery slot deleted successfully
+ *       400:
+ *         description: Slot has scheduled orders
+ *       403:
+ *         description: Not authorized to update this shop
+ *       404:
+ *         description: Shop or slot not found
+ */
+router.route('/:id/slots/:slotId')
+  .put(protect, updateDeliverySlot)
+  .delete(protect, deleteDeliverySlot);
+
 module.exports = router;
\ No newline at end of file
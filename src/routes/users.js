@@ -303,7 +303,7 @@ router.route('/addresses/:addressId')
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, preparing, ready, out_for_delivery, delivered, cancelled, refunded]
+ *           enum: [scheduled, pending, confirmed, preparing, ready, out_for_delivery, delivered, cancelled, refunded]
  *     responses:
  *       200:
  *         description: Orders retrieved successfully
@@ -11,6 +11,9 @@ const connectDB = require('./config/database');
 const config = require('./config/config');
 const { errorHandler } = require('./middleware/errorHandler');
 const { initializeSocket } = require('./config/socket');
+const { startDispatchWorker } = require('./utils/dispatch');
+const { startScheduledOrderWorker } = require('./utils/scheduledOrders');
+const { startPendingOrderWorker } = require('./utils/pendingOrders');
 
 // Route imports
 const authRoutes = require('./routes/auth');
@@ -22,6 +25,8 @@ const shopRoutes = require('./routes/shops');
 const paymentRoutes = require('./routes/payments');
 const locationRoutes = require('./routes/location');
 const cartRoutes = require('./routes/cart');
+const couponRoutes = require('./routes/coupons');
+const deliveryRoutes = require('./routes/delivery');
 
 const app = express();
 const server = http.createServer(app);
@@ -32,6 +37,11 @@ connectDB();
 // Initialize Socket.io
 initializeSocket(server);
 
+// Start background workers
+startDispatchWorker();
+startScheduledOrderWorker();
+startPendingOrderWorker();
+
 // Security middleware
 // Configure helmet for development - disable strict policies that require HTTPS
 app.use(helmet({
@@ -47,7 +57,8 @@ app.use(helmet({
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true
 }));
 
@@ -60,8 +71,15 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parser middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Payment webhooks keep the raw body so gateway signatures can be checked byte for byte
+const captureRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+    req.rawBody = buf.toString('utf8');
+  }
+};
+
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Logging middleware
 if (config.nodeEnv === 'development') {
@@ -102,6 +120,18 @@ const swaggerOptions = {
           bearerFormat: 'JWT',
         },
       },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: {
+            type: 'string',
+            maxLength: 255,
+          },
+          description: 'Unique key per logical request. Retries with the same key replay the first response (marked with an Idempotent-Replayed header) instead of repeating the operation.',
+        },
+      },
     },
   },
   apis: ['./src/routes/*.js', './src/models/*.js'],
@@ -141,6 +171,8 @@ app.use('/api/shops', shopRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/location', locationRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/delivery', deliveryRoutes);
 
 // Handle undefined routes
 app.all('*', (req, res) => {
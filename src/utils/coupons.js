@@ -0,0 +1,169 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+
+const couponError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Work out what a coupon takes off one shop's order. Returns
+// { coupon, discount, itemDiscount, deliveryDiscount } or throws couponError.
+const evaluateCoupon = async (code, { userId, shopId, subtotal, deliveryFee = 0 }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    throw couponError('Invalid coupon code');
+  }
+
+  if ((coupon.validFrom && coupon.validFrom > now) || (coupon.validUntil && coupon.validUntil < now)) {
+    throw couponError('This coupon is not valid right now');
+  }
+
+  if (coupon.scope === 'shop' && coupon.shop.toString() !== shopId.toString()) {
+    throw couponError('This coupon is not valid at this shop');
+  }
+
+  if (subtotal < coupon.minOrderAmount) {
+    throw couponError(`Add items worth ₹${roundAmount(coupon.minOrderAmount - subtotal)} more to use this coupon`);
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('This coupon has reached its usage limit');
+  }
+
+  const timesUsed = await CouponRedemption.countDocuments({
+    coupon: coupon._id,
+    user: userId,
+    status: 'redeemed'
+  });
+  if (timesUsed >= coupon.perUserLimit) {
+    throw couponError('You have already used this coupon');
+  }
+
+  if (coupon.firstOrderOnly) {
+    const hasOrdered = await Order.exists({ customer: userId, status: { $ne: 'cancelled' } });
+    if (hasOrdered) {
+      throw couponError('This coupon is only valid on your first order');
+    }
+  }
+
+  let itemDiscount = 0;
+  let deliveryDiscount = 0;
+
+  switch (coupon.type) {
+    case 'percentage':
+      itemDiscount = subtotal * coupon.value / 100;
+      if (coupon.maxDiscount) {
+        itemDiscount = Math.min(itemDiscount, coupon.maxDiscount);
+      }
+      break;
+    case 'fixed':
+      itemDiscount = Math.min(coupon.value, subtotal);
+      break;
+    case 'free_delivery':
+      if (!deliveryFee) {
+        throw couponError('This coupon only applies to orders with a delivery fee');
+      }
+      deliveryDiscount = deliveryFee;
+      break;
+  }
+
+  itemDiscount = roundAmount(itemDiscount);
+  deliveryDiscount = roundAmount(deliveryDiscount);
+
+  return {
+    coupon,
+    discount: roundAmount(itemDiscount + deliveryDiscount),
+    itemDiscount,
+    deliveryDiscount
+  };
+};
+
+// Take one use of the coupon for an order. The global and per-user limits are enforced
+// atomically; throws couponError if the last use went to another order in the meantime.
+const redeemCoupon = async (evaluation, { userId, orderId, shopId }) => {
+  const { coupon, discount } = evaluation;
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw couponError('This coupon has reached its usage limit');
+  }
+
+  try {
+    // Each of the user's uses takes a free use number; the unique index turns away a
+    // concurrent order that picked the same one
+    const taken = await CouponRedemption.distinct('useNumber', {
+      coupon: coupon._id,
+      user: userId,
+      status: 'redeemed'
+    });
+
+    for (let useNumber = 1; useNumber <= claimed.perUserLimit; useNumber++) {
+      if (taken.includes(useNumber)) {
+        continue;
+      }
+
+      try {
+        return await CouponRedemption.create({
+          coupon: coupon._id,
+          code: coupon.code,
+          user: userId,
+          order: orderId,
+          shop: shopId,
+          useNumber,
+          amount: discount
+        });
+      } catch (error) {
+        if (error.code !== 11000 || !error.keyPattern?.useNumber) {
+          throw error;
+        }
+      }
+    }
+
+    throw couponError('You have already used this coupon');
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+    throw error;
+  }
+};
+
+// Give the use back when the order it was spent on does not go ahead
+const releaseCoupon = async (orderId) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: orderId, status: 'redeemed' },
+    { $set: { status: 'released', releasedAt: new Date() } },
+    { new: true }
+  );
+
+  if (redemption) {
+    await Coupon.updateOne(
+      { _id: redemption.coupon, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  }
+
+  return redemption;
+};
+
+module.exports = {
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
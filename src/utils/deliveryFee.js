@@ -0,0 +1,83 @@
+const config = require('../config/config');
+
+// Rule-based delivery fee, see Shop.settings.deliveryFeeRules:
+//   base fee (the zone's fee when the address is in a zone)
+//   + per-km slabs for the distance beyond includedDistanceKm
+//   + surcharges for time-of-day windows (on the shop's clock, config.timezone by default)
+//   x surge multiplier when active orders reach surge.thresholdPercent of maxActiveOrders
+
+// Wall-clock time in a timezone as 'HH:MM'
+const localTime = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  return `${get('hour')}:${get('minute')}`;
+};
+
+// Windows may run past midnight, e.g. 22:00-02:00
+const inTimeWindow = (time, startTime, endTime) => {
+  if (startTime <= endTime) {
+    return time >= startTime && time < endTime;
+  }
+  return time >= startTime || time < endTime;
+};
+
+// Charge for the distance beyond the included km. Slabs are { uptoKm, perKm } bands; a slab
+// without uptoKm, or the last one, covers everything further out.
+const distanceCharge = (distance, includedDistanceKm = 0, slabs = []) => {
+  if (distance === null || distance === undefined || distance <= includedDistanceKm || slabs.length === 0) {
+    return 0;
+  }
+
+  const bands = [...slabs].sort((a, b) => (a.uptoKm ?? Infinity) - (b.uptoKm ?? Infinity));
+  let charge = 0;
+  let from = includedDistanceKm;
+
+  for (let i = 0; i < bands.length && from < distance; i++) {
+    const isLast = i === bands.length - 1;
+    const upto = isLast ? distance : Math.min(bands[i].uptoKm ?? distance, distance);
+    if (upto > from) {
+      charge += (upto - from) * bands[i].perKm;
+      from = upto;
+    }
+  }
+
+  return charge;
+};
+
+// Returns { fee, baseFee, distanceFee, timeSurcharge, surgeMultiplier }
+const calculateDeliveryFee = (rules, { baseFee, distance = null, activeOrders = 0, maxActiveOrders = null, at = new Date(), timeZone = config.timezone }) => {
+  if (!rules || !rules.enabled) {
+    return { fee: baseFee, baseFee, distanceFee: 0, timeSurcharge: 0, surgeMultiplier: 1 };
+  }
+
+  const distanceFee = Math.round(distanceCharge(distance, rules.includedDistanceKm, rules.distanceSlabs || []));
+
+  const time = localTime(at, timeZone);
+  const timeSurcharge = (rules.timeSurcharges || [])
+    .filter(window => inTimeWindow(time, window.startTime, window.endTime))
+    .reduce((sum, window) => sum + window.amount, 0);
+
+  let surgeMultiplier = 1;
+  const surge = rules.surge || {};
+  if (surge.enabled && maxActiveOrders && activeOrders >= maxActiveOrders * (surge.thresholdPercent || 80) / 100) {
+    surgeMultiplier = surge.multiplier || 1;
+  }
+
+  return {
+    fee: Math.round((baseFee + distanceFee + timeSurcharge) * surgeMultiplier),
+    baseFee,
+    distanceFee,
+    timeSurcharge,
+    surgeMultiplier
+  };
+};
+
+module.exports = {
+  calculateDeliveryFee
+};
@@ -0,0 +1,427 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const config = require('../config/config');
+const { calculateDistance } = require('./location');
+const { scheduleJob } = require('./jobs');
+const {
+  getIO,
+  emitToUser,
+  emitToOrder,
+  emitToShop,
+  emitToAdmins
+} = require('../config/socket');
+
+// Orders are offered to delivery partners once the shop marks them ready
+const DISPATCHABLE_STATUS = 'ready';
+
+// Statuses during which a partner is considered busy with an order
+const ACTIVE_JOB_STATUSES = ['ready', 'out_for_delivery'];
+
+// Offers waiting for a partner response: { orderId: { partnerId, timer, expiresAt } }
+const pendingOffers = new Map();
+
+const isDispatchable = (order) => {
+  return order &&
+    order.status === DISPATCHABLE_STATUS &&
+    order.delivery?.type === 'delivery' &&
+    !order.delivery.partner;
+};
+
+// Get IDs of delivery partners currently connected to the delivery_partners room
+const getOnlinePartnerIds = async () => {
+  const io = getIO();
+  if (!io) return [];
+
+  const sockets = await io.in('delivery_partners').fetchSockets();
+  return [...new Set(sockets.map(s => s.data.userId).filter(Boolean))];
+};
+
+// Find available partners near the shop, closest first
+const findCandidates = async (order, excludePartnerIds = []) => {
+  const shopCoords = order.shop?.address?.coordinates;
+  if (!shopCoords || shopCoords.latitude == null || shopCoords.longitude == null) {
+    return [];
+  }
+
+  const onlineIds = await getOnlinePartnerIds();
+
+  // Partners holding another offer right now are skipped
+  const offeredIds = Array.from(pendingOffers.values()).map(offer => offer.partnerId);
+  const excluded = new Set([...excludePartnerIds, ...offeredIds].map(id => id.toString()));
+
+  const eligibleIds = onlineIds.filter(id => !excluded.has(id));
+  if (eligibleIds.length === 0) return [];
+
+  const partners = await User.find({
+    _id: { $in: eligibleIds },
+    role: 'delivery_partner',
+    isActive: true,
+    'deliveryProfile.isOnShift': true,
+    'deliveryProfile.isAvailable': true,
+    'deliveryProfile.currentLocation.latitude': { $exists: true },
+    'deliveryProfile.currentLocation.longitude': { $exists: true }
+  }).select('name phone deliveryProfile');
+
+  if (partners.length === 0) return [];
+
+  // Skip partners who already carry the maximum number of active jobs
+  const activeJobs = await Order.aggregate([
+    {
+      $match: {
+        'delivery.partner': { $in: partners.map(p => p._id) },
+        status: { $in: ACTIVE_JOB_STATUSES }
+      }
+    },
+    { $group: { _id: '$delivery.partner', count: { $sum: 1 } } }
+  ]);
+
+  const jobCounts = new Map(activeJobs.map(job => [job._id.toString(), job.count]));
+
+  return partners
+    .filter(partner => (jobCounts.get(partner._id.toString()) || 0) < config.dispatch.maxActiveJobsPerPartner)
+    .map(partner => ({
+      partner,
+      distance: calculateDistance(
+        shopCoords.latitude,
+        shopCoords.longitude,
+        partner.deliveryProfile.currentLocation.latitude,
+        partner.deliveryProfile.currentLocation.longitude
+      )
+    }))
+    .filter(candidate => candidate.distance <= config.dispatch.searchRadiusKm)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+// Update the response of the partner's pending attempt
+const recordResponse = (orderId, partnerId, response, reason) => {
+  return Order.updateOne(
+    { _id: orderId },
+    {
+      $set: {
+        'delivery.dispatch.attempts.$[attempt].response': response,
+        'delivery.dispatch.attempts.$[attempt].respondedAt': new Date(),
+        'delivery.dispatch.attempts.$[attempt].reason': reason
+      }
+    },
+    {
+      arrayFilters: [{
+        'attempt.partner': new mongoose.Types.ObjectId(partnerId.toString()),
+        'attempt.response': 'pending'
+      }]
+    }
+  );
+};
+
+// No partner could be found in this round
+const markUnassigned = async (order) => {
+  await Order.updateOne(
+    { _id: order._id, 'delivery.partner': null },
+    { $set: { 'delivery.dispatch.status': 'unassigned' } }
+  );
+
+  const payload = {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    message: 'No delivery partner available yet. Retrying shortly.',
+    timestamp: new Date().toISOString()
+  };
+
+  emitToAdmins('dispatch:unassigned', payload);
+  emitToShop(order.shop._id.toString(), 'dispatch:unassigned', payload);
+};
+
+// Send an offer to a single partner and start the response timer
+const offerToPartner = async (order, candidate, round) => {
+  const orderId = order._id.toString();
+  const partnerId = candidate.partner._id.toString();
+  const timeoutMs = config.dispatch.offerTimeoutSeconds * 1000;
+  const expiresAt = new Date(Date.now() + timeoutMs);
+
+  const result = await Order.updateOne(
+    { _id: order._id, status: DISPATCHABLE_STATUS, 'delivery.partner': null },
+    {
+      $set: { 'delivery.dispatch.status': 'offered' },
+      $push: {
+        'delivery.dispatch.attempts': {
+          partner: candidate.partner._id,
+          distance: Math.round(candidate.distance * 100) / 100,
+          round,
+          offeredAt: new Date(),
+          response: 'pending'
+        }
+      }
+    }
+  );
+
+  // Order changed while we were searching (cancelled, self-delivered, ...)
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+
+  const timer = setTimeout(() => {
+    handleOfferTimeout(orderId, partnerId).catch(error => {
+      console.error(`Dispatch timeout handling failed for order ${orderId}:`, error);
+    });
+  }, timeoutMs);
+
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  pendingOffers.set(orderId, { partnerId, timer, expiresAt });
+
+  emitToUser(partnerId, 'delivery:offer', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    pickup: {
+      shopName: order.shop.businessName,
+      address: order.shop.address,
+      distance: Math.round(candidate.distance * 100) / 100
+    },
+    dropoff: {
+      city: order.delivery.address?.city,
+      pincode: order.delivery.address?.pincode,
+      coordinates: order.delivery.address?.coordinates
+    },
+    itemsCount: order.items.length,
+    deliveryFee: order.deliveryFee,
+    expiresAt: expiresAt.toISOString(),
+    timestamp: new Date().toISOString()
+  });
+
+  return { status: 'offered', partnerId, expiresAt };
+};
+
+// Offer an order to the next best candidate
+// Pass { newRound: true } to allow partners from earlier rounds to be offered again
+const dispatchOrder = async (orderId, options = {}) => {
+  orderId = orderId.toString();
+
+  if (pendingOffers.has(orderId)) {
+    return { status: 'offered', partnerId: pendingOffers.get(orderId).partnerId };
+  }
+
+  const order = await Order.findById(orderId).populate('shop', 'businessName address owner');
+
+  if (!isDispatchable(order)) {
+    return null;
+  }
+
+  const attempts = order.delivery.dispatch?.attempts || [];
+
+  // Offers left pending without a live timer (e.g. after a restart) count as timed out
+  const stale = attempts.filter(attempt => attempt.response === 'pending');
+  for (const attempt of stale) {
+    await recordResponse(order._id, attempt.partner, 'timeout', 'Offer expired');
+    attempt.response = 'timeout';
+  }
+
+  const lastRound = attempts.reduce((max, attempt) => Math.max(max, attempt.round || 1), 0);
+  const round = options.newRound || lastRound === 0 ? lastRound + 1 : lastRound;
+
+  const roundAttempts = attempts.filter(attempt => (attempt.round || 1) === round);
+  if (roundAttempts.length >= config.dispatch.maxCandidates) {
+    await markUnassigned(order);
+    return { status: 'unassigned' };
+  }
+
+  const excluded = roundAttempts.map(attempt => attempt.partner.toString());
+  const candidates = await findCandidates(order, excluded);
+
+  if (candidates.length === 0) {
+    await markUnassigned(order);
+    return { status: 'unassigned' };
+  }
+
+  if (!order.delivery.dispatch?.status) {
+    emitToOrder(orderId, 'order:dispatch_started', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      message: 'Looking for a delivery partner',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return offerToPartner(order, candidates[0], round);
+};
+
+const handleOfferTimeout = async (orderId, partnerId) => {
+  const offer = pendingOffers.get(orderId);
+  if (!offer || offer.partnerId !== partnerId) return;
+
+  pendingOffers.delete(orderId);
+  await recordResponse(orderId, partnerId, 'timeout', 'No response from partner');
+
+  emitToUser(partnerId, 'delivery:offer_expired', {
+    orderId,
+    timestamp: new Date().toISOString()
+  });
+
+  await dispatchOrder(orderId);
+};
+
+// Assign the order to the partner who accepted the offer
+const assignPartner = async (orderId, partnerId) => {
+  const partnerObjectId = new mongoose.Types.ObjectId(partnerId);
+  const now = new Date();
+
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: DISPATCHABLE_STATUS, 'delivery.partner': null },
+    {
+      $set: {
+        'delivery.partner': partnerObjectId,
+        'delivery.dispatch.status': 'assigned',
+        'delivery.dispatch.assignedAt': now,
+        'delivery.dispatch.attempts.$[attempt].response': 'accepted',
+        'delivery.dispatch.attempts.$[attempt].respondedAt': now
+      },
+      $push: {
+        statusHistory: {
+          status: DISPATCHABLE_STATUS,
+          timestamp: now,
+          note: 'Delivery partner assigned',
+          updatedBy: partnerObjectId
+        }
+      }
+    },
+    {
+      new: true,
+      arrayFilters: [{ 'attempt.partner': partnerObjectId, 'attempt.response': 'pending' }]
+    }
+  ).populate('shop', 'businessName address owner');
+
+  if (!order) {
+    return null;
+  }
+
+  const partner = await User.findById(partnerId).select('name phone deliveryProfile.vehicleType');
+
+  const partnerInfo = {
+    _id: partner._id,
+    name: partner.name,
+    phone: partner.phone,
+    vehicleType: partner.deliveryProfile?.vehicleType
+  };
+
+  emitToUser(partnerId, 'delivery:assigned', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    pickup: {
+      shopName: order.shop.businessName,
+      address: order.shop.address
+    },
+    dropoff: order.delivery.address,
+    instructions: order.delivery.instructions,
+    timestamp: now.toISOString()
+  });
+
+  emitToOrder(orderId, 'order:partner_assigned', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    partner: partnerInfo,
+    timestamp: now.toISOString()
+  });
+
+  emitToUser(order.customer.toString(), 'order:partner_assigned', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    partner: partnerInfo,
+    message: `${partner.name} will deliver your order`,
+    timestamp: now.toISOString()
+  });
+
+  emitToShop(order.shop._id.toString(), 'order:partner_assigned', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    partner: partnerInfo,
+    timestamp: now.toISOString()
+  });
+
+  return order;
+};
+
+// Handle a partner's accept/reject response to an offer
+const respondToOffer = async (orderId, partnerId, accepted, reason) => {
+  if (!orderId) {
+    throw new Error('Order ID is required');
+  }
+
+  orderId = orderId.toString();
+  partnerId = partnerId.toString();
+
+  const offer = pendingOffers.get(orderId);
+  if (!offer || offer.partnerId !== partnerId) {
+    throw new Error('No pending delivery offer for this order');
+  }
+
+  clearTimeout(offer.timer);
+  pendingOffers.delete(orderId);
+
+  if (!accepted) {
+    await recordResponse(orderId, partnerId, 'rejected', reason);
+    await dispatchOrder(orderId);
+    return { status: 'rejected' };
+  }
+
+  const order = await assignPartner(orderId, partnerId);
+
+  if (!order) {
+    await recordResponse(orderId, partnerId, 'timeout', 'Order no longer available');
+    throw new Error('This order is no longer available');
+  }
+
+  return { status: 'assigned', order };
+};
+
+// Withdraw a pending offer (order cancelled or handled by the shop itself)
+const cancelDispatch = (orderId) => {
+  orderId = orderId.toString();
+  const offer = pendingOffers.get(orderId);
+  if (!offer) return;
+
+  clearTimeout(offer.timer);
+  pendingOffers.delete(orderId);
+
+  recordResponse(orderId, offer.partnerId, 'timeout', 'Offer withdrawn').catch(error => {
+    console.error(`Failed to withdraw dispatch offer for order ${orderId}:`, error);
+  });
+
+  emitToUser(offer.partnerId, 'delivery:offer_expired', {
+    orderId,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Periodically retry orders that are ready but still have no partner
+const retryUnassignedOrders = async () => {
+  const orders = await Order.find({
+    status: DISPATCHABLE_STATUS,
+    'delivery.type': 'delivery',
+    'delivery.partner': null
+  }).select('_id delivery.dispatch.status');
+
+  for (const order of orders) {
+    if (pendingOffers.has(order._id.toString())) continue;
+
+    await dispatchOrder(order._id, {
+      newRound: order.delivery.dispatch?.status === 'unassigned'
+    });
+  }
+};
+
+const startDispatchWorker = () => {
+  return scheduleJob(
+    'dispatch:retry-unassigned',
+    config.dispatch.retryIntervalSeconds * 1000,
+    retryUnassignedOrders
+  );
+};
+
+module.exports = {
+  dispatchOrder,
+  respondToOffer,
+  cancelDispatch,
+  findCandidates,
+  startDispatchWorker
+};
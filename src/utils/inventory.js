@@ -0,0 +1,123 @@
+const Product = require('../models/Product');
+
+// Stock is reserved with conditional updates instead of read-check-save, so two
+// checkouts racing for the last units cannot both succeed. A product's stock is the
+// total across its variants; a line for a variant decrements both counters together.
+
+const stockError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const buildDecrement = (line) => {
+  const filter = {
+    _id: line.product,
+    trackQuantity: true,
+    stock: { $gte: line.quantity }
+  };
+  const update = { $inc: { stock: -line.quantity } };
+  const options = {};
+
+  if (line.variant) {
+    filter.variants = {
+      $elemMatch: { _id: line.variant, isActive: true, stock: { $gte: line.quantity } }
+    };
+    update.$inc['variants.$[variant].stock'] = -line.quantity;
+    options.arrayFilters = [{ 'variant._id': line.variant }];
+  }
+
+  return { filter, update, options };
+};
+
+const buildIncrement = (line) => {
+  const update = { $inc: { stock: line.quantity } };
+  const options = {};
+
+  if (line.variant) {
+    update.$inc['variants.$[variant].stock'] = line.quantity;
+    options.arrayFilters = [{ 'variant._id': line.variant }];
+  }
+
+  return { filter: { _id: line.product, trackQuantity: true }, update, options };
+};
+
+// Keep the listing status in step with stock, as the Product pre-save hook does for saves
+const syncAvailability = async (productId) => {
+  await Product.updateOne(
+    { _id: productId, trackQuantity: true, stock: { $lte: 0 }, status: 'active' },
+    { $set: { status: 'out_of_stock', 'availability.inStock': false } }
+  );
+  await Product.updateOne(
+    { _id: productId, trackQuantity: true, stock: { $gt: 0 }, status: 'out_of_stock' },
+    { $set: { status: 'active', 'availability.inStock': true } }
+  );
+};
+
+// Explain why a conditional decrement matched nothing
+const describeShortage = async (line) => {
+  const product = await Product.findById(line.product).select('name stock variants');
+
+  if (!product) {
+    return `Product ${line.product} is not available`;
+  }
+
+  if (line.variant) {
+    const variant = product.variants.id(line.variant);
+    if (!variant || !variant.isActive) {
+      return `Selected option for ${product.name} is not available`;
+    }
+    const available = Math.min(variant.stock, product.stock);
+    return `Insufficient stock for ${product.name} (${variant.value}). Available: ${available}`;
+  }
+
+  return `Insufficient stock for ${product.name}. Available: ${product.stock}`;
+};
+
+// Put back stock taken by reserveStock or held by an order's items
+const releaseStock = async (lines) => {
+  for (const line of lines) {
+    const { filter, update, options } = buildIncrement(line);
+    const result = await Product.updateOne(filter, update, options);
+
+    if (result.modifiedCount > 0) {
+      await syncAvailability(line.product);
+    }
+  }
+};
+
+// Reserve every line or none. Lines are { product, variant, quantity, trackQuantity };
+// lines for products that do not track quantity are skipped.
+// Returns the lines that were decremented, for passing to releaseStock on rollback.
+const reserveStock = async (lines) => {
+  const reserved = [];
+
+  for (const line of lines) {
+    if (!line.trackQuantity) {
+      continue;
+    }
+
+    const { filter, update, options } = buildDecrement(line);
+    const result = await Product.updateOne(filter, update, options);
+
+    if (result.modifiedCount === 0) {
+      const message = await describeShortage(line);
+      await releaseStock(reserved);
+      throw stockError(message);
+    }
+
+    reserved.push(line);
+    await syncAvailability(line.product);
+  }
+
+  return reserved;
+};
+
+// Lines an order still holds stock for; unavailable lines gave theirs back when marked
+const heldStock = (items) => items.filter(item => item.status !== 'unavailable');
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  heldStock
+};
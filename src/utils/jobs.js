@@ -0,0 +1,76 @@
+// Lightweight in-process job runner for periodic background work.
+// Each job runs on its own interval and never overlaps with itself.
+
+const jobs = new Map();
+
+// Register a job that runs every `intervalMs` milliseconds
+const scheduleJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    return jobs.get(name);
+  }
+
+  const job = {
+    name,
+    intervalMs,
+    running: false,
+    lastRunAt: null,
+    timer: null
+  };
+
+  const run = async () => {
+    if (job.running) return;
+
+    job.running = true;
+    try {
+      await handler();
+    } catch (error) {
+      console.error(`Background job "${name}" failed:`, error);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  };
+
+  job.timer = setInterval(run, intervalMs);
+
+  // Don't keep the process alive just for background jobs
+  if (job.timer.unref) {
+    job.timer.unref();
+  }
+
+  jobs.set(name, job);
+  console.log(`⏱️  Background job scheduled: ${name} (every ${Math.round(intervalMs / 1000)}s)`);
+  return job;
+};
+
+// Stop a single job
+const cancelJob = (name) => {
+  const job = jobs.get(name);
+  if (job) {
+    clearInterval(job.timer);
+    jobs.delete(name);
+  }
+};
+
+// Stop all jobs (used on shutdown)
+const stopAllJobs = () => {
+  for (const name of jobs.keys()) {
+    cancelJob(name);
+  }
+};
+
+const getJobs = () => {
+  return Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt }) => ({
+    name,
+    intervalMs,
+    running,
+    lastRunAt
+  }));
+};
+
+module.exports = {
+  scheduleJob,
+  cancelJob,
+  stopAllJobs,
+  getJobs
+};
@@ -0,0 +1,444 @@
+const Product = require('../models/Product');
+const config = require('../config/config');
+const { reserveStock, releaseStock } = require('./inventory');
+const { resolveTaxRule, calculateTax } = require('./tax');
+const { refundRemaining } = require('./refunds');
+const { resolveDeliveryTerms } = require('./orderPlacement');
+const { assertTransition, transitionOrder } = require('./orderLifecycle');
+
+// Changes to an order's lines after it is placed: the customer edits the items while the
+// order is modifiable, the shop marks lines unavailable, reduces them or proposes a substitute
+// the customer accepts or rejects. Stock follows every change, the order is repriced, and a
+// prepaid order gets the difference back as a partial refund.
+
+// Orders the shop has not started handing over yet
+const CHANGEABLE_STATUSES = ['scheduled', 'pending', 'confirmed', 'preparing'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const changeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const assertChangeable = (order) => {
+  if (!CHANGEABLE_STATUSES.includes(order.status)) {
+    throw changeError(`Items cannot be changed once an order is ${order.status.replace(/_/g, ' ')}`);
+  }
+};
+
+// Recalculate line totals, subtotal, discount, tax and total after lines changed.
+// Item discounts (shop offer, coupon) shrink with the items total so the customer keeps the
+// same rate, but never grow past what was granted when the order was placed; the coupon's
+// delivery discount stays as it was.
+const repriceOrder = (order) => {
+  const previousSubtotal = order.subtotal;
+
+  order.items.forEach(item => {
+    item.total = item.status === 'unavailable' ? 0 : roundAmount(item.price * item.quantity);
+  });
+  const subtotal = roundAmount(order.items.reduce((sum, item) => sum + item.total, 0));
+  const ratio = previousSubtotal > 0 ? Math.min(subtotal / previousSubtotal, 1) : 0;
+
+  const discount = order.discount || {};
+  const deliveryDiscount = discount.deliveryAmount || 0;
+  const itemDiscount = roundAmount(Math.max((discount.amount || 0) - deliveryDiscount, 0) * ratio);
+
+  if (discount.amount) {
+    discount.amount = roundAmount(itemDiscount + deliveryDiscount);
+    if (discount.offer?.amount) {
+      discount.offer.amount = roundAmount(discount.offer.amount * ratio);
+    }
+    if (discount.couponAmount) {
+      discount.couponAmount = roundAmount((discount.couponAmount - deliveryDiscount) * ratio + deliveryDiscount);
+    }
+  }
+
+  const { lines, breakdown } = calculateTax(
+    order.items.map(item => ({
+      total: item.total,
+      rate: item.tax?.rate ?? config.tax.defaultRate,
+      inclusive: item.tax?.inclusive ?? config.tax.pricesIncludeTax,
+      hsnCode: item.tax?.hsnCode
+    })),
+    { itemDiscount, supplyType: order.taxBreakdown?.supplyType || 'intra_state' }
+  );
+  order.items.forEach((item, index) => {
+    item.tax = lines[index];
+  });
+
+  order.subtotal = subtotal;
+  order.tax = breakdown.addedTax;
+  order.taxBreakdown = {
+    supplyType: breakdown.supplyType,
+    cgst: breakdown.cgst,
+    sgst: breakdown.sgst,
+    igst: breakdown.igst,
+    totalTax: breakdown.totalTax,
+    includedTax: breakdown.includedTax
+  };
+  order.total = roundAmount(subtotal + order.deliveryFee + order.tax - (discount.amount || 0));
+
+  return order;
+};
+
+// Save a change to the order's lines on the condition that the order still looks the way
+// the change was worked out from (where), so the loser of two concurrent edits is refused
+// with statusCode 409. Stock reserved for the change is given back if the save fails.
+const saveLineChange = async (order, where, reserved = []) => {
+  order.$where = where;
+  try {
+    await order.save();
+  } catch (error) {
+    await releaseStock(reserved);
+    if (error.name === 'DocumentNotFoundError' || error.name === 'VersionError') {
+      throw changeError('The order was changed by someone else meanwhile, please reload it', 409);
+    }
+    throw error;
+  } finally {
+    order.$where = undefined;
+  }
+};
+
+// Save a repriced order, then give back the stock it no longer needs (release) and refund the
+// drop in total on a prepaid order. where and reserved are as for saveLineChange.
+// Returns { previousTotal, total, refund } where refund is null when nothing was refunded.
+const settleOrderChange = async (order, previousTotal, reason, { where, reserved = [], release = [] } = {}) => {
+  const difference = roundAmount(previousTotal - order.total);
+  const refundDue = difference > 0 && ['paid', 'partially_refunded'].includes(order.payment.status);
+
+  if (refundDue) {
+    order.payment.adjustedAmount = roundAmount((order.payment.adjustedAmount || 0) + difference);
+  }
+  await saveLineChange(order, where, reserved);
+  await releaseStock(release);
+
+  let refund = null;
+  if (refundDue) {
+    try {
+      refund = await refundRemaining(order, { amount: difference, reason });
+    } catch (error) {
+      // The change stands; the difference stays refundable through the order's refunds
+      console.error(`Refund for changes to order ${order.orderNumber} failed:`, error.message);
+    }
+  }
+
+  return { previousTotal, total: order.total, refund };
+};
+
+// Lines the order is still billed for
+const activeLines = (order) => order.items.filter(item => item.status !== 'unavailable');
+
+// Set how many of a line the shop can supply; 0 marks it unavailable
+const changeItemQuantity = async (order, item, quantity) => {
+  assertChangeable(order);
+
+  if (item.status === 'unavailable') {
+    throw changeError('This item is already unavailable');
+  }
+  if (item.substitution?.status === 'proposed') {
+    throw changeError('Wait for the customer to answer the substitution first');
+  }
+  if (quantity >= item.quantity) {
+    throw changeError(`Quantity can only be reduced (currently ${item.quantity})`);
+  }
+  if (quantity === 0 && activeLines(order).length === 1) {
+    throw changeError('This is the last item on the order; cancel the order instead');
+  }
+
+  const previousTotal = order.total;
+  const release = [{ product: item.product, variant: item.variant, quantity: item.quantity - quantity }];
+  const where = { status: order.status, items: { $elemMatch: { _id: item._id, quantity: item.quantity, status: item.status } } };
+
+  if (item.originalQuantity === undefined) {
+    item.originalQuantity = item.quantity;
+  }
+  if (quantity === 0) {
+    item.status = 'unavailable';
+  } else {
+    item.quantity = quantity;
+    item.status = 'reduced';
+  }
+
+  repriceOrder(order);
+
+  const reason = quantity === 0 ? `${item.name} is unavailable` : `${item.name} reduced to ${quantity}`;
+  return settleOrderChange(order, previousTotal, reason, { where, release });
+};
+
+// Offer a substitute product for a line; the order is unchanged until the customer accepts
+const proposeSubstitution = async (order, item, { product: productId, variant: variantId, quantity, note }) => {
+  assertChangeable(order);
+
+  if (item.status === 'unavailable' || item.status === 'substituted') {
+    throw changeError('Substitutes can only be offered for items still on the order');
+  }
+  if (item.substitution?.status === 'proposed') {
+    throw changeError('A substitute is already waiting for the customer');
+  }
+
+  const product = await Product.findById(productId);
+  if (!product || !product.isActive || product.status !== 'active') {
+    throw changeError('Substitute product is not available');
+  }
+  if (product.shop.toString() !== order.shop._id.toString()) {
+    throw changeError('Substitute must be from the same shop');
+  }
+  if (product._id.equals(item.product) && String(variantId || '') === String(item.variant || '')) {
+    throw changeError('Substitute must be a different product or option');
+  }
+
+  let variant = null;
+  if (variantId) {
+    variant = product.variants.id(variantId);
+    if (!variant || !variant.isActive) {
+      throw changeError(`Selected option for ${product.name} is not available`);
+    }
+  }
+
+  const substituteQuantity = quantity || item.quantity;
+  const price = variant ? variant.price : product.price;
+
+  // A prepaid order cannot be charged more, so the substitute must not cost more than the line
+  if (['paid', 'partially_refunded'].includes(order.payment.status) && price * substituteQuantity > item.total) {
+    throw changeError('A substitute for a prepaid order cannot cost more than the original item');
+  }
+
+  item.substitution = {
+    product: product._id,
+    variant: variant?._id,
+    name: variant ? `${product.name} (${variant.value})` : product.name,
+    price,
+    quantity: substituteQuantity,
+    note,
+    status: 'proposed',
+    proposedAt: new Date()
+  };
+
+  await order.save();
+  return item.substitution;
+};
+
+// The customer's answer to a proposed substitute. Accepting swaps the line to the substitute
+// (its stock is taken now); rejecting leaves the original unavailable. Rejecting the last line
+// leaves nothing to deliver, so the order is cancelled in the same save (by is the customer);
+// lifecycle errors (400/403/409, see utils/orderLifecycle.js) leave the order as it was.
+const respondToSubstitution = async (order, item, accept, { by } = {}) => {
+  assertChangeable(order);
+
+  const { substitution } = item;
+  if (!substitution || substitution.status !== 'proposed') {
+    throw changeError('No substitute is waiting for an answer on this item');
+  }
+
+  const nothingLeft = !accept && activeLines(order).every(line => line._id.equals(item._id));
+  if (nothingLeft) {
+    assertTransition(order, 'cancelled', 'customer');
+  }
+
+  const previousTotal = order.total;
+  const original = {
+    product: item.product,
+    variant: item.variant,
+    name: item.name,
+    price: item.price,
+    quantity: item.quantity
+  };
+  const where = { status: order.status, items: { $elemMatch: { _id: item._id, 'substitution.status': 'proposed' } } };
+  let reserved = [];
+
+  if (accept) {
+    const product = await Product.findById(substitution.product).populate('category', 'tax');
+    if (!product || !product.isActive || product.status !== 'active') {
+      throw changeError('Substitute product is no longer available');
+    }
+
+    reserved = await reserveStock([{
+      product: product._id,
+      variant: substitution.variant,
+      quantity: substitution.quantity,
+      trackQuantity: product.trackQuantity
+    }]);
+
+    const rule = resolveTaxRule(product, product.category);
+    item.product = substitution.product;
+    item.variant = substitution.variant;
+    item.name = substitution.name;
+    item.price = substitution.price;
+    item.quantity = substitution.quantity;
+    item.tax = { rate: rule.rate, inclusive: rule.inclusive, hsnCode: rule.hsnCode };
+    item.status = 'substituted';
+    substitution.status = 'accepted';
+    substitution.replaced = original;
+  } else {
+    if (item.originalQuantity === undefined) {
+      item.originalQuantity = item.quantity;
+    }
+    item.status = 'unavailable';
+    substitution.status = 'rejected';
+  }
+  substitution.respondedAt = new Date();
+
+  if (nothingLeft) {
+    await transitionOrder(order, 'cancelled', {
+      actor: 'customer',
+      by,
+      reason: 'Substitute declined for the last item on the order'
+    });
+    // The cancellation gave back the lines still held; the declined one is no longer among them
+    await releaseStock([original]);
+    return { previousTotal, total: order.total, refund: null, nothingLeft: true };
+  }
+
+  repriceOrder(order);
+
+  const reason = accept
+    ? `${original.name} substituted with ${substitution.name}`
+    : `${original.name} unavailable, substitute declined`;
+  return settleOrderChange(order, previousTotal, reason, { where, reserved, release: [original] });
+};
+
+const lineKey = (line) => `${line.product}:${line.variant || ''}`;
+
+// Lowest items total the shop takes for this order's delivery type and address
+const minimumFor = (order, shopDoc) => {
+  if (order.delivery.type !== 'delivery') {
+    return shopDoc.settings.minimumOrderAmount;
+  }
+
+  try {
+    return resolveDeliveryTerms(shopDoc, order.delivery.address).minimumOrderAmount;
+  } catch (error) {
+    // The shop stopped serving the address after the order was placed; the order still stands
+    return shopDoc.settings.minimumOrderAmount;
+  }
+};
+
+// Replace the customer's lines with items ([{ product, variant, quantity }]) while the order is
+// modifiable. Lines already on the order keep the price they were ordered at and added lines
+// take today's price; lines the shop marked unavailable stay as they are. Only the difference
+// in stock is reserved, and released once the change is saved. A prepaid order can shrink
+// (and is refunded) but not grow.
+const modifyOrderItems = async (order, shopDoc, items) => {
+  if (!order.canModify()) {
+    throw changeError(`Items cannot be changed once an order is ${order.status.replace(/_/g, ' ')}`);
+  }
+  if (order.items.some(item => item.substitution?.status === 'proposed')) {
+    throw changeError('Answer the substitute offered by the shop first');
+  }
+  // The gateway was asked for the current total
+  if (order.payment.status === 'pending' && order.payment.currentPayment) {
+    throw changeError('A payment for this order is in progress');
+  }
+
+  // The same product and option asked for twice is one line
+  const requested = new Map();
+  for (const line of items) {
+    const key = lineKey(line);
+    const quantity = (requested.get(key)?.quantity || 0) + line.quantity;
+    requested.set(key, { product: line.product, variant: line.variant, quantity });
+  }
+
+  const current = new Map(activeLines(order).map(item => [lineKey(item), item]));
+  const reserve = [];
+  const release = [];
+  const added = [];
+
+  for (const [key, line] of requested) {
+    const existing = current.get(key);
+    const difference = line.quantity - (existing ? existing.quantity : 0);
+
+    if (difference <= 0) {
+      if (difference < 0) {
+        release.push({ product: existing.product, variant: existing.variant, quantity: -difference });
+      }
+      continue;
+    }
+
+    // More of a product is a new sale, so it has to be available now
+    const product = await Product.findById(line.product).populate('category', 'tax');
+    if (!product || !product.isActive || product.status !== 'active') {
+      throw changeError(`Product ${line.product} is not available`);
+    }
+    if (product.shop.toString() !== shopDoc._id.toString()) {
+      throw changeError('All products must be from the same shop');
+    }
+
+    let variant = null;
+    if (line.variant) {
+      variant = product.variants.id(line.variant);
+      if (!variant || !variant.isActive) {
+        throw changeError(`Selected option for ${product.name} is not available`);
+      }
+    }
+
+    reserve.push({
+      product: product._id,
+      variant: variant?._id,
+      quantity: difference,
+      trackQuantity: product.trackQuantity
+    });
+
+    if (!existing) {
+      const rule = resolveTaxRule(product, product.category);
+      added.push({
+        product: product._id,
+        variant: variant?._id,
+        name: variant ? `${product.name} (${variant.value})` : product.name,
+        price: variant ? variant.price : product.price,
+        quantity: line.quantity,
+        total: 0,
+        shop: shopDoc._id,
+        tax: { rate: rule.rate, inclusive: rule.inclusive, hsnCode: rule.hsnCode }
+      });
+    }
+  }
+
+  const removed = [...current.entries()].filter(([key]) => !requested.has(key)).map(([, item]) => item);
+  removed.forEach(item => {
+    release.push({ product: item.product, variant: item.variant, quantity: item.quantity });
+  });
+
+  if (reserve.length === 0 && release.length === 0) {
+    throw changeError('No changes to the order items');
+  }
+
+  const previousTotal = order.total;
+  const paid = ['paid', 'partially_refunded'].includes(order.payment.status);
+
+  // Price the new lines before any stock moves; nothing is saved if a check fails
+  order.items = order.items.filter(item => !removed.includes(item));
+  order.items.forEach(item => {
+    const line = requested.get(lineKey(item));
+    if (line && item.status !== 'unavailable') {
+      item.quantity = line.quantity;
+    }
+  });
+  added.forEach(item => order.items.push(item));
+  repriceOrder(order);
+
+  const minimumOrderAmount = minimumFor(order, shopDoc);
+  if (minimumOrderAmount && order.subtotal < minimumOrderAmount) {
+    throw changeError(`Minimum order amount is ₹${minimumOrderAmount}`);
+  }
+  if (paid && order.total > previousTotal) {
+    throw changeError('A prepaid order cannot cost more than was paid; place a new order for extra items');
+  }
+
+  // Any save since the order was loaded (the shop changing a line, another edit) refuses this one
+  const where = { status: order.status, updatedAt: order.updatedAt };
+  const reserved = await reserveStock(reserve);
+
+  return settleOrderChange(order, previousTotal, 'Items changed by the customer', { where, reserved, release });
+};
+
+module.exports = {
+  CHANGEABLE_STATUSES,
+  repriceOrder,
+  settleOrderChange,
+  modifyOrderItems,
+  changeItemQuantity,
+  proposeSubstitution,
+  respondToSubstitution
+};
@@ -0,0 +1,370 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { sendNotification } = require('./notifications');
+const { releaseStock, heldStock } = require('./inventory');
+const { releaseCoupon } = require('./coupons');
+const { releaseSlot } = require('./scheduling');
+const { dispatchOrder, cancelDispatch } = require('./dispatch');
+const { emitToUser, emitToOrder, emitToShop } = require('../config/socket');
+
+// Order statuses and the only way to move between them. transitionOrder checks that the
+// actor may make the change, records it (status history, timestamps, cancellation) and
+// saves it on the condition that nobody changed the status meanwhile, then runs the side
+// effects: stock, coupon and slot go back on cancellation, delivery partners are found
+// for ready orders, cash is recorded on delivery, and the customer, the shop and anyone
+// following the order are told. Money is not moved here: callers refund cancelled orders
+// through utils/refunds.js, which moves fully refunded orders to refunded.
+
+const ORDER_STATUSES = [
+  'scheduled', 'pending', 'confirmed', 'preparing', 'ready',
+  'out_for_delivery', 'delivered', 'cancelled', 'refunded'
+];
+
+const ACTORS = ['customer', 'shop_owner', 'delivery_partner', 'admin', 'system'];
+
+// from -> to -> who may make the change. 'system' is the background jobs, payments and refunds.
+const TRANSITIONS = {
+  scheduled: {
+    pending: ['system'], // released into the shop's queue by the scheduler
+    confirmed: ['system'], // released to a shop that accepts orders automatically
+    cancelled: ['customer', 'shop_owner', 'admin', 'system']
+  },
+  pending: {
+    confirmed: ['shop_owner', 'admin', 'system'], // system: paid online
+    cancelled: ['customer', 'shop_owner', 'admin', 'system'] // system: not accepted in time
+  },
+  confirmed: {
+    preparing: ['shop_owner', 'admin'],
+    cancelled: ['customer', 'shop_owner', 'admin', 'system']
+  },
+  preparing: {
+    ready: ['shop_owner', 'admin'],
+    cancelled: ['customer', 'shop_owner', 'admin', 'system']
+  },
+  ready: {
+    out_for_delivery: ['shop_owner', 'admin', 'delivery_partner'],
+    delivered: ['shop_owner', 'admin', 'delivery_partner'] // pickup orders only
+  },
+  out_for_delivery: {
+    delivered: ['shop_owner', 'admin', 'delivery_partner']
+  },
+  delivered: {
+    refunded: ['shop_owner', 'admin', 'system'] // once everything paid is refunded
+  },
+  refunded: {
+    delivered: ['system'] // the gateway rejected the refund payout
+  },
+  cancelled: {}
+};
+
+const TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  preparing: 'preparingAt',
+  ready: 'readyAt',
+  out_for_delivery: 'outForDeliveryAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+  refunded: 'refundedAt'
+};
+
+// What the customer is told; statuses without a message are announced on sockets only
+const STATUS_MESSAGES = {
+  confirmed: 'Your order has been confirmed and is being prepared',
+  preparing: 'Your order is being prepared',
+  ready: 'Your order is ready for pickup/delivery',
+  out_for_delivery: 'Your order is out for delivery',
+  delivered: 'Your order has been delivered',
+  cancelled: 'Your order has been cancelled'
+};
+
+// Conditions a status needs besides the transition being allowed
+const PRECONDITIONS = {
+  // The customer has to answer every proposed substitute before the order is packed
+  ready: (order) => order.items.some(item => item.substitution?.status === 'proposed')
+    ? 'A substitute is still waiting for the customer to accept or reject it'
+    : null,
+  // Only pickup orders are handed over at the shop; a delivery goes out first so the
+  // customer gets the OTP that completes it
+  delivered: (order) => order.status === 'ready' && order.delivery.type === 'delivery'
+    ? 'A delivery order has to go out for delivery before it can be delivered'
+    : null
+};
+
+const lifecycleError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const label = (status) => status.replace(/_/g, ' ');
+
+const canTransition = (from, to, actor) => Boolean(TRANSITIONS[from]?.[to]?.includes(actor));
+
+// Statuses the actor can move an order to next
+const nextStatuses = (from, actor) => Object.keys(TRANSITIONS[from] || {})
+  .filter(to => canTransition(from, to, actor));
+
+// Throws with statusCode 400 for a change that is never allowed, 403 when the actor may not make it
+const assertTransition = (order, to, actor) => {
+  if (!ACTORS.includes(actor)) {
+    throw lifecycleError(`Unknown actor ${actor}`, 400);
+  }
+
+  if (!TRANSITIONS[order.status]?.[to]) {
+    throw lifecycleError(`Cannot change order status from ${label(order.status)} to ${label(to)}`, 400);
+  }
+
+  if (!canTransition(order.status, to, actor)) {
+    throw lifecycleError(`Not authorized to mark this order as ${label(to)}`, 403);
+  }
+
+  const failed = PRECONDITIONS[to]?.(order);
+  if (failed) {
+    throw lifecycleError(failed, 400);
+  }
+};
+
+// Record the change on the order; returns the delivery OTP when one is issued
+const applyTransition = (order, from, to, { by, note, reason, automatic }) => {
+  const now = new Date();
+
+  order.status = to;
+  order.statusHistory.push({ status: to, timestamp: now, note: note || reason, updatedBy: by });
+
+  // The time an order reached a status stays put if it comes back to it after a failed refund
+  const stamp = TIMESTAMPS[to];
+  if (stamp && !order.timestamps[stamp]) {
+    order.timestamps[stamp] = now;
+  }
+
+  if (from === 'refunded') {
+    order.timestamps.refundedAt = undefined;
+  }
+
+  switch (to) {
+    case 'out_for_delivery':
+      // The customer shares this with the delivery partner to receive the order
+      if (order.delivery.type === 'delivery') {
+        return order.generateDeliveryOtp();
+      }
+      break;
+    case 'delivered':
+      // Cash on delivery is paid at the door
+      if (['pending', 'failed'].includes(order.payment.status)) {
+        order.payment.status = 'paid';
+        order.payment.paidAt = now;
+      }
+      break;
+    case 'cancelled':
+      order.cancellation = {
+        reason,
+        cancelledBy: by,
+        automatic,
+        refundAmount: ['paid', 'partially_refunded'].includes(order.payment.status)
+          ? order.total + (order.payment.adjustedAmount || 0)
+          : 0
+      };
+      break;
+  }
+
+  return null;
+};
+
+// Everything that follows from the new status once it is saved
+const runSideEffects = async (order, from, to, by) => {
+  if (to === 'cancelled') {
+    await releaseStock(heldStock(order.items));
+    await releaseCoupon(order._id);
+    await releaseSlot(order.schedule);
+  }
+
+  // Cash on delivery is settled at the door, record it in the payment ledger
+  if (to === 'delivered' && from !== 'refunded' && order.payment.method === 'cash') {
+    try {
+      const payment = await Payment.recordCashCollection(order, by);
+      order.payment.currentPayment = payment._id;
+      await Order.updateOne({ _id: order._id }, { 'payment.currentPayment': payment._id });
+    } catch (error) {
+      console.error('Cash payment recording failed:', error);
+    }
+  }
+
+  // Find a delivery partner once the order is ready for pickup; any other status ends the search
+  try {
+    if (to === 'ready' && order.delivery.type === 'delivery' && !order.delivery.partner) {
+      await dispatchOrder(order._id);
+    } else if (to !== 'ready') {
+      cancelDispatch(order._id);
+    }
+  } catch (error) {
+    console.error('Delivery dispatch failed:', error);
+  }
+};
+
+const announceTransition = async (order, from, to, { actor, by, note, reason, message, notify, deliveryOtp }) => {
+  const orderId = order._id.toString();
+  const customerId = (order.customer._id || order.customer).toString();
+  const shopId = (order.shop._id || order.shop).toString();
+  const timestamp = new Date().toISOString();
+  const customerMessage = message || STATUS_MESSAGES[to];
+
+  try {
+    // Order room (tracking page)
+    emitToOrder(orderId, 'order:status_update', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: to,
+      previousStatus: from,
+      message: customerMessage,
+      note,
+      timestamp,
+      updatedBy: { id: by, role: actor }
+    });
+
+    // Customer (only the customer's room gets the handover OTP)
+    emitToUser(customerId, 'order:updated', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: to,
+      message: customerMessage,
+      deliveryOtp,
+      timestamp
+    });
+
+    // Shop dashboard
+    emitToShop(shopId, 'order:status_changed', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: to,
+      timestamp
+    });
+
+    if (from === 'scheduled') {
+      emitToShop(shopId, 'order:new', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        scheduledFor: order.schedule.startsAt,
+        timestamp
+      });
+    }
+
+    if (to === 'cancelled') {
+      emitToOrder(orderId, 'order:cancelled', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        reason,
+        automatic: Boolean(order.cancellation.automatic),
+        cancelledBy: by ? { id: by, role: actor } : undefined,
+        timestamp
+      });
+
+      if (actor !== 'customer') {
+        emitToUser(customerId, 'order:cancelled', {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          reason,
+          message: customerMessage,
+          timestamp
+        });
+      }
+
+      if (actor !== 'shop_owner') {
+        emitToShop(shopId, 'order:cancelled', {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          reason,
+          timestamp
+        });
+      }
+
+      if (actor === 'customer' && order.shop.owner) {
+        emitToUser((order.shop.owner._id || order.shop.owner).toString(), 'order:cancelled_by_customer', {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          reason,
+          timestamp
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Real-time event emission failed:', error);
+  }
+
+  if (!notify || !customerMessage) {
+    return;
+  }
+
+  try {
+    const customer = order.customer.email
+      ? order.customer
+      : await User.findById(order.customer).select('name email');
+    if (!customer) {
+      return;
+    }
+
+    await sendNotification({
+      type: 'all',
+      to: customer.email,
+      userId: customer._id,
+      subject: `Order Update - #${order.orderNumber}`,
+      message: deliveryOtp
+        ? `${customerMessage}. Share OTP ${deliveryOtp} with the delivery partner to receive it`
+        : customerMessage,
+      data: {
+        orderNumber: order.orderNumber,
+        status: to,
+        customerName: customer.name,
+        shopName: order.shop.businessName,
+        deliveryOtp
+      }
+    });
+  } catch (error) {
+    console.error('Notification sending failed:', error);
+  }
+};
+
+// Move an order to status as actor (one of ACTORS) and save it. options:
+//   by         user making the change, kept in the status history
+//   note       status history note
+//   reason     cancellation reason
+//   automatic  cancelled by a background job
+//   message    what to tell the customer instead of the usual message for the status
+//   notify     false to only announce the change on sockets
+// Throws with statusCode 400/403 (see assertTransition), or 409 when the order's status
+// changed since it was loaded; nothing is saved then.
+const transitionOrder = async (order, status, options = {}) => {
+  const { actor, notify = true } = options;
+  const from = order.status;
+
+  assertTransition(order, status, actor);
+
+  const deliveryOtp = applyTransition(order, from, status, options);
+
+  // Conditional on the status so a concurrent change, or another instance, wins cleanly
+  order.$where = { status: from };
+  try {
+    await order.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      throw lifecycleError(`Order status has already changed from ${label(from)}`, 409);
+    }
+    throw error;
+  } finally {
+    order.$where = undefined;
+  }
+
+  await runSideEffects(order, from, status, options.by);
+  await announceTransition(order, from, status, { ...options, notify, deliveryOtp });
+
+  return order;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  nextStatuses,
+  assertTransition,
+  transitionOrder
+};
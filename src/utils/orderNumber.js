@@ -0,0 +1,67 @@
+const Counter = require('../models/Counter');
+const Shop = require('../models/Shop');
+const config = require('../config/config');
+
+// Order numbers are built from config.orderNumbers.format, e.g. 'KPM{yymmdd}{seq}'.
+// Tokens: {yyyy} {yy} {mm} {dd} {yymmdd} {shop} {seq}
+// The sequence restarts every day (in config.timezone); with {shop} in the format each
+// shop gets its own sequence, otherwise one sequence is shared by all shops.
+
+const TOKEN_PATTERN = /\{(yyyy|yy|mm|dd|yymmdd|shop|seq)\}/g;
+
+// Calendar date in the app timezone, not the server's
+const dateParts = (date) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: config.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  const yyyy = get('year');
+  const mm = get('month');
+  const dd = get('day');
+
+  return { yyyy, yy: yyyy.slice(-2), mm, dd, yymmdd: `${yyyy.slice(-2)}${mm}${dd}` };
+};
+
+// Shops without an order prefix fall back to the tail of their id
+const shopCode = async (shopId) => {
+  const shop = await Shop.findById(shopId).select('orderPrefix');
+  if (shop?.orderPrefix) {
+    return shop.orderPrefix;
+  }
+  return shopId.toString().slice(-6).toUpperCase();
+};
+
+const formatNumber = async (counter, format, shop, date) => {
+  const parts = dateParts(date);
+  const seq = await Counter.next(`${counter}:${shop || 'all'}:${parts.yyyy}${parts.mm}${parts.dd}`);
+
+  const values = {
+    ...parts,
+    shop,
+    seq: String(seq).padStart(config.orderNumbers.sequencePadding, '0')
+  };
+
+  return format.replace(TOKEN_PATTERN, (match, token) => values[token]);
+};
+
+// Next order number for an order placed with the given shop
+const generateOrderNumber = async (shopId, date = new Date()) => {
+  const { format } = config.orderNumbers;
+  const shop = format.includes('{shop}') ? await shopCode(shopId) : '';
+
+  return formatNumber('orderNumber', format, shop, date);
+};
+
+// Next number for a multi-shop cart checkout; checkouts span shops so {shop} is left empty
+const generateCheckoutNumber = (date = new Date()) => {
+  return formatNumber('checkoutNumber', config.orderNumbers.checkoutFormat, '', date);
+};
+
+module.exports = {
+  generateOrderNumber,
+  generateCheckoutNumber
+};
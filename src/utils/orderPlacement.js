@@ -0,0 +1,537 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Shop = require('../models/Shop');
+const User = require('../models/User');
+const Address = require('../models/Address');
+const { sendNotification } = require('./notifications');
+const { emitToUser, emitToShop } = require('../config/socket');
+const { reserveStock, releaseStock } = require('./inventory');
+const { evaluateCoupon, redeemCoupon, releaseCoupon } = require('./coupons');
+const { resolveTaxRule, getSupplyType, calculateTax } = require('./tax');
+const { calculateDeliveryFee } = require('./deliveryFee');
+const { resolveSlot, reserveSlot, releaseSlot } = require('./scheduling');
+const { getShopTimezone, formatShopTime } = require('./shopHours');
+
+// Order placement shared by POST /api/orders and cart checkout:
+// prepareOrder validates one shop's items and prices them, placeOrder reserves stock and
+// writes the order, notifyOrderPlaced tells the shop and customer.
+
+const ACTIVE_ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery'];
+
+const placementError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Snapshot of a saved address, taken so later edits do not change the order
+const resolveDeliveryAddress = async (addressId, userId) => {
+  const addressDoc = await Address.findById(addressId);
+  if (!addressDoc || addressDoc.user.toString() !== userId.toString()) {
+    throw placementError('Invalid delivery address');
+  }
+
+  return {
+    fullName: addressDoc.fullName,
+    phone: addressDoc.phone,
+    addressLine1: addressDoc.addressLine1,
+    addressLine2: addressDoc.addressLine2,
+    landmark: addressDoc.landmark,
+    city: addressDoc.city,
+    state: addressDoc.state,
+    country: addressDoc.country,
+    pincode: addressDoc.pincode,
+    coordinates: addressDoc.coordinates
+  };
+};
+
+// Fee, minimum order and ETA for delivering to an address: from the matching delivery zone,
+// else the shop's flat settings if the address is within its service radius.
+// Throws placementError when the shop does not deliver there.
+const resolveDeliveryTerms = (shopDoc, deliveryAddress) => {
+  const { zone, distance } = shopDoc.findDeliveryZone(deliveryAddress);
+  const { settings } = shopDoc;
+
+  if (zone) {
+    return {
+      zone,
+      distance,
+      deliveryFee: zone.deliveryFee,
+      minimumOrderAmount: Math.max(zone.minimumOrderAmount || 0, settings.minimumOrderAmount || 0),
+      estimatedTime: settings.preparationTime + zone.estimatedDeliveryTime
+    };
+  }
+
+  const hasZones = shopDoc.deliveryZones.some(z => z.isActive);
+  const withinRadius = distance !== null && distance <= (settings.serviceRadius || 5);
+
+  // Without coordinates the radius cannot be checked, so only shops without zones accept the address
+  if (withinRadius || (distance === null && !hasZones)) {
+    return {
+      zone: null,
+      distance,
+      deliveryFee: settings.deliveryFee,
+      minimumOrderAmount: settings.minimumOrderAmount,
+      estimatedTime: settings.preparationTime
+    };
+  }
+
+  throw placementError(`${shopDoc.businessName} does not deliver to this address`);
+};
+
+const countActiveOrders = (shopId) => Order.countDocuments({
+  shop: shopId,
+  status: { $in: ACTIVE_ORDER_STATUSES }
+});
+
+// Delivery terms plus the fee for an items subtotal: the zone or flat base fee with the shop's
+// fee rules on top, waived above freeDeliveryAbove. Throws placementError when not served.
+const quoteDelivery = async (shopDoc, deliveryAddress, subtotal, { activeOrders, at = new Date() } = {}) => {
+  const terms = resolveDeliveryTerms(shopDoc, deliveryAddress);
+  const { settings } = shopDoc;
+  const rules = settings.deliveryFeeRules;
+
+  if (activeOrders === undefined && rules?.enabled && rules.surge?.enabled && settings.maxActiveOrders) {
+    activeOrders = await countActiveOrders(shopDoc._id);
+  }
+
+  const { fee, ...breakdown } = calculateDeliveryFee(rules, {
+    baseFee: terms.deliveryFee,
+    distance: terms.distance,
+    activeOrders,
+    maxActiveOrders: settings.maxActiveOrders,
+    at,
+    timeZone: getShopTimezone(shopDoc)
+  });
+  const freeDelivery = Boolean(settings.freeDeliveryAbove && subtotal >= settings.freeDeliveryAbove);
+
+  return {
+    ...terms,
+    deliveryFee: freeDelivery ? 0 : fee,
+    feeBreakdown: { ...breakdown, freeDelivery }
+  };
+};
+
+// Whether a shop can take an order, as { eligible, reasons, terms, activeOrders }. Every
+// failed check adds a { code, message } reason: unavailable, not_accepting_orders, closed,
+// paused, at_capacity, hourly_limit_reached, outside_delivery_zone, below_minimum.
+// The delivery zone is only checked when an address is given and the minimum only when a
+// subtotal is; a booked slot (see scheduling) skips the checks about the current queue.
+const checkOrderEligibility = async (shopDoc, { deliveryType = 'delivery', deliveryAddress = null, subtotal = null, booking = null, at = new Date() } = {}) => {
+  const { settings } = shopDoc;
+  const reasons = [];
+  const addReason = (code, message, details = {}) => reasons.push({ code, message, ...details });
+
+  if (!shopDoc.isActive || shopDoc.verification.status !== 'verified') {
+    addReason('unavailable', 'Shop is not available for orders');
+  }
+
+  if (!settings.acceptsOrders) {
+    addReason('not_accepting_orders', `${shopDoc.businessName} is not accepting orders`);
+  }
+
+  // Open now, for orders that are not booked into a slot
+  if (!booking) {
+    const openingStatus = shopDoc.getOpeningStatus(at);
+    if (!settings.isOpen) {
+      addReason('closed', `${shopDoc.businessName} is closed right now`, { nextOpeningAt: null });
+    } else if (!openingStatus.isOpen) {
+      const { nextOpeningAt } = openingStatus;
+      addReason('closed', nextOpeningAt
+        ? `${shopDoc.businessName} is closed right now. It opens ${formatShopTime(shopDoc, nextOpeningAt)}`
+        : `${shopDoc.businessName} is closed right now`, { nextOpeningAt });
+    }
+  }
+
+  // Paused at the time the order is fulfilled
+  const fulfilAt = booking ? booking.startsAt : at;
+  if (settings.pauseOrdersUntil && new Date(settings.pauseOrdersUntil) > fulfilAt) {
+    const pausedUntil = new Date(settings.pauseOrdersUntil);
+    addReason('paused', `Shop is temporarily not accepting orders until ${formatShopTime(shopDoc, pausedUntil)}`, { pausedUntil });
+  }
+
+  // Active orders count towards the capacity limit and delivery surge pricing
+  const activeOrders = settings.maxActiveOrders && !booking ? await countActiveOrders(shopDoc._id) : 0;
+
+  if (!booking && settings.maxActiveOrders && activeOrders >= settings.maxActiveOrders) {
+    addReason('at_capacity', 'Shop is currently at full capacity. Please try again later.');
+  }
+
+  if (!booking && settings.maxOrdersPerHour) {
+    const oneHourAgo = new Date(at.getTime() - 60 * 60 * 1000);
+    const recentOrdersCount = await Order.countDocuments({
+      shop: shopDoc._id,
+      createdAt: { $gte: oneHourAgo }
+    });
+
+    if (recentOrdersCount >= settings.maxOrdersPerHour) {
+      addReason('hourly_limit_reached', 'Shop has reached its order capacity for this hour. Please try again later.');
+    }
+  }
+
+  // Pickup orders are bound by the shop's own terms, deliveries by the zone they fall in
+  let terms = null;
+  if (deliveryType !== 'delivery') {
+    terms = {
+      zone: null,
+      distance: null,
+      deliveryFee: 0,
+      minimumOrderAmount: settings.minimumOrderAmount,
+      estimatedTime: settings.preparationTime
+    };
+  } else if (deliveryAddress) {
+    try {
+      terms = await quoteDelivery(shopDoc, deliveryAddress, subtotal || 0, { activeOrders, at: booking ? booking.startsAt : at });
+    } catch (error) {
+      if (error.statusCode !== 400) {
+        throw error;
+      }
+      addReason('outside_delivery_zone', error.message);
+    }
+  }
+
+  const minimumOrderAmount = terms ? terms.minimumOrderAmount : settings.minimumOrderAmount;
+  if (subtotal !== null && minimumOrderAmount && subtotal < minimumOrderAmount) {
+    addReason('below_minimum', `Minimum order amount is ₹${minimumOrderAmount}`, { minimumOrderAmount });
+  }
+
+  return { eligible: reasons.length === 0, reasons, terms, activeOrders };
+};
+
+// Validate one shop's items and work out the order document, without writing anything.
+// Throws placementError when the shop cannot take the order.
+const prepareOrder = async ({ shopId, items, delivery, deliveryAddress, payment, couponCode, schedule, customerNotes, customer, metadata }) => {
+  // Validate shop exists; whether it can take orders is checked below with the subtotal
+  const shopDoc = await Shop.findById(shopId);
+  if (!shopDoc) {
+    throw placementError('Shop is not available for orders');
+  }
+
+  // A booked slot takes the place of the live capacity checks, which are about the current queue
+  const booking = schedule ? resolveSlot(shopDoc, schedule, delivery.type) : null;
+
+  // Validate and calculate order items
+  let subtotal = 0;
+  const orderItems = [];
+  const stockLines = [];
+  const taxRules = [];
+
+  for (let item of items) {
+    const product = await Product.findById(item.product).populate('category', 'tax');
+
+    if (!product || !product.isActive || product.status !== 'active') {
+      throw placementError(`Product ${item.product} is not available`);
+    }
+
+    if (product.shop.toString() !== shopDoc._id.toString()) {
+      throw placementError('All products must be from the same shop');
+    }
+
+    let variant = null;
+    if (item.variant) {
+      variant = product.variants.id(item.variant);
+      if (!variant || !variant.isActive) {
+        throw placementError(`Selected option for ${product.name} is not available`);
+      }
+    }
+
+    // Stock is checked and taken atomically when the order is placed
+    stockLines.push({
+      product: product._id,
+      variant: variant?._id,
+      quantity: item.quantity,
+      trackQuantity: product.trackQuantity
+    });
+
+    const price = variant ? variant.price : product.price;
+    const itemTotal = price * item.quantity;
+    subtotal += itemTotal;
+
+    orderItems.push({
+      product: product._id,
+      variant: variant?._id,
+      name: variant ? `${product.name} (${variant.value})` : product.name,
+      price,
+      quantity: item.quantity,
+      total: itemTotal,
+      shop: shopDoc._id
+    });
+    taxRules.push(resolveTaxRule(product, product.category));
+  }
+
+  // Open, accepting, within capacity, delivering there and above the minimum
+  const eligibility = await checkOrderEligibility(shopDoc, {
+    deliveryType: delivery.type,
+    deliveryAddress,
+    subtotal,
+    booking
+  });
+  if (!eligibility.eligible) {
+    throw Object.assign(placementError(eligibility.reasons[0].message), { reasons: eligibility.reasons });
+  }
+
+  const { terms } = eligibility;
+  const { deliveryFee } = terms;
+
+  // Scheduled orders wait for their release time; otherwise auto-accept if enabled
+  let initialStatus = shopDoc.settings.autoAcceptOrders ? 'confirmed' : 'pending';
+  if (booking && booking.releaseAt > new Date()) {
+    initialStatus = 'scheduled';
+  }
+
+  const orderData = {
+    customer: customer._id,
+    shop: shopDoc._id,
+    items: orderItems,
+    subtotal,
+    deliveryFee,
+    status: initialStatus,
+    delivery: {
+      type: delivery.type,
+      address: delivery.type === 'delivery' ? deliveryAddress : null,
+      estimatedTime: terms.estimatedTime,
+      zone: terms.zone ? { zoneId: terms.zone._id, name: terms.zone.name } : undefined,
+      distance: terms.distance !== null ? Math.round(terms.distance * 100) / 100 : undefined,
+      feeBreakdown: terms.feeBreakdown,
+      instructions: delivery.instructions
+    },
+    payment: {
+      method: payment.method,
+      status: 'pending'
+    },
+    schedule: booking ? {
+      slot: booking.slot._id,
+      date: booking.date,
+      startsAt: booking.startsAt,
+      endsAt: booking.endsAt,
+      releaseAt: booking.releaseAt,
+      releasedAt: initialStatus === 'scheduled' ? undefined : new Date()
+    } : undefined,
+    customerNotes,
+    metadata
+  };
+
+  // The shop's best running offer is taken off automatically
+  const prepared = {
+    shopDoc,
+    orderData,
+    stockLines,
+    taxRules,
+    booking,
+    supplyType: delivery.type === 'delivery'
+      ? getSupplyType(shopDoc.address.state, deliveryAddress.state)
+      : 'intra_state',
+    offer: shopDoc.getBestOffer(subtotal),
+    coupon: null
+  };
+  priceOrder(prepared);
+
+  if (couponCode) {
+    const evaluation = await evaluateCoupon(couponCode, {
+      userId: customer._id,
+      shopId: shopDoc._id,
+      subtotal: discountedSubtotal(prepared),
+      deliveryFee
+    });
+    applyCoupon(prepared, evaluation);
+  }
+
+  return prepared;
+};
+
+// Items total after the shop offer; coupons are checked and worked out against this
+const discountedSubtotal = (prepared) => prepared.orderData.subtotal - (prepared.offer ? prepared.offer.amount : 0);
+
+// Set discount, tax and total from the subtotal, delivery fee, offer and coupon.
+// GST is on the items after discounts, see utils/tax.js.
+const priceOrder = (prepared) => {
+  const { orderData, taxRules, supplyType, offer, coupon } = prepared;
+
+  const itemDiscount = (offer ? offer.amount : 0) + (coupon ? coupon.itemDiscount : 0);
+  const discount = itemDiscount + (coupon ? coupon.deliveryDiscount : 0);
+
+  orderData.discount = discount > 0 ? {
+    amount: Math.round(discount * 100) / 100,
+    offer: offer ? {
+      offerId: offer.offer._id,
+      title: offer.offer.title,
+      amount: offer.amount
+    } : undefined,
+    code: coupon?.coupon.code,
+    description: coupon?.coupon.description,
+    coupon: coupon?.coupon._id,
+    couponAmount: coupon?.discount,
+    deliveryAmount: coupon?.deliveryDiscount || undefined
+  } : undefined;
+
+  const { lines, breakdown } = calculateTax(
+    orderData.items.map((item, index) => ({ total: item.total, ...taxRules[index] })),
+    { itemDiscount, supplyType }
+  );
+  orderData.items.forEach((item, index) => {
+    item.tax = lines[index];
+  });
+  orderData.tax = breakdown.addedTax;
+  orderData.taxBreakdown = {
+    supplyType: breakdown.supplyType,
+    cgst: breakdown.cgst,
+    sgst: breakdown.sgst,
+    igst: breakdown.igst,
+    totalTax: breakdown.totalTax,
+    includedTax: breakdown.includedTax
+  };
+  orderData.total = Math.round((orderData.subtotal + orderData.deliveryFee + orderData.tax - discount) * 100) / 100;
+
+  return prepared;
+};
+
+// Take a coupon evaluated by evaluateCoupon off a prepared order
+const applyCoupon = (prepared, evaluation) => {
+  prepared.coupon = evaluation;
+  return priceOrder(prepared);
+};
+
+// Redeem the coupon, book the slot, reserve stock and create the order prepared by prepareOrder;
+// everything taken is given back if a later step fails
+const placeOrder = async ({ shopDoc, orderData, stockLines, coupon, booking }) => {
+  if (coupon) {
+    orderData._id = orderData._id || new mongoose.Types.ObjectId();
+    await redeemCoupon(coupon, {
+      userId: orderData.customer,
+      orderId: orderData._id,
+      shopId: shopDoc._id
+    });
+  }
+
+  let slotBooked = false;
+  let reservedLines;
+  let order;
+  try {
+    if (booking) {
+      await reserveSlot(booking);
+      slotBooked = true;
+    }
+    reservedLines = await reserveStock(stockLines);
+    order = await Order.create(orderData);
+  } catch (error) {
+    if (reservedLines) {
+      await releaseStock(reservedLines);
+    }
+    if (slotBooked) {
+      await releaseSlot(orderData.schedule);
+    }
+    if (coupon) {
+      await releaseCoupon(orderData._id);
+    }
+    throw error;
+  }
+
+  // Add status history entry
+  if (order.status === 'confirmed') {
+    order.statusHistory.push({
+      status: 'confirmed',
+      timestamp: new Date(),
+      note: 'Order automatically confirmed'
+    });
+    await order.save();
+  }
+
+  // Update shop statistics
+  await Shop.updateOne({ _id: shopDoc._id }, { $inc: { 'stats.totalOrders': 1 } });
+
+  return order;
+};
+
+const notifyOrderPlaced = async (order, shopDoc, customer) => {
+  // Send notifications
+  try {
+    // Notify shop owner
+    const shopOwner = await User.findById(shopDoc.owner);
+    if (shopOwner) {
+      await sendNotification({
+        type: 'all',
+        to: shopOwner.email,
+        userId: shopOwner._id,
+        subject: `New Order #${order.orderNumber}`,
+        message: `You have received a new order worth ₹${order.total}`,
+        template: 'new-order-shop',
+        data: {
+          orderNumber: order.orderNumber,
+          customerName: customer.name,
+          total: order.total,
+          shopName: shopDoc.businessName
+        }
+      });
+    }
+
+    // Notify customer
+    await sendNotification({
+      type: 'email',
+      to: customer.email,
+      subject: `Order Confirmed - #${order.orderNumber}`,
+      template: 'order-confirmation',
+      data: {
+        orderNumber: order.orderNumber,
+        customerName: customer.name,
+        total: order.total,
+        shopName: shopDoc.businessName,
+        estimatedDelivery: `${order.delivery.estimatedTime || shopDoc.settings.preparationTime} minutes`
+      }
+    });
+  } catch (error) {
+    console.error('Notification sending failed:', error);
+  }
+
+  // Emit real-time events
+  try {
+    // Emit to customer
+    emitToUser(customer._id.toString(), 'order:created', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      total: order.total,
+      shop: {
+        _id: shopDoc._id,
+        businessName: shopDoc.businessName
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    // Emit to shop owner
+    if (shopDoc.owner) {
+      emitToUser(shopDoc.owner.toString(), 'order:new', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        customer: {
+          name: customer.name
+        },
+        total: order.total,
+        itemsCount: order.items.length,
+        timestamp: new Date().toISOString()
+      });
+
+      // Emit to shop room
+      emitToShop(shopDoc._id.toString(), 'order:new', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Real-time event emission failed:', error);
+  }
+};
+
+module.exports = {
+  ACTIVE_ORDER_STATUSES,
+  resolveDeliveryAddress,
+  resolveDeliveryTerms,
+  quoteDelivery,
+  checkOrderEligibility,
+  prepareOrder,
+  discountedSubtotal,
+  applyCoupon,
+  placeOrder,
+  notifyOrderPlaced
+};
@@ -0,0 +1,102 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config');
+const { hmacSha256, safeEqual, webhookError } = require('./signature');
+
+// In-process gateway for tests and local development, only available with
+// PAYMENT_FAKE_GATEWAY=true. Payments succeed when the caller presents a signature made
+// with signPayment(), mirroring Razorpay's checkout flow.
+
+const EVENT_TYPES = ['payment.succeeded', 'payment.failed', 'refund.processed', 'refund.failed'];
+
+const settings = () => config.payments.fake;
+
+const isConfigured = () => Boolean(settings().enabled && settings().secret);
+
+const ensureEnabled = () => {
+  if (!isConfigured()) {
+    throw new Error('Fake payment gateway is disabled');
+  }
+};
+
+// Signature a client would receive from the checkout widget
+const signPayment = (transactionId, paymentId) => {
+  return hmacSha256(settings().secret, `${transactionId}|${paymentId}`);
+};
+
+// Signature expected in the x-fake-signature header of webhook calls
+const signWebhook = (rawBody) => {
+  return hmacSha256(settings().secret, rawBody);
+};
+
+const createIntent = async ({ order, amount, currency }) => {
+  ensureEnabled();
+
+  const transactionId = `fake_order_${uuidv4()}`;
+
+  return {
+    transactionId,
+    clientData: {
+      fakeOrderId: transactionId,
+      amount,
+      currency,
+      description: `Payment for order #${order.orderNumber}`
+    }
+  };
+};
+
+const verify = async ({ transactionId, paymentId, signature }) => {
+  ensureEnabled();
+
+  const valid = Boolean(paymentId) && safeEqual(signature, signPayment(transactionId, paymentId));
+
+  return {
+    status: valid ? 'paid' : 'failed',
+    paymentId
+  };
+};
+
+const refund = async ({ amount }) => {
+  ensureEnabled();
+
+  return {
+    refundId: `fake_refund_${uuidv4()}`,
+    status: 'processed',
+    amount
+  };
+};
+
+const parseWebhook = (req) => {
+  ensureEnabled();
+
+  if (!req.rawBody || !safeEqual(req.headers['x-fake-signature'], signWebhook(req.rawBody))) {
+    throw webhookError('Invalid webhook signature');
+  }
+
+  const { id, type, transactionId, paymentId, refundId, amount, reason } = req.body;
+
+  if (!EVENT_TYPES.includes(type)) {
+    return { id, gatewayEvent: type, type: 'ignored' };
+  }
+
+  return {
+    id,
+    gatewayEvent: type,
+    type,
+    transactionId,
+    paymentId,
+    refundId,
+    amount,
+    reason
+  };
+};
+
+module.exports = {
+  name: 'fake',
+  isConfigured,
+  createIntent,
+  verify,
+  refund,
+  parseWebhook,
+  signPayment,
+  signWebhook
+};
@@ -0,0 +1,35 @@
+const razorpay = require('./razorpay');
+const stripe = require('./stripe');
+const paytm = require('./paytm');
+const fake = require('./fake');
+
+// Every adapter implements the same interface:
+//   createIntent({ order, customer, amount, currency }) -> { transactionId, clientData }
+//   verify({ transactionId, paymentId, signature })     -> { status: paid|failed|pending, paymentId, amount }
+//   refund({ transactionId, paymentId, amount, reason }) -> { refundId, status: processed|pending|failed, amount }
+//   parseWebhook(req) -> { id, type, transactionId, paymentId, refundId, amount } (throws on a bad signature)
+// Amounts are always in major currency units (rupees); adapters convert as needed.
+const gateways = {
+  razorpay,
+  stripe,
+  paytm,
+  fake
+};
+
+const GATEWAY_NAMES = Object.keys(gateways);
+
+// Get an adapter by name, or null when unknown or not configured
+const getGateway = (name) => {
+  const gateway = gateways[name];
+  return gateway && gateway.isConfigured() ? gateway : null;
+};
+
+const getAvailableGateways = () => {
+  return GATEWAY_NAMES.filter(name => gateways[name].isConfigured());
+};
+
+module.exports = {
+  GATEWAY_NAMES,
+  getGateway,
+  getAvailableGateways
+};
@@ -0,0 +1,202 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../../config/config');
+const { webhookError } = require('./signature');
+
+// Fixed IV defined by Paytm's checksum specification
+const CHECKSUM_IV = '@@@@&&&&####$$$$';
+
+const settings = () => config.payments.paytm;
+
+const isConfigured = () => Boolean(settings().merchantId && settings().merchantKey);
+
+const cipherFor = (key) => {
+  if (key.length === 32) return 'aes-256-cbc';
+  if (key.length === 24) return 'aes-192-cbc';
+  return 'aes-128-cbc';
+};
+
+const encrypt = (input, key) => {
+  const cipher = crypto.createCipheriv(cipherFor(key), key, CHECKSUM_IV);
+  return cipher.update(input, 'binary', 'base64') + cipher.final('base64');
+};
+
+const decrypt = (encrypted, key) => {
+  const decipher = crypto.createDecipheriv(cipherFor(key), key, CHECKSUM_IV);
+  return decipher.update(encrypted, 'base64', 'binary') + decipher.final('binary');
+};
+
+const calculateHash = (params, salt) => {
+  return crypto.createHash('sha256').update(`${params}|${salt}`).digest('hex') + salt;
+};
+
+// Form posts are signed over their values sorted by key and joined with '|'
+const paramsToString = (params) => {
+  return Object.keys(params)
+    .sort()
+    .map(key => {
+      const value = params[key];
+      return value !== undefined && value !== null && String(value).toLowerCase() !== 'null' ? value : '';
+    })
+    .join('|');
+};
+
+const generateChecksum = (params, key) => {
+  const data = typeof params === 'string' ? params : paramsToString(params);
+  const salt = crypto.randomBytes(3).toString('base64');
+  return encrypt(calculateHash(data, salt), key);
+};
+
+const verifyChecksum = (params, key, checksum) => {
+  if (!checksum) return false;
+
+  try {
+    const data = typeof params === 'string' ? params : paramsToString(params);
+    const hash = decrypt(checksum, key);
+    const salt = hash.slice(-4);
+    return hash === calculateHash(data, salt);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Paytm JSON APIs take { body, head: { signature } } where the signature covers the body JSON
+const request = async (path, body) => {
+  if (!isConfigured()) {
+    throw new Error('Paytm is not configured');
+  }
+
+  const { data } = await axios.post(`${settings().baseUrl}${path}`, {
+    body,
+    head: {
+      signature: generateChecksum(JSON.stringify(body), settings().merchantKey)
+    }
+  }, { timeout: 10000 });
+
+  return data.body || {};
+};
+
+const mapTxnStatus = (status) => {
+  if (status === 'TXN_SUCCESS') return 'paid';
+  if (status === 'TXN_FAILURE') return 'failed';
+  return 'pending';
+};
+
+const createIntent = async ({ order, customer, amount, currency }) => {
+  const { merchantId, website, callbackUrl } = settings();
+
+  // Paytm order IDs must be unique per attempt, so retries get a suffix
+  const paytmOrderId = `${order.orderNumber}_${Date.now()}`;
+
+  const result = await request(
+    `/theia/api/v1/initiateTransaction?mid=${merchantId}&orderId=${paytmOrderId}`,
+    {
+      requestType: 'Payment',
+      mid: merchantId,
+      websiteName: website,
+      orderId: paytmOrderId,
+      callbackUrl,
+      txnAmount: {
+        value: amount.toFixed(2),
+        currency
+      },
+      userInfo: {
+        custId: customer._id.toString(),
+        mobile: customer.phone,
+        email: customer.email
+      }
+    }
+  );
+
+  if (result.resultInfo?.resultStatus !== 'S') {
+    throw new Error(result.resultInfo?.resultMsg || 'Paytm transaction could not be initiated');
+  }
+
+  return {
+    transactionId: paytmOrderId,
+    clientData: {
+      merchantId,
+      orderId: paytmOrderId,
+      txnToken: result.txnToken,
+      amount: amount.toFixed(2),
+      currency
+    }
+  };
+};
+
+const verify = async ({ transactionId }) => {
+  const result = await request('/v3/order/status', {
+    mid: settings().merchantId,
+    orderId: transactionId
+  });
+
+  return {
+    status: mapTxnStatus(result.resultInfo?.resultStatus),
+    paymentId: result.txnId,
+    amount: result.txnAmount ? parseFloat(result.txnAmount) : undefined
+  };
+};
+
+const refund = async ({ transactionId, paymentId, amount }) => {
+  const refId = `REF_${transactionId}_${Date.now()}`;
+
+  const result = await request('/refund/apply', {
+    mid: settings().merchantId,
+    txnType: 'REFUND',
+    orderId: transactionId,
+    txnId: paymentId,
+    refId,
+    refundAmount: amount.toFixed(2)
+  });
+
+  const status = result.resultInfo?.resultStatus;
+
+  return {
+    refundId: result.refundId || refId,
+    status: status === 'TXN_SUCCESS' ? 'processed' : status === 'TXN_FAILURE' ? 'failed' : 'pending',
+    amount
+  };
+};
+
+// Paytm posts the transaction result as a form with a CHECKSUMHASH field
+const parseWebhook = (req) => {
+  const { CHECKSUMHASH, ...params } = req.body || {};
+
+  if (!isConfigured()) {
+    throw webhookError('Paytm is not configured');
+  }
+
+  if (params.MID !== settings().merchantId || !verifyChecksum(params, settings().merchantKey, CHECKSUMHASH)) {
+    throw webhookError('Invalid webhook signature');
+  }
+
+  const status = mapTxnStatus(params.STATUS);
+  const base = {
+    id: params.TXNID ? `${params.TXNID}:${params.STATUS}` : undefined,
+    gatewayEvent: params.STATUS
+  };
+
+  if (status === 'pending') {
+    return { ...base, type: 'ignored' };
+  }
+
+  return {
+    ...base,
+    type: status === 'paid' ? 'payment.succeeded' : 'payment.failed',
+    transactionId: params.ORDERID,
+    paymentId: params.TXNID,
+    amount: params.TXNAMOUNT ? parseFloat(params.TXNAMOUNT) : undefined,
+    reason: params.RESPMSG
+  };
+};
+
+module.exports = {
+  name: 'paytm',
+  isConfigured,
+  createIntent,
+  verify,
+  refund,
+  parseWebhook,
+  generateChecksum,
+  verifyChecksum
+};
@@ -0,0 +1,158 @@
+const axios = require('axios');
+const config = require('../../config/config');
+const {
+  hmacSha256,
+  safeEqual,
+  toMinorUnits,
+  fromMinorUnits,
+  webhookError
+} = require('./signature');
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+const settings = () => config.payments.razorpay;
+
+const isConfigured = () => Boolean(settings().keyId && settings().keySecret);
+
+const client = () => {
+  if (!isConfigured()) {
+    throw new Error('Razorpay is not configured');
+  }
+
+  return axios.create({
+    baseURL: API_URL,
+    auth: {
+      username: settings().keyId,
+      password: settings().keySecret
+    },
+    timeout: 10000
+  });
+};
+
+// Razorpay statuses: created, authorized, captured, refunded, failed
+const mapPaymentStatus = (status) => {
+  if (status === 'captured') return 'paid';
+  if (status === 'failed') return 'failed';
+  return 'pending';
+};
+
+const createIntent = async ({ order, customer, amount, currency }) => {
+  const { data } = await client().post('/orders', {
+    amount: toMinorUnits(amount),
+    currency,
+    receipt: order.orderNumber,
+    notes: { orderId: order._id.toString() }
+  });
+
+  return {
+    transactionId: data.id,
+    clientData: {
+      razorpayOrderId: data.id,
+      key: settings().keyId,
+      amount: data.amount,
+      currency: data.currency,
+      name: order.shop?.businessName,
+      description: `Payment for order #${order.orderNumber}`,
+      prefill: {
+        name: customer.name,
+        email: customer.email,
+        contact: customer.phone
+      }
+    }
+  };
+};
+
+const verify = async ({ transactionId, paymentId, signature }) => {
+  const expectedSignature = hmacSha256(settings().keySecret || '', `${transactionId}|${paymentId}`);
+
+  if (!paymentId || !safeEqual(signature, expectedSignature)) {
+    return { status: 'failed', paymentId };
+  }
+
+  // Confirm with Razorpay rather than trusting the checkout callback alone
+  const { data } = await client().get(`/payments/${paymentId}`);
+
+  if (data.order_id !== transactionId) {
+    return { status: 'failed', paymentId };
+  }
+
+  return {
+    status: mapPaymentStatus(data.status),
+    paymentId: data.id,
+    amount: fromMinorUnits(data.amount)
+  };
+};
+
+const refund = async ({ paymentId, amount, reason }) => {
+  const { data } = await client().post(`/payments/${paymentId}/refund`, {
+    amount: toMinorUnits(amount),
+    notes: { reason: reason || '' }
+  });
+
+  return {
+    refundId: data.id,
+    status: data.status === 'processed' ? 'processed' : data.status === 'failed' ? 'failed' : 'pending',
+    amount: fromMinorUnits(data.amount)
+  };
+};
+
+const parseWebhook = (req) => {
+  const signature = req.headers['x-razorpay-signature'];
+
+  if (!settings().webhookSecret) {
+    throw webhookError('Razorpay webhook secret is not configured');
+  }
+
+  if (!req.rawBody || !safeEqual(signature, hmacSha256(settings().webhookSecret, req.rawBody))) {
+    throw webhookError('Invalid webhook signature');
+  }
+
+  const { event, payload = {} } = req.body;
+  const payment = payload.payment?.entity;
+  const refundEntity = payload.refund?.entity;
+
+  const base = {
+    id: req.headers['x-razorpay-event-id'],
+    gatewayEvent: event
+  };
+
+  switch (event) {
+    case 'payment.captured':
+    case 'order.paid':
+      return {
+        ...base,
+        type: 'payment.succeeded',
+        transactionId: payment?.order_id,
+        paymentId: payment?.id,
+        amount: payment ? fromMinorUnits(payment.amount) : undefined
+      };
+    case 'payment.failed':
+      return {
+        ...base,
+        type: 'payment.failed',
+        transactionId: payment?.order_id,
+        paymentId: payment?.id,
+        reason: payment?.error_description
+      };
+    case 'refund.processed':
+    case 'refund.failed':
+      return {
+        ...base,
+        type: event,
+        paymentId: refundEntity?.payment_id,
+        refundId: refundEntity?.id,
+        amount: refundEntity ? fromMinorUnits(refundEntity.amount) : undefined
+      };
+    default:
+      return { ...base, type: 'ignored' };
+  }
+};
+
+module.exports = {
+  name: 'razorpay',
+  isConfigured,
+  createIntent,
+  verify,
+  refund,
+  parseWebhook
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 hex digest used by Razorpay, Stripe and the fake gateway
+const hmacSha256 = (secret, payload) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+// Constant-time comparison so signatures cannot be guessed byte by byte
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Gateways work in the smallest currency unit (paise, cents)
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const fromMinorUnits = (amount) => Math.round(amount) / 100;
+
+// Error raised when a webhook cannot be authenticated or understood
+const webhookError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+module.exports = {
+  hmacSha256,
+  safeEqual,
+  toMinorUnits,
+  fromMinorUnits,
+  webhookError
+};
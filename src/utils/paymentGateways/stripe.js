@@ -0,0 +1,199 @@
+const axios = require('axios');
+const config = require('../../config/config');
+const {
+  hmacSha256,
+  safeEqual,
+  toMinorUnits,
+  fromMinorUnits,
+  webhookError
+} = require('./signature');
+
+const API_URL = 'https://api.stripe.com/v1';
+
+// Reject webhook deliveries signed more than 5 minutes ago (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const settings = () => config.payments.stripe;
+
+const isConfigured = () => Boolean(settings().secretKey);
+
+// Stripe expects form-encoded bodies with bracketed keys for nested objects
+const encodeForm = (params, prefix) => {
+  const form = new URLSearchParams();
+
+  const append = (value, key) => {
+    if (value === undefined || value === null) return;
+
+    if (typeof value === 'object') {
+      Object.entries(value).forEach(([childKey, childValue]) => append(childValue, `${key}[${childKey}]`));
+    } else {
+      form.append(key, String(value));
+    }
+  };
+
+  Object.entries(params).forEach(([key, value]) => append(value, prefix ? `${prefix}[${key}]` : key));
+  return form;
+};
+
+const request = async (method, path, params) => {
+  if (!isConfigured()) {
+    throw new Error('Stripe is not configured');
+  }
+
+  const { data } = await axios({
+    method,
+    url: `${API_URL}${path}`,
+    data: params ? encodeForm(params) : undefined,
+    headers: {
+      Authorization: `Bearer ${settings().secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    timeout: 10000
+  });
+
+  return data;
+};
+
+const mapIntentStatus = (intent) => {
+  if (intent.status === 'succeeded') return 'paid';
+  if (intent.status === 'canceled' || intent.last_payment_error) return 'failed';
+  return 'pending';
+};
+
+const mapRefundStatus = (status) => {
+  if (status === 'succeeded') return 'processed';
+  if (status === 'failed' || status === 'canceled') return 'failed';
+  return 'pending';
+};
+
+const createIntent = async ({ order, customer, amount, currency }) => {
+  const intent = await request('post', '/payment_intents', {
+    amount: toMinorUnits(amount),
+    currency: currency.toLowerCase(),
+    description: `Payment for order #${order.orderNumber}`,
+    receipt_email: customer.email,
+    metadata: {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber
+    }
+  });
+
+  return {
+    transactionId: intent.id,
+    clientData: {
+      clientSecret: intent.client_secret,
+      publishableKey: settings().publishableKey,
+      amount: intent.amount,
+      currency: intent.currency
+    }
+  };
+};
+
+const verify = async ({ transactionId }) => {
+  // The client only tells us it finished; the PaymentIntent is the source of truth
+  const intent = await request('get', `/payment_intents/${transactionId}`);
+
+  return {
+    status: mapIntentStatus(intent),
+    paymentId: intent.id,
+    amount: fromMinorUnits(intent.amount_received || 0)
+  };
+};
+
+const refund = async ({ transactionId, amount, reason }) => {
+  const result = await request('post', '/refunds', {
+    payment_intent: transactionId,
+    amount: toMinorUnits(amount),
+    metadata: { reason: reason || '' }
+  });
+
+  return {
+    refundId: result.id,
+    status: mapRefundStatus(result.status),
+    amount: fromMinorUnits(result.amount)
+  };
+};
+
+// Stripe-Signature: t=<timestamp>,v1=<signature>[,v1=<signature>...]
+const parseSignatureHeader = (header = '') => {
+  return header.split(',').reduce((parts, item) => {
+    const [key, value] = item.split('=');
+    if (key === 't') parts.timestamp = parseInt(value);
+    if (key === 'v1') parts.signatures.push(value);
+    return parts;
+  }, { timestamp: null, signatures: [] });
+};
+
+const parseWebhook = (req) => {
+  if (!settings().webhookSecret) {
+    throw webhookError('Stripe webhook secret is not configured');
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(req.headers['stripe-signature']);
+
+  if (!req.rawBody || !timestamp || signatures.length === 0) {
+    throw webhookError('Invalid webhook signature');
+  }
+
+  const expectedSignature = hmacSha256(settings().webhookSecret, `${timestamp}.${req.rawBody}`);
+
+  if (!signatures.some(signature => safeEqual(signature, expectedSignature))) {
+    throw webhookError('Invalid webhook signature');
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw webhookError('Webhook timestamp outside the tolerance window');
+  }
+
+  const { id, type, data = {} } = req.body;
+  const object = data.object || {};
+  const base = { id, gatewayEvent: type };
+
+  switch (type) {
+    case 'payment_intent.succeeded':
+      return {
+        ...base,
+        type: 'payment.succeeded',
+        transactionId: object.id,
+        paymentId: object.id,
+        amount: fromMinorUnits(object.amount_received || 0)
+      };
+    case 'payment_intent.payment_failed':
+      return {
+        ...base,
+        type: 'payment.failed',
+        transactionId: object.id,
+        paymentId: object.id,
+        reason: object.last_payment_error?.message
+      };
+    case 'refund.created':
+    case 'refund.updated':
+    case 'refund.failed':
+    case 'charge.refund.updated': {
+      const status = mapRefundStatus(object.status);
+
+      if (status === 'pending') {
+        return { ...base, type: 'ignored' };
+      }
+
+      return {
+        ...base,
+        type: status === 'processed' ? 'refund.processed' : 'refund.failed',
+        transactionId: object.payment_intent,
+        refundId: object.id,
+        amount: fromMinorUnits(object.amount)
+      };
+    }
+    default:
+      return { ...base, type: 'ignored' };
+  }
+};
+
+module.exports = {
+  name: 'stripe',
+  isConfigured,
+  createIntent,
+  verify,
+  refund,
+  parseWebhook
+};
@@ -0,0 +1,129 @@
+const Order = require('../models/Order');
+const config = require('../config/config');
+const { scheduleJob } = require('./jobs');
+const { sendSMS } = require('./notifications');
+const { refundRemaining } = require('./refunds');
+const { transitionOrder } = require('./orderLifecycle');
+const { emitToShop, emitToAdmins } = require('../config/socket');
+
+// Orders the shop has not accepted: after the escalation delay the shop is reminded
+// (socket + SMS), after the timeout the order is cancelled, its stock, coupon and slot are
+// given back and a paid order is refunded. Shops set both delays in settings
+// (pendingEscalationMinutes, pendingTimeoutMinutes); null uses config.pendingOrders and
+// 0 turns the step off.
+
+const MINUTE_MS = 60 * 1000;
+
+// Scheduled orders only start waiting on the shop once they are released
+const pendingSince = (order) => order.schedule?.releasedAt || order.createdAt;
+
+const pendingLimits = (shop) => {
+  const { settings = {} } = shop;
+  return {
+    escalateAfter: settings.pendingEscalationMinutes ?? config.pendingOrders.escalateAfterMinutes,
+    cancelAfter: settings.pendingTimeoutMinutes ?? config.pendingOrders.cancelAfterMinutes
+  };
+};
+
+const escalateOrder = async (order, minutesWaiting) => {
+  // Only once per order, even with several instances running the job
+  const escalated = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'pending', 'timestamps.escalatedAt': { $exists: false } },
+    { $set: { 'timestamps.escalatedAt': new Date() } },
+    { new: true }
+  );
+  if (!escalated) return;
+
+  const message = `Order #${order.orderNumber} (₹${order.total}) has been waiting ${minutesWaiting} minutes for you to accept it.`;
+
+  try {
+    emitToShop(order.shop._id.toString(), 'order:escalated', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      minutesWaiting,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Real-time event emission failed:', error);
+  }
+
+  const phone = order.shop.contactInfo?.phone || order.shop.owner?.phone;
+  if (phone) {
+    await sendSMS({ to: phone, message });
+  }
+};
+
+const autoCancelOrder = async (order, timeoutMinutes) => {
+  const reason = `Not accepted by the shop within ${timeoutMinutes} minutes`;
+  const wasPaid = ['paid', 'partially_refunded'].includes(order.payment.status);
+
+  try {
+    await transitionOrder(order, 'cancelled', {
+      actor: 'system',
+      reason,
+      automatic: true,
+      message: `${order.shop.businessName} did not accept your order in time, so it has been cancelled.` +
+        (wasPaid ? ' Your payment is being refunded.' : '')
+    });
+  } catch (error) {
+    // The shop accepting at the same moment wins cleanly
+    if (error.statusCode === 409) return;
+    throw error;
+  }
+
+  if (wasPaid) {
+    const refund = await refundRemaining(order, { reason });
+    if (refund?.status === 'failed') {
+      console.error(`Automatic refund failed for order ${order.orderNumber}:`, refund.failureReason);
+      emitToAdmins('payment:refund_failed', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        reason,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+};
+
+// Escalate or cancel every pending order that has waited long enough
+const processPendingOrders = async () => {
+  const now = Date.now();
+
+  const orders = await Order.find({ status: 'pending' })
+    .populate({
+      path: 'shop',
+      select: 'businessName owner contactInfo.phone settings.pendingEscalationMinutes settings.pendingTimeoutMinutes',
+      populate: { path: 'owner', select: 'phone' }
+    })
+    .populate('customer', 'name email phone');
+
+  for (const order of orders) {
+    if (!order.shop || !order.customer) continue;
+
+    const { escalateAfter, cancelAfter } = pendingLimits(order.shop);
+    const waitedMs = now - pendingSince(order).getTime();
+
+    try {
+      if (cancelAfter && waitedMs >= cancelAfter * MINUTE_MS) {
+        await autoCancelOrder(order, cancelAfter);
+      } else if (escalateAfter && waitedMs >= escalateAfter * MINUTE_MS && !order.timestamps.escalatedAt) {
+        await escalateOrder(order, Math.floor(waitedMs / MINUTE_MS));
+      }
+    } catch (error) {
+      console.error(`Pending order ${order.orderNumber} could not be processed:`, error);
+    }
+  }
+};
+
+const startPendingOrderWorker = () => {
+  return scheduleJob(
+    'orders:pending-escalation',
+    config.pendingOrders.checkIntervalSeconds * 1000,
+    processPendingOrders
+  );
+};
+
+module.exports = {
+  processPendingOrders,
+  startPendingOrderWorker
+};
@@ -0,0 +1,375 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const User = require('../models/User');
+const { getGateway } = require('./paymentGateways');
+const { transitionOrder } = require('./orderLifecycle');
+
+// Refunds for orders. A Refund records the request and its review
+// (requested -> approved | rejected, approved -> processed | failed, failed -> approved to retry);
+// refundOrder moves the money. Each payout is a 'refund' entry in the payment ledger: online
+// payments go back through the gateway they were captured on, cash refunds and wallet credit
+// are recorded as processed straight away.
+
+const REFUND_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['processed', 'failed'],
+  failed: ['approved'],
+  rejected: [],
+  processed: []
+};
+
+// Refunds that still count against what can be refunded
+const OPEN_REFUND_STATUSES = ['requested', 'approved'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const refundError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// What the customer paid for the order, including refunds already made for dropped lines
+const paidAmount = (order) => order.total + (order.payment.adjustedAmount || 0);
+
+const isPaid = (order) => ['paid', 'partially_refunded'].includes(order.payment.status);
+
+// Refund a paid order up to refundAmount in total (order.payment.refundAmount is what has
+// been refunded before) and save the order. Returns { refundId, refundAmount, status, payment }.
+// destination 'wallet' credits the customer's wallet instead of the original payment method.
+// A full refund of a delivered order moves it to refunded.
+// Throws with statusCode 502 when the gateway rejects the refund.
+const refundOrder = async (order, { refundAmount = paidAmount(order), reason, initiatedBy, destination = 'original' } = {}) => {
+  let refundId = `refund_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+  let refundStatus = 'processed';
+
+  // Checkout orders were captured by the checkout's shared payment
+  const paymentScope = [{ order: order._id }];
+  if (order.payment.currentPayment) {
+    paymentScope.push({ _id: order.payment.currentPayment });
+  }
+
+  const capturedPayment = await Payment.findOne({
+    $or: paymentScope,
+    kind: 'payment',
+    status: 'captured'
+  }).sort({ capturedAt: -1 });
+
+  const toWallet = destination === 'wallet';
+
+  const refundEntry = new Payment({
+    order: order._id,
+    checkout: order.checkout,
+    customer: order.customer._id,
+    shop: order.shop._id,
+    kind: 'refund',
+    status: 'pending',
+    method: toWallet ? 'wallet' : order.payment.method,
+    gateway: toWallet ? undefined : capturedPayment?.gateway,
+    amount: roundAmount(refundAmount - (order.payment.refundAmount || 0)),
+    currency: capturedPayment?.currency,
+    transactionId: capturedPayment?.transactionId,
+    paymentId: capturedPayment?.paymentId,
+    parent: capturedPayment?._id,
+    reason,
+    initiatedBy
+  });
+
+  // Online payments are refunded through the gateway they were captured on
+  const paymentGateway = !toWallet && capturedPayment?.gateway ? getGateway(capturedPayment.gateway) : null;
+
+  if (paymentGateway) {
+    let result;
+
+    try {
+      result = await paymentGateway.refund({
+        transactionId: capturedPayment.transactionId,
+        paymentId: capturedPayment.paymentId,
+        amount: refundEntry.amount,
+        reason
+      });
+    } catch (error) {
+      console.error(`${capturedPayment.gateway} refund failed:`, error.message);
+      result = { status: 'failed', error: error.message };
+    }
+
+    if (result.status === 'failed') {
+      refundEntry.status = 'failed';
+      refundEntry.failedAt = new Date();
+      refundEntry.failureReason = result.error || 'Rejected by gateway';
+      await refundEntry.addEvent('refund.failed', 'api', result).save();
+
+      throw refundError('Refund could not be processed by the payment gateway', 502);
+    }
+
+    refundId = result.refundId;
+    refundStatus = result.status;
+  }
+
+  if (toWallet) {
+    await User.updateOne({ _id: order.customer._id }, { $inc: { 'wallet.balance': refundEntry.amount } });
+  }
+
+  refundEntry.refundId = refundId;
+  refundEntry.status = refundStatus;
+  if (refundStatus === 'processed') {
+    refundEntry.processedAt = new Date();
+  }
+  await refundEntry.addEvent('refund.created', 'api', { refundId, amount: refundEntry.amount }).save();
+
+  // Update order
+  const fullRefund = refundAmount >= paidAmount(order);
+  order.payment.refundId = refundId;
+  order.payment.refundAmount = refundAmount;
+  order.payment.status = fullRefund ? 'refunded' : 'partially_refunded';
+  order.payment.refundedAt = new Date();
+
+  // Add to cancellation info
+  if (order.status === 'cancelled') {
+    order.cancellation = {
+      ...order.cancellation,
+      refundAmount,
+      refundId,
+      refundReason: reason
+    };
+  }
+
+  if (fullRefund && order.status === 'delivered') {
+    await transitionOrder(order, 'refunded', { actor: 'system', by: initiatedBy, note: reason });
+  } else {
+    await order.save();
+  }
+
+  return { refundId, refundAmount, status: refundStatus, payment: refundEntry._id };
+};
+
+// What can still be refunded on an order: paid, less refunded and less refunds not yet paid out
+const refundableAmount = async (order) => {
+  const [open] = await Refund.aggregate([
+    { $match: { order: order._id, status: { $in: OPEN_REFUND_STATUSES }, payment: { $exists: false } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+
+  return roundAmount(paidAmount(order) - (order.payment.refundAmount || 0) - (open ? open.amount : 0));
+};
+
+// Value of quantity units of an order line: its price after item discounts plus its tax.
+// The delivery fee is only given back by a full refund.
+const lineRefundValue = (item, quantity) => {
+  const lineValue = item.tax?.taxableValue !== undefined
+    ? item.tax.taxableValue + (item.tax.amount || 0)
+    : item.total;
+  return roundAmount(lineValue * quantity / item.quantity);
+};
+
+// Check [{ item, quantity }] against the order's lines, less what other refunds cover
+const resolveRefundItems = async (order, items) => {
+  const earlier = await Refund.find({
+    order: order._id,
+    status: { $in: [...OPEN_REFUND_STATUSES, 'processed'] },
+    'items.0': { $exists: true }
+  }).select('items');
+
+  const covered = {};
+  earlier.forEach(refund => refund.items.forEach(line => {
+    covered[line.item.toString()] = (covered[line.item.toString()] || 0) + line.quantity;
+  }));
+
+  return items.map(({ item: itemId, quantity }) => {
+    const item = order.items.id(itemId);
+    if (!item || item.status === 'unavailable') {
+      throw refundError(`Order item ${itemId} is not on this order`, 400);
+    }
+
+    const available = item.quantity - (covered[item._id.toString()] || 0);
+    if (quantity > available) {
+      throw refundError(`Only ${available} of ${item.name} can still be refunded`, 400);
+    }
+
+    return { item: item._id, name: item.name, quantity, amount: lineRefundValue(item, quantity) };
+  });
+};
+
+const assertRefundTransition = (refund, status) => {
+  if (!REFUND_TRANSITIONS[refund.status].includes(status)) {
+    throw refundError(`Cannot change refund status from ${refund.status} to ${status}`, 400);
+  }
+};
+
+const recordStatus = (refund, status, { by, note } = {}) => {
+  assertRefundTransition(refund, status);
+  refund.status = status;
+  refund.history.push({ status, note, by });
+};
+
+// Review a refund on the condition that it is still in a status the review can start from, so
+// concurrent reviews cannot both pay it out. Returns the reviewed refund; throws with
+// statusCode 409 when someone else reviewed it first.
+const claimReview = async (refund, status, { by, note, unset } = {}) => {
+  assertRefundTransition(refund, status);
+
+  const from = Object.keys(REFUND_TRANSITIONS).filter(previous => REFUND_TRANSITIONS[previous].includes(status));
+  const update = {
+    $set: { status, reviewedBy: by, reviewedAt: new Date(), reviewNote: note },
+    $push: { history: { status, note, by } }
+  };
+  if (unset) {
+    update.$unset = unset;
+  }
+
+  const claimed = await Refund.findOneAndUpdate({ _id: refund._id, status: { $in: from } }, update, { new: true });
+  if (!claimed) {
+    throw refundError('This refund has already been reviewed', 409);
+  }
+  return claimed;
+};
+
+// Open a refund request. Without an amount it is the value of items, or everything still
+// refundable. Throws with statusCode 400 when the amount is more than is left to refund.
+const createRefund = async (order, { amount, items = [], reason, destination = 'original', requestedBy, source }) => {
+  if (!isPaid(order)) {
+    throw refundError('Order payment is not completed', 400);
+  }
+
+  const refundable = await refundableAmount(order);
+  if (refundable <= 0) {
+    throw refundError('Nothing left to refund on this order', 400);
+  }
+
+  const refundItems = items.length ? await resolveRefundItems(order, items) : [];
+  const requested = roundAmount(amount ?? (refundItems.length
+    ? refundItems.reduce((sum, line) => sum + line.amount, 0)
+    : refundable));
+
+  if (requested <= 0 || requested > refundable) {
+    throw refundError(`Refund amount must be between ₹0.01 and ₹${refundable}`, 400);
+  }
+
+  return Refund.create({
+    order: order._id,
+    customer: order.customer._id,
+    shop: order.shop._id,
+    amount: requested,
+    type: requested >= refundable ? 'full' : 'partial',
+    items: refundItems,
+    reason,
+    destination,
+    requestedBy,
+    source,
+    history: [{ status: 'requested', note: reason, by: requestedBy }]
+  });
+};
+
+// Pay out an approved refund. A gateway that answers 'pending' leaves it approved until its
+// webhook arrives; a payout the gateway rejects marks it failed so it can be approved again.
+const payOutRefund = async (refund, order) => {
+  try {
+    const result = await refundOrder(order, {
+      refundAmount: roundAmount((order.payment.refundAmount || 0) + refund.amount),
+      reason: refund.reason,
+      initiatedBy: refund.reviewedBy || refund.requestedBy,
+      destination: refund.destination
+    });
+
+    refund.payment = result.payment;
+    refund.refundId = result.refundId;
+    if (result.status === 'processed') {
+      recordStatus(refund, 'processed');
+      refund.processedAt = new Date();
+    }
+  } catch (error) {
+    if (error.statusCode !== 502) {
+      throw error;
+    }
+    recordStatus(refund, 'failed', { note: error.message });
+    refund.failedAt = new Date();
+    refund.failureReason = error.message;
+  }
+
+  await refund.save();
+  return refund;
+};
+
+// Approve a requested refund, or retry a failed one, and pay it out. Returns the refund as
+// saved; throws with statusCode 409 when it was reviewed concurrently.
+const approveRefund = async (refund, order, { by, note } = {}) => {
+  // A request already counts against the refundable amount, a failed refund no longer does
+  const available = await refundableAmount(order) + (refund.status === 'requested' ? refund.amount : 0);
+  if (refund.amount > available) {
+    throw refundError(`Only ₹${Math.max(available, 0)} is left to refund on this order`, 400);
+  }
+
+  // Claimed before any money moves, so only one approval pays out
+  const approved = await claimReview(refund, 'approved', { by, note, unset: { payment: 1, failureReason: 1 } });
+
+  return payOutRefund(approved, order);
+};
+
+const rejectRefund = (refund, { by, note } = {}) => claimReview(refund, 'rejected', { by, note });
+
+// Refund raised and paid out in one go, for shops, admins and the system
+const issueRefund = async (order, options) => {
+  const refund = await createRefund(order, options);
+  return approveRefund(refund, order, { by: options.requestedBy, note: options.reason });
+};
+
+// Give back everything still refundable on a paid order that was cancelled, or whose total
+// dropped. Returns the refund, or null when there is nothing to refund.
+const refundRemaining = async (order, { amount, reason, by, source = 'system', destination } = {}) => {
+  if (!isPaid(order) || await refundableAmount(order) <= 0) {
+    return null;
+  }
+
+  return issueRefund(order, { amount, reason, destination, requestedBy: by, source });
+};
+
+// Outcome of a refund the gateway reported later (webhook). A failed payout is taken off
+// the order's refunded amount again so the refund can be retried.
+const settleGatewayRefund = async (payment, outcome) => {
+  const refund = await Refund.findOne({ payment: payment._id });
+  if (!refund || refund.status !== 'approved') {
+    return refund;
+  }
+
+  if (outcome === 'processed') {
+    recordStatus(refund, 'processed', { note: 'Confirmed by the payment gateway' });
+    refund.processedAt = new Date();
+  } else {
+    recordStatus(refund, 'failed', { note: 'Rejected by the payment gateway' });
+    refund.failedAt = new Date();
+    refund.failureReason = 'Rejected by the payment gateway';
+
+    const order = await Order.findById(refund.order);
+    if (order) {
+      const refunded = Math.max(roundAmount((order.payment.refundAmount || 0) - refund.amount), 0);
+      order.payment.refundAmount = refunded;
+      order.payment.status = refunded > 0 ? 'partially_refunded' : 'paid';
+
+      if (order.status === 'refunded') {
+        await transitionOrder(order, 'delivered', {
+          actor: 'system',
+          note: 'Refund rejected by the payment gateway',
+          notify: false
+        });
+      } else {
+        await order.save();
+      }
+    }
+  }
+
+  return refund.save();
+};
+
+module.exports = {
+  REFUND_TRANSITIONS,
+  paidAmount,
+  refundableAmount,
+  refundOrder,
+  createRefund,
+  approveRefund,
+  rejectRefund,
+  issueRefund,
+  refundRemaining,
+  settleGatewayRefund
+};
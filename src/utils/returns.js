@@ -0,0 +1,249 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ReturnRequest = require('../models/ReturnRequest');
+const User = require('../models/User');
+const config = require('../config/config');
+const { reserveStock, releaseStock } = require('./inventory');
+const { issueRefund } = require('./refunds');
+
+// Returns and replacements of delivered order lines. The shop approves or rejects a request
+// and can ask for the item to be collected first. A return is refunded for the line's value
+// (see utils/refunds.js) once approved, or once picked up; a replacement is sent as a new,
+// free order for the same item when approved.
+
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['pickup_scheduled', 'completed'],
+  pickup_scheduled: ['pickup_scheduled', 'picked_up'],
+  picked_up: ['completed'],
+  rejected: [],
+  cancelled: [],
+  completed: []
+};
+
+// Requests that still hold on to their quantity of the line
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'pickup_scheduled', 'picked_up', 'completed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const returnError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Days after delivery the shop takes returns; 0 when it takes none
+const returnWindowDays = (shop) => shop.settings?.returnWindowDays ?? config.returns.windowDays;
+
+const recordStatus = (request, status, { by, note } = {}) => {
+  if (!RETURN_TRANSITIONS[request.status].includes(status)) {
+    throw returnError(`Cannot change return status from ${request.status.replace(/_/g, ' ')} to ${status.replace(/_/g, ' ')}`);
+  }
+  request.status = status;
+  request.history.push({ status, note, by });
+};
+
+// Open a request for quantity units of a delivered line. order needs its shop populated.
+const openReturn = async (order, { item: itemId, quantity, type, reason, description, photos = [], by }) => {
+  if (order.status !== 'delivered') {
+    throw returnError('Returns can only be requested for delivered orders');
+  }
+
+  const windowDays = returnWindowDays(order.shop);
+  if (!windowDays) {
+    throw returnError(`${order.shop.businessName} does not accept returns`);
+  }
+
+  const deliveredAt = order.timestamps.deliveredAt || order.updatedAt;
+  if (Date.now() - deliveredAt.getTime() > windowDays * DAY_MS) {
+    throw returnError(`Returns can be requested up to ${windowDays} days after delivery`);
+  }
+
+  const item = order.items.id(itemId);
+  if (!item || item.status === 'unavailable') {
+    throw returnError('Order item not found');
+  }
+
+  const [open] = await ReturnRequest.aggregate([
+    { $match: { order: order._id, item: item._id, status: { $in: OPEN_RETURN_STATUSES } } },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+  ]);
+  const available = item.quantity - (open ? open.quantity : 0);
+  if (quantity > available) {
+    throw returnError(available > 0
+      ? `Only ${available} of ${item.name} can still be returned`
+      : `${item.name} already has a return request`);
+  }
+
+  return ReturnRequest.create({
+    order: order._id,
+    customer: order.customer._id,
+    shop: order.shop._id,
+    item: item._id,
+    product: item.product,
+    variant: item.variant,
+    name: item.name,
+    quantity,
+    type,
+    reason,
+    description,
+    photos,
+    history: [{ status: 'requested', note: description, by }]
+  });
+};
+
+// Send the line again as a free order, taking its stock now
+const createReplacementOrder = async (order, request) => {
+  const product = await Product.findById(request.product);
+  if (!product || !product.isActive) {
+    throw returnError(`${request.name} is no longer sold; approve it as a return instead`);
+  }
+
+  const reserved = await reserveStock([{
+    product: product._id,
+    variant: request.variant,
+    quantity: request.quantity,
+    trackQuantity: product.trackQuantity
+  }]);
+
+  try {
+    return await Order.create({
+      customer: order.customer._id,
+      shop: order.shop._id,
+      replacementFor: order._id,
+      items: [{
+        product: product._id,
+        variant: request.variant,
+        name: request.name,
+        price: 0,
+        quantity: request.quantity,
+        total: 0,
+        shop: order.shop._id
+      }],
+      subtotal: 0,
+      deliveryFee: 0,
+      total: 0,
+      status: 'confirmed',
+      delivery: {
+        type: order.delivery.type,
+        address: order.delivery.type === 'delivery' ? order.delivery.address : null,
+        instructions: order.delivery.instructions
+      },
+      payment: {
+        method: order.payment.method,
+        status: 'paid',
+        paidAt: new Date()
+      },
+      statusHistory: [{
+        status: 'confirmed',
+        timestamp: new Date(),
+        note: `Replacement for ${request.name} from order #${order.orderNumber}`
+      }],
+      timestamps: { confirmedAt: new Date() }
+    });
+  } catch (error) {
+    await releaseStock(reserved);
+    throw error;
+  }
+};
+
+// Refund a return for the value of its line. A refund the gateway rejects stays on the
+// order's refunds to be retried; the return is complete either way.
+const completeReturn = async (request, order, by) => {
+  if (request.type === 'return') {
+    const refund = await issueRefund(order, {
+      items: [{ item: request.item, quantity: request.quantity }],
+      reason: `Return of ${request.quantity} x ${request.name}: ${request.reason.replace(/_/g, ' ')}`,
+      requestedBy: by,
+      source: 'shop_owner'
+    });
+    request.refund = refund._id;
+  }
+
+  recordStatus(request, 'completed', { by });
+  request.completedAt = new Date();
+  return request.save();
+};
+
+// Approve a request, optionally as the other type. With pickup the refund waits until the
+// item is collected; a replacement goes out straight away.
+const approveReturn = async (request, order, { by, note, pickup = false, type } = {}) => {
+  if (type) {
+    request.type = type;
+  }
+
+  recordStatus(request, 'approved', { by, note });
+  request.reviewedBy = by;
+  request.reviewedAt = new Date();
+  request.reviewNote = note;
+  request.pickup.isRequired = pickup;
+
+  if (request.type === 'replacement') {
+    const replacement = await createReplacementOrder(order, request);
+    request.replacementOrder = replacement._id;
+  }
+
+  if (pickup) {
+    return request.save();
+  }
+  return completeReturn(request, order, by);
+};
+
+const rejectReturn = async (request, { by, note } = {}) => {
+  recordStatus(request, 'rejected', { by, note });
+  request.reviewedBy = by;
+  request.reviewedAt = new Date();
+  request.reviewNote = note;
+  return request.save();
+};
+
+const cancelReturn = async (request, { by, note } = {}) => {
+  recordStatus(request, 'cancelled', { by, note });
+  return request.save();
+};
+
+// Assign (or reassign) the delivery partner collecting the item
+const schedulePickup = async (request, { partner: partnerId, scheduledFor, by }) => {
+  if (!request.pickup.isRequired) {
+    throw returnError('This return was approved without a pickup');
+  }
+
+  const partner = await User.findOne({ _id: partnerId, role: 'delivery_partner', isActive: true });
+  if (!partner) {
+    throw returnError('Delivery partner not found');
+  }
+
+  recordStatus(request, 'pickup_scheduled', { by, note: `Pickup assigned to ${partner.name}` });
+  request.pickup.partner = partner._id;
+  request.pickup.scheduledFor = scheduledFor;
+  request.pickup.assignedAt = new Date();
+  await request.save();
+
+  return partner;
+};
+
+// The item is back with the shop: refund it, and put it back in stock if it can be sold again
+const completePickup = async (request, order, { by, restock = false } = {}) => {
+  recordStatus(request, 'picked_up', { by });
+  request.pickup.pickedUpAt = new Date();
+  request.pickup.restocked = restock;
+
+  await completeReturn(request, order, by);
+
+  if (restock) {
+    await releaseStock([{ product: request.product, variant: request.variant, quantity: request.quantity }]);
+  }
+
+  return request;
+};
+
+module.exports = {
+  RETURN_TRANSITIONS,
+  returnWindowDays,
+  openReturn,
+  approveReturn,
+  rejectReturn,
+  cancelReturn,
+  schedulePickup,
+  completePickup
+};
@@ -0,0 +1,43 @@
+const Order = require('../models/Order');
+const config = require('../config/config');
+const { scheduleJob } = require('./jobs');
+const { transitionOrder } = require('./orderLifecycle');
+
+// Scheduled orders wait in 'scheduled' until their release time (see utils/scheduling.js),
+// then this job puts them in the shop's queue: 'confirmed' for shops that accept orders
+// automatically, 'pending' otherwise.
+
+// Move scheduled orders whose release time has come into the shop's queue
+const releaseDueOrders = async () => {
+  const due = await Order.find({
+    status: 'scheduled',
+    'schedule.releaseAt': { $lte: new Date() }
+  }).populate('shop', 'businessName settings.autoAcceptOrders');
+
+  for (const order of due) {
+    const status = order.shop?.settings?.autoAcceptOrders ? 'confirmed' : 'pending';
+
+    order.schedule.releasedAt = new Date();
+    try {
+      await transitionOrder(order, status, { actor: 'system', note: 'Released from schedule' });
+    } catch (error) {
+      // A concurrent cancel or another instance got there first
+      if (error.statusCode !== 409) {
+        throw error;
+      }
+    }
+  }
+};
+
+const startScheduledOrderWorker = () => {
+  return scheduleJob(
+    'orders:release-scheduled',
+    config.scheduling.releaseIntervalSeconds * 1000,
+    releaseDueOrders
+  );
+};
+
+module.exports = {
+  releaseDueOrders,
+  startScheduledOrderWorker
+};
@@ -0,0 +1,120 @@
+const Counter = require('../models/Counter');
+const config = require('../config/config');
+const { getShopTimezone, zonedDateTime, weekdayOf, holidayOn, openIntervalsOn } = require('./shopHours');
+
+// Scheduled orders: the customer books one of the shop's delivery/pickup slots on a date.
+// The order waits in 'scheduled' until shortly before the slot (preparation time plus
+// config.scheduling.releaseLeadMinutes), then the release job (utils/scheduledOrders.js)
+// puts it in the shop's queue.
+// Slot dates and times are wall-clock times in the shop's timezone.
+
+const schedulingError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Why the shop takes no orders for a date, or null
+const closedReason = (shopDoc, date) => {
+  const holiday = holidayOn(shopDoc, date);
+  if (holiday) {
+    return `Shop is closed for ${holiday.name} on this date`;
+  }
+
+  if (openIntervalsOn(shopDoc, date).length === 0) {
+    return `Shop is closed on ${weekdayOf(date)}s`;
+  }
+
+  return null;
+};
+
+// Check a requested { slot, date } against the shop and work out when it starts and when the
+// order is released. Throws schedulingError when the slot cannot be booked.
+const resolveSlot = (shopDoc, { slot: slotId, date }, deliveryType, now = new Date()) => {
+  const slot = shopDoc.deliverySlots.id(slotId);
+  if (!slot || !slot.isActive) {
+    throw schedulingError('Delivery slot not found');
+  }
+
+  if (slot.type !== 'both' && slot.type !== deliveryType) {
+    throw schedulingError(`This slot is only for ${slot.type}`);
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+    throw schedulingError('Slot date must be YYYY-MM-DD');
+  }
+
+  if (slot.day !== weekdayOf(date)) {
+    throw schedulingError(`This slot is only available on ${slot.day}s`);
+  }
+
+  const reason = closedReason(shopDoc, date);
+  if (reason) {
+    throw schedulingError(reason);
+  }
+
+  const timeZone = getShopTimezone(shopDoc);
+  const startsAt = zonedDateTime(date, slot.startTime, timeZone);
+  let endsAt = zonedDateTime(date, slot.endTime, timeZone);
+  if (endsAt <= startsAt) {
+    endsAt = new Date(endsAt.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  const preparationMs = shopDoc.settings.preparationTime * 60 * 1000;
+  if (startsAt.getTime() - now.getTime() < preparationMs) {
+    throw schedulingError('This slot is too soon to prepare the order');
+  }
+
+  const maxAdvanceMs = config.scheduling.maxAdvanceDays * 24 * 60 * 60 * 1000;
+  if (startsAt.getTime() - now.getTime() > maxAdvanceMs) {
+    throw schedulingError(`Orders can be scheduled at most ${config.scheduling.maxAdvanceDays} days ahead`);
+  }
+
+  const releaseAt = new Date(startsAt.getTime() - preparationMs - config.scheduling.releaseLeadMinutes * 60 * 1000);
+
+  return { slot, date, startsAt, endsAt, releaseAt };
+};
+
+// Bookings per slot and date are counted in a Counter document
+const slotCounterKey = (slotId, startsAt) => `slot:${slotId}:${startsAt.toISOString()}`;
+
+const bookedCount = async (slotId, startsAt) => {
+  const counter = await Counter.findById(slotCounterKey(slotId, startsAt));
+  return counter ? counter.seq : 0;
+};
+
+// Take one place in the slot; the capacity check and increment are a single atomic update
+const reserveSlot = async ({ slot, startsAt }) => {
+  try {
+    await Counter.findOneAndUpdate(
+      { _id: slotCounterKey(slot._id, startsAt), seq: { $lt: slot.capacity } },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert collides with the existing counter when the slot is full
+    if (error.code === 11000) {
+      throw schedulingError('This slot is fully booked');
+    }
+    throw error;
+  }
+};
+
+const releaseSlot = async (schedule) => {
+  if (!schedule || !schedule.slot || !schedule.startsAt) {
+    return;
+  }
+
+  await Counter.updateOne(
+    { _id: slotCounterKey(schedule.slot, schedule.startsAt), seq: { $gt: 0 } },
+    { $inc: { seq: -1 } }
+  );
+};
+
+module.exports = {
+  closedReason,
+  resolveSlot,
+  bookedCount,
+  reserveSlot,
+  releaseSlot
+};
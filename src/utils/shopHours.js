@@ -0,0 +1,194 @@
+const config = require('../config/config');
+
+// Shop opening hours, evaluated on the shop's own clock (Shop.timezone, else config.timezone).
+// A businessHours entry opens the shop for one or more intervals on its weekday; an interval
+// whose closeTime is not after its openTime runs past midnight into the next day (22:00-02:00),
+// and 00:00-00:00 is the whole day. A shop with no businessHours at all is treated as always
+// open; once any day is set up, days without an entry are closed. Holidays close the shop for
+// their calendar day, every year when recurring.
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// How far ahead to look for the next opening before giving up
+const SEARCH_DAYS = 366;
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getShopTimezone = (shop) => shop.timezone || config.timezone;
+
+// Wall-clock parts of an instant in a timezone
+const zonedParts = (instant, timeZone) => {
+  const parts = formatterFor(timeZone).formatToParts(instant);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute'))
+  };
+};
+
+// Instant of a 'YYYY-MM-DD' date and 'HH:MM' time on a timezone's clock
+const zonedDateTime = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Shift by the zone's offset at that moment
+  const parts = zonedParts(new Date(asUtc), timeZone);
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - asUtc;
+  return new Date(asUtc - offset);
+};
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+const weekdayOf = (date) => DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// Holiday dates are calendar days, stored at UTC midnight the way 'YYYY-MM-DD' parses
+const holidayOn = (shop, date) => {
+  return (shop.holidays || []).find(holiday => {
+    const holidayDate = new Date(holiday.date).toISOString().slice(0, 10);
+    return holiday.isRecurring ? holidayDate.slice(5) === date.slice(5) : holidayDate === date;
+  }) || null;
+};
+
+// 'HH:MM' intervals a businessHours entry opens for
+const dayIntervals = (hours) => {
+  if (!hours || !hours.isOpen) {
+    return [];
+  }
+  if (hours.intervals && hours.intervals.length > 0) {
+    return hours.intervals;
+  }
+  if (hours.openTime && hours.closeTime) {
+    return [{ openTime: hours.openTime, closeTime: hours.closeTime }];
+  }
+  return [{ openTime: '00:00', closeTime: '00:00' }];
+};
+
+// Opening intervals that start on a calendar date, as [{ opensAt, closesAt }] in time order
+const openIntervalsOn = (shop, date) => {
+  if (holidayOn(shop, date)) {
+    return [];
+  }
+
+  const timeZone = getShopTimezone(shop);
+  const businessHours = shop.businessHours || [];
+  const intervals = businessHours.length === 0
+    ? [{ openTime: '00:00', closeTime: '00:00' }]
+    : dayIntervals(businessHours.find(hours => hours.day === weekdayOf(date)));
+
+  return intervals
+    .map(({ openTime, closeTime }) => {
+      const overnight = toMinutes(closeTime) <= toMinutes(openTime);
+      return {
+        opensAt: zonedDateTime(date, openTime, timeZone),
+        closesAt: zonedDateTime(overnight ? addDays(date, 1) : date, closeTime, timeZone)
+      };
+    })
+    .sort((a, b) => a.opensAt - b.opensAt);
+};
+
+// The interval the shop is open in at an instant, or null. Yesterday's overnight
+// intervals can still be running.
+const currentInterval = (shop, at = new Date()) => {
+  const today = zonedParts(at, getShopTimezone(shop)).date;
+
+  for (const date of [addDays(today, -1), today]) {
+    const interval = openIntervalsOn(shop, date).find(({ opensAt, closesAt }) => opensAt <= at && at < closesAt);
+    if (interval) {
+      return interval;
+    }
+  }
+  return null;
+};
+
+const isOpenAt = (shop, at = new Date()) => currentInterval(shop, at) !== null;
+
+// Start of the first interval after an instant, or null when nothing opens within a year
+const getNextOpening = (shop, from = new Date()) => {
+  const today = zonedParts(from, getShopTimezone(shop)).date;
+
+  for (let offset = 0; offset <= SEARCH_DAYS; offset++) {
+    const interval = openIntervalsOn(shop, addDays(today, offset)).find(({ opensAt }) => opensAt > from);
+    if (interval) {
+      return interval.opensAt;
+    }
+  }
+  return null;
+};
+
+// { isOpen, closesAt, nextOpeningAt } for listings and order checks
+const getOpeningStatus = (shop, at = new Date()) => {
+  const interval = currentInterval(shop, at);
+  return {
+    isOpen: interval !== null,
+    closesAt: interval ? interval.closesAt : null,
+    nextOpeningAt: interval ? null : getNextOpening(shop, at)
+  };
+};
+
+// Human-readable time on the shop's clock, e.g. 'Mon, 20 Oct, 09:00'
+const formatShopTime = (shop, instant) => {
+  return new Intl.DateTimeFormat('en-IN', {
+    timeZone: getShopTimezone(shop),
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(instant);
+};
+
+module.exports = {
+  DAYS,
+  isValidTimezone,
+  getShopTimezone,
+  zonedParts,
+  zonedDateTime,
+  addDays,
+  weekdayOf,
+  holidayOn,
+  openIntervalsOn,
+  isOpenAt,
+  getNextOpening,
+  getOpeningStatus,
+  formatShopTime
+};
@@ -0,0 +1,96 @@
+const config = require('../config/config');
+
+// GST rates a product or category can carry
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28, 40];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const isGstRate = (rate) => rate === undefined || rate === null || GST_RATES.includes(rate);
+
+// Rate, pricing mode and HSN code for a product: the product's own settings first,
+// then its category's, then config.tax
+const resolveTaxRule = (product, category) => {
+  const productTax = product.tax || {};
+  const categoryTax = (category && category.tax) || {};
+
+  return {
+    rate: productTax.rate ?? categoryTax.rate ?? config.tax.defaultRate,
+    inclusive: productTax.inclusive ?? categoryTax.inclusive ?? config.tax.pricesIncludeTax,
+    hsnCode: productTax.hsnCode || categoryTax.hsnCode
+  };
+};
+
+// CGST + SGST when the shop delivers within its own state (and for pickup), IGST across states
+const getSupplyType = (shopState, deliveryState) => {
+  const normalize = (state) => String(state || '').trim().toLowerCase();
+
+  if (!normalize(shopState) || !normalize(deliveryState)) {
+    return 'intra_state';
+  }
+  return normalize(shopState) === normalize(deliveryState) ? 'intra_state' : 'inter_state';
+};
+
+// Tax for an order's lines. lines is [{ total, rate, inclusive, hsnCode }]; itemDiscount is
+// spread over the lines by value and lowers their taxable value. Returns the per-line
+// breakdown plus totals; addedTax is what goes on top of the prices, includedTax is
+// already inside inclusive prices.
+const calculateTax = (lines, { itemDiscount = 0, supplyType = 'intra_state' } = {}) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+
+  const breakdown = {
+    supplyType,
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+    totalTax: 0,
+    includedTax: 0,
+    addedTax: 0
+  };
+
+  const taxedLines = lines.map(line => {
+    const discountShare = subtotal > 0 ? itemDiscount * line.total / subtotal : 0;
+    const gross = Math.max(line.total - discountShare, 0);
+
+    const taxableValue = roundAmount(line.inclusive ? gross / (1 + line.rate / 100) : gross);
+    const amount = line.inclusive ? roundAmount(gross - taxableValue) : roundAmount(gross * line.rate / 100);
+
+    const cgst = supplyType === 'intra_state' ? roundAmount(amount / 2) : 0;
+    const sgst = supplyType === 'intra_state' ? roundAmount(amount - cgst) : 0;
+    const igst = supplyType === 'inter_state' ? amount : 0;
+
+    breakdown.cgst += cgst;
+    breakdown.sgst += sgst;
+    breakdown.igst += igst;
+    breakdown.totalTax += amount;
+    if (line.inclusive) {
+      breakdown.includedTax += amount;
+    } else {
+      breakdown.addedTax += amount;
+    }
+
+    return {
+      hsnCode: line.hsnCode,
+      rate: line.rate,
+      inclusive: line.inclusive,
+      taxableValue,
+      cgst,
+      sgst,
+      igst,
+      amount
+    };
+  });
+
+  ['cgst', 'sgst', 'igst', 'totalTax', 'includedTax', 'addedTax'].forEach(key => {
+    breakdown[key] = roundAmount(breakdown[key]);
+  });
+
+  return { lines: taxedLines, breakdown };
+};
+
+module.exports = {
+  GST_RATES,
+  isGstRate,
+  resolveTaxRule,
+  getSupplyType,
+  calculateTax
+};
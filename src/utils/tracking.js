@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const config = require('../config/config');
+const { calculateDistance, calculateDeliveryTime } = require('./location');
+
+// Statuses during which the assigned partner may report their position
+const TRACKABLE_STATUSES = ['ready', 'out_for_delivery'];
+
+const isValidCoordinate = (latitude, longitude) => {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 &&
+    longitude >= -180 && longitude <= 180;
+};
+
+// Remaining distance and time from the partner's position to the delivery address
+const estimateArrival = (location, destination, from = new Date()) => {
+  if (!destination || !isValidCoordinate(destination.latitude, destination.longitude)) {
+    return null;
+  }
+
+  const distance = calculateDistance(
+    location.latitude,
+    location.longitude,
+    destination.latitude,
+    destination.longitude
+  );
+
+  // Preparation is done once the order is on the road, so only travel time counts
+  const minutes = calculateDeliveryTime(distance, 0);
+
+  return {
+    distance: Math.round(distance * 100) / 100,
+    minutes,
+    estimatedArrival: new Date(from.getTime() + minutes * 60 * 1000),
+    updatedAt: from
+  };
+};
+
+// Persist a location ping from the partner assigned to the order
+const recordLocation = async (orderId, partnerId, { latitude, longitude }) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new Error('Invalid order ID');
+  }
+
+  if (!isValidCoordinate(latitude, longitude)) {
+    throw new Error('Invalid coordinates');
+  }
+
+  const filter = {
+    _id: orderId,
+    'delivery.partner': partnerId,
+    status: { $in: TRACKABLE_STATUSES }
+  };
+
+  // Only the assigned partner can move the marker, and only while the order is on its way
+  const order = await Order.findOne(filter)
+    .select('orderNumber status delivery.address.coordinates');
+
+  if (!order) {
+    throw new Error('Order is not assigned to you or is not out for delivery');
+  }
+
+  const recordedAt = new Date();
+  const location = { latitude, longitude };
+  const update = {
+    $set: {
+      'delivery.tracking.location': location,
+      'delivery.tracking.lastUpdated': recordedAt
+    },
+    $push: {
+      'delivery.tracking.trail': {
+        $each: [{ latitude, longitude, recordedAt }],
+        $slice: -config.tracking.maxTrailPoints
+      }
+    }
+  };
+
+  // ETA only makes sense once the partner has picked the order up
+  const eta = order.status === 'out_for_delivery'
+    ? estimateArrival(location, order.delivery.address?.coordinates, recordedAt)
+    : null;
+
+  if (eta) {
+    update.$set['delivery.tracking.eta'] = eta;
+  }
+
+  // Same conditions again in case the order was reassigned or delivered meanwhile
+  const result = await Order.updateOne(filter, update);
+
+  if (result.matchedCount === 0) {
+    throw new Error('Order is not assigned to you or is not out for delivery');
+  }
+
+  return {
+    order,
+    location,
+    eta,
+    recordedAt
+  };
+};
+
+module.exports = {
+  TRACKABLE_STATUSES,
+  isValidCoordinate,
+  estimateArrival,
+  recordLocation
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { GST_RATES } = require('./tax');
 
 // User validation schemas
 const registerSchema = Joi.object({
@@ -95,6 +96,11 @@ const productSchema = Joi.object({
     height: Joi.number().min(0)
   }).optional(),
   tags: Joi.array().items(Joi.string()).optional(),
+  tax: Joi.object({
+    rate: Joi.number().valid(...GST_RATES).optional(),
+    inclusive: Joi.boolean().optional(),
+    hsnCode: Joi.string().pattern(/^\d{4,8}$/).optional()
+  }).optional(),
   isActive: Joi.boolean().default(true),
   isFeatured: Joi.boolean().default(false)
 });
@@ -106,15 +112,22 @@ const categorySchema = Joi.object({
   parent: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
   isActive: Joi.boolean().default(true),
   isFeatured: Joi.boolean().default(false),
-  sortOrder: Joi.number().default(0)
+  sortOrder: Joi.number().default(0),
+  tax: Joi.object({
+    rate: Joi.number().valid(...GST_RATES).optional(),
+    inclusive: Joi.boolean().optional(),
+    hsnCode: Joi.string().pattern(/^\d{4,8}$/).optional()
+  }).optional()
 });
 
 // Shop validation schema
 const shopSchema = Joi.object({
   businessName: Joi.string().min(2).max(200).required(),
+  orderPrefix: Joi.string().pattern(/^[A-Za-z0-9]{2,6}$/).optional(),
   description: Joi.string().max(1000).optional(),
   businessType: Joi.string().valid('restaurant', 'shop', 'firm', 'grocery', 'pharmacy', 'electronics', 'clothing', 'other').required(),
   categories: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).optional(),
+  timezone: Joi.string().trim().optional(),
   contactInfo: Joi.object({
     phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).required(),
     email: Joi.string().email().optional(),
@@ -161,6 +174,21 @@ const addressSchema = Joi.object({
   deliveryInstructions: Joi.string().max(500).optional()
 });
 
+// Delivery and payment choices shared by single orders and cart checkout
+const orderDeliverySchema = Joi.object({
+  type: Joi.string().valid('pickup', 'delivery').default('delivery'),
+  address: Joi.when('type', {
+    is: 'delivery',
+    then: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    otherwise: Joi.optional()
+  }),
+  instructions: Joi.string().max(500).optional()
+});
+
+const orderPaymentSchema = Joi.object({
+  method: Joi.string().valid('cash', 'card', 'upi', 'wallet', 'bank_transfer').required()
+});
+
 // Order validation schema
 const orderSchema = Joi.object({
   shop: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
@@ -169,21 +197,126 @@ const orderSchema = Joi.object({
     variant: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
     quantity: Joi.number().min(1).required()
   })).min(1).required(),
-  delivery: Joi.object({
-    type: Joi.string().valid('pickup', 'delivery').default('delivery'),
-    address: Joi.when('type', {
-      is: 'delivery',
-      then: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
-      otherwise: Joi.optional()
-    }),
-    instructions: Joi.string().max(500).optional()
-  }).required(),
-  payment: Joi.object({
-    method: Joi.string().valid('cash', 'card', 'upi', 'wallet', 'bank_transfer').required()
-  }).required(),
+  delivery: orderDeliverySchema.required(),
+  payment: orderPaymentSchema.required(),
+  couponCode: Joi.string().trim().max(30).optional(),
+  schedule: Joi.object({
+    slot: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+  }).optional(),
+  customerNotes: Joi.string().max(500).optional()
+});
+
+// Customer's new item list for an order that has not been prepared yet
+const orderItemsSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    product: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    variant: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    quantity: Joi.number().integer().min(1).required()
+  })).min(1).required()
+});
+
+// Shop marking an order line unavailable (0) or short
+const itemFulfilmentSchema = Joi.object({
+  quantity: Joi.number().integer().min(0).required(),
+  note: Joi.string().max(300).optional()
+});
+
+// Substitute offered by the shop for an order line
+const itemSubstituteSchema = Joi.object({
+  product: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+  variant: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  quantity: Joi.number().integer().min(1).optional(),
+  note: Joi.string().max(300).optional()
+});
+
+// Customer's answer to a substitute
+const substituteResponseSchema = Joi.object({
+  accept: Joi.boolean().required()
+});
+
+// Refund for an order: an amount, or order lines, or neither for everything refundable
+const refundRequestSchema = Joi.object({
+  amount: Joi.number().min(0.01).optional(),
+  items: Joi.array().items(Joi.object({
+    item: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    quantity: Joi.number().integer().min(1).required()
+  })).min(1).optional(),
+  reason: Joi.string().min(3).max(500).required(),
+  destination: Joi.string().valid('original', 'wallet').optional()
+});
+
+// Shop or admin decision on a refund request
+const refundReviewSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required(),
+  note: Joi.string().max(500).optional()
+});
+
+// Return or replacement of a delivered order line; sent as multipart form data with photos
+const returnRequestSchema = Joi.object({
+  item: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+  quantity: Joi.number().integer().min(1).default(1),
+  type: Joi.string().valid('return', 'replacement').required(),
+  reason: Joi.string().valid('damaged', 'wrong_item', 'missing_parts', 'expired', 'poor_quality', 'other').required(),
+  description: Joi.string().max(1000).optional()
+});
+
+// Shop or admin decision on a return request
+const returnReviewSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required(),
+  type: Joi.string().valid('return', 'replacement').optional(),
+  pickup: Joi.boolean().optional(),
+  note: Joi.string().max(500).optional()
+});
+
+// Delivery partner collecting a returned item
+const returnPickupSchema = Joi.object({
+  partner: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+  scheduledFor: Joi.date().greater('now').optional()
+});
+
+// Cart checkout validation schema (items come from the cart)
+const checkoutSchema = Joi.object({
+  delivery: orderDeliverySchema.required(),
+  payment: orderPaymentSchema.required(),
+  couponCode: Joi.string().trim().max(30).optional(),
   customerNotes: Joi.string().max(500).optional()
 });
 
+// Coupon validation schema
+const couponSchema = Joi.object({
+  code: Joi.string().pattern(/^[A-Za-z0-9_-]{3,30}$/).required(),
+  description: Joi.string().max(200).optional(),
+  scope: Joi.string().valid('platform', 'shop').default('platform'),
+  shop: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).when('scope', {
+    is: 'shop',
+    then: Joi.optional(),
+    otherwise: Joi.forbidden()
+  }),
+  type: Joi.string().valid('percentage', 'fixed', 'free_delivery').required(),
+  value: Joi.when('type', {
+    is: 'percentage',
+    then: Joi.number().min(1).max(100).required(),
+    otherwise: Joi.when('type', {
+      is: 'fixed',
+      then: Joi.number().min(1).required(),
+      otherwise: Joi.forbidden()
+    })
+  }),
+  maxDiscount: Joi.number().min(0).optional(),
+  minOrderAmount: Joi.number().min(0).default(0),
+  usageLimit: Joi.number().integer().min(1).allow(null).optional(),
+  perUserLimit: Joi.number().integer().min(1).default(1),
+  firstOrderOnly: Joi.boolean().default(false),
+  validFrom: Joi.date().optional(),
+  validUntil: Joi.when('validFrom', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('validFrom')),
+    otherwise: Joi.date().greater('now')
+  }).optional(),
+  isActive: Joi.boolean().default(true)
+});
+
 // Review validation schema
 const reviewSchema = Joi.object({
   rating: Joi.number().min(1).max(5).required(),
@@ -225,6 +358,17 @@ module.exports = {
     shop: shopSchema,
     address: addressSchema,
     order: orderSchema,
+    checkout: checkoutSchema,
+    orderItems: orderItemsSchema,
+    itemFulfilment: itemFulfilmentSchema,
+    refundRequest: refundRequestSchema,
+    refundReview: refundReviewSchema,
+    returnRequest: returnRequestSchema,
+    returnReview: returnReviewSchema,
+    returnPickup: returnPickupSchema,
+    itemSubstitute: itemSubstituteSchema,
+    substituteResponse: substituteResponseSchema,
+    coupon: couponSchema,
     review: reviewSchema
   }
 };
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const { getActiveOrders } = require('../../src/controllers/deliveryController');
+
+// Run an asyncHandler-wrapped controller and resolve with the response it sends
+const run = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+    }
+  };
+  handler(req, res, reject);
+});
+
+describe('getActiveOrders', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('never returns the customer\'s handover OTP to the delivery partner', async () => {
+    let fields;
+    const query = {
+      populate: () => query,
+      select: (selected) => {
+        fields = selected;
+        return query;
+      },
+      sort: () => Promise.resolve([])
+    };
+    jest.spyOn(Order, 'find').mockReturnValue(query);
+
+    const { statusCode } = await run(getActiveOrders, { user: { id: new mongoose.Types.ObjectId().toString() } });
+
+    expect(statusCode).toBe(200);
+
+    jest.restoreAllMocks();
+    const projection = Order.find().select(fields).projection();
+    Object.keys(projection).forEach(path => {
+      expect(['delivery', 'delivery.proof', 'delivery.proof.otp']).not.toContain(path);
+    });
+    expect(projection['delivery.address']).toBe(1);
+  });
+});
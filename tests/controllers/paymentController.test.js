@@ -0,0 +1,144 @@
+process.env.PAYMENT_FAKE_GATEWAY = 'true';
+process.env.PAYMENT_FAKE_GATEWAY_SECRET = 'test_fake_secret';
+
+jest.mock('../../src/utils/refunds', () => ({
+  ...jest.requireActual('../../src/utils/refunds'),
+  refundRemaining: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Shop = require('../../src/models/Shop');
+const Payment = require('../../src/models/Payment');
+const fake = require('../../src/utils/paymentGateways/fake');
+const { refundRemaining } = require('../../src/utils/refunds');
+const { handleWebhook } = require('../../src/controllers/paymentController');
+
+// Run an asyncHandler-wrapped controller and resolve with the response it sends
+const run = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+    }
+  };
+  handler(req, res, reject);
+});
+
+const webhook = (body, signature) => {
+  const rawBody = JSON.stringify(body);
+  return {
+    params: { gateway: 'fake' },
+    body,
+    rawBody,
+    headers: { 'x-fake-signature': signature || fake.signWebhook(rawBody) }
+  };
+};
+
+const newOrder = (status) => new Order({
+  customer: new mongoose.Types.ObjectId(),
+  shop: new mongoose.Types.ObjectId(),
+  orderNumber: 'KPM2610190001',
+  status,
+  subtotal: 250,
+  total: 250,
+  delivery: { type: 'delivery' },
+  payment: { method: 'upi', status: 'paid', gateway: 'fake' }
+});
+
+describe('fake gateway capture through the webhook', () => {
+  let order;
+  let payment;
+
+  beforeEach(() => {
+    order = newOrder('confirmed');
+    payment = new Payment({
+      order: order._id,
+      customer: order.customer,
+      shop: order.shop,
+      kind: 'payment',
+      status: 'initiated',
+      method: 'upi',
+      gateway: 'fake',
+      amount: 250,
+      transactionId: 'fake_order_1'
+    });
+
+    jest.spyOn(Payment, 'findByGatewayReference').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async () => {
+      payment.status = 'captured';
+      payment.paymentId = 'pay_1';
+      payment.capturedAt = new Date();
+      return payment;
+    });
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Shop, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    refundRemaining.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const succeeded = () => webhook({
+    id: 'evt_1',
+    type: 'payment.succeeded',
+    transactionId: 'fake_order_1',
+    paymentId: 'pay_1',
+    amount: 250
+  });
+
+  it('marks the order paid and books the shop revenue', async () => {
+    const settle = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+    const { statusCode } = await run(handleWebhook, succeeded());
+
+    expect(statusCode).toBe(200);
+    expect(settle).toHaveBeenCalledTimes(1);
+    const [filter, update] = settle.mock.calls[0];
+    expect(filter).toMatchObject({ _id: order._id, status: { $ne: 'cancelled' } });
+    expect(update.$set).toMatchObject({ 'payment.status': 'paid', 'payment.paymentId': 'pay_1' });
+    expect(Shop.updateOne).toHaveBeenCalledWith({ _id: order.shop }, { $inc: { 'stats.totalRevenue': 250 } });
+    expect(refundRemaining).not.toHaveBeenCalled();
+  });
+
+  it('refunds a payment that lands on a cancelled order without booking revenue', async () => {
+    const cancelled = newOrder('cancelled');
+    const settle = jest.spyOn(Order, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(cancelled);
+
+    const { statusCode } = await run(handleWebhook, succeeded());
+
+    expect(statusCode).toBe(200);
+    expect(settle.mock.calls[1][0]).toMatchObject({ status: 'cancelled' });
+    expect(refundRemaining).toHaveBeenCalledWith(cancelled, expect.objectContaining({
+      reason: 'Payment received after the order was cancelled'
+    }));
+    expect(Shop.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('captures a payment only once', async () => {
+    Payment.findOneAndUpdate.mockResolvedValue(null);
+    const settle = jest.spyOn(Order, 'findOneAndUpdate');
+
+    const { statusCode } = await run(handleWebhook, succeeded());
+
+    expect(statusCode).toBe(200);
+    expect(settle).not.toHaveBeenCalled();
+    expect(Payment.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a webhook that is not signed with the gateway secret', async () => {
+    const { statusCode, body } = await run(handleWebhook, webhook({ id: 'evt_1', type: 'payment.succeeded' }, 'forged'));
+
+    expect(statusCode).toBe(400);
+    expect(body.message).toBe('Invalid webhook signature');
+    expect(Payment.findByGatewayReference).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,179 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const { idempotent } = require('../../src/middleware/idempotency');
+
+const userId = new mongoose.Types.ObjectId();
+
+const request = (key, body = { items: [{ product: 'p1', quantity: 2 }] }) => ({
+  method: 'POST',
+  baseUrl: '/api/orders',
+  path: '/',
+  body,
+  user: { _id: userId },
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+const response = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.writableFinished = false;
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    res.writableFinished = true;
+    res.emit('finish');
+    return res;
+  };
+  return res;
+};
+
+// Run the middleware and resolve once it either passes the request on or answers it itself
+const run = (req, res = response()) => new Promise((resolve, reject) => {
+  const json = res.json;
+  res.json = (body) => {
+    json(body);
+    resolve({ res, passed: false });
+    return res;
+  };
+  idempotent(req, res, (error) => (error ? reject(error) : resolve({ res, passed: true })));
+});
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// Let the finish listener's database write complete
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('idempotent', () => {
+  beforeEach(() => {
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue({});
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(null);
+    jest.spyOn(IdempotencyKey, 'updateOne').mockResolvedValue({});
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('passes requests without a key straight through', async () => {
+    const { passed } = await run(request(undefined));
+
+    expect(passed).toBe(true);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an empty key', async () => {
+    const { res, passed } = await run(request('  '));
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('claims a new key and stores the response the handler sends', async () => {
+    const { res, passed } = await run(request('checkout-1'));
+
+    expect(passed).toBe(true);
+    expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({
+      user: userId,
+      key: 'checkout-1',
+      path: '/api/orders/'
+    }));
+
+    res.status(201).json({ status: 'success', data: { orderNumber: 'KPM2610190001' } });
+    await flush();
+
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { user: userId, key: 'checkout-1', status: 'processing' },
+      expect.objectContaining({
+        $set: {
+          status: 'completed',
+          responseStatus: 201,
+          responseBody: { status: 'success', data: { orderNumber: 'KPM2610190001' } }
+        }
+      })
+    );
+  });
+
+  it('releases the key when the handler fails with a server error', async () => {
+    const { res } = await run(request('checkout-1'));
+
+    res.status(500).json({ status: 'error', message: 'Server Error' });
+    await flush();
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ user: userId, key: 'checkout-1', status: 'processing' });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('replays the stored response for a repeated request', async () => {
+    const first = await run(request('checkout-1'));
+    const { requestHash } = IdempotencyKey.create.mock.calls[0][0];
+    first.res.status(201).json({ status: 'success' });
+
+    IdempotencyKey.create.mockRejectedValue(duplicateKey());
+    IdempotencyKey.findOne.mockResolvedValue({
+      requestHash,
+      status: 'completed',
+      responseStatus: 201,
+      responseBody: { status: 'success' }
+    });
+
+    // Same body with the properties in another order
+    const { res, passed } = await run(request('checkout-1', { items: [{ quantity: 2, product: 'p1' }] }));
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ status: 'success' });
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('refuses a key reused for a different request', async () => {
+    IdempotencyKey.create.mockRejectedValue(duplicateKey());
+    IdempotencyKey.findOne.mockResolvedValue({ requestHash: 'another', status: 'completed' });
+
+    const { res, passed } = await run(request('checkout-1'));
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Idempotency-Key has already been used with a different request');
+  });
+
+  it('refuses a repeat while the first request is still running', async () => {
+    await run(request('checkout-1'));
+    const { requestHash } = IdempotencyKey.create.mock.calls[0][0];
+
+    IdempotencyKey.create.mockRejectedValue(duplicateKey());
+    IdempotencyKey.findOne.mockResolvedValue({ requestHash, status: 'processing' });
+
+    const { res, passed } = await run(request('checkout-1'));
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('A request with this Idempotency-Key is still being processed');
+  });
+
+  it('takes over an expired key or an abandoned lock', async () => {
+    IdempotencyKey.create.mockRejectedValue(duplicateKey());
+    IdempotencyKey.findOneAndUpdate.mockResolvedValue({ status: 'processing' });
+
+    const { passed } = await run(request('checkout-1'));
+
+    expect(passed).toBe(true);
+    const [filter, update] = IdempotencyKey.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { expiresAt: { $lte: expect.any(Date) } },
+      { status: 'processing', requestHash: expect.any(String), lockedUntil: { $lte: expect.any(Date) } }
+    ]);
+    expect(update.$unset).toEqual({ responseStatus: 1, responseBody: 1 });
+    expect(IdempotencyKey.findOne).not.toHaveBeenCalled();
+  });
+});
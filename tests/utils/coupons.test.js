@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Coupon = require('../../src/models/Coupon');
+const CouponRedemption = require('../../src/models/CouponRedemption');
+const Order = require('../../src/models/Order');
+const { evaluateCoupon, redeemCoupon, releaseCoupon } = require('../../src/utils/coupons');
+
+const userId = new mongoose.Types.ObjectId();
+const shopId = new mongoose.Types.ObjectId();
+
+describe('coupons', () => {
+  let coupon;
+  let redemptions;
+
+  beforeEach(() => {
+    coupon = new Coupon({ code: 'WELCOME50', type: 'percentage', value: 50, maxDiscount: 100, minOrderAmount: 200 });
+    redemptions = [];
+
+    const redeemedBy = (user) => redemptions.filter(entry => entry.user.equals(user) && entry.status === 'redeemed');
+
+    // The coupon and its redemptions "in the database", enforcing the same conditions as the queries
+    jest.spyOn(Coupon, 'findOne').mockImplementation(async ({ code }) => (code === coupon.code ? coupon : null));
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockImplementation(async () => {
+      if (!coupon.isActive || (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit)) {
+        return null;
+      }
+      coupon.usedCount += 1;
+      return coupon;
+    });
+    jest.spyOn(Coupon, 'updateOne').mockImplementation(async (filter, update) => {
+      coupon.usedCount += update.$inc.usedCount;
+      return {};
+    });
+    jest.spyOn(CouponRedemption, 'countDocuments').mockImplementation(async ({ user }) => redeemedBy(user).length);
+    jest.spyOn(CouponRedemption, 'distinct').mockImplementation(async (path, { user }) =>
+      redeemedBy(user).map(entry => entry.useNumber));
+    jest.spyOn(CouponRedemption, 'create').mockImplementation(async (data) => {
+      if (redeemedBy(data.user).some(entry => entry.useNumber === data.useNumber)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { coupon: 1, user: 1, useNumber: 1 } });
+      }
+      const redemption = new CouponRedemption(data);
+      redemptions.push(redemption);
+      return redemption;
+    });
+    jest.spyOn(CouponRedemption, 'findOneAndUpdate').mockImplementation(async ({ order }) => {
+      const redemption = redemptions.find(entry => entry.order.equals(order) && entry.status === 'redeemed');
+      if (redemption) {
+        redemption.status = 'released';
+      }
+      return redemption || null;
+    });
+    jest.spyOn(Order, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const redeem = async (user = userId) => {
+    const evaluation = await evaluateCoupon('welcome50', { userId: user, shopId, subtotal: 300 });
+    return redeemCoupon(evaluation, { userId: user, orderId: new mongoose.Types.ObjectId(), shopId });
+  };
+
+  describe('evaluateCoupon', () => {
+    it('caps a percentage discount at the coupon maximum', async () => {
+      await expect(evaluateCoupon(' welcome50 ', { userId, shopId, subtotal: 300 }))
+        .resolves.toMatchObject({ discount: 100, itemDiscount: 100, deliveryDiscount: 0 });
+    });
+
+    it('asks for more items below the minimum order amount', async () => {
+      await expect(evaluateCoupon('WELCOME50', { userId, shopId, subtotal: 150 }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Add items worth ₹50 more to use this coupon' });
+    });
+
+    it('takes the delivery fee off a free delivery coupon', async () => {
+      coupon.type = 'free_delivery';
+
+      await expect(evaluateCoupon('WELCOME50', { userId, shopId, subtotal: 300, deliveryFee: 40 }))
+        .resolves.toMatchObject({ discount: 40, itemDiscount: 0, deliveryDiscount: 40 });
+      await expect(evaluateCoupon('WELCOME50', { userId, shopId, subtotal: 300 }))
+        .rejects.toMatchObject({ message: 'This coupon only applies to orders with a delivery fee' });
+    });
+
+    it('keeps a shop coupon to its own shop', async () => {
+      coupon.scope = 'shop';
+      coupon.shop = new mongoose.Types.ObjectId();
+
+      await expect(evaluateCoupon('WELCOME50', { userId, shopId, subtotal: 300 }))
+        .rejects.toMatchObject({ message: 'This coupon is not valid at this shop' });
+    });
+
+    it('refuses a first order coupon to a returning customer', async () => {
+      coupon.firstOrderOnly = true;
+      Order.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      await expect(evaluateCoupon('WELCOME50', { userId, shopId, subtotal: 300 }))
+        .rejects.toMatchObject({ message: 'This coupon is only valid on your first order' });
+    });
+  });
+
+  describe('redeemCoupon', () => {
+    it('stops at the global usage limit', async () => {
+      coupon.usageLimit = 1;
+
+      await redeem(new mongoose.Types.ObjectId());
+
+      await expect(redeem()).rejects.toMatchObject({ message: 'This coupon has reached its usage limit' });
+      expect(coupon.usedCount).toBe(1);
+    });
+
+    it('stops at the per user limit', async () => {
+      coupon.perUserLimit = 2;
+
+      await redeem();
+      await redeem();
+
+      await expect(redeem()).rejects.toMatchObject({ message: 'You have already used this coupon' });
+      expect(redemptions.map(entry => entry.useNumber)).toEqual([1, 2]);
+    });
+
+    it('lets only one of two concurrent orders take the last use for a user', async () => {
+      const evaluation = await evaluateCoupon('WELCOME50', { userId, shopId, subtotal: 300 });
+
+      const results = await Promise.allSettled([
+        redeemCoupon(evaluation, { userId, orderId: new mongoose.Types.ObjectId(), shopId }),
+        redeemCoupon(evaluation, { userId, orderId: new mongoose.Types.ObjectId(), shopId })
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(redemptions).toHaveLength(1);
+      // The losing order gives back the global use it claimed
+      expect(coupon.usedCount).toBe(1);
+    });
+
+    it('reuses a use number freed by a cancelled order', async () => {
+      const first = await redeem();
+      await releaseCoupon(first.order);
+
+      expect(coupon.usedCount).toBe(0);
+
+      const second = await redeem();
+
+      expect(second.useNumber).toBe(1);
+      expect(coupon.usedCount).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const { calculateDeliveryFee } = require('../../src/utils/deliveryFee');
+
+const rules = {
+  enabled: true,
+  includedDistanceKm: 2,
+  // Deliberately out of order, the calculator sorts the bands
+  distanceSlabs: [{ perKm: 15 }, { uptoKm: 5, perKm: 10 }],
+  timeSurcharges: [
+    { startTime: '22:00', endTime: '02:00', amount: 20 },
+    { startTime: '18:00', endTime: '21:00', amount: 10 }
+  ],
+  surge: { enabled: true, thresholdPercent: 80, multiplier: 1.5 }
+};
+
+// 11:30 in India, outside every surcharge window
+const midday = new Date('2026-10-19T06:00:00Z');
+
+const quote = (options) => calculateDeliveryFee(rules, { baseFee: 30, at: midday, timeZone: 'Asia/Kolkata', ...options });
+
+describe('calculateDeliveryFee', () => {
+  it('charges the base fee alone when the rules are off', () => {
+    expect(calculateDeliveryFee({ ...rules, enabled: false }, { baseFee: 30, distance: 8 }))
+      .toEqual({ fee: 30, baseFee: 30, distanceFee: 0, timeSurcharge: 0, surgeMultiplier: 1 });
+  });
+
+  describe('distance slabs', () => {
+    it('charges nothing within the included distance or without a distance', () => {
+      expect(quote({ distance: 1.5 }).distanceFee).toBe(0);
+      expect(quote({ distance: null }).distanceFee).toBe(0);
+    });
+
+    it('charges the kilometres in each band at that band\'s rate', () => {
+      expect(quote({ distance: 4 }).distanceFee).toBe(20);
+      expect(quote({ distance: 8 })).toMatchObject({ distanceFee: 75, fee: 105 });
+    });
+
+    it('extends the last band to any distance', () => {
+      const { distanceFee } = calculateDeliveryFee(
+        { enabled: true, distanceSlabs: [{ uptoKm: 5, perKm: 10 }] },
+        { baseFee: 0, distance: 8 }
+      );
+
+      expect(distanceFee).toBe(80);
+    });
+  });
+
+  describe('time surcharges', () => {
+    it('applies a window that runs past midnight on both sides of it', () => {
+      expect(quote({ at: new Date('2026-10-19T17:00:00Z') }).timeSurcharge).toBe(20);
+      expect(quote({ at: new Date('2026-10-19T20:00:00Z') }).timeSurcharge).toBe(20);
+    });
+
+    it('ends a window at its end time', () => {
+      expect(quote({ at: new Date('2026-10-19T20:30:00Z') }).timeSurcharge).toBe(0);
+      expect(quote({ at: new Date('2026-10-19T15:30:00Z') }).timeSurcharge).toBe(0);
+    });
+
+    it('reads the windows on the shop\'s clock', () => {
+      // 17:00 UTC is 22:30 in India but 13:00 in New York
+      const at = new Date('2026-10-19T17:00:00Z');
+
+      expect(quote({ at, timeZone: 'America/New_York' }).timeSurcharge).toBe(0);
+    });
+  });
+
+  describe('surge', () => {
+    it('multiplies the whole fee once active orders reach the threshold', () => {
+      expect(quote({ distance: 8, activeOrders: 8, maxActiveOrders: 10, at: new Date('2026-10-19T17:00:00Z') }))
+        .toEqual({ fee: 188, baseFee: 30, distanceFee: 75, timeSurcharge: 20, surgeMultiplier: 1.5 });
+    });
+
+    it('stays off below the threshold or without an order cap', () => {
+      expect(quote({ activeOrders: 7, maxActiveOrders: 10 }).surgeMultiplier).toBe(1);
+      expect(quote({ activeOrders: 50, maxActiveOrders: null }).surgeMultiplier).toBe(1);
+    });
+  });
+});
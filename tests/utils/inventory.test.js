@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+const { reserveStock, releaseStock, heldStock } = require('../../src/utils/inventory');
+
+// Apply the conditional updates inventory sends to a single product "in the database"
+const matches = (product, filter) => {
+  if (!product._id.equals(filter._id) || product.trackQuantity !== filter.trackQuantity) {
+    return false;
+  }
+  if (filter.status && product.status !== filter.status) {
+    return false;
+  }
+  const { stock = {} } = filter;
+  if ((stock.$gte !== undefined && product.stock < stock.$gte) ||
+    (stock.$gt !== undefined && product.stock <= stock.$gt) ||
+    (stock.$lte !== undefined && product.stock > stock.$lte)) {
+    return false;
+  }
+  if (filter.variants) {
+    const { _id, isActive, stock: variantStock } = filter.variants.$elemMatch;
+    return product.variants.some(variant =>
+      variant._id.equals(_id) && variant.isActive === isActive && variant.stock >= variantStock.$gte);
+  }
+  return true;
+};
+
+const applyUpdate = (product, update, options) => {
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => {
+    if (path === 'stock') {
+      product.stock += amount;
+      return;
+    }
+    const variant = product.variants.find(entry => entry._id.equals(options.arrayFilters[0]['variant._id']));
+    variant.stock += amount;
+  });
+  Object.entries(update.$set || {}).forEach(([path, value]) => product.set(path, value));
+};
+
+const newProduct = () => new Product({
+  name: 'T-shirt',
+  shop: new mongoose.Types.ObjectId(),
+  price: 300,
+  trackQuantity: true,
+  stock: 5,
+  status: 'active',
+  variants: [
+    { name: 'Size', value: 'M', price: 300, stock: 3, isActive: true },
+    { name: 'Size', value: 'L', price: 300, stock: 2, isActive: true },
+    { name: 'Size', value: 'XL', price: 300, stock: 0, isActive: false }
+  ]
+});
+
+describe('stock reservations', () => {
+  let product;
+  let medium;
+  let large;
+  let extraLarge;
+
+  beforeEach(() => {
+    product = newProduct();
+    [medium, large, extraLarge] = product.variants;
+
+    jest.spyOn(Product, 'updateOne').mockImplementation(async (filter, update, options = {}) => {
+      if (!matches(product, filter)) {
+        return { modifiedCount: 0 };
+      }
+      applyUpdate(product, update, options);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Product, 'findById').mockReturnValue({ select: () => Promise.resolve(product) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const line = (variant, quantity) => ({
+    product: product._id,
+    variant: variant && variant._id,
+    quantity,
+    trackQuantity: true
+  });
+
+  it('takes a variant line from both the variant and the product', async () => {
+    const reserved = await reserveStock([line(medium, 2)]);
+
+    expect(reserved).toHaveLength(1);
+    expect(medium.stock).toBe(1);
+    expect(large.stock).toBe(2);
+    expect(product.stock).toBe(3);
+  });
+
+  it('skips products that do not track quantity', async () => {
+    const reserved = await reserveStock([{ ...line(null, 10), trackQuantity: false }]);
+
+    expect(reserved).toEqual([]);
+    expect(Product.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('refuses more than the variant holds even when the product has enough', async () => {
+    await expect(reserveStock([line(large, 3)]))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Insufficient stock for T-shirt (L). Available: 2' });
+    expect(product.stock).toBe(5);
+  });
+
+  it('refuses an inactive variant', async () => {
+    await expect(reserveStock([line(extraLarge, 1)]))
+      .rejects.toMatchObject({ message: 'Selected option for T-shirt is not available' });
+  });
+
+  it('gives back lines already reserved when a later one falls short', async () => {
+    await expect(reserveStock([line(medium, 2), line(large, 3)])).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(medium.stock).toBe(3);
+    expect(large.stock).toBe(2);
+    expect(product.stock).toBe(5);
+  });
+
+  it('marks the product out of stock when the last unit goes and back in stock on release', async () => {
+    const reserved = await reserveStock([line(medium, 3), line(large, 2)]);
+
+    expect(product.stock).toBe(0);
+    expect(product.status).toBe('out_of_stock');
+
+    await releaseStock([reserved[1]]);
+
+    expect(large.stock).toBe(2);
+    expect(product.stock).toBe(2);
+    expect(product.status).toBe('active');
+  });
+
+  it('leaves unavailable lines out of the stock an order holds', () => {
+    const items = [{ status: 'pending' }, { status: 'unavailable' }, { status: 'substituted' }];
+
+    expect(heldStock(items)).toEqual([{ status: 'pending' }, { status: 'substituted' }]);
+  });
+});
@@ -0,0 +1,363 @@
+jest.mock('../../src/utils/inventory', () => ({
+  ...jest.requireActual('../../src/utils/inventory'),
+  reserveStock: jest.fn(async (lines) => lines.filter(line => line.trackQuantity)),
+  releaseStock: jest.fn(async () => {})
+}));
+
+jest.mock('../../src/utils/refunds', () => ({
+  ...jest.requireActual('../../src/utils/refunds'),
+  refundRemaining: jest.fn(async () => null)
+}));
+
+jest.mock('../../src/utils/orderLifecycle', () => ({
+  ...jest.requireActual('../../src/utils/orderLifecycle'),
+  transitionOrder: jest.fn(async (order, status) => {
+    order.status = status;
+    return order;
+  })
+}));
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+const { reserveStock, releaseStock } = require('../../src/utils/inventory');
+const { refundRemaining } = require('../../src/utils/refunds');
+const { transitionOrder } = require('../../src/utils/orderLifecycle');
+const { repriceOrder, changeItemQuantity, respondToSubstitution, modifyOrderItems } = require('../../src/utils/orderChanges');
+
+const shopId = new mongoose.Types.ObjectId();
+
+const line = (name, price, quantity, extra = {}) => ({
+  product: new mongoose.Types.ObjectId(),
+  name,
+  price,
+  quantity,
+  total: price * quantity,
+  shop: shopId,
+  tax: { rate: 5, inclusive: false },
+  ...extra
+});
+
+// Two lines worth 300, 5% tax added on top, no delivery fee
+const newOrder = (extra = {}) => {
+  const order = new Order({
+    customer: new mongoose.Types.ObjectId(),
+    shop: shopId,
+    orderNumber: 'KPM2610190001',
+    status: 'confirmed',
+    items: [line('Rice', 100, 2), line('Dal', 50, 2)],
+    subtotal: 300,
+    deliveryFee: 0,
+    total: 300,
+    delivery: { type: 'pickup' },
+    payment: { method: 'cash', status: 'pending' },
+    ...extra
+  });
+  return repriceOrder(order);
+};
+
+const savedConditionally = () => {
+  const conditions = [];
+  jest.spyOn(Order.prototype, 'save').mockImplementation(function() {
+    conditions.push(this.$where);
+    return Promise.resolve(this);
+  });
+  return conditions;
+};
+
+const losesRace = () => {
+  const error = new Error('No matching document found');
+  error.name = 'VersionError';
+  jest.spyOn(Order.prototype, 'save').mockRejectedValue(error);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('repriceOrder', () => {
+  it('adds tax on exclusive prices', () => {
+    const order = newOrder();
+
+    expect(order.subtotal).toBe(300);
+    expect(order.tax).toBe(15);
+    expect(order.total).toBe(315);
+    expect(order.taxBreakdown).toMatchObject({ supplyType: 'intra_state', cgst: 7.5, sgst: 7.5, totalTax: 15 });
+  });
+
+  it('keeps tax inside inclusive prices', () => {
+    const order = newOrder({ items: [line('Ghee', 105, 1, { tax: { rate: 5, inclusive: true } })] });
+
+    expect(order.tax).toBe(0);
+    expect(order.taxBreakdown.includedTax).toBe(5);
+    expect(order.items[0].tax.taxableValue).toBe(100);
+    expect(order.total).toBe(105);
+  });
+
+  it('bills nothing for unavailable lines', () => {
+    const order = newOrder();
+    order.items[1].status = 'unavailable';
+    repriceOrder(order);
+
+    expect(order.items[1].total).toBe(0);
+    expect(order.subtotal).toBe(200);
+    expect(order.total).toBe(210);
+  });
+
+  it('shrinks item discounts with the items total but keeps the delivery discount', () => {
+    const order = newOrder({
+      deliveryFee: 20,
+      discount: { amount: 50, couponAmount: 50, deliveryAmount: 20, offer: { amount: 0 } }
+    });
+    // 30 of the discount is on the items; dropping a third of the items drops a third of it
+    order.items[1].status = 'unavailable';
+    repriceOrder(order);
+
+    expect(order.discount.amount).toBe(40);
+    expect(order.discount.couponAmount).toBe(40);
+    expect(order.subtotal).toBe(200);
+  });
+
+  it('never grows a discount when the items total goes up', () => {
+    const order = newOrder({ discount: { amount: 30, couponAmount: 30, deliveryAmount: 0 } });
+    order.items[0].quantity = 4;
+    repriceOrder(order);
+
+    expect(order.subtotal).toBe(500);
+    expect(order.discount.amount).toBe(30);
+  });
+});
+
+describe('changeItemQuantity', () => {
+  it('saves the reduced line before giving its stock back', async () => {
+    const conditions = savedConditionally();
+    const order = newOrder();
+    const item = order.items[0];
+
+    const change = await changeItemQuantity(order, item, 1);
+
+    expect(item).toMatchObject({ quantity: 1, originalQuantity: 2, status: 'reduced' });
+    expect(change).toMatchObject({ previousTotal: 315, total: 210 });
+    expect(conditions[0]).toMatchObject({
+      status: 'confirmed',
+      items: { $elemMatch: { _id: item._id, quantity: 2 } }
+    });
+    expect(releaseStock).toHaveBeenCalledWith([{ product: item.product, variant: undefined, quantity: 1 }]);
+    expect(Order.prototype.save.mock.invocationCallOrder[0])
+      .toBeLessThan(releaseStock.mock.invocationCallOrder[0]);
+  });
+
+  it('refunds a prepaid order the drop in total', async () => {
+    savedConditionally();
+    const order = newOrder({ payment: { method: 'upi', status: 'paid' } });
+
+    await changeItemQuantity(order, order.items[1], 0);
+
+    expect(order.payment.adjustedAmount).toBe(105);
+    expect(refundRemaining).toHaveBeenCalledWith(order, { amount: 105, reason: 'Dal is unavailable' });
+  });
+
+  it('moves no stock when a concurrent change wins', async () => {
+    losesRace();
+    const order = newOrder();
+
+    await expect(changeItemQuantity(order, order.items[0], 1)).rejects.toMatchObject({ statusCode: 409 });
+    releaseStock.mock.calls.forEach(([lines]) => expect(lines).toEqual([]));
+    expect(order.$where).toBeUndefined();
+  });
+
+  it('only reduces quantities', async () => {
+    const order = newOrder();
+
+    await expect(changeItemQuantity(order, order.items[0], 3)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('keeps the last line on the order', async () => {
+    const order = newOrder();
+    order.items[1].status = 'unavailable';
+
+    await expect(changeItemQuantity(order, order.items[0], 0)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('respondToSubstitution', () => {
+  const withSubstitute = () => {
+    const order = newOrder();
+    order.items[0].substitution = {
+      product: new mongoose.Types.ObjectId(),
+      name: 'Brown rice',
+      price: 90,
+      quantity: 2,
+      status: 'proposed'
+    };
+    return order;
+  };
+
+  it('takes the substitute\'s stock and gives back the original\'s once saved', async () => {
+    savedConditionally();
+    const order = withSubstitute();
+    const item = order.items[0];
+    const originalProduct = item.product;
+    jest.spyOn(Product, 'findById').mockReturnValue({
+      populate: async () => ({ _id: item.substitution.product, isActive: true, status: 'active', trackQuantity: true })
+    });
+
+    await respondToSubstitution(order, item, true);
+
+    expect(item).toMatchObject({ name: 'Brown rice', price: 90, status: 'substituted' });
+    expect(reserveStock).toHaveBeenCalledTimes(1);
+    expect(releaseStock).toHaveBeenCalledWith([expect.objectContaining({ product: originalProduct, quantity: 2 })]);
+  });
+
+  it('gives the substitute\'s stock back when a concurrent change wins', async () => {
+    losesRace();
+    const order = withSubstitute();
+    const item = order.items[0];
+    jest.spyOn(Product, 'findById').mockReturnValue({
+      populate: async () => ({ _id: item.substitution.product, isActive: true, status: 'active', trackQuantity: true })
+    });
+
+    await expect(respondToSubstitution(order, item, true)).rejects.toMatchObject({ statusCode: 409 });
+
+    const [reserved] = await reserveStock.mock.results[0].value;
+    expect(releaseStock).toHaveBeenCalledTimes(1);
+    expect(releaseStock).toHaveBeenCalledWith([reserved]);
+  });
+
+  it('cancels the order in the same save when the last line is declined', async () => {
+    const order = withSubstitute();
+    const [rice, dal] = order.items;
+    dal.status = 'unavailable';
+    const customerId = order.customer.toString();
+
+    const change = await respondToSubstitution(order, rice, false, { by: customerId });
+
+    expect(change.nothingLeft).toBe(true);
+    expect(rice.substitution.status).toBe('rejected');
+    expect(transitionOrder).toHaveBeenCalledWith(order, 'cancelled', expect.objectContaining({ actor: 'customer', by: customerId }));
+    expect(releaseStock).toHaveBeenCalledWith([expect.objectContaining({ product: rice.product, quantity: 2 })]);
+    expect(transitionOrder.mock.invocationCallOrder[0]).toBeLessThan(releaseStock.mock.invocationCallOrder[0]);
+  });
+
+  it('leaves the stock alone when the cancellation loses a race', async () => {
+    const conflict = new Error('Order status has already changed from confirmed');
+    conflict.statusCode = 409;
+    transitionOrder.mockRejectedValueOnce(conflict);
+    const order = withSubstitute();
+    order.items[1].status = 'unavailable';
+
+    await expect(respondToSubstitution(order, order.items[0], false)).rejects.toMatchObject({ statusCode: 409 });
+    expect(releaseStock).not.toHaveBeenCalled();
+  });
+});
+
+describe('modifyOrderItems', () => {
+  const shop = { _id: shopId, settings: { minimumOrderAmount: 100 } };
+
+  // Products the customer can add, as Product.findById(...).populate() returns them
+  const catalogue = (products) => {
+    jest.spyOn(Product, 'findById').mockImplementation((id) => ({
+      populate: async () => products.find(product => product._id.equals(id)) || null
+    }));
+  };
+
+  const forSale = (name, price, extra = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    price,
+    shop: shopId,
+    isActive: true,
+    status: 'active',
+    trackQuantity: true,
+    tax: { rate: 12, inclusive: false },
+    variants: { id: () => null },
+    ...extra
+  });
+
+  it('reserves only the extra quantity and keeps the price the line was ordered at', async () => {
+    savedConditionally();
+    const order = newOrder();
+    const [rice, dal] = order.items;
+    catalogue([{ ...forSale('Rice', 120), _id: rice.product }]);
+
+    await modifyOrderItems(order, shop, [
+      { product: rice.product.toString(), quantity: 3 },
+      { product: dal.product.toString(), quantity: 2 }
+    ]);
+
+    expect(reserveStock).toHaveBeenCalledWith([expect.objectContaining({ product: rice.product, quantity: 1 })]);
+    expect(order.items[0]).toMatchObject({ quantity: 3, price: 100, total: 300 });
+    expect(order.subtotal).toBe(400);
+  });
+
+  it('adds new products at today\'s price and tax, and gives back removed lines once saved', async () => {
+    const conditions = savedConditionally();
+    const order = newOrder();
+    const [rice, dal] = order.items;
+    const oil = forSale('Oil', 150);
+    catalogue([oil]);
+
+    await modifyOrderItems(order, shop, [
+      { product: rice.product.toString(), quantity: 2 },
+      { product: oil._id.toString(), quantity: 1 }
+    ]);
+
+    expect(order.items.map(item => item.name)).toEqual(['Rice', 'Oil']);
+    expect(order.items[1].tax).toMatchObject({ rate: 12, amount: 18 });
+    expect(conditions[0]).toMatchObject({ status: 'confirmed' });
+    expect(releaseStock).toHaveBeenCalledWith([{ product: dal.product, variant: undefined, quantity: 2 }]);
+    expect(Order.prototype.save.mock.invocationCallOrder[0])
+      .toBeLessThan(releaseStock.mock.invocationCallOrder[0]);
+  });
+
+  it('does not let a prepaid order grow', async () => {
+    savedConditionally();
+    const order = newOrder({ payment: { method: 'upi', status: 'paid' } });
+    const [rice] = order.items;
+    catalogue([{ ...forSale('Rice', 100), _id: rice.product }]);
+
+    await expect(modifyOrderItems(order, shop, [{ product: rice.product.toString(), quantity: 5 }]))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(reserveStock).not.toHaveBeenCalled();
+    expect(Order.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('keeps the order above the shop\'s minimum', async () => {
+    const order = newOrder();
+    const [, dal] = order.items;
+
+    await expect(modifyOrderItems(order, shop, [{ product: dal.product.toString(), quantity: 1 }]))
+      .rejects.toThrow('Minimum order amount is ₹100');
+  });
+
+  it('only takes products from the order\'s shop', async () => {
+    const order = newOrder();
+    const elsewhere = forSale('Soap', 40, { shop: new mongoose.Types.ObjectId() });
+    catalogue([elsewhere]);
+
+    await expect(modifyOrderItems(order, shop, [
+      { product: order.items[0].product.toString(), quantity: 2 },
+      { product: elsewhere._id.toString(), quantity: 1 }
+    ])).rejects.toThrow('All products must be from the same shop');
+  });
+
+  it('gives back the new stock and keeps the removed lines\' when a concurrent change wins', async () => {
+    losesRace();
+    const order = newOrder();
+    const [rice] = order.items;
+    const oil = forSale('Oil', 150);
+    catalogue([oil]);
+
+    await expect(modifyOrderItems(order, shop, [
+      { product: rice.product.toString(), quantity: 2 },
+      { product: oil._id.toString(), quantity: 1 }
+    ])).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(releaseStock).toHaveBeenCalledTimes(1);
+    expect(releaseStock).toHaveBeenCalledWith([expect.objectContaining({ product: oil._id, quantity: 1 })]);
+  });
+});
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  nextStatuses,
+  assertTransition,
+  transitionOrder
+} = require('../../src/utils/orderLifecycle');
+
+const newOrder = (status, { type = 'delivery', items = [] } = {}) => new Order({
+  customer: new mongoose.Types.ObjectId(),
+  shop: new mongoose.Types.ObjectId(),
+  status,
+  items,
+  subtotal: 100,
+  total: 100,
+  delivery: { type },
+  payment: { method: 'cash', status: 'pending' }
+});
+
+const thrown = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TRANSITIONS', () => {
+  it('covers every status and only leads to known statuses', () => {
+    expect(Object.keys(TRANSITIONS).sort()).toEqual([...ORDER_STATUSES].sort());
+
+    Object.values(TRANSITIONS).forEach(targets => {
+      Object.keys(targets).forEach(to => expect(ORDER_STATUSES).toContain(to));
+    });
+  });
+
+  it('never leaves a cancelled order', () => {
+    expect(TRANSITIONS.cancelled).toEqual({});
+  });
+
+  it('only lets the system release scheduled orders', () => {
+    expect(nextStatuses('scheduled', 'system')).toEqual(['pending', 'confirmed', 'cancelled']);
+    expect(nextStatuses('scheduled', 'shop_owner')).toEqual(['cancelled']);
+  });
+
+  it('does not let customers move orders forward', () => {
+    ORDER_STATUSES.forEach(from => {
+      expect(nextStatuses(from, 'customer').filter(to => to !== 'cancelled')).toEqual([]);
+    });
+  });
+
+  it('stops customers cancelling once an order is ready', () => {
+    expect(canTransition('preparing', 'cancelled', 'customer')).toBe(true);
+    expect(canTransition('ready', 'cancelled', 'customer')).toBe(false);
+    expect(canTransition('out_for_delivery', 'cancelled', 'admin')).toBe(false);
+  });
+});
+
+describe('assertTransition', () => {
+  it('allows a permitted change', () => {
+    expect(thrown(() => assertTransition(newOrder('confirmed'), 'preparing', 'shop_owner'))).toBeNull();
+  });
+
+  it('rejects an unknown actor with 400', () => {
+    const error = thrown(() => assertTransition(newOrder('confirmed'), 'preparing', 'courier'));
+    expect(error.statusCode).toBe(400);
+  });
+
+  it('rejects a change that is never allowed with 400', () => {
+    const error = thrown(() => assertTransition(newOrder('pending'), 'delivered', 'admin'));
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Cannot change order status from pending to delivered');
+  });
+
+  it('rejects an actor who may not make the change with 403', () => {
+    const error = thrown(() => assertTransition(newOrder('confirmed'), 'preparing', 'delivery_partner'));
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('keeps an order with a proposed substitute from being marked ready', () => {
+    const order = newOrder('preparing', {
+      items: [{
+        product: new mongoose.Types.ObjectId(),
+        name: 'Milk',
+        price: 50,
+        quantity: 2,
+        total: 100,
+        substitution: { product: new mongoose.Types.ObjectId(), name: 'Soy milk', price: 60, status: 'proposed' }
+      }]
+    });
+
+    const error = thrown(() => assertTransition(order, 'ready', 'shop_owner'));
+    expect(error.statusCode).toBe(400);
+  });
+
+  it('only hands pickup orders over straight from ready', () => {
+    expect(thrown(() => assertTransition(newOrder('ready', { type: 'pickup' }), 'delivered', 'shop_owner'))).toBeNull();
+
+    const error = thrown(() => assertTransition(newOrder('ready', { type: 'delivery' }), 'delivered', 'delivery_partner'));
+    expect(error.statusCode).toBe(400);
+    expect(thrown(() => assertTransition(newOrder('out_for_delivery'), 'delivered', 'delivery_partner'))).toBeNull();
+  });
+});
+
+describe('transitionOrder', () => {
+  it('refuses with 409 when the status changed since the order was loaded', async () => {
+    const lost = new Error('No document found');
+    lost.name = 'DocumentNotFoundError';
+    const save = jest.spyOn(Order.prototype, 'save').mockRejectedValue(lost);
+    const order = newOrder('confirmed');
+
+    await expect(transitionOrder(order, 'preparing', { actor: 'shop_owner' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(order.$where).toBeUndefined();
+  });
+
+  it('saves nothing for a change that is not allowed', async () => {
+    const save = jest.spyOn(Order.prototype, 'save');
+
+    await expect(transitionOrder(newOrder('delivered'), 'cancelled', { actor: 'customer' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const config = require('../../src/config/config');
+const Counter = require('../../src/models/Counter');
+const Shop = require('../../src/models/Shop');
+const { generateOrderNumber, generateCheckoutNumber } = require('../../src/utils/orderNumber');
+
+// 19 Oct 2026, 20:00 UTC is already the 20th in India
+const lateEvening = new Date('2026-10-19T20:00:00Z');
+
+describe('order numbers', () => {
+  const original = { ...config.orderNumbers };
+  let sequences;
+
+  beforeEach(() => {
+    sequences = new Map();
+    jest.spyOn(Counter, 'next').mockImplementation(async (name) => {
+      sequences.set(name, (sequences.get(name) || 0) + 1);
+      return sequences.get(name);
+    });
+    jest.spyOn(Shop, 'findById').mockReturnValue({ select: () => Promise.resolve({ orderPrefix: 'GRN' }) });
+  });
+
+  afterEach(() => {
+    Object.assign(config.orderNumbers, original);
+    jest.restoreAllMocks();
+  });
+
+  it('dates the default format in the app timezone', async () => {
+    const shopId = new mongoose.Types.ObjectId();
+
+    await expect(generateOrderNumber(shopId, lateEvening)).resolves.toBe('KPM2610200001');
+    await expect(generateOrderNumber(shopId, lateEvening)).resolves.toBe('KPM2610200002');
+    expect(Shop.findById).not.toHaveBeenCalled();
+  });
+
+  it('restarts the sequence every day', async () => {
+    const shopId = new mongoose.Types.ObjectId();
+
+    await generateOrderNumber(shopId, new Date('2026-10-19T06:00:00Z'));
+
+    await expect(generateOrderNumber(shopId, lateEvening)).resolves.toBe('KPM2610200001');
+  });
+
+  it('gives each shop its own sequence when the format names the shop', async () => {
+    config.orderNumbers.format = '{shop}-{yyyy}{mm}{dd}-{seq}';
+    config.orderNumbers.sequencePadding = 3;
+
+    await expect(generateOrderNumber(new mongoose.Types.ObjectId(), lateEvening)).resolves.toBe('GRN-20261020-001');
+
+    Shop.findById.mockReturnValue({ select: () => Promise.resolve({}) });
+    const otherShop = new mongoose.Types.ObjectId();
+
+    await expect(generateOrderNumber(otherShop, lateEvening))
+      .resolves.toBe(`${otherShop.toString().slice(-6).toUpperCase()}-20261020-001`);
+  });
+
+  it('numbers checkouts on a sequence of their own', async () => {
+    await generateOrderNumber(new mongoose.Types.ObjectId(), lateEvening);
+
+    await expect(generateCheckoutNumber(lateEvening)).resolves.toBe('KPC2610200001');
+  });
+
+  it('leaves the shop out of checkout numbers', async () => {
+    config.orderNumbers.checkoutFormat = 'CO{shop}{yy}{seq}';
+
+    await expect(generateCheckoutNumber(lateEvening)).resolves.toBe('CO260001');
+    expect(Shop.findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+process.env.PAYMENT_FAKE_GATEWAY = 'true';
+process.env.PAYMENT_FAKE_GATEWAY_SECRET = 'test_fake_secret';
+
+const config = require('../../../src/config/config');
+const fake = require('../../../src/utils/paymentGateways/fake');
+const { getGateway, getAvailableGateways } = require('../../../src/utils/paymentGateways');
+
+const webhookRequest = (body, signature) => {
+  const rawBody = JSON.stringify(body);
+  return {
+    body,
+    rawBody,
+    headers: { 'x-fake-signature': signature === undefined ? fake.signWebhook(rawBody) : signature }
+  };
+};
+
+describe('fake payment gateway', () => {
+  describe('availability', () => {
+    const original = { ...config.payments.fake };
+
+    afterEach(() => {
+      Object.assign(config.payments.fake, original);
+    });
+
+    it('is offered when enabled with a secret', () => {
+      expect(getGateway('fake')).toBe(fake);
+      expect(getAvailableGateways()).toContain('fake');
+    });
+
+    it('is not offered unless explicitly enabled', async () => {
+      config.payments.fake.enabled = false;
+
+      expect(getGateway('fake')).toBeNull();
+      expect(getAvailableGateways()).not.toContain('fake');
+      await expect(fake.verify({ transactionId: 'fake_order_1', paymentId: 'pay_1', signature: 'x' }))
+        .rejects.toThrow('Fake payment gateway is disabled');
+    });
+
+    it('is not offered without a secret', () => {
+      config.payments.fake.secret = undefined;
+
+      expect(getGateway('fake')).toBeNull();
+    });
+  });
+
+  describe('createIntent', () => {
+    it('returns a transaction to pay against', async () => {
+      const intent = await fake.createIntent({ order: { orderNumber: 'KPM2610190001' }, amount: 250, currency: 'INR' });
+
+      expect(intent.transactionId).toMatch(/^fake_order_/);
+      expect(intent.clientData).toMatchObject({ fakeOrderId: intent.transactionId, amount: 250, currency: 'INR' });
+    });
+  });
+
+  describe('verify', () => {
+    it('accepts a payment signed with the gateway secret', async () => {
+      const signature = fake.signPayment('fake_order_1', 'pay_1');
+
+      await expect(fake.verify({ transactionId: 'fake_order_1', paymentId: 'pay_1', signature }))
+        .resolves.toEqual({ status: 'paid', paymentId: 'pay_1' });
+    });
+
+    it('fails a payment signed for another transaction', async () => {
+      const signature = fake.signPayment('fake_order_2', 'pay_1');
+
+      await expect(fake.verify({ transactionId: 'fake_order_1', paymentId: 'pay_1', signature }))
+        .resolves.toMatchObject({ status: 'failed' });
+    });
+
+    it('fails a payment without a payment id', async () => {
+      const signature = fake.signPayment('fake_order_1', '');
+
+      await expect(fake.verify({ transactionId: 'fake_order_1', paymentId: '', signature }))
+        .resolves.toMatchObject({ status: 'failed' });
+    });
+  });
+
+  describe('refund', () => {
+    it('processes refunds straight away', async () => {
+      const refund = await fake.refund({ transactionId: 'fake_order_1', paymentId: 'pay_1', amount: 120 });
+
+      expect(refund.refundId).toMatch(/^fake_refund_/);
+      expect(refund).toMatchObject({ status: 'processed', amount: 120 });
+    });
+  });
+
+  describe('parseWebhook', () => {
+    it('reads a signed payment event', () => {
+      const event = fake.parseWebhook(webhookRequest({
+        id: 'evt_1',
+        type: 'payment.succeeded',
+        transactionId: 'fake_order_1',
+        paymentId: 'pay_1',
+        amount: 250
+      }));
+
+      expect(event).toMatchObject({
+        type: 'payment.succeeded',
+        gatewayEvent: 'payment.succeeded',
+        transactionId: 'fake_order_1',
+        paymentId: 'pay_1',
+        amount: 250
+      });
+    });
+
+    it('rejects a webhook with a bad signature', () => {
+      const req = webhookRequest({ id: 'evt_1', type: 'payment.succeeded' }, 'forged');
+
+      expect(() => fake.parseWebhook(req)).toThrow('Invalid webhook signature');
+    });
+
+    it('ignores event types it does not handle', () => {
+      expect(fake.parseWebhook(webhookRequest({ id: 'evt_2', type: 'payment.authorized' })))
+        .toEqual({ id: 'evt_2', gatewayEvent: 'payment.authorized', type: 'ignored' });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+process.env.PAYMENT_FAKE_GATEWAY = 'true';
+process.env.PAYMENT_FAKE_GATEWAY_SECRET = 'test_fake_secret';
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Payment = require('../../src/models/Payment');
+const Refund = require('../../src/models/Refund');
+const fake = require('../../src/utils/paymentGateways/fake');
+const {
+  REFUND_TRANSITIONS,
+  createRefund,
+  approveRefund,
+  rejectRefund,
+  issueRefund
+} = require('../../src/utils/refunds');
+
+const saveInPlace = function() {
+  return Promise.resolve(this);
+};
+
+// A cancelled order paid online through the fake gateway
+const paidOrder = () => new Order({
+  customer: new mongoose.Types.ObjectId(),
+  shop: new mongoose.Types.ObjectId(),
+  orderNumber: 'KPM2610190001',
+  status: 'cancelled',
+  subtotal: 200,
+  total: 200,
+  delivery: { type: 'delivery' },
+  payment: { method: 'upi', status: 'paid', gateway: 'fake' }
+});
+
+describe('refund workflow', () => {
+  let order;
+
+  beforeEach(() => {
+    order = paidOrder();
+
+    const captured = new Payment({
+      order: order._id,
+      customer: order.customer,
+      shop: order.shop,
+      kind: 'payment',
+      status: 'captured',
+      method: 'upi',
+      gateway: 'fake',
+      amount: 200,
+      transactionId: 'fake_order_1',
+      paymentId: 'pay_1'
+    });
+
+    jest.spyOn(Payment, 'findOne').mockReturnValue({ sort: () => Promise.resolve(captured) });
+    jest.spyOn(Refund, 'aggregate').mockResolvedValue([]);
+    // Refunds "in the database", so conditional reviews see the status others left behind
+    const stored = new Map();
+    jest.spyOn(Refund, 'create').mockImplementation(async (data) => {
+      const refund = new Refund(data);
+      stored.set(refund._id.toString(), refund);
+      return refund;
+    });
+    jest.spyOn(Refund, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const refund = stored.get(filter._id.toString());
+      if (!refund || !filter.status.$in.includes(refund.status)) {
+        return null;
+      }
+      refund.set(update.$set);
+      Object.keys(update.$unset || {}).forEach(path => refund.set(path, undefined));
+      refund.history.push(update.$push.history);
+      return refund;
+    });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(saveInPlace);
+    jest.spyOn(Order.prototype, 'save').mockImplementation(saveInPlace);
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(saveInPlace);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only lets processed and rejected refunds end the workflow', () => {
+    expect(REFUND_TRANSITIONS).toEqual({
+      requested: ['approved', 'rejected'],
+      approved: ['processed', 'failed'],
+      failed: ['approved'],
+      rejected: [],
+      processed: []
+    });
+  });
+
+  it('opens a request for everything still refundable', async () => {
+    const refund = await createRefund(order, { reason: 'Changed my mind', requestedBy: order.customer, source: 'customer' });
+
+    expect(refund).toMatchObject({ status: 'requested', amount: 200, type: 'full' });
+    expect(refund.history.map(entry => entry.status)).toEqual(['requested']);
+  });
+
+  it('refuses a request for more than was paid', async () => {
+    await expect(createRefund(order, { amount: 250, reason: 'Too much', source: 'customer' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('refuses a request on an unpaid order', async () => {
+    order.payment.status = 'pending';
+
+    await expect(createRefund(order, { reason: 'Not paid', source: 'customer' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Order payment is not completed' });
+  });
+
+  it('pays an approved refund back through the gateway', async () => {
+    const refund = await createRefund(order, { amount: 80, reason: 'Damaged', source: 'customer' });
+    await approveRefund(refund, order, { by: order.shop, note: 'Sorry' });
+
+    expect(refund.status).toBe('processed');
+    expect(refund.refundId).toMatch(/^fake_refund_/);
+    expect(refund.history.map(entry => entry.status)).toEqual(['requested', 'approved', 'processed']);
+    expect(order.payment).toMatchObject({ status: 'partially_refunded', refundAmount: 80 });
+  });
+
+  it('marks a refund the gateway rejects as failed and retries it on approval', async () => {
+    const gatewayRefund = jest.spyOn(fake, 'refund').mockRejectedValueOnce(new Error('Gateway down'));
+
+    const refund = await issueRefund(order, { reason: 'Cancelled', requestedBy: order.shop, source: 'shop_owner' });
+
+    expect(refund.status).toBe('failed');
+    expect(order.payment.status).toBe('paid');
+
+    await approveRefund(refund, order, { by: order.shop, note: 'Retry' });
+
+    expect(gatewayRefund).toHaveBeenCalledTimes(2);
+    expect(refund.status).toBe('processed');
+    expect(refund.history.map(entry => entry.status)).toEqual(['requested', 'approved', 'failed', 'approved', 'processed']);
+    expect(order.payment).toMatchObject({ status: 'refunded', refundAmount: 200 });
+  });
+
+  it('pays a refund out only once when it is approved twice at the same time', async () => {
+    const gatewayRefund = jest.spyOn(fake, 'refund');
+    const refund = await createRefund(order, { amount: 80, reason: 'Damaged', source: 'customer' });
+    const staleCopy = new Refund(refund.toObject());
+
+    const [first, second] = await Promise.allSettled([
+      approveRefund(refund, order, { by: order.shop }),
+      approveRefund(staleCopy, order, { by: order.shop })
+    ]);
+
+    expect(first.status).toBe('fulfilled');
+    expect(second.reason).toMatchObject({ statusCode: 409 });
+    expect(gatewayRefund).toHaveBeenCalledTimes(1);
+    expect(order.payment.refundAmount).toBe(80);
+  });
+
+  it('rejects a requested refund', async () => {
+    const refund = await createRefund(order, { reason: 'Late', source: 'customer' });
+    await rejectRefund(refund, { by: order.shop, note: 'Delivered on time' });
+
+    expect(refund.status).toBe('rejected');
+    expect(refund.reviewNote).toBe('Delivered on time');
+  });
+
+  it('does not review a refund twice', async () => {
+    const refund = await createRefund(order, { reason: 'Late', source: 'customer' });
+    await rejectRefund(refund, { by: order.shop });
+
+    await expect(approveRefund(refund, order, { by: order.shop }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Cannot change refund status from rejected to approved' });
+    await expect(rejectRefund(refund, { by: order.shop }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
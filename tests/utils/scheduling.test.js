@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Shop = require('../../src/models/Shop');
+const { resolveSlot } = require('../../src/utils/scheduling');
+
+// Monday 19 Oct 2026, 07:30 in India
+const now = new Date('2026-10-19T02:00:00Z');
+
+const newShop = () => new Shop({
+  owner: new mongoose.Types.ObjectId(),
+  businessName: 'Green Grocers',
+  timezone: 'Asia/Kolkata',
+  businessHours: [
+    { day: 'monday', openTime: '09:00', closeTime: '21:00' },
+    { day: 'tuesday', openTime: '09:00', closeTime: '21:00' },
+    { day: 'wednesday', openTime: '22:00', closeTime: '02:00' }
+  ],
+  holidays: [{ date: new Date('2026-10-27'), name: 'Staff outing' }],
+  deliverySlots: [
+    { name: 'Morning', day: 'monday', startTime: '10:00', endTime: '12:00', type: 'delivery', capacity: 5 },
+    { name: 'Evening', day: 'tuesday', startTime: '18:00', endTime: '20:00', capacity: 5 },
+    { name: 'Late night', day: 'wednesday', startTime: '23:00', endTime: '01:00', capacity: 5 },
+    { name: 'Sunday', day: 'sunday', startTime: '10:00', endTime: '12:00', capacity: 5 },
+    { name: 'Retired', day: 'monday', startTime: '14:00', endTime: '16:00', capacity: 5, isActive: false }
+  ],
+  settings: { preparationTime: 30 }
+});
+
+describe('resolveSlot', () => {
+  let shop;
+  let morning;
+  let evening;
+  let lateNight;
+  let sunday;
+  let retired;
+
+  beforeEach(() => {
+    shop = newShop();
+    [morning, evening, lateNight, sunday, retired] = shop.deliverySlots;
+  });
+
+  it('places the slot on the shop\'s clock and releases the order ahead of preparation', () => {
+    const resolved = resolveSlot(shop, { slot: morning._id, date: '2026-10-19' }, 'delivery', now);
+
+    expect(resolved.slot).toBe(morning);
+    expect(resolved.startsAt).toEqual(new Date('2026-10-19T04:30:00Z'));
+    expect(resolved.endsAt).toEqual(new Date('2026-10-19T06:30:00Z'));
+    // 30 minutes preparation plus the 15 minute release lead
+    expect(resolved.releaseAt).toEqual(new Date('2026-10-19T03:45:00Z'));
+  });
+
+  it('ends a slot that runs past midnight on the next day', () => {
+    const resolved = resolveSlot(shop, { slot: lateNight._id, date: '2026-10-21' }, 'pickup', now);
+
+    expect(resolved.startsAt).toEqual(new Date('2026-10-21T17:30:00Z'));
+    expect(resolved.endsAt).toEqual(new Date('2026-10-21T19:30:00Z'));
+  });
+
+  it('refuses unknown and inactive slots', () => {
+    expect(() => resolveSlot(shop, { slot: new mongoose.Types.ObjectId(), date: '2026-10-19' }, 'delivery', now))
+      .toThrow('Delivery slot not found');
+    expect(() => resolveSlot(shop, { slot: retired._id, date: '2026-10-19' }, 'delivery', now))
+      .toThrow('Delivery slot not found');
+  });
+
+  it('keeps a delivery slot to delivery orders', () => {
+    expect(() => resolveSlot(shop, { slot: morning._id, date: '2026-10-19' }, 'pickup', now))
+      .toThrow('This slot is only for delivery');
+  });
+
+  it('refuses malformed dates and dates on another weekday', () => {
+    expect(() => resolveSlot(shop, { slot: morning._id, date: '2026-13-01' }, 'delivery', now))
+      .toThrow('Slot date must be YYYY-MM-DD');
+    expect(() => resolveSlot(shop, { slot: morning._id, date: '2026-10-20' }, 'delivery', now))
+      .toThrow('This slot is only available on mondays');
+  });
+
+  it('refuses holidays and days the shop is closed', () => {
+    expect(() => resolveSlot(shop, { slot: evening._id, date: '2026-10-27' }, 'delivery', now))
+      .toThrow('Shop is closed for Staff outing on this date');
+    expect(() => resolveSlot(shop, { slot: sunday._id, date: '2026-10-25' }, 'delivery', now))
+      .toThrow('Shop is closed on sundays');
+  });
+
+  it('refuses a slot that starts before the order could be prepared', () => {
+    const nearlyTen = new Date('2026-10-19T04:10:00Z');
+
+    expect(() => resolveSlot(shop, { slot: morning._id, date: '2026-10-19' }, 'delivery', nearlyTen))
+      .toThrow('This slot is too soon to prepare the order');
+  });
+
+  it('refuses a slot beyond the advance booking window', () => {
+    expect(() => resolveSlot(shop, { slot: morning._id, date: '2026-10-26' }, 'delivery', now))
+      .toThrow('Orders can be scheduled at most 7 days ahead');
+  });
+});
@@ -0,0 +1,122 @@
+const {
+  openIntervalsOn,
+  isOpenAt,
+  getNextOpening,
+  getOpeningStatus,
+  formatShopTime
+} = require('../../src/utils/shopHours');
+
+// Week of Monday 19 Oct 2026, hours on India's clock (UTC+05:30)
+const newShop = (overrides = {}) => ({
+  timezone: 'Asia/Kolkata',
+  businessHours: [
+    {
+      day: 'monday',
+      isOpen: true,
+      intervals: [{ openTime: '09:00', closeTime: '13:00' }, { openTime: '16:00', closeTime: '21:00' }]
+    },
+    { day: 'tuesday', isOpen: true, openTime: '09:00', closeTime: '21:00' },
+    { day: 'wednesday', isOpen: true, openTime: '22:00', closeTime: '02:00' },
+    { day: 'thursday', isOpen: false, openTime: '09:00', closeTime: '21:00' }
+  ],
+  holidays: [],
+  ...overrides
+});
+
+const ist = (dateTime) => new Date(`${dateTime}+05:30`);
+
+describe('shop hours', () => {
+  describe('split shifts', () => {
+    it('opens for each interval of the day', () => {
+      const shop = newShop();
+
+      expect(isOpenAt(shop, ist('2026-10-19T12:59'))).toBe(true);
+      expect(isOpenAt(shop, ist('2026-10-19T13:00'))).toBe(false);
+      expect(isOpenAt(shop, ist('2026-10-19T16:00'))).toBe(true);
+    });
+
+    it('points to the afternoon shift during the break', () => {
+      expect(getOpeningStatus(newShop(), ist('2026-10-19T14:00'))).toEqual({
+        isOpen: false,
+        closesAt: null,
+        nextOpeningAt: ist('2026-10-19T16:00')
+      });
+    });
+  });
+
+  describe('overnight shifts', () => {
+    it('runs a shift that closes before it opens into the next day', () => {
+      expect(openIntervalsOn(newShop(), '2026-10-21')).toEqual([
+        { opensAt: ist('2026-10-21T22:00'), closesAt: ist('2026-10-22T02:00') }
+      ]);
+    });
+
+    it('stays open after midnight on a day that is itself closed', () => {
+      const shop = newShop();
+
+      expect(getOpeningStatus(shop, ist('2026-10-22T01:30'))).toEqual({
+        isOpen: true,
+        closesAt: ist('2026-10-22T02:00'),
+        nextOpeningAt: null
+      });
+      expect(isOpenAt(shop, ist('2026-10-22T02:00'))).toBe(false);
+      expect(isOpenAt(shop, ist('2026-10-21T21:59'))).toBe(false);
+    });
+
+    it('treats 00:00 to 00:00 as the whole day', () => {
+      const shop = newShop({ businessHours: [{ day: 'friday', isOpen: true, openTime: '00:00', closeTime: '00:00' }] });
+
+      expect(isOpenAt(shop, ist('2026-10-23T00:00'))).toBe(true);
+      expect(isOpenAt(shop, ist('2026-10-23T23:59'))).toBe(true);
+      expect(isOpenAt(shop, ist('2026-10-24T00:00'))).toBe(false);
+    });
+  });
+
+  describe('holidays', () => {
+    it('closes the shop for the holiday and finds the next working shift', () => {
+      const shop = newShop({ holidays: [{ date: new Date('2026-10-20'), name: 'Diwali' }] });
+
+      expect(isOpenAt(shop, ist('2026-10-20T10:00'))).toBe(false);
+      expect(getNextOpening(shop, ist('2026-10-19T22:00'))).toEqual(ist('2026-10-21T22:00'));
+    });
+
+    it('closes the shop on a recurring holiday every year', () => {
+      const shop = newShop({ holidays: [{ date: new Date('2020-10-19'), name: 'Founding day', isRecurring: true }] });
+
+      expect(openIntervalsOn(shop, '2026-10-19')).toEqual([]);
+      expect(isOpenAt(shop, ist('2026-10-19T10:00'))).toBe(false);
+    });
+
+    it('lets an overnight shift from the day before finish on a holiday', () => {
+      const shop = newShop({ holidays: [{ date: new Date('2026-10-22'), name: 'Dussehra' }] });
+
+      expect(isOpenAt(shop, ist('2026-10-22T01:30'))).toBe(true);
+    });
+  });
+
+  describe('timezones', () => {
+    it('reads the hours on the shop\'s own clock', () => {
+      const shop = newShop({ timezone: 'America/New_York' });
+
+      // 10:00 in New York, 19:30 in India
+      expect(isOpenAt(shop, new Date('2026-10-20T14:00:00Z'))).toBe(true);
+      expect(isOpenAt(shop, new Date('2026-10-20T04:00:00Z'))).toBe(false);
+    });
+
+    it('formats times on the shop\'s clock', () => {
+      expect(formatShopTime(newShop(), new Date('2026-10-19T20:00:00Z'))).toBe('Tue, 20 Oct, 01:30');
+    });
+  });
+
+  it('treats a shop without business hours as always open', () => {
+    const shop = newShop({ businessHours: [] });
+
+    expect(isOpenAt(shop, ist('2026-10-25T03:00'))).toBe(true);
+  });
+
+  it('gives up looking for an opening after a year', () => {
+    const shop = newShop({ businessHours: [{ day: 'monday', isOpen: false }] });
+
+    expect(getNextOpening(shop, ist('2026-10-19T10:00'))).toBeNull();
+  });
+});
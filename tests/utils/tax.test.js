@@ -0,0 +1,101 @@
+const config = require('../../src/config/config');
+const { calculateTax, resolveTaxRule, getSupplyType } = require('../../src/utils/tax');
+
+describe('calculateTax', () => {
+  it('adds tax on top of exclusive prices and splits it into CGST and SGST', () => {
+    const { lines, breakdown } = calculateTax([{ total: 1000, rate: 18, inclusive: false, hsnCode: '6109' }]);
+
+    expect(lines[0]).toEqual({
+      hsnCode: '6109',
+      rate: 18,
+      inclusive: false,
+      taxableValue: 1000,
+      cgst: 90,
+      sgst: 90,
+      igst: 0,
+      amount: 180
+    });
+    expect(breakdown).toEqual({
+      supplyType: 'intra_state',
+      cgst: 90,
+      sgst: 90,
+      igst: 0,
+      totalTax: 180,
+      includedTax: 0,
+      addedTax: 180
+    });
+  });
+
+  it('takes the tax out of inclusive prices without adding to them', () => {
+    const { lines, breakdown } = calculateTax([{ total: 105, rate: 5, inclusive: true }]);
+
+    expect(lines[0]).toMatchObject({ taxableValue: 100, cgst: 2.5, sgst: 2.5, amount: 5 });
+    expect(breakdown).toMatchObject({ totalTax: 5, includedTax: 5, addedTax: 0 });
+  });
+
+  it('charges IGST alone across states', () => {
+    const { lines, breakdown } = calculateTax(
+      [{ total: 1000, rate: 18, inclusive: false }],
+      { supplyType: 'inter_state' }
+    );
+
+    expect(lines[0]).toMatchObject({ cgst: 0, sgst: 0, igst: 180, amount: 180 });
+    expect(breakdown).toMatchObject({ supplyType: 'inter_state', cgst: 0, sgst: 0, igst: 180, totalTax: 180 });
+  });
+
+  it('keeps the CGST and SGST halves adding up to the tax on odd paise', () => {
+    const { lines } = calculateTax([{ total: 10.2, rate: 5, inclusive: false }]);
+
+    expect(lines[0].amount).toBe(0.51);
+    expect(lines[0].cgst + lines[0].sgst).toBeCloseTo(0.51, 10);
+  });
+
+  it('spreads the item discount over mixed lines by value before taxing them', () => {
+    const { lines, breakdown } = calculateTax([
+      { total: 600, rate: 18, inclusive: false },
+      { total: 400, rate: 5, inclusive: true }
+    ], { itemDiscount: 100 });
+
+    expect(lines[0]).toMatchObject({ taxableValue: 540, amount: 97.2 });
+    expect(lines[1]).toMatchObject({ taxableValue: 342.86, amount: 17.14 });
+    expect(breakdown).toEqual({
+      supplyType: 'intra_state',
+      cgst: 57.17,
+      sgst: 57.17,
+      igst: 0,
+      totalTax: 114.34,
+      includedTax: 17.14,
+      addedTax: 97.2
+    });
+  });
+
+  it('charges nothing on zero rated lines', () => {
+    const { breakdown } = calculateTax([{ total: 250, rate: 0, inclusive: false }]);
+
+    expect(breakdown.totalTax).toBe(0);
+  });
+});
+
+describe('resolveTaxRule', () => {
+  it('prefers the product settings, then the category, then the config default', () => {
+    const category = { tax: { rate: 12, inclusive: true, hsnCode: '2106' } };
+
+    expect(resolveTaxRule({ tax: { rate: 0 } }, category)).toEqual({ rate: 0, inclusive: true, hsnCode: '2106' });
+    expect(resolveTaxRule({}, null)).toEqual({
+      rate: config.tax.defaultRate,
+      inclusive: config.tax.pricesIncludeTax,
+      hsnCode: undefined
+    });
+  });
+});
+
+describe('getSupplyType', () => {
+  it('compares states ignoring case and spacing', () => {
+    expect(getSupplyType('Karnataka', ' karnataka ')).toBe('intra_state');
+    expect(getSupplyType('Karnataka', 'Kerala')).toBe('inter_state');
+  });
+
+  it('treats a missing state, as on pickup orders, as within the state', () => {
+    expect(getSupplyType('Karnataka', undefined)).toBe('intra_state');
+  });
+});